@@ -1,68 +1,175 @@
 /**
  * Archive Manager Module
  *
- * Handles uploading reports to S3, managing archive retention, and distributing to public bucket.
+ * Handles uploading reports to storage (S3 or local), managing archive retention, and distributing to public bucket.
+ * Every write and delete honors a dryRun option that logs and returns what would happen instead.
  */
 
-const { S3Client, PutObjectCommand, ListObjectsV2Command, DeleteObjectCommand, CopyObjectCommand } = require('@aws-sdk/client-s3');
-const { generateTimestampedFilename } = require('./utils');
+const { getStorage } = require('./storage');
+const { generateTimestamp, generateTimestampedFilename, formatFileSize } = require('./utils');
+const { SNAPSHOT_EXTENSION, SNAPSHOT_CONTENT_TYPE } = require('./snapshot');
+const { CONTENT_HASH_METADATA_KEY } = require('./contentHash');
+const { describeRetentionPolicy, evaluateRetention } = require('./retentionPolicy');
 
-const s3Client = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Archive filenames look like <base>-yyyy-MM-dd-HHmmss<suffix>
+const ARCHIVE_FILENAME_PATTERN = /^(.*?(\d{4}-\d{2}-\d{2}-\d{6}))/;
 
 /**
- * Upload Excel reports to S3 (both latest and archive)
- * @param {Buffer} excelBuffer - Excel file buffer
+ * Upload rendered reports to storage (both latest and archive), plus a JSON snapshot
+ * of the normalized data next to the archived reports (unless archiving is turned off)
+ * @param {Array<Object>} artifacts - Rendered artifacts from renderReports (must include xlsx)
  * @param {string} bucket - S3 bucket name
  * @param {string} reportPrefix - Prefix for reports folder
  * @param {string} archivePrefix - Prefix for archive folder
  * @param {string} latestReportName - Name for latest report
+ * @param {Buffer} snapshotBuffer - Compressed JSON snapshot (optional)
+ * @param {Object} options - Upload options
+ * @param {boolean} options.dryRun - Plan the uploads without writing (adds plannedWrites to the result)
+ * @param {string} options.contentHash - Source content hash recorded in the latest workbook's metadata
+ * @param {string} options.timestamp - Run timestamp for the archive names (default: now); report profiles
+ *   reuse the default report's timestamp so their archives join its archive unit
+ * @param {string} options.archiveSuffix - Appended to the archive names after the timestamp (e.g. '-eu' for a report profile)
+ * @param {boolean} options.archive - Write the archive copies and the snapshot (default: true); without them
+ *   only the latest reports are written and the archive fields of the result are null
  * @returns {Promise<Object>} Upload metadata
  */
-async function uploadReports(excelBuffer, bucket, reportPrefix, archivePrefix, latestReportName) {
-  // Generate archive filename with timestamp
-  const archiveFileName = generateTimestampedFilename('aws-service-report', '.xlsx');
-
-  // Upload latest report
-  const latestKey = `${reportPrefix}${latestReportName}`;
-  await uploadToS3(bucket, latestKey, excelBuffer);
-
-  // Upload archive report
-  const archiveKey = `${archivePrefix}${archiveFileName}`;
-  await uploadToS3(bucket, archiveKey, excelBuffer);
-
-  return {
-    latestReportFile: latestReportName,
-    latestReportPath: `s3://${bucket}/${latestKey}`,
-    latestReportKey: latestKey,
-    archiveReportFile: archiveFileName,
-    archiveReportPath: `s3://${bucket}/${archiveKey}`,
-    archiveReportKey: archiveKey
+async function uploadReports(artifacts, bucket, reportPrefix, archivePrefix, latestReportName, snapshotBuffer, options = {}) {
+  const { dryRun = false, contentHash, archiveSuffix = '', archive = true } = options;
+  // Every file from one run shares one timestamp so they form a single archive unit
+  const timestamp = options.timestamp || generateTimestamp();
+  const latestBaseName = latestReportName.replace(/\.xlsx$/, '');
+  const uploaded = [];
+  const writes = [];
+
+  for (const artifact of artifacts) {
+    // The workbook keeps the configured latest name; other formats derive from it
+    const latestFileName = artifact.format === 'xlsx'
+      ? latestReportName
+      : `${latestBaseName}${artifact.suffix}${artifact.extension}`;
+    const archiveFileName = generateTimestampedFilename('aws-service-report', `${archiveSuffix}${artifact.suffix}${artifact.extension}`, timestamp);
+
+    // Upload latest report
+    // The latest workbook records the content hash so later runs can detect unchanged input
+    const latestKey = `${reportPrefix}${latestFileName}`;
+    const metadata = artifact.format === 'xlsx' && contentHash ? { [CONTENT_HASH_METADATA_KEY]: contentHash } : undefined;
+    writes.push(await uploadObject(bucket, latestKey, artifact.body, { contentType: artifact.contentType, metadata, dryRun }));
+
+    // Upload archive report
+    const archiveKey = archive ? `${archivePrefix}${archiveFileName}` : null;
+    if (archive) {
+      writes.push(await uploadObject(bucket, archiveKey, artifact.body, { contentType: artifact.contentType, dryRun }));
+    }
+
+    uploaded.push({ format: artifact.format, latestFileName, latestKey, archiveFileName: archive ? archiveFileName : null, archiveKey });
+  }
+
+  const storage = getStorage();
+  const workbook = uploaded.find(upload => upload.format === 'xlsx');
+  const result = {
+    timestamp,
+    latestReportFile: workbook.latestFileName,
+    latestReportPath: storage.uri(bucket, workbook.latestKey),
+    latestReportKey: workbook.latestKey,
+    archiveReportFile: workbook.archiveFileName,
+    archiveReportPath: archive ? storage.uri(bucket, workbook.archiveKey) : null,
+    archiveReportKey: workbook.archiveKey,
+    reportFormats: [...new Set(uploaded.map(upload => upload.format))],
+    uploadedReports: uploaded.map(({ format, latestKey, archiveKey }) => ({ format, latestKey, archiveKey }))
   };
+
+  // Upload snapshot alongside the archive reports
+  if (archive && snapshotBuffer) {
+    const snapshotFileName = generateTimestampedFilename('aws-service-report', SNAPSHOT_EXTENSION, timestamp);
+    const snapshotKey = `${archivePrefix}${snapshotFileName}`;
+    writes.push(await uploadObject(bucket, snapshotKey, snapshotBuffer, { contentType: SNAPSHOT_CONTENT_TYPE, dryRun }));
+
+    result.archiveSnapshotPath = storage.uri(bucket, snapshotKey);
+    result.archiveSnapshotKey = snapshotKey;
+  }
+
+  if (dryRun) {
+    result.dryRun = true;
+    result.plannedWrites = writes;
+  }
+
+  return result;
 }
 
 /**
- * Upload buffer to S3 with retry logic
+ * Upload rendered reports that failed data quality checks to the quarantine prefix only,
+ * leaving the latest report (and therefore the distribution copy) untouched
+ * @param {Array<Object>} artifacts - Rendered artifacts from renderReports
+ * @param {string} bucket - S3 bucket name
+ * @param {string} quarantinePrefix - Prefix for quarantine folder
+ * @param {Buffer} snapshotBuffer - Compressed JSON snapshot (optional)
+ * @param {Object} options - Upload options
+ * @param {boolean} options.dryRun - Plan the uploads without writing (adds plannedWrites to the result)
+ * @returns {Promise<Object>} Upload metadata
+ */
+async function quarantineReports(artifacts, bucket, quarantinePrefix, snapshotBuffer, options = {}) {
+  const { dryRun = false } = options;
+  const timestamp = generateTimestamp();
+  const quarantinedKeys = [];
+  const writes = [];
+
+  for (const artifact of artifacts) {
+    const fileName = generateTimestampedFilename('aws-service-report', `${artifact.suffix}${artifact.extension}`, timestamp);
+    const key = `${quarantinePrefix}${fileName}`;
+    writes.push(await uploadObject(bucket, key, artifact.body, { contentType: artifact.contentType, dryRun }));
+    quarantinedKeys.push(key);
+  }
+
+  if (snapshotBuffer) {
+    const key = `${quarantinePrefix}${generateTimestampedFilename('aws-service-report', SNAPSHOT_EXTENSION, timestamp)}`;
+    writes.push(await uploadObject(bucket, key, snapshotBuffer, { contentType: SNAPSHOT_CONTENT_TYPE, dryRun }));
+    quarantinedKeys.push(key);
+  }
+
+  const reportKey = quarantinedKeys.find(key => key.endsWith('.xlsx'));
+  const result = {
+    quarantineReportPath: getStorage().uri(bucket, reportKey),
+    quarantineReportKey: reportKey,
+    quarantinedKeys
+  };
+
+  if (dryRun) {
+    result.dryRun = true;
+    result.plannedWrites = writes;
+  }
+
+  return result;
+}
+
+/**
+ * Upload buffer to storage with retry logic
  * @param {string} bucket - S3 bucket name
  * @param {string} key - S3 object key
  * @param {Buffer} buffer - File buffer
- * @param {number} maxRetries - Maximum number of retries
+ * @param {Object} options - Upload options
+ * @param {string} options.contentType - Object content type (defaults to xlsx)
+ * @param {number} options.maxRetries - Maximum number of retries
+ * @param {Object} options.metadata - User metadata stored with the object
+ * @param {boolean} options.dryRun - Log the upload without writing
+ * @returns {Promise<Object>} Write description ({key, path, sizeBytes, contentType, metadata})
  */
-async function uploadToS3(bucket, key, buffer, maxRetries = 3) {
+async function uploadObject(bucket, key, buffer, options = {}) {
+  const { contentType = XLSX_CONTENT_TYPE, metadata, maxRetries = 3, dryRun = false } = options;
+  const storage = getStorage();
+  const write = { key, path: storage.uri(bucket, key), sizeBytes: buffer.length, contentType, metadata };
   let lastError;
 
+  if (dryRun) {
+    console.log(`🧪 Would upload: ${write.path} (${formatFileSize(buffer.length)})`);
+    return write;
+  }
+
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      const command = new PutObjectCommand({
-        Bucket: bucket,
-        Key: key,
-        Body: buffer,
-        ContentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        ServerSideEncryption: 'AES256'
-      });
-
-      await s3Client.send(command);
-      console.log(`✅ Uploaded: s3://${bucket}/${key}`);
-      return; // Success
+      await storage.put(bucket, key, buffer, { contentType, metadata });
+      console.log(`✅ Uploaded: ${write.path}`);
+      return write; // Success
     } catch (error) {
       lastError = error;
       console.error(`⚠️ Upload attempt ${attempt} failed for ${key}:`, error.message);
@@ -81,66 +188,129 @@ async function uploadToS3(bucket, key, buffer, maxRetries = 3) {
 }
 
 /**
- * Manage archive retention - delete reports older than retention period
+ * List archived reports grouped into archive units. Every file written by one
+ * run (reports in each format, snapshot) shares the run's timestamp and is treated as one unit.
  * @param {string} bucket - S3 bucket name
  * @param {string} archivePrefix - Prefix for archive folder
- * @param {number} retentionDays - Number of days to retain archives
- * @returns {Promise<Object>} Retention management results
+ * @returns {Promise<Array<Object>>} Archive units, newest first
+ *   ({id, timestamp, keys, files: [{key, size, lastModified}], reportKey, snapshotKey, size, lastModified})
  */
-async function manageArchiveRetention(bucket, archivePrefix, retentionDays) {
-  try {
-    // List all objects in archive folder
-    const listCommand = new ListObjectsV2Command({
-      Bucket: bucket,
-      Prefix: archivePrefix
-    });
+async function listArchives(bucket, archivePrefix) {
+  const objects = await getStorage().list(bucket, archivePrefix);
+  const units = new Map();
+
+  objects.forEach(obj => {
+    const fileName = obj.key.slice(archivePrefix.length);
+    const match = fileName.match(ARCHIVE_FILENAME_PATTERN);
+    // Files without a run timestamp are kept as units of their own
+    const id = match ? match[1] : fileName;
 
-    const response = await s3Client.send(listCommand);
-    const objects = response.Contents || [];
+    if (!units.has(id)) {
+      units.set(id, {
+        id,
+        timestamp: match ? match[2] : null,
+        keys: [],
+        files: [],
+        reportKey: null,
+        snapshotKey: null,
+        size: 0,
+        lastModified: obj.lastModified
+      });
+    }
+
+    const unit = units.get(id);
+    unit.keys.push(obj.key);
+    unit.files.push({ key: obj.key, size: obj.size, lastModified: obj.lastModified });
+    unit.size += obj.size;
+    if (obj.lastModified > unit.lastModified) {
+      unit.lastModified = obj.lastModified;
+    }
+    // Report profile workbooks share the unit; the default report's workbook is named after the unit id
+    if (obj.key.endsWith('.xlsx') && (!unit.reportKey || fileName === `${id}.xlsx`)) {
+      unit.reportKey = obj.key;
+    } else if (obj.key.endsWith(SNAPSHOT_EXTENSION)) {
+      unit.snapshotKey = obj.key;
+    }
+  });
 
-    if (objects.length === 0) {
+  // Run timestamps (yyyy-MM-dd-HHmmss) sort lexicographically
+  return [...units.values()].sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * Manage archive retention - delete archive units that no rule of the retention policy keeps.
+ * A report and its snapshot are retained or deleted together.
+ * @param {string} bucket - S3 bucket name
+ * @param {string} archivePrefix - Prefix for archive folder
+ * @param {Object} policy - Retention policy from parseRetentionPolicy
+ * @param {Object} options - Retention options
+ * @param {boolean} options.dryRun - List the expired archives without deleting (adds plannedDeletions to the result)
+ * @returns {Promise<Object>} Retention management results ({retained, deleted, policy, rules, deletions, errors});
+ *   errors lists every key that could not be deleted ({key, code, message})
+ */
+async function manageArchiveRetention(bucket, archivePrefix, policy, options = {}) {
+  const { dryRun = false } = options;
+  try {
+    // List all archive units in archive folder
+    const archives = await listArchives(bucket, archivePrefix);
+    const policyDescription = describeRetentionPolicy(policy);
+
+    if (archives.length === 0) {
       console.log('📂 No archived reports found');
-      return { retained: 0, deleted: 0 };
+      return { retained: 0, deleted: 0, policy: policyDescription, rules: [], deletions: [], errors: [] };
     }
 
-    // Calculate cutoff date
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
+    // Separate retained and expired archive units by the run timestamp in their filenames
+    const { kept, expired, rules } = evaluateRetention(archives, policy);
 
-    // Separate retained and expired objects
-    const expiredObjects = [];
-    const retainedObjects = [];
+    console.log(`📂 Found ${archives.length} archived reports (${kept.length} retained, ${expired.length} expired) under policy: ${policyDescription}`);
+    rules.forEach(rule => console.log(`   ${rule.rule}=${rule.limit} keeps ${rule.kept.length}: ${rule.kept.join(', ') || 'none'}`));
 
-    objects.forEach(obj => {
-      if (obj.LastModified < cutoffDate) {
-        expiredObjects.push(obj);
-      } else {
-        retainedObjects.push(obj);
-      }
-    });
+    const deletions = expired.map(({ archive, reasons }) => ({
+      id: archive.id,
+      timestamp: archive.timestamp,
+      keys: archive.keys,
+      reasons
+    }));
+
+    if (dryRun) {
+      deletions.forEach(deletion => console.log(`🧪 Would delete expired archive ${deletion.id}: ${deletion.reasons.join('; ')}`));
+      return {
+        retained: kept.length,
+        deleted: 0,
+        policy: policyDescription,
+        rules,
+        deletions: [],
+        errors: [],
+        dryRun: true,
+        plannedDeletions: deletions
+      };
+    }
 
-    console.log(`📂 Found ${objects.length} archived reports (${retainedObjects.length} retained, ${expiredObjects.length} expired)`);
+    // Delete every file of the expired archive units in batches
+    const { errors } = await getStorage().deleteMany(bucket, deletions.flatMap(deletion => deletion.keys));
+    const errorsByKey = new Map(errors.map(error => [error.key, error]));
 
-    // Delete expired objects
     let deletedCount = 0;
-    for (const obj of expiredObjects) {
-      try {
-        const deleteCommand = new DeleteObjectCommand({
-          Bucket: bucket,
-          Key: obj.Key
-        });
-
-        await s3Client.send(deleteCommand);
-        console.log(`🗑️ Deleted expired archive: ${obj.Key}`);
+    deletions.forEach(deletion => {
+      deletion.errors = deletion.keys.filter(key => errorsByKey.has(key)).map(key => errorsByKey.get(key));
+      // A unit counts as deleted only when all of its files are gone
+      deletion.deleted = deletion.errors.length === 0;
+      if (deletion.deleted) {
         deletedCount++;
-      } catch (error) {
-        console.error(`⚠️ Failed to delete ${obj.Key}:`, error.message);
+        console.log(`🗑️ Deleted expired archive ${deletion.id} (${deletion.reasons.join('; ')})`);
+      } else {
+        deletion.errors.forEach(error => console.error(`⚠️ Failed to delete ${error.key}: ${error.code} ${error.message}`));
       }
-    }
+    });
 
     return {
-      retained: retainedObjects.length,
-      deleted: deletedCount
+      retained: kept.length,
+      deleted: deletedCount,
+      policy: policyDescription,
+      rules,
+      deletions,
+      errors
     };
   } catch (error) {
     console.error('❌ Archive retention management error:', error);
@@ -148,15 +318,31 @@ async function manageArchiveRetention(bucket, archivePrefix, retentionDays) {
   }
 }
 
+/**
+ * Find the most recent archived report
+ * @param {string} bucket - S3 bucket name
+ * @param {string} archivePrefix - Prefix for archive folder
+ * @returns {Promise<Object|null>} Latest archive unit with a report or snapshot, or null if none exist
+ */
+async function findLatestArchive(bucket, archivePrefix) {
+  const archives = await listArchives(bucket, archivePrefix);
+  return archives.find(archive => archive.snapshotKey || archive.reportKey) || null;
+}
+
 /**
  * Distribute report to public distribution bucket
  * @param {string} sourceBucket - Source S3 bucket name
  * @param {string} sourceKey - Source object key
  * @param {string} distributionBucket - Distribution S3 bucket name (optional)
  * @param {string} distributionKey - Distribution object key (optional)
+ * @param {Array<Object>} additionalReports - Other reports to publish alongside the workbook
+ *   ({sourceKey, distributionKey, contentType}), e.g. the HTML dashboard
+ * @param {Object} options - Distribution options
+ * @param {boolean} options.dryRun - Plan the copies without writing
  * @returns {Promise<Object>} Distribution result
  */
-async function distributeReports(sourceBucket, sourceKey, distributionBucket, distributionKey) {
+async function distributeReports(sourceBucket, sourceKey, distributionBucket, distributionKey, additionalReports = [], options = {}) {
+  const { dryRun = false } = options;
   // Skip distribution if not configured
   if (!distributionBucket || !distributionKey) {
     console.log('⏭️ Distribution skipped (not configured)');
@@ -167,22 +353,60 @@ async function distributeReports(sourceBucket, sourceKey, distributionBucket, di
   }
 
   console.log('📤 Distributing report to public bucket...');
-  console.log(`   Source: s3://${sourceBucket}/${sourceKey}`);
-  console.log(`   Destination: s3://${distributionBucket}/${distributionKey}`);
+  const result = await copyToDistribution(sourceBucket, sourceKey, distributionBucket, distributionKey, XLSX_CONTENT_TYPE, dryRun);
+
+  if (additionalReports.length > 0) {
+    result.additionalDistributions = [];
+    for (const report of additionalReports) {
+      const additionalResult = await copyToDistribution(
+        sourceBucket,
+        report.sourceKey,
+        distributionBucket,
+        report.distributionKey,
+        report.contentType,
+        dryRun
+      );
+      result.additionalDistributions.push({ distributionKey: report.distributionKey, ...additionalResult });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Copy a single report to the distribution bucket (failures are reported, not thrown)
+ * @param {string} sourceBucket - Source S3 bucket name
+ * @param {string} sourceKey - Source object key
+ * @param {string} distributionBucket - Distribution S3 bucket name
+ * @param {string} distributionKey - Distribution object key
+ * @param {string} contentType - Content type for the distributed object
+ * @param {boolean} dryRun - Log the copy without writing
+ * @returns {Promise<Object>} Copy result
+ */
+async function copyToDistribution(sourceBucket, sourceKey, distributionBucket, distributionKey, contentType, dryRun = false) {
+  const storage = getStorage();
+  console.log(`   Source: ${storage.uri(sourceBucket, sourceKey)}`);
+  console.log(`   Destination: ${storage.uri(distributionBucket, distributionKey)}`);
+
+  if (dryRun) {
+    console.log(`🧪 Would distribute report to: ${storage.uri(distributionBucket, distributionKey)}`);
+    return {
+      distributed: false,
+      dryRun: true,
+      sourcePath: storage.uri(sourceBucket, sourceKey),
+      distributionBucket,
+      distributionKey,
+      distributionPath: storage.uri(distributionBucket, distributionKey)
+    };
+  }
 
   try {
-    const command = new CopyObjectCommand({
-      Bucket: distributionBucket,
-      CopySource: `${sourceBucket}/${sourceKey}`,
-      Key: distributionKey,
-      ContentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      CacheControl: 'public, max-age=300',
-      MetadataDirective: 'REPLACE'
+    await storage.copy(sourceBucket, sourceKey, distributionBucket, distributionKey, {
+      contentType,
+      cacheControl: 'public, max-age=300'
     });
 
-    await s3Client.send(command);
-
-    const distributionPath = `s3://${distributionBucket}/${distributionKey}`;
+    const distributionPath = storage.uri(distributionBucket, distributionKey);
     console.log(`✅ Report distributed to: ${distributionPath}`);
 
     return {
@@ -206,6 +430,9 @@ async function distributeReports(sourceBucket, sourceKey, distributionBucket, di
 
 module.exports = {
   uploadReports,
+  quarantineReports,
   manageArchiveRetention,
-  distributeReports
+  distributeReports,
+  listArchives,
+  findLatestArchive
 };
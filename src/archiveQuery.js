@@ -0,0 +1,364 @@
+/**
+ * Archive Query Module
+ *
+ * Read-only queries over the report archive, run by a manual invocation with a `query` field
+ * instead of generating a report:
+ *
+ *   - list: archived reports, newest first, with run time, files, sizes and summary counts
+ *     read from each snapshot ({query: 'list', from, to, limit})
+ *   - get: one archived report as pre-signed download URLs, or its normalized data
+ *     ({query: 'get', archive, format, as: 'url'|'data', expiresIn})
+ *   - diff: service and region changes between two archived reports ({query: 'diff', from, to})
+ *
+ * Archives are selected by 'latest', a date (yyyy-MM-dd: the last report generated on or before
+ * that day), a run timestamp (yyyy-MM-dd-HHmmss) or an archive id. Dates and timestamps are in
+ * the function's local time, like the archive filenames.
+ */
+
+const path = require('path');
+const { listArchives } = require('./archiveManager');
+const { readObjectBuffer } = require('./s3Operations');
+const { getStorage } = require('./storage');
+const { parseExcelReport } = require('./excelGenerator');
+const { SNAPSHOT_EXTENSION, deserializeSnapshot } = require('./snapshot');
+const { detectChanges, summarizeChanges } = require('./changeDetector');
+const { parseArchiveTimestamp } = require('./retentionPolicy');
+const { countServiceMappings } = require('./reportData');
+const { formatFileSize } = require('./utils');
+
+const QUERY_FIELDS = {
+  list: ['from', 'to', 'limit'],
+  get: ['archive', 'format', 'as', 'expiresIn'],
+  diff: ['from', 'to']
+};
+
+const ARCHIVE_FORMATS = ['xlsx', 'csv', 'json', 'md', 'html', 'snapshot'];
+
+const DEFAULT_LIST_LIMIT = 30;
+const MAX_LIST_LIMIT = 100;
+
+// Pre-signed URLs also stop working when the function's temporary credentials expire
+const DEFAULT_URL_EXPIRY_SECONDS = 900;
+const MAX_URL_EXPIRY_SECONDS = 3600;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}-\d{6}$/;
+
+/**
+ * Validate an archive query payload
+ * @param {Object} payload - Manual invocation payload with a query field
+ * @returns {Object} Query ({type, ...type-specific settings with defaults applied})
+ * @throws {Error} When the query type, a field or a value is invalid
+ */
+function parseArchiveQuery(payload) {
+  const type = payload.query;
+  if (!QUERY_FIELDS[type]) {
+    throw new Error(`Unknown query "${type}". Supported: ${Object.keys(QUERY_FIELDS).join(', ')}`);
+  }
+
+  const unknown = Object.keys(payload).filter(field => field !== 'query' && !QUERY_FIELDS[type].includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown field(s) for query "${type}": ${unknown.join(', ')}. Supported: ${QUERY_FIELDS[type].join(', ')}`);
+  }
+
+  if (type === 'list') {
+    ['from', 'to'].forEach(field => {
+      if (payload[field] !== undefined && !DATE_PATTERN.test(payload[field]) && !TIMESTAMP_PATTERN.test(payload[field])) {
+        throw new Error(`${field} must be a date (yyyy-MM-dd) or run timestamp (yyyy-MM-dd-HHmmss)`);
+      }
+    });
+    return {
+      type,
+      from: payload.from || null,
+      to: payload.to || null,
+      limit: parseBoundedInteger(payload.limit, 'limit', DEFAULT_LIST_LIMIT, MAX_LIST_LIMIT)
+    };
+  }
+
+  if (type === 'get') {
+    const as = payload.as === undefined ? 'url' : payload.as;
+    if (!['url', 'data'].includes(as)) {
+      throw new Error('as must be "url" or "data"');
+    }
+    const format = payload.format === undefined ? 'xlsx' : payload.format;
+    if (!ARCHIVE_FORMATS.includes(format)) {
+      throw new Error(`Unknown archive format "${format}". Supported: ${ARCHIVE_FORMATS.join(', ')}`);
+    }
+    if (as === 'data' && payload.format !== undefined) {
+      throw new Error('format only applies to as: "url"; as: "data" always returns the normalized report data');
+    }
+    return {
+      type,
+      archive: parseSelector(payload.archive, 'archive', 'latest'),
+      as,
+      format,
+      expiresIn: parseBoundedInteger(payload.expiresIn, 'expiresIn', DEFAULT_URL_EXPIRY_SECONDS, MAX_URL_EXPIRY_SECONDS)
+    };
+  }
+
+  if (payload.from === undefined) {
+    throw new Error('from is required for query "diff"');
+  }
+  return {
+    type,
+    from: parseSelector(payload.from, 'from'),
+    to: parseSelector(payload.to, 'to', 'latest')
+  };
+}
+
+/**
+ * Run an archive query against the report archive
+ * @param {Object} query - Query from parseArchiveQuery
+ * @param {Object} config - Handler configuration (reportBucket, archivePrefix)
+ * @param {Object} definition - Report definition used to read archived workbooks (see parseExcelReport)
+ * @returns {Promise<Object>} Query result
+ * @throws {Error} Named 'ArchiveNotFound' when a selected archive or file does not exist
+ */
+async function runArchiveQuery(query, config, definition) {
+  const archives = await listArchives(config.reportBucket, config.archivePrefix);
+  console.log(`🔎 Archive query "${query.type}" over ${archives.length} archived reports`);
+
+  if (query.type === 'list') {
+    return listArchivedReports(archives, config.reportBucket, query);
+  }
+  if (query.type === 'get') {
+    return getArchivedReport(archives, config.reportBucket, query, definition);
+  }
+  return diffArchivedReports(archives, config.reportBucket, query, definition);
+}
+
+/**
+ * List archived reports with summary counts from their snapshots
+ * @param {Array<Object>} archives - Archive units from listArchives
+ * @param {string} bucket - Report bucket
+ * @param {Object} query - List query ({from, to, limit})
+ * @returns {Promise<Object>} Listing ({total, matched, archives})
+ */
+async function listArchivedReports(archives, bucket, query) {
+  // Timestamps and their date prefixes compare lexicographically
+  const matched = byTimestamp(archives).filter(archive =>
+    (!query.from || archive.timestamp >= query.from) &&
+    (!query.to || archive.timestamp.slice(0, query.to.length) <= query.to));
+
+  const listed = [];
+  for (const archive of matched.slice(0, query.limit)) {
+    listed.push({ ...describeArchive(archive), stats: await readArchiveStats(bucket, archive) });
+  }
+
+  return { total: archives.length, matched: matched.length, archives: listed };
+}
+
+/**
+ * Get download URLs or the normalized data of one archived report
+ * @param {Array<Object>} archives - Archive units from listArchives
+ * @param {string} bucket - Report bucket
+ * @param {Object} query - Get query ({archive, as, format, expiresIn})
+ * @param {Object} definition - Report definition used to read archived workbooks
+ * @returns {Promise<Object>} Archive with either files (with url) or data
+ */
+async function getArchivedReport(archives, bucket, query, definition) {
+  const archive = selectArchive(archives, query.archive);
+  const storage = getStorage();
+
+  if (query.as === 'data') {
+    const { data, key } = await readArchiveData(bucket, archive, definition);
+    return { archive: describeArchive(archive), source: storage.uri(bucket, key), data };
+  }
+
+  const { files: archiveFiles, ...summary } = describeArchive(archive);
+  const files = archiveFiles.filter(file => file.format === query.format);
+  if (files.length === 0) {
+    throw archiveNotFound(`Archive ${archive.id} has no ${query.format} file`);
+  }
+
+  for (const file of files) {
+    file.url = await storage.signedUrl(bucket, file.key, query.expiresIn);
+  }
+
+  return {
+    archive: summary,
+    files,
+    expiresAt: new Date(Date.now() + query.expiresIn * 1000).toISOString()
+  };
+}
+
+/**
+ * Compare two archived reports at service and region granularity
+ * @param {Array<Object>} archives - Archive units from listArchives
+ * @param {string} bucket - Report bucket
+ * @param {Object} query - Diff query ({from, to})
+ * @param {Object} definition - Report definition used to read archived workbooks
+ * @returns {Promise<Object>} Diff ({from, to, summary, changes})
+ */
+async function diffArchivedReports(archives, bucket, query, definition) {
+  const fromArchive = selectArchive(archives, query.from);
+  const toArchive = selectArchive(archives, query.to);
+
+  const { data: fromData } = await readArchiveData(bucket, fromArchive, definition);
+  const { data: toData } = await readArchiveData(bucket, toArchive, definition);
+  const { serviceNames: _serviceNames, ...changes } = detectChanges(fromData, toData);
+
+  return {
+    from: describeArchive(fromArchive),
+    to: describeArchive(toArchive),
+    summary: summarizeChanges(changes),
+    changes
+  };
+}
+
+/**
+ * Read an archived report as normalized data, preferring the JSON snapshot and
+ * falling back to parsing the workbook for archives written before snapshots existed
+ * @param {string} bucket - Report bucket
+ * @param {Object} archive - Archive unit from listArchives
+ * @param {Object} definition - Report definition used to read the workbook (see parseExcelReport)
+ * @returns {Promise<Object>} Normalized data and the key it was read from ({data, key})
+ * @throws {Error} Named 'ArchiveNotFound' when the archive has neither a snapshot nor a workbook
+ */
+async function readArchiveData(bucket, archive, definition) {
+  if (archive.snapshotKey) {
+    return { data: deserializeSnapshot(await readObjectBuffer(bucket, archive.snapshotKey)), key: archive.snapshotKey };
+  }
+  if (archive.reportKey) {
+    return { data: await parseExcelReport(await readObjectBuffer(bucket, archive.reportKey), definition), key: archive.reportKey };
+  }
+  throw archiveNotFound(`Archive ${archive.id} has no snapshot or workbook to read`);
+}
+
+/**
+ * Select an archive by 'latest', date, run timestamp or id
+ * @param {Array<Object>} archives - Archive units from listArchives
+ * @param {string} selector - Archive selector
+ * @returns {Object} Archive unit
+ * @throws {Error} Named 'ArchiveNotFound' when no archive matches
+ */
+function selectArchive(archives, selector) {
+  const dated = byTimestamp(archives);
+  let archive;
+  if (selector === 'latest') {
+    archive = dated[0];
+  } else if (DATE_PATTERN.test(selector)) {
+    archive = dated.find(candidate => candidate.timestamp.slice(0, 10) <= selector);
+  } else if (TIMESTAMP_PATTERN.test(selector)) {
+    archive = dated.find(candidate => candidate.timestamp === selector);
+  } else {
+    archive = archives.find(candidate => candidate.id === selector);
+  }
+
+  if (!archive) {
+    throw archiveNotFound(DATE_PATTERN.test(selector)
+      ? `No archived report on or before ${selector}`
+      : `No archived report matches "${selector}"`);
+  }
+  return archive;
+}
+
+/**
+ * Archive units with a run timestamp, newest first
+ */
+function byTimestamp(archives) {
+  return archives
+    .filter(archive => archive.timestamp)
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+/**
+ * Describe an archive unit and its files for query results
+ * @param {Object} archive - Archive unit from listArchives
+ * @returns {Object} Archive summary ({id, timestamp, generatedAt, size, sizeBytes, lastModified, files})
+ */
+function describeArchive(archive) {
+  const generatedAt = parseArchiveTimestamp(archive.timestamp);
+  return {
+    id: archive.id,
+    timestamp: archive.timestamp,
+    generatedAt: generatedAt ? generatedAt.toISOString() : null,
+    size: formatFileSize(archive.size),
+    sizeBytes: archive.size,
+    lastModified: archive.lastModified,
+    files: archive.files.map(file => ({
+      key: file.key,
+      file: path.posix.basename(file.key),
+      format: archiveFileFormat(file.key),
+      sizeBytes: file.size
+    }))
+  };
+}
+
+/**
+ * Read summary counts from an archive's snapshot. Workbooks are not parsed for listings,
+ * so archives without a snapshot have no stats; read failures are reported per archive.
+ * @returns {Promise<Object|null>} Stats ({regionCount, serviceCount, serviceMappingCount, dataSchemaVersion, dataTimestamp})
+ */
+async function readArchiveStats(bucket, archive) {
+  if (!archive.snapshotKey) {
+    return null;
+  }
+
+  try {
+    const data = deserializeSnapshot(await readObjectBuffer(bucket, archive.snapshotKey));
+    return {
+      regionCount: data.regions.length,
+      serviceCount: data.services.length,
+      serviceMappingCount: countServiceMappings(data.servicesByRegion),
+      dataSchemaVersion: data.metadata.schemaVersion,
+      dataTimestamp: data.metadata.timestamp
+    };
+  } catch (error) {
+    console.warn(`⚠️ Could not read snapshot for ${archive.id}: ${error.message}`);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Work out an archived file's report format from its key
+ */
+function archiveFileFormat(key) {
+  if (key.endsWith(SNAPSHOT_EXTENSION)) {
+    return 'snapshot';
+  }
+  return path.posix.extname(key).slice(1).toLowerCase();
+}
+
+/**
+ * Parse an optional whole number between 1 and a maximum
+ */
+function parseBoundedInteger(value, field, defaultValue, max) {
+  if (value === undefined) {
+    return defaultValue;
+  }
+  if (!Number.isInteger(value) || value < 1 || value > max) {
+    throw new Error(`${field} must be a whole number between 1 and ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Validate an optional archive selector
+ */
+function parseSelector(value, field, defaultValue) {
+  if (value === undefined && defaultValue !== undefined) {
+    return defaultValue;
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new Error(`${field} must be 'latest', a date (yyyy-MM-dd), a run timestamp (yyyy-MM-dd-HHmmss) or an archive id`);
+  }
+  return value.trim();
+}
+
+/**
+ * Create the error raised when a selected archive or file does not exist
+ */
+function archiveNotFound(message) {
+  const notFound = new Error(message);
+  notFound.name = 'ArchiveNotFound';
+  return notFound;
+}
+
+module.exports = {
+  parseArchiveQuery,
+  runArchiveQuery,
+  listArchivedReports,
+  readArchiveData,
+  selectArchive
+};
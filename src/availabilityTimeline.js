@@ -0,0 +1,143 @@
+/**
+ * Availability Timeline Module
+ *
+ * Reconstructs when each service reached each region from the archived snapshots. Each snapshot
+ * is one observation dated by the run timestamp in its filename (the newest snapshot of a day
+ * represents that day), and the current run is the latest observation. For every service×region
+ * pair the timeline records the first and last date it was observed; for every service it records
+ * the number of regions it was available in on each date.
+ *
+ * Dates are only as precise as the retained archive: a pair first seen on 2026-10-12 appeared after
+ * the previous retained snapshot and on or before 2026-10-12. Pairs present in the oldest snapshot
+ * are flagged as available since the start of the history. Archives written before snapshots
+ * existed are not read, since parsing their workbooks on every run would be too slow.
+ */
+
+const { listArchives } = require('./archiveManager');
+const { readObjectBuffer } = require('./s3Operations');
+const { deserializeSnapshot } = require('./snapshot');
+
+/**
+ * Build the availability timeline from dated observations
+ * @param {Array<Object>} observations - Normalized data by date ({date: 'yyyy-MM-dd', data}), oldest first;
+ *   a later observation for the same date replaces an earlier one
+ * @returns {Object|null} Timeline ({dates, historyStart, pairs, services}), or null without observations.
+ *   pairs: [{serviceCode, serviceName, regionCode, regionName, firstSeen, lastSeen, available, sinceHistoryStart}];
+ *   services: [{serviceCode, serviceName, regionCounts (aligned with dates), firstRegionCount, currentRegionCount, regionGrowth}]
+ */
+function buildAvailabilityTimeline(observations) {
+  const dataByDate = new Map();
+  observations.forEach(observation => dataByDate.set(observation.date, observation.data));
+  const dates = [...dataByDate.keys()].sort();
+  if (dates.length === 0) {
+    return null;
+  }
+
+  const historyStart = dates[0];
+  const latestDate = dates[dates.length - 1];
+  // Later observations win, so names reflect the current data
+  const serviceNames = new Map();
+  const regionNames = new Map();
+  const pairs = new Map();
+  const regionCounts = new Map();
+
+  dates.forEach((date, dateIndex) => {
+    const data = dataByDate.get(date);
+    (data.services || []).forEach(service => serviceNames.set(service.code, service.name || service.code));
+    (data.regions || []).forEach(region => regionNames.set(region.code, region.name || region.code));
+
+    Object.entries(data.servicesByRegion || {}).forEach(([regionCode, serviceCodes]) => {
+      (serviceCodes || []).forEach(serviceCode => {
+        const id = `${serviceCode}|${regionCode}`;
+        if (pairs.has(id)) {
+          pairs.get(id).lastSeen = date;
+        } else {
+          pairs.set(id, { serviceCode, regionCode, firstSeen: date, lastSeen: date });
+        }
+
+        if (!regionCounts.has(serviceCode)) {
+          regionCounts.set(serviceCode, dates.map(() => 0));
+        }
+        regionCounts.get(serviceCode)[dateIndex]++;
+      });
+    });
+  });
+
+  const serviceName = code => serviceNames.get(code) || code;
+  const byServiceName = (a, b) => serviceName(a).toLowerCase().localeCompare(serviceName(b).toLowerCase());
+
+  return {
+    dates,
+    historyStart,
+    pairs: [...pairs.values()]
+      .sort((a, b) => byServiceName(a.serviceCode, b.serviceCode) || a.regionCode.localeCompare(b.regionCode))
+      .map(pair => ({
+        serviceCode: pair.serviceCode,
+        serviceName: serviceName(pair.serviceCode),
+        regionCode: pair.regionCode,
+        regionName: regionNames.get(pair.regionCode) || pair.regionCode,
+        firstSeen: pair.firstSeen,
+        lastSeen: pair.lastSeen === latestDate ? null : pair.lastSeen,
+        available: pair.lastSeen === latestDate,
+        sinceHistoryStart: pair.firstSeen === historyStart
+      })),
+    services: [...regionCounts.keys()]
+      .sort(byServiceName)
+      .map(serviceCode => {
+        const counts = regionCounts.get(serviceCode);
+        // Growth is measured from the first date the service was seen anywhere
+        const firstRegionCount = counts.find(count => count > 0) || 0;
+        const currentRegionCount = counts[counts.length - 1];
+        return {
+          serviceCode,
+          serviceName: serviceName(serviceCode),
+          regionCounts: counts,
+          firstRegionCount,
+          currentRegionCount,
+          regionGrowth: currentRegionCount - firstRegionCount
+        };
+      })
+  };
+}
+
+/**
+ * Load archived snapshots as timeline observations, one per day (the newest snapshot of each day).
+ * Snapshots that cannot be read are skipped with a warning.
+ * @param {string} bucket - Report bucket
+ * @param {string} archivePrefix - Prefix for archive folder
+ * @returns {Promise<Array<Object>>} Observations ({date, data}), oldest first
+ */
+async function loadArchiveHistory(bucket, archivePrefix) {
+  const archives = await listArchives(bucket, archivePrefix);
+  const withoutSnapshots = archives.filter(archive => archive.timestamp && !archive.snapshotKey).length;
+  if (withoutSnapshots > 0) {
+    console.log(`📂 ${withoutSnapshots} archived reports have no snapshot and are not part of the availability timeline`);
+  }
+
+  // Newest first, so the first archive seen for a day is that day's newest
+  const newestPerDay = new Map();
+  archives
+    .filter(archive => archive.timestamp && archive.snapshotKey)
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+    .forEach(archive => {
+      const date = archive.timestamp.slice(0, 10);
+      if (!newestPerDay.has(date)) {
+        newestPerDay.set(date, archive);
+      }
+    });
+
+  const observations = [];
+  for (const [date, archive] of [...newestPerDay].reverse()) {
+    try {
+      observations.push({ date, data: deserializeSnapshot(await readObjectBuffer(bucket, archive.snapshotKey)) });
+    } catch (error) {
+      console.warn(`⚠️ Skipping snapshot ${archive.snapshotKey} in availability timeline: ${error.message}`);
+    }
+  }
+  return observations;
+}
+
+module.exports = {
+  buildAvailabilityTimeline,
+  loadArchiveHistory
+};
@@ -0,0 +1,139 @@
+/**
+ * Change Detection Module
+ *
+ * Compares the current report data against the previous snapshot to find
+ * added/removed services, added/removed regions and per-region service changes.
+ */
+
+/**
+ * Detect changes between the previous and current normalized report data
+ * @param {Object} previousData - Normalized data from the previous report
+ * @param {Object} currentData - Normalized data for the current run
+ * @returns {Object} Change set
+ */
+function detectChanges(previousData, currentData) {
+  const previousServices = toCodeMap(previousData.services);
+  const currentServices = toCodeMap(currentData.services);
+  const previousRegions = toCodeMap(previousData.regions);
+  const currentRegions = toCodeMap(currentData.regions);
+
+  const addedServices = diffKeys(currentServices, previousServices)
+    .map(code => ({ code, name: currentServices.get(code) }));
+  const removedServices = diffKeys(previousServices, currentServices)
+    .map(code => ({ code, name: previousServices.get(code) }));
+  const addedRegions = diffKeys(currentRegions, previousRegions)
+    .map(code => ({ code, name: currentRegions.get(code) }));
+  const removedRegions = diffKeys(previousRegions, currentRegions)
+    .map(code => ({ code, name: previousRegions.get(code) }));
+
+  // Per-region service changes only apply to regions present in both reports;
+  // new and removed regions are already reported as a whole above
+  const previousByRegion = previousData.servicesByRegion || {};
+  const currentByRegion = currentData.servicesByRegion || {};
+  const regionChanges = [];
+
+  [...currentRegions.keys()]
+    .filter(regionCode => previousRegions.has(regionCode))
+    .sort()
+    .forEach(regionCode => {
+      const before = new Set(previousByRegion[regionCode] || []);
+      const after = new Set(currentByRegion[regionCode] || []);
+      const launched = [...after].filter(code => !before.has(code)).sort();
+      const withdrawn = [...before].filter(code => !after.has(code)).sort();
+
+      if (launched.length > 0 || withdrawn.length > 0) {
+        regionChanges.push({
+          regionCode,
+          regionName: currentRegions.get(regionCode),
+          addedServices: launched,
+          removedServices: withdrawn
+        });
+      }
+    });
+
+  const hasChanges = addedServices.length > 0 || removedServices.length > 0 ||
+    addedRegions.length > 0 || removedRegions.length > 0 || regionChanges.length > 0;
+
+  return {
+    hasChanges,
+    addedServices,
+    removedServices,
+    addedRegions,
+    removedRegions,
+    regionChanges,
+    serviceNames: Object.fromEntries([...previousServices, ...currentServices])
+  };
+}
+
+/**
+ * Summarize a change set into counts suitable for metrics and notifications
+ * @param {Object} changes - Change set from detectChanges
+ * @param {number} maxHighlights - Maximum number of individual changes to list
+ * @returns {Object} Change counts and highlights
+ */
+function summarizeChanges(changes, maxHighlights = 10) {
+  const serviceLaunches = changes.regionChanges
+    .reduce((acc, change) => acc + change.addedServices.length, 0);
+  const serviceWithdrawals = changes.regionChanges
+    .reduce((acc, change) => acc + change.removedServices.length, 0);
+
+  return {
+    hasChanges: changes.hasChanges,
+    servicesAdded: changes.addedServices.length,
+    servicesRemoved: changes.removedServices.length,
+    regionsAdded: changes.addedRegions.length,
+    regionsRemoved: changes.removedRegions.length,
+    regionsExpanded: changes.regionChanges.filter(change => change.addedServices.length > 0).length,
+    serviceLaunches,
+    serviceWithdrawals,
+    highlights: buildHighlights(changes).slice(0, maxHighlights)
+  };
+}
+
+/**
+ * Describe individual changes as short lines, most significant first
+ * @param {Object} changes - Change set from detectChanges
+ * @returns {Array<string>} Change descriptions
+ */
+function buildHighlights(changes) {
+  return [
+    ...changes.addedRegions.map(region => `New region: ${region.code} (${region.name})`),
+    ...changes.removedRegions.map(region => `Removed region: ${region.code} (${region.name})`),
+    ...changes.addedServices.map(service => `New service: ${service.code} (${service.name})`),
+    ...changes.removedServices.map(service => `Removed service: ${service.code} (${service.name})`),
+    ...changes.regionChanges.flatMap(change =>
+      change.addedServices.map(serviceCode => `${serviceCode} launched in ${change.regionCode}`)),
+    ...changes.regionChanges.flatMap(change =>
+      change.removedServices.map(serviceCode => `${serviceCode} removed from ${change.regionCode}`))
+  ];
+}
+
+/**
+ * Build a code -> name map from region or service entries
+ * @param {Array} entries - Objects with code and name
+ * @returns {Map<string, string>} Code to name map
+ */
+function toCodeMap(entries) {
+  const map = new Map();
+  (entries || []).forEach(entry => {
+    if (entry.code) {
+      map.set(entry.code, entry.name || entry.code);
+    }
+  });
+  return map;
+}
+
+/**
+ * List keys present in the first map but not in the second, sorted
+ * @param {Map} source - Map to take keys from
+ * @param {Map} other - Map to compare against
+ * @returns {Array<string>} Sorted keys
+ */
+function diffKeys(source, other) {
+  return [...source.keys()].filter(key => !other.has(key)).sort();
+}
+
+module.exports = {
+  detectChanges,
+  summarizeChanges
+};
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+/**
+ * Local CLI
+ *
+ * Generates reports from local complete-data.json and services.json files without AWS by
+ * running the Lambda handler against the local storage backend (see storage.js). The input
+ * files are copied into a storage tree under the output directory and the handler is invoked
+ * with a manual payload, so validation, change detection, data quality, rendering, archiving,
+ * retention and notifications behave exactly as in the Lambda. The handler reads its settings
+ * from a copy of the environment; process.env itself is left untouched.
+ *
+ * Usage: node cli.js --data <complete-data.json> [options] (see --help)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { parseArgs } = require('util');
+const { runHandler } = require('./index');
+const { createLocalStorage, setStorage } = require('./storage');
+
+const USAGE = `Usage: node cli.js --data <complete-data.json> [options]
+
+Options:
+  --data <file>            Source data (complete-data.json) (required)
+  --services <file>        Service definitions (default: services.json next to --data)
+  --out <dir>              Storage root for the run (default: ./output); reports are written to
+                           <out>/reports/, archives to <out>/reports/archive/
+  --formats <list>         Comma-separated formats: xlsx,csv,json,md,html (default: REPORT_FORMATS or xlsx)
+  --latest-name <name>     Latest workbook name (default: aws-service-report-latest.xlsx)
+  --definition <file>      Report definition (JSON or YAML) for the workbook layout
+                           (default: report-definitions/default.yaml)
+  --categories <file>      Service categories (JSON or YAML) added to the built-in categories
+  --profiles <file>        Report profiles (JSON or YAML) to generate next to the default report
+  --watchlist <file>       Service watchlist (JSON or YAML) for the Watchlist sheet and watchlist alerts
+  --workloads <file>       Workload profiles (JSON or YAML) to score regions against on the Region Readiness sheet
+  --skip-archive           Write only the latest reports: no archive copies or snapshot, and no archive retention
+  --skip-notifications     Send no notifications on any channel
+  --dry-run                Run everything but write, delete or notify nothing, and print the plan
+  -h, --help               Show this help
+
+Every other setting (QUALITY_*, ARCHIVE_RETENTION_*, NOTIFICATION_CHANNELS, SNS_TOPIC_ARN, ...) is read
+from the same environment variables as the Lambda; without SNS_TOPIC_ARN notifications are skipped.
+Exit codes: 0 success, 1 error, 2 report quarantined by data quality checks.`;
+
+// Identifies the CLI in notification footers where the Lambda prints its function ARN
+const LOCAL_FUNCTION_ARN = 'local CLI (not published)';
+
+// Buckets of the local storage tree: staged input data, and reports with their configuration files
+const SOURCE_BUCKET = 'source';
+const REPORT_BUCKET = 'reports';
+
+// Configuration files staged into the report bucket, by CLI option
+const CONFIG_FILES = [
+  { option: 'definitionFile', env: 'REPORT_DEFINITION_KEY', prefix: 'config/report-definitions/' },
+  { option: 'categoriesFile', env: 'SERVICE_CATEGORIES_KEY', prefix: 'config/service-categories/' },
+  { option: 'profilesFile', env: 'REPORT_PROFILES_KEY', prefix: 'config/report-profiles/' },
+  { option: 'watchlistFile', env: 'WATCHLIST_KEY', prefix: 'config/watchlist/' },
+  { option: 'workloadsFile', env: 'WORKLOAD_PROFILES_KEY', prefix: 'config/workload-profiles/' }
+];
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments (without node and script path)
+ * @returns {Object} Options
+ */
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      data: { type: 'string' },
+      services: { type: 'string' },
+      out: { type: 'string', default: 'output' },
+      formats: { type: 'string' },
+      'latest-name': { type: 'string', default: 'aws-service-report-latest.xlsx' },
+      definition: { type: 'string' },
+      categories: { type: 'string' },
+      profiles: { type: 'string' },
+      watchlist: { type: 'string' },
+      workloads: { type: 'string' },
+      'skip-archive': { type: 'boolean', default: false },
+      'skip-notifications': { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  return {
+    dataFile: values.data,
+    servicesFile: values.services || (values.data && path.join(path.dirname(values.data), 'services.json')),
+    outDir: values.out,
+    formats: values.formats,
+    latestReportName: values['latest-name'],
+    definitionFile: values.definition,
+    categoriesFile: values.categories,
+    profilesFile: values.profiles,
+    watchlistFile: values.watchlist,
+    workloadsFile: values.workloads,
+    skipArchive: values['skip-archive'],
+    skipNotifications: values['skip-notifications'],
+    dryRun: values['dry-run'],
+    help: values.help
+  };
+}
+
+/**
+ * Stage the input files into the local storage tree and run the Lambda handler against it
+ * @param {Object} options - Options from parseCliArgs
+ * @returns {Promise<Object>} Handler response ({statusCode, body}) with the body parsed
+ */
+async function run(options) {
+  const env = {
+    ...process.env,
+    STORAGE_BACKEND: 'local',
+    SOURCE_BUCKET,
+    SOURCE_KEY: 'aws-data/complete-data.json',
+    SERVICES_KEY: 'aws-data/services.json',
+    REPORT_BUCKET,
+    REPORT_PREFIX: '',
+    ARCHIVE_PREFIX: 'archive/',
+    QUARANTINE_PREFIX: 'quarantine/',
+    LATEST_REPORT_NAME: options.latestReportName,
+    // Local runs are never distributed
+    DISTRIBUTION_BUCKET: ''
+  };
+
+  await stageFile(options.dataFile, path.join(options.outDir, SOURCE_BUCKET, env.SOURCE_KEY));
+  await stageFile(options.servicesFile, path.join(options.outDir, SOURCE_BUCKET, env.SERVICES_KEY));
+  for (const { option, env: name, prefix } of CONFIG_FILES) {
+    env[name] = '';
+    if (options[option]) {
+      env[name] = `${prefix}${path.basename(options[option])}`;
+      await stageFile(options[option], path.join(options.outDir, REPORT_BUCKET, env[name]));
+    }
+  }
+  setStorage(createLocalStorage(options.outDir));
+
+  // The CLI always regenerates, so an unchanged input still produces a report
+  const payload = { force: true, dryRun: options.dryRun };
+  if (options.formats) {
+    payload.formats = options.formats;
+  }
+  if (options.skipNotifications) {
+    payload.channels = [];
+  }
+
+  const response = await runHandler(payload, { invokedFunctionArn: LOCAL_FUNCTION_ARN }, env, { skipArchive: options.skipArchive });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+/**
+ * Copy an input file into the local storage tree
+ */
+async function stageFile(file, target) {
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.copyFile(file, target);
+}
+
+/**
+ * CLI entry point
+ */
+async function main() {
+  let options;
+  try {
+    options = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!options.dataFile) {
+    console.error(`❌ --data is required\n\n${USAGE}`);
+    return 1;
+  }
+
+  try {
+    const { statusCode, body } = await run(options);
+    if (statusCode !== 200) {
+      console.error(`❌ ${body.message}: ${body.error}`);
+      return 1;
+    }
+    if (body.quarantined) {
+      console.warn(`🚫 Report quarantined: data quality checks failed (see ${path.join(options.outDir, REPORT_BUCKET, 'quarantine')})`);
+      return 2;
+    }
+    if (body.plan) {
+      console.log(`🧪 Plan:\n${JSON.stringify(body.plan, null, 2)}`);
+    } else {
+      console.log(`✅ Report written to ${body.latestReportPath} in ${body.processingTime}`);
+    }
+    return 0;
+  } catch (error) {
+    console.error('❌ Error generating report:', error.message);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main().then(exitCode => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = {
+  parseCliArgs,
+  run
+};
@@ -0,0 +1,92 @@
+/**
+ * Content Hash Module
+ *
+ * Fingerprints the normalized source data and the configuration the reports are rendered with,
+ * so a run can tell whether its input differs from the input behind the published report. The
+ * hash is stored as user metadata on the latest report.
+ *
+ * The hash covers regions, services and service-by-region mappings in a canonical order; the
+ * fetcher's run timestamp is left out, so a rewrite of identical data hashes the same. It also
+ * covers a digest of the effective configuration (report definition, service categories, report
+ * profiles, formats, watchlist and workload profiles), so a configuration change regenerates.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+// User metadata key on the latest report (S3 stores it as x-amz-meta-content-hash)
+const CONTENT_HASH_METADATA_KEY = 'content-hash';
+
+/**
+ * Compute the content hash of normalized data and the configuration its reports are rendered with
+ * @param {Object} data - Normalized data (canonical model)
+ * @param {Object} configuration - Effective configuration ({definition, categories, profiles, formats, watchlist, workloads})
+ * @returns {string} SHA-256 hex digest
+ */
+function computeContentHash(data, configuration = {}) {
+  const byCode = (a, b) => (a.code < b.code ? -1 : a.code > b.code ? 1 : 0);
+  const canonical = {
+    schemaVersion: data.metadata.schemaVersion,
+    regions: [...data.regions].sort(byCode),
+    services: [...data.services].sort(byCode),
+    servicesByRegion: Object.keys(data.servicesByRegion)
+      .sort()
+      .map(code => [code, [...data.servicesByRegion[code]].sort()]),
+    configuration: computeConfigurationDigest(configuration)
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex');
+}
+
+/**
+ * Compute a digest of the effective configuration
+ * @param {Object} configuration - Effective configuration (see computeContentHash)
+ * @returns {string} SHA-256 hex digest
+ */
+function computeConfigurationDigest(configuration) {
+  return crypto.createHash('sha256').update(JSON.stringify(toCanonical(configuration))).digest('hex');
+}
+
+/**
+ * Convert a configuration value to plain JSON with object keys in a fixed order
+ * (maps become [key, value] entries in key order, sets become arrays)
+ */
+function toCanonical(value) {
+  if (value instanceof Map) {
+    return [...value.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)).map(([key, entry]) => [key, toCanonical(entry)]);
+  }
+  if (value instanceof Set) {
+    return [...value].map(toCanonical);
+  }
+  if (Array.isArray(value)) {
+    return value.map(toCanonical);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, toCanonical(value[key])]));
+  }
+  return value === undefined ? null : value;
+}
+
+/**
+ * Read the content hash recorded on a published report
+ * @param {string} bucket - Report bucket
+ * @param {string} key - Latest report key
+ * @returns {Promise<string|null>} Recorded hash, or null if the report or its hash is missing
+ */
+async function readPublishedContentHash(bucket, key) {
+  try {
+    const { metadata } = await getStorage().head(bucket, key);
+    return metadata[CONTENT_HASH_METADATA_KEY] || null;
+  } catch (error) {
+    if (error.name === 'NoSuchKey') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  CONTENT_HASH_METADATA_KEY,
+  computeContentHash,
+  computeConfigurationDigest,
+  readPublishedContentHash
+};
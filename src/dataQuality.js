@@ -0,0 +1,138 @@
+/**
+ * Data Quality Module
+ *
+ * Evaluates configurable guardrails against the normalized data before a report is
+ * published, so a partial upstream dataset cannot overwrite the last good report.
+ */
+
+const { countServiceMappings } = require('./reportData');
+
+/**
+ * Read data quality thresholds from environment variables
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Thresholds ({minRegions, minServices, minServiceMappings, maxDropPercent, requiredRegions})
+ * @throws {Error} Named 'ConfigurationError', listing every invalid threshold, when a threshold is not a number or out of range
+ */
+function loadQualityThresholds(env = process.env) {
+  const problems = [];
+  const thresholds = {
+    minRegions: parseThreshold(env, 'QUALITY_MIN_REGIONS', 1, null, problems),
+    minServices: parseThreshold(env, 'QUALITY_MIN_SERVICES', 1, null, problems),
+    minServiceMappings: parseThreshold(env, 'QUALITY_MIN_SERVICE_MAPPINGS', 1, null, problems),
+    // Maximum percentage drop in any count versus the previous run (unset disables the check)
+    maxDropPercent: parseThreshold(env, 'QUALITY_MAX_DROP_PERCENT', null, 100, problems),
+    requiredRegions: (env.QUALITY_REQUIRED_REGIONS || '')
+      .split(',')
+      .map(code => code.trim())
+      .filter(Boolean)
+  };
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid data quality thresholds: ${problems.join('; ')}`);
+    error.name = 'ConfigurationError';
+    throw error;
+  }
+  return thresholds;
+}
+
+/**
+ * Parse one threshold: a count (whole number of 0 or more) or, with a maximum, a percentage
+ * between 0 and the maximum. Unset or empty variables use the default.
+ */
+function parseThreshold(env, name, defaultValue, max, problems) {
+  const text = (env[name] || '').trim();
+  if (!text) {
+    return defaultValue;
+  }
+
+  const value = Number(text);
+  if (max === null && !(Number.isInteger(value) && value >= 0)) {
+    problems.push(`${name} must be a whole number of 0 or more, got "${text}"`);
+  } else if (max !== null && !(Number.isFinite(value) && value >= 0 && value <= max)) {
+    problems.push(`${name} must be a number between 0 and ${max}, got "${text}"`);
+  }
+  return value;
+}
+
+/**
+ * Evaluate data quality checks
+ * @param {Object} currentData - Normalized data for the current run
+ * @param {Object|null} previousData - Normalized data from the previous report (null if none)
+ * @param {Object} thresholds - Thresholds from loadQualityThresholds
+ * @returns {Object} Result ({passed, checks: [{name, passed, message}], failures: [message]})
+ */
+function evaluateDataQuality(currentData, previousData, thresholds) {
+  const checks = [];
+  const current = countData(currentData);
+
+  checks.push(minimumCheck('Minimum regions', current.regions, thresholds.minRegions));
+  checks.push(minimumCheck('Minimum services', current.services, thresholds.minServices));
+  checks.push(minimumCheck('Minimum service-by-region mappings', current.mappings, thresholds.minServiceMappings));
+
+  if (thresholds.requiredRegions.length > 0) {
+    const regionCodes = new Set(currentData.regions.map(region => region.code));
+    const missing = thresholds.requiredRegions.filter(code =>
+      !regionCodes.has(code) || (currentData.servicesByRegion[code] || []).length === 0);
+    checks.push({
+      name: 'Required regions',
+      passed: missing.length === 0,
+      message: missing.length === 0
+        ? `All ${thresholds.requiredRegions.length} required regions present with services`
+        : `Missing or empty required regions: ${missing.join(', ')}`
+    });
+  }
+
+  if (thresholds.maxDropPercent !== null && previousData) {
+    const previous = countData(previousData);
+    checks.push(dropCheck('Region count drop', previous.regions, current.regions, thresholds.maxDropPercent));
+    checks.push(dropCheck('Service count drop', previous.services, current.services, thresholds.maxDropPercent));
+    checks.push(dropCheck('Service mapping drop', previous.mappings, current.mappings, thresholds.maxDropPercent));
+  }
+
+  const failures = checks.filter(check => !check.passed).map(check => `${check.name}: ${check.message}`);
+
+  return {
+    passed: failures.length === 0,
+    checks,
+    failures
+  };
+}
+
+/**
+ * Count regions, services and mappings
+ */
+function countData(data) {
+  return {
+    regions: (data.regions || []).length,
+    services: (data.services || []).length,
+    mappings: countServiceMappings(data.servicesByRegion)
+  };
+}
+
+/**
+ * Build a check that a count meets a minimum
+ */
+function minimumCheck(name, actual, minimum) {
+  return {
+    name,
+    passed: actual >= minimum,
+    message: `${actual} (minimum ${minimum})`
+  };
+}
+
+/**
+ * Build a check that a count has not dropped by more than the allowed percentage
+ */
+function dropCheck(name, previous, current, maxDropPercent) {
+  const dropPercent = previous > 0 ? ((previous - current) / previous) * 100 : 0;
+  return {
+    name,
+    passed: dropPercent <= maxDropPercent,
+    message: `${previous} → ${current} (${dropPercent > 0 ? dropPercent.toFixed(1) : '0.0'}% drop, maximum ${maxDropPercent}%)`
+  };
+}
+
+module.exports = {
+  loadQualityThresholds,
+  evaluateDataQuality
+};
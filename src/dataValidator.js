@@ -0,0 +1,291 @@
+/**
+ * Data Validation Module
+ *
+ * Validates complete-data.json from the infrastructure fetcher (schema 1.4.0 and later)
+ * and normalizes it into the canonical report model through per-version adapters:
+ *
+ *   {
+ *     metadata: { ...source metadata, schemaVersion },
+ *     regions: [{ code, name, availabilityZones, launchDate, blogUrl }],
+ *     services: [{ code, name }],
+ *     servicesByRegion: { [regionCode]: [serviceCode] }
+ *   }
+ *
+ * Every violation is collected with its path so bad upstream data fails loudly.
+ */
+
+const MINIMUM_SCHEMA_VERSION = '1.4.0';
+
+/**
+ * Error thrown when source data violates the schema
+ */
+class DataValidationError extends Error {
+  /**
+   * @param {Array<Object>} violations - Violations ({path, message})
+   */
+  constructor(violations) {
+    const details = violations.slice(0, 10).map(v => `${v.path}: ${v.message}`).join('; ');
+    const more = violations.length > 10 ? ` (and ${violations.length - 10} more)` : '';
+    super(`Source data failed validation with ${violations.length} violation(s): ${details}${more}`);
+    this.name = 'DataValidationError';
+    this.violations = violations;
+  }
+}
+
+// Schema adapters, oldest first. The newest adapter whose minVersion is not
+// above the source version is used, so later minor versions reuse it until
+// their layout changes and a new adapter is added here.
+const ADAPTERS = [
+  { minVersion: '1.4.0', adapt: adaptSchema14 }
+];
+
+/**
+ * Validate source data and normalize it into the canonical report model
+ * @param {Object} sourceData - Parsed complete-data.json
+ * @param {Array<Object>} servicesWithNames - Service definitions from services.json ({code, name})
+ * @returns {Object} Canonical data plus non-fatal warnings ({data, warnings})
+ * @throws {DataValidationError} When any violation is found
+ */
+function validateSourceData(sourceData, servicesWithNames = []) {
+  const violations = [];
+  const warnings = [];
+
+  if (!isObject(sourceData)) {
+    throw new DataValidationError([{ path: '$', message: 'expected a JSON object' }]);
+  }
+
+  ['metadata', 'regions', 'services'].forEach(field => {
+    if (sourceData[field] === undefined || sourceData[field] === null) {
+      violations.push({ path: field, message: 'required field is missing' });
+    }
+  });
+  if (violations.length > 0) {
+    throw new DataValidationError(violations);
+  }
+
+  const schemaVersion = sourceData.metadata.version || sourceData.metadata.schemaVersion;
+  if (!schemaVersion) {
+    throw new DataValidationError([{ path: 'metadata.version', message: 'schema version is missing' }]);
+  }
+  if (!parseVersion(schemaVersion)) {
+    throw new DataValidationError([{ path: 'metadata.version', message: `invalid schema version "${schemaVersion}"` }]);
+  }
+  if (compareVersions(schemaVersion, MINIMUM_SCHEMA_VERSION) < 0) {
+    throw new DataValidationError([{
+      path: 'metadata.version',
+      message: `schema version ${schemaVersion} is not supported (minimum ${MINIMUM_SCHEMA_VERSION})`
+    }]);
+  }
+
+  const adapter = [...ADAPTERS].reverse().find(a => compareVersions(schemaVersion, a.minVersion) >= 0);
+  const data = adapter.adapt(sourceData, violations, warnings);
+  data.metadata = { ...sourceData.metadata, schemaVersion };
+
+  if (sourceData.metadata.timestamp && isNaN(new Date(sourceData.metadata.timestamp).getTime())) {
+    warnings.push({ path: 'metadata.timestamp', message: `unparsable timestamp "${sourceData.metadata.timestamp}"` });
+  }
+
+  checkReferences(data, violations, warnings);
+  data.services = applyServiceNames(data.services, servicesWithNames, warnings);
+
+  if (violations.length > 0) {
+    throw new DataValidationError(violations);
+  }
+
+  return { data, warnings };
+}
+
+/**
+ * Adapter for schema 1.4.x: arrays nested in container objects
+ * ({regions: {regions: []}, services: {services: []}, servicesByRegion: {byRegion: {}}})
+ */
+function adaptSchema14(sourceData, violations, warnings) {
+  const regionEntries = sourceData.regions.regions;
+  const serviceEntries = sourceData.services.services;
+  const byRegion = sourceData.servicesByRegion?.byRegion;
+
+  const regions = [];
+  if (!Array.isArray(regionEntries)) {
+    violations.push({ path: 'regions.regions', message: 'expected an array of regions' });
+  } else {
+    regionEntries.forEach((region, index) => {
+      const path = `regions.regions[${index}]`;
+      if (!isObject(region)) {
+        violations.push({ path, message: 'expected a region object' });
+      } else if (typeof region.code !== 'string' || region.code === '') {
+        violations.push({ path: `${path}.code`, message: 'region code is missing' });
+      } else {
+        regions.push({
+          code: region.code,
+          name: region.name || region.code,
+          availabilityZones: Array.isArray(region.availabilityZones)
+            ? region.availabilityZones.length
+            : (region.availabilityZones || 0),
+          launchDate: region.launchDate || null,
+          blogUrl: region.blogUrl || null,
+          path
+        });
+      }
+    });
+  }
+
+  const services = [];
+  if (!Array.isArray(serviceEntries)) {
+    violations.push({ path: 'services.services', message: 'expected an array of service codes' });
+  } else {
+    serviceEntries.forEach((code, index) => {
+      if (typeof code !== 'string' || code === '') {
+        violations.push({ path: `services.services[${index}]`, message: 'expected a service code string' });
+      } else {
+        services.push({ code, name: code, path: `services.services[${index}]` });
+      }
+    });
+  }
+
+  const servicesByRegion = {};
+  if (!isObject(byRegion)) {
+    violations.push({ path: 'servicesByRegion.byRegion', message: 'service-by-region mapping is missing' });
+  } else {
+    Object.keys(byRegion).forEach(regionCode => {
+      const entry = byRegion[regionCode];
+      const path = `servicesByRegion.byRegion.${regionCode}`;
+      // Entries are {services: [...]}; bare arrays are accepted as the same list
+      const serviceCodes = Array.isArray(entry) ? entry : entry?.services;
+      if (!Array.isArray(serviceCodes)) {
+        violations.push({ path: `${path}.services`, message: 'expected an array of service codes' });
+        return;
+      }
+      const invalidIndex = serviceCodes.findIndex(code => typeof code !== 'string' || code === '');
+      if (invalidIndex !== -1) {
+        violations.push({ path: `${path}.services[${invalidIndex}]`, message: 'expected a service code string' });
+        return;
+      }
+      servicesByRegion[regionCode] = [...new Set(serviceCodes)];
+      if (servicesByRegion[regionCode].length !== serviceCodes.length) {
+        warnings.push({ path: `${path}.services`, message: 'duplicate service codes removed' });
+      }
+    });
+  }
+
+  if (regions.length === 0 && Array.isArray(regionEntries)) {
+    violations.push({ path: 'regions.regions', message: 'no regions found' });
+  }
+  if (services.length === 0 && Array.isArray(serviceEntries)) {
+    violations.push({ path: 'services.services', message: 'no services found' });
+  }
+
+  return { regions, services, servicesByRegion };
+}
+
+/**
+ * Check duplicate codes and cross-references between regions, services and mappings
+ */
+function checkReferences(data, violations, warnings) {
+  const regionPaths = new Map();
+  data.regions.forEach(region => {
+    if (regionPaths.has(region.code)) {
+      violations.push({
+        path: `${region.path}.code`,
+        message: `duplicate region code "${region.code}" (first seen at ${regionPaths.get(region.code)})`
+      });
+    } else {
+      regionPaths.set(region.code, region.path);
+    }
+  });
+
+  const servicePaths = new Map();
+  data.services.forEach(service => {
+    if (servicePaths.has(service.code)) {
+      violations.push({
+        path: service.path,
+        message: `duplicate service code "${service.code}" (first seen at ${servicePaths.get(service.code)})`
+      });
+    } else {
+      servicePaths.set(service.code, service.path);
+    }
+  });
+
+  Object.keys(data.servicesByRegion).forEach(regionCode => {
+    if (!regionPaths.has(regionCode)) {
+      violations.push({
+        path: `servicesByRegion.byRegion.${regionCode}`,
+        message: `services mapped to unknown region "${regionCode}"`
+      });
+    }
+    const unknownServices = data.servicesByRegion[regionCode].filter(code => !servicePaths.has(code));
+    if (unknownServices.length > 0) {
+      warnings.push({
+        path: `servicesByRegion.byRegion.${regionCode}.services`,
+        message: `${unknownServices.length} service code(s) not in services list: ${unknownServices.slice(0, 5).join(', ')}`
+      });
+    }
+  });
+
+  regionPaths.forEach((path, regionCode) => {
+    if (!data.servicesByRegion[regionCode]) {
+      warnings.push({ path, message: `region "${regionCode}" has no service-by-region mapping` });
+    }
+  });
+
+  // Paths were only needed for reporting; strip them from the canonical model
+  data.regions = data.regions.filter(region => regionPaths.get(region.code) === region.path)
+    .map(({ path: _path, ...region }) => region);
+  data.services = data.services.filter(service => servicePaths.get(service.code) === service.path)
+    .map(({ path: _path, ...service }) => service);
+}
+
+/**
+ * Enrich service codes with display names from services.json
+ */
+function applyServiceNames(services, servicesWithNames, warnings) {
+  const serviceNames = new Map();
+  (servicesWithNames || []).forEach((service, index) => {
+    if (isObject(service) && service.code) {
+      serviceNames.set(service.code, service.name || service.code);
+    } else {
+      warnings.push({ path: `services.json services[${index}]`, message: 'service definition without code ignored' });
+    }
+  });
+
+  return services.map(service => ({
+    code: service.code,
+    name: serviceNames.get(service.code) || service.code // Fallback to code if name not found
+  }));
+}
+
+/**
+ * Parse a semantic version string into numeric parts
+ * @param {string} version - Version (e.g. '1.4.0')
+ * @returns {Array<number>|null} [major, minor, patch] or null if invalid
+ */
+function parseVersion(version) {
+  const match = String(version).match(/^(\d+)\.(\d+)(?:\.(\d+))?/);
+  return match ? [Number(match[1]), Number(match[2]), Number(match[3] || 0)] : null;
+}
+
+/**
+ * Compare two semantic versions
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+function compareVersions(a, b) {
+  const partsA = parseVersion(a);
+  const partsB = parseVersion(b);
+  for (let i = 0; i < 3; i++) {
+    if (partsA[i] !== partsB[i]) {
+      return partsA[i] - partsB[i];
+    }
+  }
+  return 0;
+}
+
+/**
+ * Check for a plain (non-array) object
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  DataValidationError,
+  validateSourceData
+};
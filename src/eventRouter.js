@@ -0,0 +1,360 @@
+/**
+ * Event Router Module
+ *
+ * Works out what an invocation should do from the Lambda event. Four modes are supported:
+ *
+ *   - s3: S3 ObjectCreated notification (direct or via EventBridge); the report is generated
+ *     from the uploaded object. The function's own writes under REPORT_PREFIX, the service
+ *     definitions file and non-JSON uploads are ignored, duplicate records are collapsed and
+ *     uploads older than the current latest report (redelivered events) are skipped.
+ *   - schedule: EventBridge scheduled event; the configured SOURCE_BUCKET/SOURCE_KEY are used.
+ *   - manual: any other payload (e.g. `aws lambda invoke --payload '{}'`), which may override
+ *     sourceBucket, sourceKey, formats, channels (the notification channels of this run),
+ *     recipients (the SNS topic and webhook URLs of this run), dryRun and force (regenerate
+ *     even when the source data is unchanged).
+ *   - query: a manual payload with a `query` field reads the report archive instead of
+ *     generating a report (see archiveQuery.js).
+ */
+
+const { getStorage } = require('./storage');
+const { parseFormats } = require('./reportRenderers');
+const { NOTIFICATION_CHANNEL_NAMES, RECIPIENT_WEBHOOK_SETTINGS } = require('./notificationChannels');
+const { parseArchiveQuery } = require('./archiveQuery');
+
+const MANUAL_FIELDS = ['sourceBucket', 'sourceKey', 'formats', 'channels', 'recipients', 'dryRun', 'force', 'query'];
+
+const RECIPIENT_FIELDS = ['topicArn', ...Object.keys(RECIPIENT_WEBHOOK_SETTINGS)];
+const SNS_TOPIC_ARN_PATTERN = /^arn:aws[a-z-]*:sns:[a-z0-9-]+:\d{12}:[A-Za-z0-9_-]{1,256}(\.fifo)?$/;
+
+// Webhook URLs carry their credentials, so they are never echoed in logs or responses
+const REDACTED = '(redacted)';
+
+/**
+ * Resolve the invocation mode and the settings it overrides
+ * @param {Object} event - Lambda event
+ * @param {Object} config - Handler configuration (sourceBucket, sourceKey, servicesKey, reportBucket, reportPrefix, latestReportName)
+ * @returns {Promise<Object>} Invocation ({mode, skip, sourceBucket, sourceKey, formats, channels, recipients, dryRun, force, ...mode details})
+ * @throws {Error} When a manual payload or archive query is invalid
+ */
+async function resolveInvocation(event, config) {
+  if (isS3Event(event)) {
+    return resolveS3Invocation(toS3Records(event), config);
+  }
+
+  if (event && event.source === 'aws.events' && event['detail-type'] === 'Scheduled Event') {
+    return {
+      mode: 'schedule',
+      skip: false,
+      sourceBucket: config.sourceBucket,
+      sourceKey: config.sourceKey,
+      dryRun: false,
+      force: false,
+      scheduledTime: event.time,
+      rule: (event.resources || [])[0] || null
+    };
+  }
+
+  return resolveManualInvocation(event || {}, config);
+}
+
+/**
+ * Check for an S3 notification (Records[].s3) or an EventBridge "Object Created" event
+ */
+function isS3Event(event) {
+  if (!event) {
+    return false;
+  }
+  if (Array.isArray(event.Records)) {
+    return event.Records.some(record => record.eventSource === 'aws:s3' || record.s3);
+  }
+  return event.source === 'aws.s3' && event['detail-type'] === 'Object Created';
+}
+
+/**
+ * Normalize S3 notification records and EventBridge S3 events to {eventName, bucket, key, eventTime}
+ */
+function toS3Records(event) {
+  if (!Array.isArray(event.Records)) {
+    return [{
+      eventName: 'ObjectCreated:' + ((event.detail && event.detail.reason) || 'PutObject'),
+      bucket: event.detail.bucket.name,
+      key: event.detail.object.key,
+      eventTime: event.time
+    }];
+  }
+
+  return event.Records.map(record => ({
+    eventName: record.eventName || '',
+    bucket: record.s3 && record.s3.bucket ? record.s3.bucket.name : undefined,
+    // Keys in S3 notifications are URL-encoded with '+' for spaces
+    key: record.s3 && record.s3.object
+      ? decodeURIComponent(String(record.s3.object.key).replace(/\+/g, ' '))
+      : undefined,
+    eventTime: record.eventTime
+  }));
+}
+
+/**
+ * Pick the upload to report on from S3 records, ignoring the rest with a reason
+ * @param {Array<Object>} records - Records from toS3Records
+ * @param {Object} config - Handler configuration
+ * @returns {Promise<Object>} Invocation
+ */
+async function resolveS3Invocation(records, config) {
+  const ignored = [];
+  const candidates = new Map();
+
+  for (const record of records) {
+    const reason = ignoreReason(record, config);
+    if (reason) {
+      ignored.push({ bucket: record.bucket, key: record.key, reason });
+      continue;
+    }
+
+    // S3 may deliver the same upload more than once; keep the newest record per object
+    const id = `${record.bucket}/${record.key}`;
+    const existing = candidates.get(id);
+    if (existing) {
+      ignored.push({ bucket: record.bucket, key: record.key, reason: 'duplicate record' });
+    }
+    if (!existing || eventTime(record) > eventTime(existing)) {
+      candidates.set(id, record);
+    }
+  }
+
+  // Several different uploads in one event produce a single report from the newest
+  const [selected, ...superseded] = [...candidates.values()].sort((a, b) => eventTime(b) - eventTime(a));
+  superseded.forEach(record => ignored.push({ bucket: record.bucket, key: record.key, reason: `superseded by ${selected.key}` }));
+
+  const invocation = {
+    mode: 's3',
+    skip: !selected,
+    sourceBucket: selected ? selected.bucket : config.sourceBucket,
+    sourceKey: selected ? selected.key : config.sourceKey,
+    dryRun: false,
+    force: false,
+    eventTime: selected ? selected.eventTime : null,
+    recordCount: records.length,
+    ignored
+  };
+
+  if (selected && await isAlreadyReported(selected, config)) {
+    invocation.skip = true;
+    ignored.push({ bucket: selected.bucket, key: selected.key, reason: 'latest report is newer than this upload (redelivered event)' });
+  }
+
+  return invocation;
+}
+
+/**
+ * Explain why an S3 record does not trigger a report (null if it should)
+ */
+function ignoreReason(record, config) {
+  if (!record.bucket || !record.key) {
+    return 'record has no bucket or key';
+  }
+  if (!record.eventName.startsWith('ObjectCreated')) {
+    return `not an ObjectCreated event (${record.eventName || 'unknown'})`;
+  }
+  if (record.bucket === config.reportBucket && config.reportPrefix && record.key.startsWith(config.reportPrefix)) {
+    return 'report output written by this function';
+  }
+  if (record.key === config.servicesKey) {
+    return 'service definitions are read alongside the data file';
+  }
+  if (!record.key.toLowerCase().endsWith('.json')) {
+    return 'not a JSON data file';
+  }
+  return null;
+}
+
+/**
+ * Check whether the latest report was written after the upload, meaning a previous
+ * invocation already reported on it. Lookup failures never block a run.
+ */
+async function isAlreadyReported(record, config) {
+  const uploadTime = eventTime(record);
+  if (!uploadTime || !config.reportBucket || !config.latestReportName) {
+    return false;
+  }
+
+  try {
+    const latest = await getStorage().head(config.reportBucket, `${config.reportPrefix}${config.latestReportName}`);
+    return new Date(latest.lastModified).getTime() > uploadTime;
+  } catch (error) {
+    if (error.name === 'NoSuchKey') {
+      return false;
+    }
+    console.warn('⚠️ Could not check the latest report time (non-critical):', error.message);
+    return false;
+  }
+}
+
+/**
+ * Event time in milliseconds (0 when missing)
+ */
+function eventTime(record) {
+  const time = Date.parse(record.eventTime);
+  return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Validate a manual payload and apply its overrides
+ * @param {Object} payload - Manual invocation payload
+ * @param {Object} config - Handler configuration
+ * @returns {Object} Invocation
+ * @throws {Error} When the payload has unknown fields or invalid values
+ */
+function resolveManualInvocation(payload, config) {
+  if (typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new Error('Manual invocation payload must be a JSON object');
+  }
+
+  // Archive queries are read-only and take their own fields
+  if (payload.query !== undefined) {
+    return {
+      mode: 'query',
+      skip: false,
+      dryRun: false,
+      force: false,
+      query: parseArchiveQuery(payload)
+    };
+  }
+
+  const unknown = Object.keys(payload).filter(field => !MANUAL_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown invocation field(s): ${unknown.join(', ')}. Supported: ${MANUAL_FIELDS.join(', ')}`);
+  }
+
+  ['sourceBucket', 'sourceKey'].forEach(field => {
+    if (payload[field] !== undefined && (typeof payload[field] !== 'string' || payload[field] === '')) {
+      throw new Error(`${field} must be a non-empty string`);
+    }
+  });
+  ['dryRun', 'force'].forEach(field => {
+    if (payload[field] !== undefined && typeof payload[field] !== 'boolean') {
+      throw new Error(`${field} must be true or false`);
+    }
+  });
+
+  const invocation = {
+    mode: 'manual',
+    skip: false,
+    sourceBucket: payload.sourceBucket || config.sourceBucket,
+    sourceKey: payload.sourceKey || config.sourceKey,
+    dryRun: payload.dryRun === true,
+    force: payload.force === true,
+    overrides: Object.keys(payload)
+  };
+
+  if (payload.formats !== undefined) {
+    // parseFormats rejects unknown formats
+    invocation.formats = parseFormats(toList(payload.formats, 'formats').join(','));
+  }
+
+  // Channels select which configured notification channels are used; the targets stay those of the deployment
+  if (payload.channels !== undefined) {
+    const channels = toList(payload.channels, 'channels').map(name => name.toLowerCase());
+    const unknownChannels = channels.filter(name => !NOTIFICATION_CHANNEL_NAMES.includes(name));
+    if (unknownChannels.length > 0) {
+      throw new Error(`Unknown notification channel(s): ${unknownChannels.join(', ')}. Supported: ${NOTIFICATION_CHANNEL_NAMES.join(', ')}`);
+    }
+    invocation.channels = channels;
+  }
+
+  // Recipients replace the deployment's SNS topic and webhook URLs for this run
+  if (payload.recipients !== undefined) {
+    invocation.recipients = parseRecipients(payload.recipients);
+  }
+
+  return invocation;
+}
+
+/**
+ * Validate a recipients override ({topicArn, slackWebhookUrl, teamsWebhookUrl, webhookUrl}, at least one)
+ */
+function parseRecipients(recipients) {
+  if (typeof recipients !== 'object' || recipients === null || Array.isArray(recipients) || Object.keys(recipients).length === 0) {
+    throw new Error(`recipients must be an object with at least one of ${RECIPIENT_FIELDS.join(', ')}`);
+  }
+
+  const unknown = Object.keys(recipients).filter(field => !RECIPIENT_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown recipients field(s): ${unknown.join(', ')}. Supported: ${RECIPIENT_FIELDS.join(', ')}`);
+  }
+
+  if (recipients.topicArn !== undefined && !(typeof recipients.topicArn === 'string' && SNS_TOPIC_ARN_PATTERN.test(recipients.topicArn))) {
+    throw new Error(`recipients.topicArn must be an SNS topic ARN, got ${JSON.stringify(recipients.topicArn)}`);
+  }
+  Object.keys(RECIPIENT_WEBHOOK_SETTINGS).forEach(field => {
+    if (recipients[field] !== undefined && !isHttpsUrl(recipients[field])) {
+      throw new Error(`recipients.${field} must be an https URL`);
+    }
+  });
+
+  return { ...recipients };
+}
+
+/**
+ * Check for an absolute https URL
+ */
+function isHttpsUrl(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Replace the webhook URLs of a recipients override (the SNS topic ARN is kept)
+ */
+function redactRecipients(recipients) {
+  return Object.fromEntries(Object.entries(recipients).map(([field, value]) => [field, field === 'topicArn' ? value : REDACTED]));
+}
+
+/**
+ * Copy an event for logging with the webhook URLs of a recipients override redacted
+ * @param {Object} event - Lambda event
+ * @returns {Object} Event safe to log
+ */
+function redactEvent(event) {
+  const recipients = event && event.recipients;
+  if (typeof recipients !== 'object' || recipients === null || Array.isArray(recipients)) {
+    return event;
+  }
+  return { ...event, recipients: redactRecipients(recipients) };
+}
+
+/**
+ * Accept a list as an array of strings or a comma-separated string
+ */
+function toList(value, field) {
+  const items = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+    throw new Error(`${field} must be an array of strings or a comma-separated string`);
+  }
+  return items.map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Describe an invocation for handler responses and logs
+ * @param {Object} invocation - Invocation from resolveInvocation
+ * @returns {Object} Invocation summary
+ */
+function describeInvocation(invocation) {
+  const { skip: _skip, ...summary } = invocation;
+  if (summary.recipients) {
+    summary.recipients = redactRecipients(summary.recipients);
+  }
+  return summary;
+}
+
+module.exports = {
+  resolveInvocation,
+  describeInvocation,
+  redactEvent
+};
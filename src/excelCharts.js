@@ -0,0 +1,299 @@
+/**
+ * Excel Charts Module
+ *
+ * ExcelJS cannot write charts, so native charts are added to the generated workbook afterwards:
+ * the .xlsx package is opened with JSZip and a DrawingML chart part, a drawing part and the
+ * relationships linking them to the target sheet are added for each chart.
+ *
+ * A chart definition names its sheet, its anchor cells and its series. Series reference cell
+ * ranges (normally on a hidden data sheet) and carry the current values as the chart cache, so
+ * the chart renders before Excel recalculates and follows the ranges afterwards.
+ */
+
+const JSZip = require('jszip');
+
+const CHART_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.drawingml.chart+xml';
+const DRAWING_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.drawing+xml';
+const RELATIONSHIP_TYPES = {
+  chart: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart',
+  drawing: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/drawing'
+};
+
+// Worksheet children that must follow <drawing> (CT_Worksheet element order)
+const ELEMENTS_AFTER_DRAWING = ['legacyDrawing', 'legacyDrawingHF', 'drawingHF', 'picture', 'oleObjects', 'controls', 'webPublishItems', 'tableParts', 'extLst'];
+
+/**
+ * Add native charts to a workbook
+ * @param {Buffer} buffer - Workbook generated by ExcelJS
+ * @param {Array<Object>} charts - Chart definitions ({sheet, type: 'column'|'bar'|'line', title,
+ *   from: {col, row}, to: {col, row} (zero-based cell anchors), categories: {ref, values},
+ *   series: [{name, ref, values, color}], gapWidth})
+ * @returns {Promise<Buffer>} Workbook with the charts
+ * @throws {Error} When a chart targets a sheet that does not exist
+ */
+async function addWorkbookCharts(buffer, charts) {
+  if (charts.length === 0) {
+    return buffer;
+  }
+
+  const zip = await JSZip.loadAsync(buffer);
+  const sheetPaths = await readSheetPaths(zip);
+  const contentTypes = [];
+
+  // Number new parts after any existing ones
+  let chartNumber = countParts(zip, /^xl\/charts\/chart\d+\.xml$/);
+  let drawingNumber = countParts(zip, /^xl\/drawings\/drawing\d+\.xml$/);
+
+  const chartsBySheet = new Map();
+  charts.forEach(chart => {
+    if (!sheetPaths.has(chart.sheet)) {
+      throw new Error(`Cannot add chart "${chart.title}": sheet "${chart.sheet}" not found`);
+    }
+    chartsBySheet.set(chart.sheet, [...(chartsBySheet.get(chart.sheet) || []), chart]);
+  });
+
+  for (const [sheetName, sheetCharts] of chartsBySheet) {
+    drawingNumber++;
+    const drawingPath = `xl/drawings/drawing${drawingNumber}.xml`;
+    const anchors = [];
+    const drawingRelationships = [];
+
+    sheetCharts.forEach((chart, index) => {
+      chartNumber++;
+      const chartPath = `xl/charts/chart${chartNumber}.xml`;
+      zip.file(chartPath, buildChartXml(chart));
+      contentTypes.push({ partName: `/${chartPath}`, contentType: CHART_CONTENT_TYPE });
+
+      const relationshipId = `rId${index + 1}`;
+      drawingRelationships.push({ id: relationshipId, type: RELATIONSHIP_TYPES.chart, target: `../charts/chart${chartNumber}.xml` });
+      anchors.push(buildAnchorXml(chart, relationshipId, index + 2));
+    });
+
+    zip.file(drawingPath, buildDrawingXml(anchors));
+    zip.file(`xl/drawings/_rels/drawing${drawingNumber}.xml.rels`, buildRelationshipsXml(drawingRelationships));
+    contentTypes.push({ partName: `/${drawingPath}`, contentType: DRAWING_CONTENT_TYPE });
+
+    await attachDrawing(zip, sheetPaths.get(sheetName), `../drawings/drawing${drawingNumber}.xml`);
+  }
+
+  const contentTypesXml = await zip.file('[Content_Types].xml').async('string');
+  zip.file('[Content_Types].xml', contentTypesXml.replace('</Types>',
+    contentTypes.map(({ partName, contentType }) => `<Override PartName="${partName}" ContentType="${contentType}"/>`).join('') + '</Types>'));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+/**
+ * Map sheet names to their part paths (e.g. 'Summary' -> 'xl/worksheets/sheet1.xml')
+ */
+async function readSheetPaths(zip) {
+  const workbookXml = await zip.file('xl/workbook.xml').async('string');
+  const relationshipsXml = await zip.file('xl/_rels/workbook.xml.rels').async('string');
+
+  const targets = new Map();
+  for (const match of relationshipsXml.matchAll(/<Relationship\b[^>]*>/g)) {
+    const id = attribute(match[0], 'Id');
+    const target = attribute(match[0], 'Target');
+    targets.set(id, target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+  }
+
+  const sheetPaths = new Map();
+  for (const match of workbookXml.matchAll(/<sheet\b[^>]*>/g)) {
+    sheetPaths.set(unescapeXml(attribute(match[0], 'name')), targets.get(attribute(match[0], 'r:id')));
+  }
+  return sheetPaths;
+}
+
+/**
+ * Reference a drawing from a sheet: add the relationship and the <drawing> element
+ */
+async function attachDrawing(zip, sheetPath, drawingTarget) {
+  const slash = sheetPath.lastIndexOf('/');
+  const relationshipsPath = `${sheetPath.slice(0, slash)}/_rels/${sheetPath.slice(slash + 1)}.rels`;
+  const existing = zip.file(relationshipsPath) ? await zip.file(relationshipsPath).async('string') : null;
+
+  // Pick an id that the sheet's existing relationships (e.g. hyperlinks) do not use
+  const usedIds = existing ? [...existing.matchAll(/Id="rId(\d+)"/g)].map(match => Number(match[1])) : [];
+  const relationshipId = `rId${Math.max(0, ...usedIds) + 1}`;
+  const relationship = `<Relationship Id="${relationshipId}" Type="${RELATIONSHIP_TYPES.drawing}" Target="${drawingTarget}"/>`;
+  zip.file(relationshipsPath, existing
+    ? existing.replace('</Relationships>', `${relationship}</Relationships>`)
+    : buildRelationshipsXml([{ id: relationshipId, type: RELATIONSHIP_TYPES.drawing, target: drawingTarget }]));
+
+  let sheetXml = await zip.file(sheetPath).async('string');
+  const worksheetTag = sheetXml.match(/<worksheet\b[^>]*>/)[0];
+  if (!/\sxmlns:r=/.test(worksheetTag)) {
+    sheetXml = sheetXml.replace('<worksheet', '<worksheet xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"');
+  }
+
+  const drawing = `<drawing r:id="${relationshipId}"/>`;
+  const follower = ELEMENTS_AFTER_DRAWING
+    .map(name => sheetXml.search(new RegExp(`<${name}[\\s/>]`)))
+    .filter(index => index >= 0)
+    .sort((a, b) => a - b)[0];
+  sheetXml = follower === undefined
+    ? sheetXml.replace('</worksheet>', `${drawing}</worksheet>`)
+    : sheetXml.slice(0, follower) + drawing + sheetXml.slice(follower);
+  zip.file(sheetPath, sheetXml);
+}
+
+/**
+ * Build a chart part (DrawingML chartSpace)
+ * @param {Object} chart - Chart definition
+ * @returns {string} Chart XML
+ */
+function buildChartXml(chart) {
+  const horizontal = chart.type === 'bar';
+  const series = chart.series.map((entry, index) => buildSeriesXml(chart, entry, index)).join('');
+  const plot = chart.type === 'line'
+    ? `<c:lineChart><c:grouping val="standard"/><c:varyColors val="0"/>${series}<c:marker val="1"/><c:axId val="1"/><c:axId val="2"/></c:lineChart>`
+    : `<c:barChart><c:barDir val="${horizontal ? 'bar' : 'col'}"/><c:grouping val="clustered"/><c:varyColors val="0"/>${series}` +
+      `<c:gapWidth val="${chart.gapWidth === undefined ? 150 : chart.gapWidth}"/><c:axId val="1"/><c:axId val="2"/></c:barChart>`;
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<c:chartSpace xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" ' +
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    '<c:roundedCorners val="0"/>' +
+    '<c:chart>' +
+    `<c:title><c:tx><c:rich><a:bodyPr/><a:p><a:pPr><a:defRPr sz="1400" b="1"/></a:pPr><a:r><a:rPr lang="en-US" sz="1400" b="1"/><a:t>${escapeXml(chart.title)}</a:t></a:r></a:p></c:rich></c:tx><c:overlay val="0"/></c:title>` +
+    '<c:autoTitleDeleted val="0"/>' +
+    '<c:plotArea><c:layout/>' + plot +
+    `<c:catAx><c:axId val="1"/><c:scaling><c:orientation val="${horizontal ? 'maxMin' : 'minMax'}"/></c:scaling><c:delete val="0"/><c:axPos val="${horizontal ? 'l' : 'b'}"/>` +
+    '<c:numFmt formatCode="General" sourceLinked="1"/><c:tickLblPos val="nextTo"/><c:crossAx val="2"/><c:crosses val="autoZero"/>' +
+    '<c:auto val="1"/><c:lblAlgn val="ctr"/><c:lblOffset val="100"/><c:noMultiLvlLbl val="0"/></c:catAx>' +
+    `<c:valAx><c:axId val="2"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/><c:axPos val="${horizontal ? 't' : 'l'}"/><c:majorGridlines/>` +
+    '<c:numFmt formatCode="General" sourceLinked="1"/><c:tickLblPos val="nextTo"/><c:crossAx val="1"/><c:crosses val="autoZero"/><c:crossBetween val="between"/></c:valAx>' +
+    '</c:plotArea>' +
+    (chart.series.length > 1 ? '<c:legend><c:legendPos val="b"/><c:overlay val="0"/></c:legend>' : '') +
+    // The data lives on a hidden sheet, so hidden cells must still be plotted
+    '<c:plotVisOnly val="0"/><c:dispBlanksAs val="gap"/>' +
+    '</c:chart>' +
+    '</c:chartSpace>';
+}
+
+/**
+ * Build one chart series with its cell references and cached values
+ */
+function buildSeriesXml(chart, series, index) {
+  const color = escapeXml(series.color || '4472C4');
+  const name = `<c:tx><c:strRef><c:f>${escapeXml(series.nameRef)}</c:f>${stringCache([series.name])}</c:strRef></c:tx>`;
+  const categories = chart.categories.values.every(value => typeof value === 'number')
+    ? `<c:cat><c:numRef><c:f>${escapeXml(chart.categories.ref)}</c:f>${numberCache(chart.categories.values)}</c:numRef></c:cat>`
+    : `<c:cat><c:strRef><c:f>${escapeXml(chart.categories.ref)}</c:f>${stringCache(chart.categories.values)}</c:strRef></c:cat>`;
+  const values = `<c:val><c:numRef><c:f>${escapeXml(series.ref)}</c:f>${numberCache(series.values)}</c:numRef></c:val>`;
+  const head = `<c:idx val="${index}"/><c:order val="${index}"/>${name}`;
+
+  if (chart.type === 'line') {
+    return `<c:ser>${head}<c:spPr><a:ln w="28575"><a:solidFill><a:srgbClr val="${color}"/></a:solidFill></a:ln></c:spPr>` +
+      `<c:marker><c:symbol val="circle"/><c:size val="5"/></c:marker>${categories}${values}<c:smooth val="0"/></c:ser>`;
+  }
+  return `<c:ser>${head}<c:spPr><a:solidFill><a:srgbClr val="${color}"/></a:solidFill></c:spPr>` +
+    `<c:invertIfNegative val="0"/>${categories}${values}</c:ser>`;
+}
+
+/**
+ * Build a drawing part holding chart anchors
+ */
+function buildDrawingXml(anchors) {
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<xdr:wsDr xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing" ' +
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">' +
+    anchors.join('') +
+    '</xdr:wsDr>';
+}
+
+/**
+ * Build the cell anchor and graphic frame placing one chart on a sheet
+ */
+function buildAnchorXml(chart, relationshipId, shapeId) {
+  const marker = (tag, cell) =>
+    `<xdr:${tag}><xdr:col>${cell.col}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${cell.row}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:${tag}>`;
+
+  return '<xdr:twoCellAnchor editAs="oneCell">' +
+    marker('from', chart.from) +
+    marker('to', chart.to) +
+    '<xdr:graphicFrame macro="">' +
+    `<xdr:nvGraphicFramePr><xdr:cNvPr id="${shapeId}" name="${escapeXml(chart.title)}"/><xdr:cNvGraphicFramePr/></xdr:nvGraphicFramePr>` +
+    '<xdr:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></xdr:xfrm>' +
+    '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/chart">' +
+    '<c:chart xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" ' +
+    `xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" r:id="${relationshipId}"/>` +
+    '</a:graphicData></a:graphic>' +
+    '</xdr:graphicFrame>' +
+    '<xdr:clientData/>' +
+    '</xdr:twoCellAnchor>';
+}
+
+/**
+ * Build a relationships part
+ */
+function buildRelationshipsXml(relationships) {
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    relationships.map(({ id, type, target }) => `<Relationship Id="${id}" Type="${type}" Target="${target}"/>`).join('') +
+    '</Relationships>';
+}
+
+/**
+ * Cached string values for a chart reference
+ */
+function stringCache(values) {
+  return `<c:strCache><c:ptCount val="${values.length}"/>` +
+    values.map((value, index) => `<c:pt idx="${index}"><c:v>${escapeXml(value)}</c:v></c:pt>`).join('') +
+    '</c:strCache>';
+}
+
+/**
+ * Cached numeric values for a chart reference (blank points are left out)
+ */
+function numberCache(values) {
+  return `<c:numCache><c:formatCode>General</c:formatCode><c:ptCount val="${values.length}"/>` +
+    values
+      .map((value, index) => (typeof value === 'number' ? `<c:pt idx="${index}"><c:v>${value}</c:v></c:pt>` : ''))
+      .join('') +
+    '</c:numCache>';
+}
+
+/**
+ * Count the package parts whose path matches a pattern
+ */
+function countParts(zip, pattern) {
+  return Object.keys(zip.files).filter(name => pattern.test(name)).length;
+}
+
+/**
+ * Read an XML attribute from a start tag
+ */
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Escape text for XML content and attributes
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Decode the XML entities ExcelJS writes in sheet names
+ */
+function unescapeXml(value) {
+  return String(value)
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+module.exports = {
+  addWorkbookCharts,
+  buildChartXml
+};
@@ -2,30 +2,95 @@
  * Excel Generation Module
  *
  * Generates Excel workbooks with AWS infrastructure data.
- * Creates 4 sheets: Summary, Regions, Services, and Service Coverage.
+ * The sheets, their columns, sort order and colors come from the report definition
+ * (see reportDefinition.js). The built-in definition creates 10 sheets: Summary, Regions,
+ * Region Analytics, Services, Service Coverage, Geography Coverage, Category Coverage, Changes,
+ * Availability Timeline and Service Growth, plus native charts backed by a hidden Chart Data sheet.
+ * Services are grouped by category (see serviceCategories.js).
+ * A Region Readiness sheet is added before Changes when workload profiles are configured
+ * (see workloadReadiness.js), and a Watchlist sheet after Changes when a watchlist is configured
+ * (see watchlist.js).
+ * Regions are grouped by partition and geography (see regionClassification.js) throughout.
  */
 
 const ExcelJS = require('exceljs');
 const { formatDateEST } = require('./utils');
+const { addWorkbookCharts } = require('./excelCharts');
+const { getDefaultReportDefinition } = require('./reportDefinition');
+const { getDefaultServiceCategories } = require('./serviceCategories');
+const {
+  buildRegionRows,
+  buildRegionGroups,
+  buildServiceRows,
+  buildCoverageMatrix,
+  buildGeographyCoverage,
+  buildCategoryCoverage,
+  buildRegionAnalytics,
+  countServiceMappings,
+  getCoverageBand
+} = require('./reportData');
+
+// Sheet builders by report definition sheet type
+const SHEET_BUILDERS = {
+  summary: createSummarySheet,
+  regions: createRegionsSheet,
+  regionAnalytics: createRegionAnalyticsSheet,
+  services: createServicesSheet,
+  serviceCoverage: createServiceCoverageSheet,
+  geographyCoverage: createGeographyCoverageSheet,
+  categoryCoverage: createCategoryCoverageSheet,
+  regionReadiness: createRegionReadinessSheet,
+  changes: createChangesSheet,
+  watchlist: createWatchlistSheet,
+  availabilityTimeline: createAvailabilityTimelineSheet,
+  serviceGrowth: createServiceGrowthSheet
+};
 
 /**
  * Generate Excel report from AWS infrastructure data
  * @param {Object} sourceData - AWS infrastructure data
+ * @param {Object} options - Additional report content
+ * @param {Object|null} options.changes - Changes since the previous report (null if no previous report)
+ * @param {Object|null} options.timeline - Availability timeline from the archive history (null if unavailable)
+ * @param {Object|null} options.watchlist - Watchlist evaluation from evaluateWatchlist (null if no watchlist is configured)
+ * @param {Object|null} options.readiness - Region readiness from evaluateReadiness (null if no workload profiles are configured)
+ * @param {Object} options.definition - Resolved report definition (default: the built-in definition, see reportDefinition.js)
+ * @param {Object} options.categories - Service categories (default: the built-in categories, see serviceCategories.js)
+ * @param {string} options.sourceUri - Where the source data was read from, shown on the Summary sheet
  * @returns {Promise<Buffer>} Excel file buffer
  */
-async function generateExcelReport(sourceData) {
+async function generateExcelReport(sourceData, options = {}) {
+  const definition = options.definition || getDefaultReportDefinition();
   const workbook = new ExcelJS.Workbook();
+  const report = {
+    sourceData,
+    sourceUri: options.sourceUri || null,
+    changes: options.changes || null,
+    timeline: options.timeline || null,
+    watchlist: options.watchlist || null,
+    readiness: options.readiness || null,
+    categories: options.categories || getDefaultServiceCategories(),
+    theme: definition.theme,
+    coverageBand: percent => getCoverageBand(percent, definition.coverageBands, definition.noCoverageBand)
+  };
 
   // Set workbook properties
   workbook.creator = 'AWS Service Report Generator';
   workbook.created = new Date();
   workbook.modified = new Date();
 
-  // Create all sheets
-  await createSummarySheet(workbook, sourceData);
-  await createRegionsSheet(workbook, sourceData);
-  await createServicesSheet(workbook, sourceData);
-  await createServiceCoverageSheet(workbook, sourceData);
+  // Create the sheets of the report definition, in its order
+  for (const sheetDefinition of definition.sheets) {
+    await SHEET_BUILDERS[sheetDefinition.sheet](workbook, sheetDefinition, report);
+  }
+
+  if (definition.charts) {
+    // Chart data cells are formulas; recalculate them when the workbook is opened
+    const charts = await createChartDataSheet(workbook, definition, report);
+    workbook.calcProperties.fullCalcOnLoad = true;
+    const buffer = await workbook.xlsx.writeBuffer();
+    return addWorkbookCharts(buffer, charts);
+  }
 
   // Generate buffer
   const buffer = await workbook.xlsx.writeBuffer();
@@ -35,19 +100,22 @@ async function generateExcelReport(sourceData) {
 /**
  * Create Summary sheet with metadata and high-level statistics
  */
-async function createSummarySheet(workbook, sourceData) {
-  const sheet = workbook.addWorksheet('Summary');
+async function createSummarySheet(workbook, sheetDefinition, { sourceData, sourceUri, theme }) {
+  const sheet = workbook.addWorksheet(sheetDefinition.name);
 
   // Header styling
   const headerStyle = {
-    font: { bold: true, size: 12, color: { argb: 'FFFFFFFF' } },
-    fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4472C4' } }
+    font: { bold: true, size: 12, color: { argb: theme.headerFontColor } },
+    fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: sheetDefinition.headerColor } }
   };
 
   const dataStyle = {
     alignment: { vertical: 'middle' }
   };
 
+  const regionAnalytics = buildRegionAnalytics(sourceData);
+  const newestRegion = regionAnalytics.newestRegions[0];
+
   // Add title
   sheet.mergeCells('A1:B1');
   sheet.getCell('A1').value = 'AWS Service Report - Summary';
@@ -59,16 +127,17 @@ async function createSummarySheet(workbook, sourceData) {
     ['', ''], // Empty row
     ['Field', 'Value'],
     ['Report Generated', formatDateEST(new Date())],
-    ['Data Source', `s3://${process.env.SOURCE_BUCKET}/${process.env.SOURCE_KEY}`],
-    ['Schema Version', sourceData.metadata?.schemaVersion || sourceData.metadata?.version || 'Unknown'],
+    ['Data Source', sourceUri || 'Unknown'],
+    ['Schema Version', sourceData.metadata?.schemaVersion || 'Unknown'],
     ['Data Timestamp', formatDateEST(sourceData.metadata?.timestamp || new Date())],
     ['', ''], // Empty row
     ['Total AWS Regions', sourceData.regions?.length || 0],
     ['Total AWS Services', sourceData.services?.length || 0],
     ['Service-by-Region Mappings', sourceData.servicesByRegion
-      ? Object.keys(sourceData.servicesByRegion).reduce((acc, region) =>
-        acc + (sourceData.servicesByRegion[region]?.length || 0), 0)
-      : 'N/A']
+      ? countServiceMappings(sourceData.servicesByRegion)
+      : 'N/A'],
+    ['Average Region Age', regionAnalytics.averageAgeYears !== null ? `${regionAnalytics.averageAgeYears} years` : 'N/A'],
+    ['Newest Region', newestRegion ? `${newestRegion.regionName} (${newestRegion.regionCode}), launched ${newestRegion.launchDate}` : 'N/A']
   ];
 
   rows.forEach((row, index) => {
@@ -95,83 +164,49 @@ async function createSummarySheet(workbook, sourceData) {
 /**
  * Create Regions sheet with all AWS region details
  */
-async function createRegionsSheet(workbook, sourceData) {
-  const sheet = workbook.addWorksheet('Regions');
+async function createRegionsSheet(workbook, sheetDefinition, { sourceData, theme }) {
+  const sheet = workbook.addWorksheet(sheetDefinition.name);
+  const keys = sheetDefinition.columns.map(column => column.key);
 
   // Define columns
-  sheet.columns = [
-    { header: 'Region Code', key: 'regionCode', width: 20 },
-    { header: 'Region Name', key: 'regionName', width: 35 },
-    { header: 'Availability Zones', key: 'azCount', width: 20 },
-    { header: 'Service Count', key: 'serviceCount', width: 15 },
-    { header: 'Launch Date', key: 'launchDate', width: 20 },
-    { header: 'Blog URL', key: 'blogUrl', width: 50 }
-  ];
+  sheet.columns = sheetDefinition.columns;
 
   // Style header row
   const headerRow = sheet.getRow(1);
-  headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
-  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF70AD47' } };
+  headerRow.font = { bold: true, color: { argb: theme.headerFontColor } };
+  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: sheetDefinition.headerColor } };
   headerRow.alignment = { vertical: 'middle', horizontal: 'center' };
   headerRow.height = 20;
 
-  // Get service counts by region
-  const servicesByRegion = sourceData.servicesByRegion || {};
-
   // Add data rows
-  const regions = sourceData.regions || [];
-  regions.forEach((region) => {
-    const regionCode = region.code || region.regionCode || region.RegionCode || '';
-    const launchDate = region.launchDate || region.LaunchDate || '';
-    const blogUrl = region.blogUrl || region.BlogUrl || '';
-
-    // Get service count for this region
-    const servicesInRegion = servicesByRegion[regionCode] || [];
-    const serviceCount = servicesInRegion.length;
-
-    // Format launch date consistently
-    let formattedLaunchDate = 'N/A';
-    if (launchDate) {
-      try {
-        const date = new Date(launchDate);
-        if (!isNaN(date.getTime())) {
-          // Format as YYYY-MM-DD
-          formattedLaunchDate = date.toISOString().split('T')[0];
-        }
-      } catch (_e) {
-        formattedLaunchDate = launchDate; // Use original if parsing fails
-      }
-    }
-
+  sortRows(buildRegionRows(sourceData), sheetDefinition.sort).forEach((region) => {
     const row = sheet.addRow({
-      regionCode,
-      regionName: region.name || region.regionName || region.RegionName || '',
-      azCount: region.availabilityZones || region.AvailabilityZones?.length || 0,
-      serviceCount,
-      launchDate: formattedLaunchDate,
-      blogUrl: blogUrl || 'N/A'
+      ...region,
+      launchDate: region.launchDate || 'N/A',
+      blogUrl: region.blogUrl || 'N/A'
     });
 
     // Center align numeric columns
-    row.getCell('azCount').alignment = { horizontal: 'center', vertical: 'middle' };
-    row.getCell('serviceCount').alignment = { horizontal: 'center', vertical: 'middle' };
+    ['azCount', 'serviceCount'].filter(key => keys.includes(key)).forEach(key => {
+      row.getCell(key).alignment = { horizontal: 'center', vertical: 'middle' };
+    });
 
     // Add hyperlink for blog URL if present (not N/A)
-    const blogCell = row.getCell('blogUrl');
-    if (blogCell.value && blogCell.value !== 'N/A') {
+    const blogCell = keys.includes('blogUrl') ? row.getCell('blogUrl') : null;
+    if (blogCell && blogCell.value !== 'N/A') {
       blogCell.value = {
         text: blogCell.value,
         hyperlink: blogCell.value
       };
-      blogCell.font = { color: { argb: 'FF0563C1' }, underline: true };
-    } else if (blogCell.value === 'N/A') {
-      blogCell.font = { color: { argb: 'FF7F7F7F' }, italic: true }; // Gray italic for N/A
+      blogCell.font = { color: { argb: theme.linkColor }, underline: true };
+    } else if (blogCell) {
+      blogCell.font = { color: { argb: theme.mutedColor }, italic: true }; // Gray italic for N/A
     }
 
     // Style N/A for launch date
-    const launchDateCell = row.getCell('launchDate');
-    if (launchDateCell.value === 'N/A') {
-      launchDateCell.font = { color: { argb: 'FF7F7F7F' }, italic: true }; // Gray italic for N/A
+    const launchDateCell = keys.includes('launchDate') ? row.getCell('launchDate') : null;
+    if (launchDateCell && launchDateCell.value === 'N/A') {
+      launchDateCell.font = { color: { argb: theme.mutedColor }, italic: true }; // Gray italic for N/A
     }
   });
 
@@ -181,84 +216,124 @@ async function createRegionsSheet(workbook, sourceData) {
   // Enable auto-filter
   sheet.autoFilter = {
     from: 'A1',
-    to: 'F1'
+    to: `${sheet.getColumn(keys.length).letter}1`
   };
 }
 
 /**
- * Create Services sheet with all AWS services
+ * Create Region Analytics sheet: launch-year cohorts with cumulative counts, newest regions and region ages
  */
-async function createServicesSheet(workbook, sourceData) {
-  const sheet = workbook.addWorksheet('Services');
+async function createRegionAnalyticsSheet(workbook, sheetDefinition, { sourceData, theme }) {
+  const sheet = workbook.addWorksheet(sheetDefinition.name);
+  const headerStyle = { fill: sheetDefinition.headerColor, font: theme.headerFontColor };
+  const analytics = buildRegionAnalytics(sourceData);
 
-  // Define columns
-  sheet.columns = [
-    { header: 'Service Code', key: 'serviceCode', width: 30 },
-    { header: 'Service Name', key: 'serviceName', width: 60 },
-    { header: 'Available Regions', key: 'availableRegions', width: 18 },
-    { header: 'Coverage %', key: 'coveragePercent', width: 12 }
-  ];
+  if (analytics.datedRegionCount === 0) {
+    addPlaceholder(sheet, 'A1:E5', 'No region launch dates available in source data');
+    return;
+  }
 
-  // Style header row
-  const headerRow = sheet.getRow(1);
-  headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
-  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFC000' } };
-  headerRow.alignment = { vertical: 'middle', horizontal: 'center' };
-  headerRow.height = 20;
+  sheet.getColumn(1).width = 20;
+  sheet.getColumn(2).width = 35;
+  sheet.getColumn(3).width = 20;
+  sheet.getColumn(4).width = 20;
+  sheet.getColumn(5).width = 45;
 
-  // Get total regions count
-  const regions = sourceData.regions || [];
-  const totalRegions = regions.length;
+  // Chart-ready: one row per year from the first launch, including years without launches
+  addSectionTable(sheet, headerStyle, 'Regions by Launch Year',
+    ['Launch Year', 'Regions Launched', 'Cumulative Regions', 'Avg Service Count', 'Regions'],
+    analytics.cohorts.map(cohort => [
+      cohort.year,
+      cohort.launched,
+      cohort.cumulativeRegions,
+      cohort.averageServiceCount === null ? 'N/A' : cohort.averageServiceCount,
+      cohort.regionCodes.join(', ')
+    ]));
 
-  // Calculate region availability for each service
-  const servicesByRegion = sourceData.servicesByRegion || {};
-  const serviceRegionCounts = new Map();
+  addSectionTable(sheet, headerStyle, 'Newest Regions',
+    ['Region Code', 'Region Name', 'Launch Date', 'Age (Years)', 'Service Count'],
+    analytics.newestRegions.map(region => [region.regionCode, region.regionName, region.launchDate, region.ageYears, region.serviceCount]));
 
-  // Count how many regions each service is available in
-  Object.keys(servicesByRegion).forEach(regionCode => {
-    const servicesInRegion = servicesByRegion[regionCode] || [];
-    servicesInRegion.forEach(serviceCode => {
-      serviceRegionCounts.set(serviceCode, (serviceRegionCounts.get(serviceCode) || 0) + 1);
-    });
+  addSectionTable(sheet, headerStyle, `Region Age (as of ${analytics.asOf.slice(0, 10)})`,
+    ['Region Code', 'Region Name', 'Launch Date', 'Age (Years)', 'Service Count'],
+    analytics.regionAges.map(region => [region.regionCode, region.regionName, region.launchDate, region.ageYears, region.serviceCount]));
+
+  if (analytics.undatedRegionCount > 0) {
+    const row = sheet.addRow([`${analytics.undatedRegionCount} region(s) without a launch date are not included`]);
+    row.getCell(1).font = { color: { argb: theme.mutedColor }, italic: true };
+  }
+}
+
+/**
+ * Add a titled table below the existing content of a sheet
+ * @param {Object} headerStyle - Header colors ({fill, font} as ARGB)
+ */
+function addSectionTable(sheet, headerStyle, title, headers, rows) {
+  if (sheet.rowCount > 0) {
+    sheet.addRow([]);
+  }
+
+  sheet.addRow([title]).getCell(1).font = { bold: true, size: 12 };
+
+  // Style the header cells only; a row-level fill would span the whole sheet width
+  sheet.addRow(headers).eachCell(cell => {
+    cell.font = { bold: true, color: { argb: headerStyle.font } };
+    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: headerStyle.fill } };
+    cell.alignment = { vertical: 'middle', horizontal: 'center' };
   });
 
-  // Add data rows
-  const services = sourceData.services || [];
-  // Sort services alphabetically by service name
-  const sortedServices = [...services].sort((a, b) => {
-    const nameA = (a.serviceName || a.ServiceName || a.name || '').toLowerCase();
-    const nameB = (b.serviceName || b.ServiceName || b.name || '').toLowerCase();
-    return nameA.localeCompare(nameB);
+  rows.forEach(values => {
+    const row = sheet.addRow(values);
+    for (let i = 1; i <= values.length; i++) {
+      if (typeof values[i - 1] === 'number') {
+        row.getCell(i).alignment = { horizontal: 'center', vertical: 'middle' };
+      }
+    }
   });
+}
+
+/**
+ * Create Services sheet with all AWS services
+ */
+async function createServicesSheet(workbook, sheetDefinition, { sourceData, categories, theme, coverageBand }) {
+  const sheet = workbook.addWorksheet(sheetDefinition.name);
+  const regionGroups = buildRegionGroups(sourceData);
 
-  sortedServices.forEach((service) => {
-    const serviceCode = service.code || service.serviceCode || service.ServiceCode || '';
-    const regionCount = serviceRegionCounts.get(serviceCode) || 0;
-    const coveragePercent = totalRegions > 0 ? ((regionCount / totalRegions) * 100).toFixed(1) : 0;
+  // Define columns; regionGroups expands to one region subtotal per partition/geography group
+  sheet.columns = expandServiceColumns(sheetDefinition.columns, regionGroups);
+  const centered = sheet.columns.map(column => column.key).filter(key => !['serviceCode', 'serviceName', 'category'].includes(key));
 
+  // Style header row
+  const headerRow = sheet.getRow(1);
+  headerRow.font = { bold: true, color: { argb: theme.headerFontColor } };
+  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: sheetDefinition.headerColor } };
+  headerRow.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+  headerRow.height = 30;
+
+  // Add data rows (in the definition's sort order; by service name by default)
+  sortRows(buildServiceRows(sourceData, categories), sheetDefinition.sort).forEach((service) => {
     const row = sheet.addRow({
-      serviceCode,
-      serviceName: service.name || service.serviceName || service.ServiceName || '',
-      availableRegions: regionCount,
-      coveragePercent: `${coveragePercent}%`
+      serviceCode: service.serviceCode,
+      serviceName: service.serviceName,
+      category: service.category,
+      availableRegions: service.availableRegions,
+      coveragePercent: `${service.coveragePercent.toFixed(1)}%`,
+      ...Object.fromEntries(regionGroups.map((group, index) => [`group${index}`, service.geographyCounts[group.label]]))
     });
 
     // Center align the numeric columns
-    row.getCell('availableRegions').alignment = { horizontal: 'center', vertical: 'middle' };
-    row.getCell('coveragePercent').alignment = { horizontal: 'center', vertical: 'middle' };
-
-    // Color code coverage percentage
-    const percentValue = parseFloat(coveragePercent);
-    if (percentValue === 100) {
-      row.getCell('coveragePercent').font = { color: { argb: 'FF00B050' }, bold: true }; // Green for 100%
-    } else if (percentValue >= 75) {
-      row.getCell('coveragePercent').font = { color: { argb: 'FF92D050' } }; // Light green for 75-99%
-    } else if (percentValue >= 50) {
-      row.getCell('coveragePercent').font = { color: { argb: 'FFFFC000' } }; // Orange for 50-74%
-    } else if (percentValue > 0) {
-      row.getCell('coveragePercent').font = { color: { argb: 'FFC00000' } }; // Red for 1-49%
-    } else {
-      row.getCell('coveragePercent').font = { color: { argb: 'FF7F7F7F' }, italic: true }; // Gray for 0%
+    centered.forEach(key => {
+      row.getCell(key).alignment = { horizontal: 'center', vertical: 'middle' };
+    });
+
+    // Color code coverage percentage (green 100%, light green 75-99%, orange 50-74%, red 1-49%, gray 0% by default)
+    if (centered.includes('coveragePercent')) {
+      const band = coverageBand(service.coveragePercent);
+      row.getCell('coveragePercent').font = {
+        color: { argb: band.color },
+        ...(band.bold && { bold: true }),
+        ...(band.italic && { italic: true })
+      };
     }
   });
 
@@ -268,108 +343,835 @@ async function createServicesSheet(workbook, sourceData) {
   // Enable auto-filter
   sheet.autoFilter = {
     from: 'A1',
-    to: 'D1'
+    to: `${sheet.getColumn(sheet.columnCount).letter}1`
   };
 }
 
+/**
+ * Resolve the Services sheet columns, expanding regionGroups into one subtotal column per region group
+ */
+function expandServiceColumns(columns, regionGroups) {
+  return columns.flatMap(column => column.key !== 'regionGroups'
+    ? [column]
+    : regionGroups.map((group, index) => ({
+      header: `${group.label} (${group.regionCodes.length})`,
+      key: `group${index}`,
+      width: column.width
+    })));
+}
+
 /**
  * Create Service Coverage sheet showing service availability by region
  */
-async function createServiceCoverageSheet(workbook, sourceData) {
-  const sheet = workbook.addWorksheet('Service Coverage');
+async function createServiceCoverageSheet(workbook, sheetDefinition, { sourceData, categories, theme }) {
+  const sheet = workbook.addWorksheet(sheetDefinition.name);
 
   // Check if servicesByRegion data exists
   if (!sourceData.servicesByRegion || Object.keys(sourceData.servicesByRegion).length === 0) {
     // No service-by-region data available
-    sheet.mergeCells('A1:E5');
-    const cell = sheet.getCell('A1');
-    cell.value = 'Service-by-region mapping not available in source data';
-    cell.font = { size: 14, italic: true };
-    cell.alignment = { horizontal: 'center', vertical: 'middle' };
-    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF2CC' } };
+    addPlaceholder(sheet, 'A1:E5', 'Service-by-region mapping not available in source data');
     return;
   }
 
-  // Get unique services and regions
-  const regions = sourceData.regions || [];
-  const services = sourceData.services || [];
+  const { regionCodes, regionGroups, rows } = buildCoverageMatrix(sourceData, categories);
 
-  // Create service code to name mapping
-  const serviceMap = new Map();
-  services.forEach(service => {
-    const code = service.code || service.serviceCode || service.ServiceCode || '';
-    const name = service.name || service.serviceName || service.ServiceName || '';
-    serviceMap.set(code, name);
+  // Group header row: one merged cell over the region columns of each partition/geography group
+  const groupRow = sheet.addRow(['Region Group']);
+  sheet.mergeCells(1, 1, 1, 2);
+  let groupColumn = 3;
+  regionGroups.forEach(group => {
+    const lastColumn = groupColumn + group.regionCodes.length - 1;
+    if (lastColumn > groupColumn) {
+      sheet.mergeCells(1, groupColumn, 1, lastColumn);
+    }
+    groupRow.getCell(groupColumn).value = group.label;
+    groupColumn = lastColumn + 1;
   });
+  groupRow.font = { bold: true, color: { argb: theme.headerFontColor } };
+  groupRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: sheetDefinition.groupHeaderColor } };
+  groupRow.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+  groupRow.height = 30;
 
-  // Create headers: Service Name + Region Codes
-  const headers = ['Service'];
-  const regionCodes = regions.map(r => r.code || r.regionCode || r.RegionCode || '');
-  headers.push(...regionCodes);
+  // Create headers: Service Name + Category + Region Codes
+  const headers = ['Service', 'Category', ...regionCodes];
 
   // Add header row
   const headerRow = sheet.addRow(headers);
-  headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
-  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF5B9BD5' } };
+  headerRow.font = { bold: true, color: { argb: theme.headerFontColor } };
+  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: sheetDefinition.headerColor } };
   headerRow.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
   headerRow.height = 30;
 
-  // Set service column width
+  // Set service and category column widths
   sheet.getColumn(1).width = 40;
+  sheet.getColumn(2).width = 30;
 
   // Set region column widths
-  for (let i = 2; i <= headers.length; i++) {
+  for (let i = 3; i <= headers.length; i++) {
     sheet.getColumn(i).width = 12;
   }
 
-  // Add data rows
-  const servicesByRegion = sourceData.servicesByRegion;
-
-  // Sort services by name
-  const sortedServices = [...services].sort((a, b) => {
-    const nameA = (a.name || a.serviceName || a.ServiceName || '').toLowerCase();
-    const nameB = (b.name || b.serviceName || b.ServiceName || '').toLowerCase();
-    return nameA.localeCompare(nameB);
-  });
-
-  sortedServices.forEach((service) => {
-    const serviceCode = service.code || service.serviceCode || service.ServiceCode || '';
-    const serviceName = service.name || service.serviceName || service.ServiceName || '';
-
-    const rowData = [serviceName];
-
-    // Check each region for this service
-    regionCodes.forEach((regionCode) => {
-      const servicesInRegion = servicesByRegion[regionCode] || [];
-      const isAvailable = servicesInRegion.includes(serviceCode);
-      rowData.push(isAvailable ? '✓' : '✗');
-    });
+  // Add data rows (grouped by category, by service name within a category)
+  rows.forEach((service, index) => {
+    const rowData = [service.serviceName, service.category, ...service.availability.map(isAvailable => isAvailable ? '✓' : '✗')];
 
     const row = sheet.addRow(rowData);
 
-    // Center align all cells except service name
-    for (let i = 2; i <= rowData.length; i++) {
+    // Category shown in bold where its group starts and muted on the rest of its rows
+    row.getCell(2).font = index === 0 || rows[index - 1].category !== service.category
+      ? { bold: true }
+      : { color: { argb: theme.mutedColor } };
+
+    // Center align all cells except service name and category
+    for (let i = 3; i <= rowData.length; i++) {
       const cell = row.getCell(i);
       cell.alignment = { horizontal: 'center', vertical: 'middle' };
       // Add conditional formatting for availability markers
       if (cell.value === '✓') {
-        cell.font = { color: { argb: 'FF00B050' }, bold: true }; // Green checkmark
+        cell.font = { color: { argb: theme.positiveColor }, bold: true }; // Green checkmark
       } else if (cell.value === '✗') {
-        cell.font = { color: { argb: 'FFC00000' }, bold: true }; // Red X
+        cell.font = { color: { argb: theme.negativeColor }, bold: true }; // Red X
       }
     }
   });
 
-  // Freeze first column and header row
+  // Freeze service and category columns and both header rows
+  sheet.views = [{ state: 'frozen', xSplit: 2, ySplit: 2 }];
+
+  // Enable auto-filter on the region code row
+  sheet.autoFilter = {
+    from: 'A2',
+    to: `${sheet.getColumn(headers.length).letter}2`
+  };
+}
+
+/**
+ * Create Geography Coverage sheet summarizing service coverage per partition/geography group
+ */
+async function createGeographyCoverageSheet(workbook, sheetDefinition, { sourceData, theme, coverageBand }) {
+  const sheet = workbook.addWorksheet(sheetDefinition.name);
+  const keys = sheetDefinition.columns.map(column => column.key);
+
+  if (!sourceData.servicesByRegion || Object.keys(sourceData.servicesByRegion).length === 0) {
+    addPlaceholder(sheet, 'A1:E5', 'Service-by-region mapping not available in source data');
+    return;
+  }
+
+  sheet.columns = sheetDefinition.columns;
+
+  const headerRow = sheet.getRow(1);
+  headerRow.font = { bold: true, color: { argb: theme.headerFontColor } };
+  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: sheetDefinition.headerColor } };
+  headerRow.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+  headerRow.height = 30;
+
+  sortRows(buildGeographyCoverage(sourceData), sheetDefinition.sort).forEach(group => {
+    const row = sheet.addRow({
+      ...group,
+      coveragePercent: `${group.coveragePercent.toFixed(1)}%`,
+      regionCodes: group.regionCodes.join(', ')
+    });
+
+    ['regionCount', 'availableServices', 'servicesInAllRegions', 'averageServiceCount', 'coveragePercent']
+      .filter(key => keys.includes(key))
+      .forEach(key => {
+        row.getCell(key).alignment = { horizontal: 'center', vertical: 'middle' };
+      });
+
+    // Same color bands as the Services sheet
+    if (keys.includes('coveragePercent')) {
+      const band = coverageBand(group.coveragePercent);
+      row.getCell('coveragePercent').font = {
+        color: { argb: band.color },
+        ...(band.bold && { bold: true }),
+        ...(band.italic && { italic: true })
+      };
+    }
+  });
+
+  // Freeze header row
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+}
+
+/**
+ * Create Category Coverage sheet: the share of each service category available in each region
+ */
+async function createCategoryCoverageSheet(workbook, sheetDefinition, { sourceData, categories: serviceCategories, theme, coverageBand }) {
+  const sheet = workbook.addWorksheet(sheetDefinition.name);
+
+  if (!sourceData.servicesByRegion || Object.keys(sourceData.servicesByRegion).length === 0) {
+    addPlaceholder(sheet, 'A1:E5', 'Service-by-region mapping not available in source data');
+    return;
+  }
+
+  const { categories, rows } = buildCategoryCoverage(sourceData, serviceCategories);
+
+  // Define columns: one per category, headed by the category's service count
+  sheet.columns = [
+    { header: 'Region Code', key: 'regionCode', width: 20 },
+    { header: 'Region Name', key: 'regionName', width: 35 },
+    { header: 'Geography', key: 'geography', width: 16 },
+    ...categories.map((category, index) => ({ header: `${category.name} (${category.serviceCount})`, key: `category${index}`, width: 16 }))
+  ];
+
+  // Style header row
+  const headerRow = sheet.getRow(1);
+  headerRow.font = { bold: true, color: { argb: theme.headerFontColor } };
+  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: sheetDefinition.headerColor } };
+  headerRow.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+  headerRow.height = 45;
+
+  rows.forEach(region => {
+    const row = sheet.addRow({
+      regionCode: region.regionCode,
+      regionName: region.regionName,
+      geography: region.partition === 'aws' ? region.geography : `${region.geography} (${region.partition})`,
+      ...Object.fromEntries(region.categories.map((category, index) => [`category${index}`, `${category.coveragePercent.toFixed(1)}%`]))
+    });
+
+    // Same color bands as the Services sheet
+    region.categories.forEach((category, index) => {
+      const cell = row.getCell(`category${index}`);
+      const band = coverageBand(category.coveragePercent);
+      cell.alignment = { horizontal: 'center', vertical: 'middle' };
+      cell.font = {
+        color: { argb: band.color },
+        ...(band.bold && { bold: true }),
+        ...(band.italic && { italic: true })
+      };
+    });
+  });
+
+  // Freeze header row and region code column
   sheet.views = [{ state: 'frozen', xSplit: 1, ySplit: 1 }];
 
   // Enable auto-filter
   sheet.autoFilter = {
     from: 'A1',
-    to: `${String.fromCharCode(65 + headers.length - 1)}1`
+    to: `${sheet.getColumn(sheet.columnCount).letter}1`
+  };
+}
+
+/**
+ * Create Region Readiness sheet ranking every region for each workload profile; eligible regions
+ * offer every required service. Skipped without workload profiles.
+ */
+async function createRegionReadinessSheet(workbook, sheetDefinition, { readiness, theme }) {
+  if (!readiness) {
+    return;
+  }
+  const sheet = workbook.addWorksheet(sheetDefinition.name);
+
+  // Define columns
+  sheet.columns = [
+    { header: 'Workload', key: 'workload', width: 20 },
+    { header: 'Rank', key: 'rank', width: 8 },
+    { header: 'Region Code', key: 'regionCode', width: 20 },
+    { header: 'Region Name', key: 'regionName', width: 35 },
+    { header: 'Geography', key: 'geography', width: 16 },
+    { header: 'Eligible', key: 'eligible', width: 10 },
+    { header: 'Required Services', key: 'required', width: 18 },
+    { header: 'Readiness %', key: 'readinessPercent', width: 12 },
+    { header: 'Optional Services', key: 'optional', width: 18 },
+    { header: 'Missing Required', key: 'missingRequired', width: 50 },
+    { header: 'Missing Optional', key: 'missingOptional', width: 50 }
+  ];
+
+  // Style header row
+  const headerRow = sheet.getRow(1);
+  headerRow.font = { bold: true, color: { argb: theme.headerFontColor } };
+  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: sheetDefinition.headerColor } };
+  headerRow.alignment = { vertical: 'middle', horizontal: 'center' };
+  headerRow.height = 20;
+
+  readiness.workloads.forEach(workload => {
+    workload.regions.forEach(region => {
+      const row = sheet.addRow({
+        workload: workload.name,
+        rank: region.rank,
+        regionCode: region.regionCode,
+        regionName: region.regionName,
+        geography: region.partition === 'aws' ? region.geography : `${region.geography} (${region.partition})`,
+        eligible: region.eligible ? 'Yes' : 'No',
+        required: `${region.requiredAvailable} of ${region.requiredCount}`,
+        readinessPercent: `${region.readinessPercent.toFixed(1)}%`,
+        optional: region.optionalCount > 0 ? `${region.optionalAvailable} of ${region.optionalCount}` : '',
+        missingRequired: region.missingRequired.join(', '),
+        missingOptional: region.missingOptional.join(', ')
+      });
+      row.getCell('eligible').font = { bold: true, color: { argb: region.eligible ? theme.positiveColor : theme.negativeColor } };
+      row.getCell('missingRequired').font = { color: { argb: theme.negativeColor } };
+      row.getCell('missingOptional').font = { color: { argb: theme.mutedColor } };
+    });
+
+    if (workload.unknownServices.length > 0) {
+      const row = sheet.addRow({ workload: workload.name, regionCode: `Not in the service list: ${workload.unknownServices.join(', ')}` });
+      row.getCell('regionCode').font = { color: { argb: theme.mutedColor }, italic: true };
+    }
+  });
+
+  // Freeze header row
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  // Enable auto-filter
+  sheet.autoFilter = {
+    from: 'A1',
+    to: 'K1'
+  };
+}
+
+/**
+ * Create Changes sheet listing differences against the previous report
+ */
+async function createChangesSheet(workbook, sheetDefinition, { changes, theme }) {
+  const sheet = workbook.addWorksheet(sheetDefinition.name);
+
+  if (!changes) {
+    // First run or previous report unreadable
+    addPlaceholder(sheet, 'A1:E5', 'No previous report available for comparison');
+    return;
+  }
+
+  // Define columns
+  sheet.columns = [
+    { header: 'Change', key: 'change', width: 28 },
+    { header: 'Region Code', key: 'regionCode', width: 20 },
+    { header: 'Region Name', key: 'regionName', width: 35 },
+    { header: 'Service Code', key: 'serviceCode', width: 30 },
+    { header: 'Service Name', key: 'serviceName', width: 60 }
+  ];
+
+  // Style header row
+  const headerRow = sheet.getRow(1);
+  headerRow.font = { bold: true, color: { argb: theme.headerFontColor } };
+  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: sheetDefinition.headerColor } };
+  headerRow.alignment = { vertical: 'middle', horizontal: 'center' };
+  headerRow.height = 20;
+
+  const serviceNames = changes.serviceNames || {};
+  const addedColor = { color: { argb: theme.positiveColor } };
+  const removedColor = { color: { argb: theme.negativeColor } };
+
+  changes.addedRegions.forEach(region => {
+    sheet.addRow({ change: 'Region Added', regionCode: region.code, regionName: region.name })
+      .getCell('change').font = addedColor;
+  });
+  changes.removedRegions.forEach(region => {
+    sheet.addRow({ change: 'Region Removed', regionCode: region.code, regionName: region.name })
+      .getCell('change').font = removedColor;
+  });
+  changes.addedServices.forEach(service => {
+    sheet.addRow({ change: 'Service Added', serviceCode: service.code, serviceName: service.name })
+      .getCell('change').font = addedColor;
+  });
+  changes.removedServices.forEach(service => {
+    sheet.addRow({ change: 'Service Removed', serviceCode: service.code, serviceName: service.name })
+      .getCell('change').font = removedColor;
+  });
+  changes.regionChanges.forEach(regionChange => {
+    regionChange.addedServices.forEach(serviceCode => {
+      sheet.addRow({
+        change: 'Service Launched in Region',
+        regionCode: regionChange.regionCode,
+        regionName: regionChange.regionName,
+        serviceCode,
+        serviceName: serviceNames[serviceCode] || serviceCode
+      }).getCell('change').font = addedColor;
+    });
+    regionChange.removedServices.forEach(serviceCode => {
+      sheet.addRow({
+        change: 'Service Removed from Region',
+        regionCode: regionChange.regionCode,
+        regionName: regionChange.regionName,
+        serviceCode,
+        serviceName: serviceNames[serviceCode] || serviceCode
+      }).getCell('change').font = removedColor;
+    });
+  });
+
+  if (!changes.hasChanges) {
+    const row = sheet.addRow({ change: 'No changes since previous report' });
+    row.getCell('change').font = { color: { argb: theme.mutedColor }, italic: true };
+  }
+
+  // Freeze header row
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  // Enable auto-filter
+  sheet.autoFilter = {
+    from: 'A1',
+    to: 'E1'
   };
 }
 
+/**
+ * Create Watchlist sheet with the status of every watched service×region pair; gaps are highlighted
+ * and pairs that changed since the previous report are marked. Skipped without a watchlist.
+ */
+async function createWatchlistSheet(workbook, sheetDefinition, { watchlist, theme }) {
+  if (!watchlist) {
+    return;
+  }
+  const sheet = workbook.addWorksheet(sheetDefinition.name);
+
+  // Define columns
+  sheet.columns = [
+    { header: 'Service Code', key: 'serviceCode', width: 30 },
+    { header: 'Service Name', key: 'serviceName', width: 60 },
+    { header: 'Region Code', key: 'regionCode', width: 20 },
+    { header: 'Region Name', key: 'regionName', width: 35 },
+    { header: 'Status', key: 'status', width: 15 },
+    { header: 'Change', key: 'change', width: 22 },
+    { header: 'Note', key: 'note', width: 40 }
+  ];
+
+  // Style header row
+  const headerRow = sheet.getRow(1);
+  headerRow.font = { bold: true, color: { argb: theme.headerFontColor } };
+  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: sheetDefinition.headerColor } };
+  headerRow.alignment = { vertical: 'middle', horizontal: 'center' };
+  headerRow.height = 20;
+
+  const gapFill = { type: 'pattern', pattern: 'solid', fgColor: { argb: theme.gapColor } };
+  watchlist.pairs.forEach(pair => {
+    const row = sheet.addRow({
+      serviceCode: pair.serviceCode,
+      serviceName: pair.serviceName,
+      regionCode: pair.regionCode,
+      regionName: pair.regionName,
+      status: pair.available ? 'Available' : 'Not Available',
+      change: { available: 'Now available', unavailable: 'No longer available' }[pair.change] || '',
+      note: pair.note
+    });
+    row.getCell('status').font = { bold: !pair.available, color: { argb: pair.available ? theme.positiveColor : theme.negativeColor } };
+    if (pair.change) {
+      row.getCell('change').font = { bold: true, color: { argb: pair.change === 'available' ? theme.positiveColor : theme.negativeColor } };
+    }
+    if (!pair.available) {
+      row.eachCell({ includeEmpty: true }, cell => {
+        cell.fill = gapFill;
+      });
+    }
+    if (pair.note) {
+      row.getCell('note').font = { color: { argb: theme.mutedColor }, italic: true };
+    }
+  });
+
+  if (!watchlist.summary.compared) {
+    const row = sheet.addRow({ serviceCode: 'No previous report: changes are tracked from the next run' });
+    row.getCell('serviceCode').font = { color: { argb: theme.mutedColor }, italic: true };
+  }
+
+  // Freeze header row
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  // Enable auto-filter
+  sheet.autoFilter = {
+    from: 'A1',
+    to: 'G1'
+  };
+}
+
+/**
+ * Create Availability Timeline sheet with the first and last date each service was seen in each region
+ */
+async function createAvailabilityTimelineSheet(workbook, sheetDefinition, { timeline, theme }) {
+  const sheet = workbook.addWorksheet(sheetDefinition.name);
+
+  if (!timeline) {
+    addPlaceholder(sheet, 'A1:G5', 'No archive history available for the availability timeline');
+    return;
+  }
+
+  // Define columns
+  sheet.columns = [
+    { header: 'Service Code', key: 'serviceCode', width: 30 },
+    { header: 'Service Name', key: 'serviceName', width: 60 },
+    { header: 'Region Code', key: 'regionCode', width: 20 },
+    { header: 'Region Name', key: 'regionName', width: 35 },
+    { header: 'First Seen', key: 'firstSeen', width: 22 },
+    { header: 'Last Seen', key: 'lastSeen', width: 15 },
+    { header: 'Status', key: 'status', width: 15 }
+  ];
+
+  // Style header row
+  const headerRow = sheet.getRow(1);
+  headerRow.font = { bold: true, color: { argb: theme.headerFontColor } };
+  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: sheetDefinition.headerColor } };
+  headerRow.alignment = { vertical: 'middle', horizontal: 'center' };
+  headerRow.height = 20;
+
+  timeline.pairs.forEach(pair => {
+    const row = sheet.addRow({
+      serviceCode: pair.serviceCode,
+      serviceName: pair.serviceName,
+      regionCode: pair.regionCode,
+      regionName: pair.regionName,
+      // Pairs in the oldest snapshot may be older than the history itself
+      firstSeen: pair.sinceHistoryStart ? `${pair.firstSeen} or earlier` : pair.firstSeen,
+      lastSeen: pair.lastSeen || '',
+      status: pair.available ? 'Available' : 'Withdrawn'
+    });
+    row.getCell('status').font = { color: { argb: pair.available ? theme.positiveColor : theme.negativeColor } };
+  });
+
+  // Freeze header row
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  // Enable auto-filter
+  sheet.autoFilter = {
+    from: 'A1',
+    to: 'G1'
+  };
+}
+
+/**
+ * Create Service Growth sheet with each service's region count on every archived date
+ */
+async function createServiceGrowthSheet(workbook, sheetDefinition, { timeline, theme }) {
+  const sheet = workbook.addWorksheet(sheetDefinition.name);
+
+  if (!timeline) {
+    addPlaceholder(sheet, 'A1:E5', 'No archive history available for service growth');
+    return;
+  }
+
+  // Create headers: Service + growth totals + one column per archived date
+  const headers = ['Service', 'First Seen Regions', 'Current Regions', 'Growth', ...timeline.dates];
+
+  const headerRow = sheet.addRow(headers);
+  headerRow.font = { bold: true, color: { argb: theme.headerFontColor } };
+  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: sheetDefinition.headerColor } };
+  headerRow.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+  headerRow.height = 30;
+
+  sheet.getColumn(1).width = 40;
+  for (let i = 2; i <= headers.length; i++) {
+    sheet.getColumn(i).width = 12;
+  }
+
+  timeline.services.forEach(service => {
+    const row = sheet.addRow([
+      service.serviceName,
+      service.firstRegionCount,
+      service.currentRegionCount,
+      service.regionGrowth,
+      ...service.regionCounts
+    ]);
+    for (let i = 2; i <= headers.length; i++) {
+      row.getCell(i).alignment = { horizontal: 'center', vertical: 'middle' };
+    }
+    if (service.regionGrowth !== 0) {
+      row.getCell(4).font = { color: { argb: service.regionGrowth > 0 ? theme.positiveColor : theme.negativeColor }, bold: true };
+    }
+  });
+
+  // Freeze first column and header row
+  sheet.views = [{ state: 'frozen', xSplit: 1, ySplit: 1 }];
+}
+
+/**
+ * Create the hidden Chart Data sheet and define the charts that plot it.
+ * Each cell is a formula over the visible sheets (with the current value cached), so the charts
+ * follow the report data when the workbook is recalculated. A chart is left out when the report
+ * definition does not include its source sheet and columns, or the sheet it is placed on.
+ * @returns {Promise<Array<Object>>} Chart definitions for addWorkbookCharts
+ */
+async function createChartDataSheet(workbook, definition, { sourceData, categories, coverageBand }) {
+  const sheet = workbook.addWorksheet('Chart Data', { state: 'hidden' });
+  const included = type => definition.sheets.find(entry => entry.sheet === type) || null;
+  const sheetRef = entry => `'${entry.name.replace(/'/g, '\'\'')}'`;
+  const [summary, regions, regionAnalytics, services] = ['summary', 'regions', 'regionAnalytics', 'services'].map(included);
+  const regionsSheet = regions && workbook.getWorksheet(regions.name);
+  const servicesSheet = services && workbook.getWorksheet(services.name);
+  const regionCodeColumn = findColumn(regionsSheet, 'regionCode');
+  const serviceCountColumn = findColumn(regionsSheet, 'serviceCount');
+  const availableRegionsColumn = findColumn(servicesSheet, 'availableRegions');
+  const regionCount = (sourceData.regions || []).length;
+  const charts = [];
+
+  sheet.getRow(1).values = ['Region', 'Services', null, 'Coverage Band', 'Services', null, 'Launch Year', 'Cumulative Regions', null, 'Total Regions'];
+  sheet.getRow(1).font = { bold: true };
+  sheet.getCell('J2').value = regionCodeColumn
+    ? { formula: `COUNTA(${sheetRef(regions)}!$${regionCodeColumn.letter}$2:$${regionCodeColumn.letter}$${regionCount + 1})`, result: regionCount }
+    : regionCount;
+
+  // Services per region, in Regions sheet order (cached values are read from that sheet)
+  if (summary && regionCodeColumn && serviceCountColumn && regionCount > 0) {
+    const regionCodes = [];
+    const serviceCounts = [];
+    for (let row = 2; row <= regionCount + 1; row++) {
+      regionCodes.push(regionsSheet.getCell(row, regionCodeColumn.number).value);
+      serviceCounts.push(regionsSheet.getCell(row, serviceCountColumn.number).value);
+      sheet.getCell(`A${row}`).value = { formula: `${sheetRef(regions)}!${regionCodeColumn.letter}${row}`, result: regionCodes[row - 2] };
+      sheet.getCell(`B${row}`).value = { formula: `${sheetRef(regions)}!${serviceCountColumn.letter}${row}`, result: serviceCounts[row - 2] };
+    }
+
+    charts.push({
+      sheet: summary.name,
+      type: 'column',
+      title: 'Services per Region',
+      from: { col: 3, row: 1 },
+      to: { col: 15, row: 21 },
+      categories: { ref: `'Chart Data'!$A$2:$A$${regionCount + 1}`, values: regionCodes },
+      series: [{
+        name: 'Services',
+        nameRef: '\'Chart Data\'!$B$1',
+        ref: `'Chart Data'!$B$2:$B$${regionCount + 1}`,
+        values: serviceCounts,
+        color: summary.headerColor.slice(2)
+      }]
+    });
+  }
+
+  // Coverage distribution: services per coverage band, lowest band first (from the Services sheet available region counts)
+  const serviceRows = buildServiceRows(sourceData, categories);
+  if (availableRegionsColumn && serviceRows.length > 0 && regionCount > 0) {
+    const bands = [definition.noCoverageBand, ...[...definition.coverageBands].reverse()];
+    const bandCounts = bands.map(band => serviceRows.filter(service => coverageBand(service.coveragePercent) === band).length);
+    const availableRegions = `${sheetRef(services)}!$${availableRegionsColumn.letter}$2:$${availableRegionsColumn.letter}$${serviceRows.length + 1}`;
+    bands.forEach((band, index) => {
+      const row = index + 2;
+      const upper = index < bands.length - 1 ? bands[index + 1].min : null;
+      const conditions = index === 0
+        ? [`${availableRegions}=0`]
+        : [
+          band.min > 0 ? `${availableRegions}*100>=${band.min}*$J$2` : `${availableRegions}>0`,
+          ...(upper !== null ? [`${availableRegions}*100<${upper}*$J$2`] : [])
+        ];
+      sheet.getCell(`D${row}`).value = band.label;
+      sheet.getCell(`E${row}`).value = {
+        formula: `SUMPRODUCT(${conditions.map(condition => `(${condition})`).join('*')})`,
+        result: bandCounts[index]
+      };
+    });
+
+    // Placed to the right of the Services sheet columns
+    const firstColumn = servicesSheet.columnCount + 1;
+    charts.push({
+      sheet: services.name,
+      type: 'column',
+      title: 'Service Coverage Distribution',
+      from: { col: firstColumn, row: 1 },
+      to: { col: firstColumn + 8, row: 19 },
+      gapWidth: 10,
+      categories: { ref: `'Chart Data'!$D$2:$D$${bands.length + 1}`, values: bands.map(band => band.label) },
+      series: [{
+        name: 'Services',
+        nameRef: '\'Chart Data\'!$E$1',
+        ref: `'Chart Data'!$E$2:$E$${bands.length + 1}`,
+        values: bandCounts,
+        color: services.headerColor.slice(2)
+      }]
+    });
+  }
+
+  // Region launch timeline (Region Analytics sheet: cohorts start at row 3, A = year, C = cumulative regions)
+  const cohorts = buildRegionAnalytics(sourceData).cohorts;
+  if (summary && regionAnalytics && cohorts.length > 0) {
+    cohorts.forEach((cohort, index) => {
+      const row = index + 2;
+      sheet.getCell(`G${row}`).value = { formula: `${sheetRef(regionAnalytics)}!A${index + 3}`, result: cohort.year };
+      sheet.getCell(`H${row}`).value = { formula: `${sheetRef(regionAnalytics)}!C${index + 3}`, result: cohort.cumulativeRegions };
+    });
+
+    charts.push({
+      sheet: summary.name,
+      type: 'line',
+      title: 'Region Launch Timeline',
+      from: { col: 3, row: 22 },
+      to: { col: 15, row: 42 },
+      categories: { ref: `'Chart Data'!$G$2:$G$${cohorts.length + 1}`, values: cohorts.map(cohort => cohort.year) },
+      series: [{
+        name: 'Cumulative Regions',
+        nameRef: '\'Chart Data\'!$H$1',
+        ref: `'Chart Data'!$H$2:$H$${cohorts.length + 1}`,
+        values: cohorts.map(cohort => cohort.cumulativeRegions),
+        color: regionAnalytics.headerColor.slice(2)
+      }]
+    });
+  }
+
+  return charts;
+}
+
+/**
+ * Find a keyed column of a worksheet (null when the sheet or column is not in the workbook)
+ */
+function findColumn(sheet, key) {
+  return (sheet && (sheet.columns || []).find(column => column.key === key)) || null;
+}
+
+/**
+ * Sort report rows by the report definition's sort keys (stable; without keys the rows keep their order).
+ * Text compares case-insensitively and missing values sort last.
+ */
+function sortRows(rows, sort) {
+  if (sort.length === 0) {
+    return rows;
+  }
+
+  return [...rows].sort((a, b) => {
+    for (const { field, order } of sort) {
+      const aMissing = a[field] === null || a[field] === undefined;
+      const bMissing = b[field] === null || b[field] === undefined;
+      if (aMissing || bMissing) {
+        if (aMissing !== bMissing) {
+          return aMissing ? 1 : -1;
+        }
+        continue;
+      }
+
+      const result = typeof a[field] === 'number' && typeof b[field] === 'number'
+        ? a[field] - b[field]
+        : String(a[field]).toLowerCase().localeCompare(String(b[field]).toLowerCase());
+      if (result !== 0) {
+        return order === 'desc' ? -result : result;
+      }
+    }
+    return 0;
+  });
+}
+
+/**
+ * Fill an empty sheet with a merged notice
+ */
+function addPlaceholder(sheet, range, text) {
+  sheet.mergeCells(range);
+  const cell = sheet.getCell(range.split(':')[0]);
+  cell.value = text;
+  cell.font = { size: 14, italic: true };
+  cell.alignment = { horizontal: 'center', vertical: 'middle' };
+  cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF2CC' } };
+}
+
+/**
+ * Parse a previously generated report back into normalized report data
+ * @param {Buffer} buffer - Excel file buffer produced by generateExcelReport
+ * @param {Object} definition - Report definition the workbook may have been generated with (default: the built-in definition);
+ *   columns are found by its headers or by their default headers
+ * @returns {Promise<Object>} Normalized data ({metadata, regions, services, servicesByRegion})
+ * @throws {Error} When the Regions or Services sheet, or one of their code and service name columns, is missing
+ */
+async function parseExcelReport(buffer, definition = getDefaultReportDefinition()) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const regionsSheet = workbook.getWorksheet('Regions');
+  const servicesSheet = workbook.getWorksheet('Services');
+  const coverageSheet = workbook.getWorksheet('Service Coverage');
+
+  if (!regionsSheet || !servicesSheet) {
+    throw new Error('Report is missing the Regions or Services sheet');
+  }
+
+  // Columns are found by header, since report definitions can reorder, rename and leave out columns;
+  // regions without a Region Name column are named by their code
+  const [regionCodeColumn, regionNameColumn] = findHeaderColumns(regionsSheet, 'regions', ['regionCode', 'regionName'], ['regionCode'], definition);
+  const regions = [];
+  regionsSheet.eachRow((row, rowNumber) => {
+    if (rowNumber > 1 && row.getCell(regionCodeColumn).value) {
+      const code = cellText(row.getCell(regionCodeColumn));
+      regions.push({ code, name: regionNameColumn ? cellText(row.getCell(regionNameColumn)) : code });
+    }
+  });
+
+  const [serviceCodeColumn, serviceNameColumn] = findHeaderColumns(servicesSheet, 'services', ['serviceCode', 'serviceName'], ['serviceCode', 'serviceName'], definition);
+  const services = [];
+  const serviceCodesByName = new Map();
+  servicesSheet.eachRow((row, rowNumber) => {
+    if (rowNumber > 1 && row.getCell(serviceCodeColumn).value) {
+      const service = { code: cellText(row.getCell(serviceCodeColumn)), name: cellText(row.getCell(serviceNameColumn)) };
+      services.push(service);
+      serviceCodesByName.set(service.name, service.code);
+    }
+  });
+
+  // The coverage matrix is keyed by service name, so map names back to codes.
+  // Region codes are in row 2 below the region group row (row 1 in reports without groups),
+  // after the Category column in reports with service categories.
+  const servicesByRegion = {};
+  const headerRowNumber = coverageSheet
+    ? [1, 2].find(rowNumber => coverageSheet.getCell(`A${rowNumber}`).value === 'Service')
+    : undefined;
+  if (headerRowNumber) {
+    const regionColumns = [];
+    coverageSheet.getRow(headerRowNumber).eachCell((cell, colNumber) => {
+      if (colNumber > 1 && cell.value !== 'Category') {
+        regionColumns.push({ colNumber, regionCode: cellText(cell) });
+        servicesByRegion[cellText(cell)] = [];
+      }
+    });
+
+    coverageSheet.eachRow((row, rowNumber) => {
+      if (rowNumber <= headerRowNumber) {
+        return;
+      }
+      const serviceName = cellText(row.getCell(1));
+      const serviceCode = serviceCodesByName.get(serviceName) || serviceName;
+      regionColumns.forEach(({ colNumber, regionCode }) => {
+        if (row.getCell(colNumber).value === '✓') {
+          servicesByRegion[regionCode].push(serviceCode);
+        }
+      });
+    });
+  }
+
+  // Recover the report timestamp from the Summary sheet when present
+  const metadata = {};
+  const summarySheet = workbook.getWorksheet('Summary');
+  if (summarySheet) {
+    summarySheet.eachRow((row) => {
+      if (row.getCell(1).value === 'Report Generated') {
+        metadata.reportGenerated = cellText(row.getCell(2));
+      } else if (row.getCell(1).value === 'Data Timestamp') {
+        metadata.timestamp = cellText(row.getCell(2));
+      }
+    });
+  }
+
+  return { metadata, regions, services, servicesByRegion };
+}
+
+/**
+ * Find the column numbers of columns by their header in the first row: the header the definition gives
+ * the column, or its default header (null for optional columns that are not found)
+ * @throws {Error} When a required column is not found
+ */
+function findHeaderColumns(sheet, sheetType, keys, requiredKeys, definition) {
+  const columns = new Map();
+  sheet.getRow(1).eachCell((cell, colNumber) => columns.set(cellText(cell), colNumber));
+  const headers = key => [...new Set([getColumnHeader(definition, sheetType, key), getColumnHeader(getDefaultReportDefinition(), sheetType, key)])]
+    .filter(Boolean);
+
+  const missing = keys.filter(key => requiredKeys.includes(key) && !headers(key).some(header => columns.has(header)));
+  if (missing.length > 0) {
+    throw new Error(`Report ${sheet.name} sheet has no ${missing.map(key => headers(key).map(header => `"${header}"`).join(' or ')).join(', ')} column`);
+  }
+  return keys.map(key => headers(key).map(header => columns.get(header)).find(Boolean) || null);
+}
+
+/**
+ * Get the header a report definition gives a column (null when the definition leaves the column out)
+ */
+function getColumnHeader(definition, sheetType, key) {
+  const sheetDefinition = definition.sheets.find(entry => entry.sheet === sheetType);
+  const column = sheetDefinition && sheetDefinition.columns.find(entry => entry.key === key);
+  return column ? column.header : null;
+}
+
+/**
+ * Read a cell value as plain text (hyperlink cells store an object)
+ */
+function cellText(cell) {
+  const value = cell.value;
+  if (value && typeof value === 'object' && value.text) {
+    return String(value.text);
+  }
+  return value === null || value === undefined ? '' : String(value);
+}
+
 module.exports = {
-  generateExcelReport
+  generateExcelReport,
+  parseExcelReport
 };
@@ -0,0 +1,247 @@
+/**
+ * HTML Generation Module
+ *
+ * Generates a self-contained HTML dashboard (inline CSS and JavaScript, no external assets)
+ * with Summary statistics, Regions and Services tables, and a filterable service x region matrix.
+ */
+
+const { formatDateEST } = require('./utils');
+const {
+  getCoverageBand,
+  buildRegionRows,
+  buildServiceRows,
+  buildCoverageMatrix,
+  buildReportSummary
+} = require('./reportData');
+
+const STYLES = `
+  body { font-family: -apple-system, 'Segoe UI', Roboto, Arial, sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+  header { background: #232f3e; color: #fff; padding: 16px 24px; }
+  header h1 { margin: 0; font-size: 22px; }
+  header p { margin: 4px 0 0; color: #c9d1d9; font-size: 13px; }
+  nav { background: #fff; border-bottom: 1px solid #d0d7de; padding: 8px 24px; position: sticky; top: 0; z-index: 3; }
+  nav a { margin-right: 16px; color: #0563c1; text-decoration: none; font-weight: 600; }
+  main { padding: 16px 24px; }
+  section { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 16px; margin-bottom: 24px; }
+  h2 { margin-top: 0; font-size: 18px; }
+  .cards { display: flex; flex-wrap: wrap; gap: 12px; }
+  .card { border: 1px solid #d0d7de; border-radius: 6px; padding: 12px 16px; min-width: 160px; }
+  .card .value { font-size: 24px; font-weight: 700; }
+  .card .label { font-size: 12px; color: #57606a; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { border: 1px solid #d0d7de; padding: 4px 8px; }
+  th { color: #fff; position: sticky; top: 0; }
+  td.num, td.mark { text-align: center; }
+  .regions th { background: #70ad47; }
+  .services th { background: #ffc000; }
+  .matrix th { background: #5b9bd5; writing-mode: vertical-rl; transform: rotate(180deg); white-space: nowrap; }
+  .matrix th.service { writing-mode: horizontal-tb; transform: none; left: 0; z-index: 2; }
+  .matrix td.service { position: sticky; left: 0; background: #fff; white-space: nowrap; }
+  .matrix-wrap { overflow: auto; max-height: 80vh; }
+  .yes { color: #00b050; font-weight: 700; }
+  .no { color: #c00000; font-weight: 700; }
+  .na { color: #7f7f7f; font-style: italic; }
+  .filters { margin-bottom: 8px; display: flex; gap: 8px; flex-wrap: wrap; }
+  .filters input { padding: 6px 8px; border: 1px solid #d0d7de; border-radius: 6px; min-width: 240px; }
+  footer { color: #57606a; font-size: 12px; padding: 0 24px 24px; }
+`;
+
+// Filters matrix rows by service and columns by region, and the services table by service
+const SCRIPT = `
+  function filterMatrix() {
+    var serviceQuery = document.getElementById('service-filter').value.toLowerCase();
+    var regionQuery = document.getElementById('region-filter').value.toLowerCase();
+    var table = document.getElementById('matrix');
+    var headers = table.tHead.rows[0].cells;
+    var visibleColumns = [];
+    for (var c = 1; c < headers.length; c++) {
+      visibleColumns[c] = headers[c].textContent.toLowerCase().indexOf(regionQuery) !== -1;
+      headers[c].style.display = visibleColumns[c] ? '' : 'none';
+    }
+    var rows = table.tBodies[0].rows;
+    for (var r = 0; r < rows.length; r++) {
+      var row = rows[r];
+      row.style.display = row.getAttribute('data-search').indexOf(serviceQuery) !== -1 ? '' : 'none';
+      for (var i = 1; i < row.cells.length; i++) {
+        row.cells[i].style.display = visibleColumns[i] ? '' : 'none';
+      }
+    }
+  }
+  function filterTable(inputId, tableId) {
+    var query = document.getElementById(inputId).value.toLowerCase();
+    var rows = document.getElementById(tableId).tBodies[0].rows;
+    for (var r = 0; r < rows.length; r++) {
+      rows[r].style.display = rows[r].textContent.toLowerCase().indexOf(query) !== -1 ? '' : 'none';
+    }
+  }
+`;
+
+/**
+ * Generate HTML dashboard from AWS infrastructure data
+ * @param {Object} sourceData - Normalized report data
+ * @param {Object} categories - Service categories (see serviceCategories.js)
+ * @param {Object} definition - Resolved report definition; its coverage bands color the Services table
+ * @returns {string} Self-contained HTML document
+ */
+function generateHtmlReport(sourceData, categories, definition) {
+  const summary = buildReportSummary(sourceData);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>AWS Service Report</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>AWS Service Report</h1>
+  <p>Generated ${escapeHtml(formatDateEST(new Date()))} · Data as of ${escapeHtml(summary.dataTimestamp ? formatDateEST(summary.dataTimestamp) : 'Unknown')}</p>
+</header>
+<nav>
+  <a href="#summary">Summary</a>
+  <a href="#regions">Regions</a>
+  <a href="#services">Services</a>
+  <a href="#coverage">Service Coverage</a>
+</nav>
+<main>
+${renderSummarySection(summary)}
+${renderRegionsSection(sourceData)}
+${renderServicesSection(sourceData, categories, definition)}
+${renderCoverageSection(sourceData, categories)}
+</main>
+<footer>Generated by aws-service-report-generator</footer>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render Summary statistic cards
+ */
+function renderSummarySection(summary) {
+  const cards = [
+    ['AWS Regions', summary.regionCount],
+    ['AWS Services', summary.serviceCount],
+    ['Service-by-Region Mappings', summary.serviceMappingCount.toLocaleString()],
+    ['Schema Version', summary.schemaVersion]
+  ];
+
+  return `<section id="summary">
+  <h2>Summary</h2>
+  <div class="cards">
+${cards.map(([label, value]) => `    <div class="card"><div class="value">${escapeHtml(value)}</div><div class="label">${escapeHtml(label)}</div></div>`).join('\n')}
+  </div>
+</section>`;
+}
+
+/**
+ * Render Regions table
+ */
+function renderRegionsSection(sourceData) {
+  const rows = buildRegionRows(sourceData).map(region => {
+    const launchDate = region.launchDate
+      ? escapeHtml(region.launchDate)
+      : '<span class="na">N/A</span>';
+    // Only link http(s) URLs so source data cannot inject script URLs
+    const blogUrl = region.blogUrl && /^https?:\/\//i.test(region.blogUrl)
+      ? `<a href="${escapeHtml(region.blogUrl)}">${escapeHtml(region.blogUrl)}</a>`
+      : '<span class="na">N/A</span>';
+    return `<tr><td>${escapeHtml(region.regionCode)}</td><td>${escapeHtml(region.regionName)}</td>` +
+      `<td class="num">${region.azCount}</td><td class="num">${region.serviceCount}</td>` +
+      `<td>${launchDate}</td><td>${blogUrl}</td></tr>`;
+  });
+
+  return `<section id="regions">
+  <h2>Regions</h2>
+  <table class="regions">
+    <thead><tr><th>Region Code</th><th>Region Name</th><th>Availability Zones</th><th>Service Count</th><th>Launch Date</th><th>Blog URL</th></tr></thead>
+    <tbody>
+${rows.join('\n')}
+    </tbody>
+  </table>
+</section>`;
+}
+
+/**
+ * Render Services table with coverage color bands
+ */
+function renderServicesSection(sourceData, categories, definition) {
+  const rows = buildServiceRows(sourceData, categories).map(service => {
+    const band = getCoverageBand(service.coveragePercent, definition.coverageBands, definition.noCoverageBand);
+    const style = [
+      `color: #${band.color.slice(2)}`,
+      band.bold ? 'font-weight: 700' : '',
+      band.italic ? 'font-style: italic' : ''
+    ].filter(Boolean).join('; ');
+    return `<tr><td>${escapeHtml(service.serviceCode)}</td><td>${escapeHtml(service.serviceName)}</td>` +
+      `<td class="num">${service.availableRegions}</td>` +
+      `<td class="num" style="${style}">${service.coveragePercent.toFixed(1)}%</td></tr>`;
+  });
+
+  return `<section id="services">
+  <h2>Services</h2>
+  <div class="filters"><input id="services-filter" type="search" placeholder="Filter services..." oninput="filterTable('services-filter', 'services-table')"></div>
+  <table class="services" id="services-table">
+    <thead><tr><th>Service Code</th><th>Service Name</th><th>Available Regions</th><th>Coverage %</th></tr></thead>
+    <tbody>
+${rows.join('\n')}
+    </tbody>
+  </table>
+</section>`;
+}
+
+/**
+ * Render filterable service x region matrix
+ */
+function renderCoverageSection(sourceData, categories) {
+  if (!sourceData.servicesByRegion || Object.keys(sourceData.servicesByRegion).length === 0) {
+    return `<section id="coverage">
+  <h2>Service Coverage</h2>
+  <p class="na">Service-by-region mapping not available in source data</p>
+</section>`;
+  }
+
+  const { regionCodes, rows } = buildCoverageMatrix(sourceData, categories);
+  const bodyRows = rows.map(service => {
+    const search = `${service.serviceName} ${service.serviceCode}`.toLowerCase();
+    const cells = service.availability
+      .map(isAvailable => isAvailable ? '<td class="mark yes">✓</td>' : '<td class="mark no">✗</td>')
+      .join('');
+    return `<tr data-search="${escapeHtml(search)}"><td class="service">${escapeHtml(service.serviceName)}</td>${cells}</tr>`;
+  });
+
+  return `<section id="coverage">
+  <h2>Service Coverage</h2>
+  <div class="filters">
+    <input id="service-filter" type="search" placeholder="Filter services..." oninput="filterMatrix()">
+    <input id="region-filter" type="search" placeholder="Filter regions (e.g. eu-)..." oninput="filterMatrix()">
+  </div>
+  <div class="matrix-wrap">
+  <table class="matrix" id="matrix">
+    <thead><tr><th class="service">Service</th>${regionCodes.map(code => `<th>${escapeHtml(code)}</th>`).join('')}</tr></thead>
+    <tbody>
+${bodyRows.join('\n')}
+    </tbody>
+  </table>
+  </div>
+</section>`;
+}
+
+/**
+ * Escape text for safe inclusion in HTML content and attributes
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+  generateHtmlReport
+};
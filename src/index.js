@@ -6,177 +6,490 @@
  */
 
 const { readSourceData, readServicesData } = require('./s3Operations');
-const { generateExcelReport } = require('./excelGenerator');
-const { uploadReports, manageArchiveRetention, distributeReports } = require('./archiveManager');
-const { sendSuccessNotification, sendFailureNotification, sendWarningNotification } = require('./snsNotifications');
-const { formatDuration, formatFileSize } = require('./utils');
+const { getStorage } = require('./storage');
+const { parseFormats, renderReports } = require('./reportRenderers');
+const { uploadReports, quarantineReports, manageArchiveRetention, distributeReports, findLatestArchive } = require('./archiveManager');
+const { detectChanges, summarizeChanges } = require('./changeDetector');
+const { serializeSnapshot } = require('./snapshot');
+const { validateSourceData } = require('./dataValidator');
+const { loadQualityThresholds, evaluateDataQuality } = require('./dataQuality');
+const { loadTemplateOverrides } = require('./notificationTemplates');
+const { loadReportDefinition } = require('./reportDefinition');
+const { loadServiceCategories } = require('./serviceCategories');
+const { DEFAULT_PROFILE_NAME, loadReportProfiles, buildProfileData } = require('./reportProfiles');
+const { loadWatchlist, evaluateWatchlist } = require('./watchlist');
+const { loadWorkloadProfiles, evaluateReadiness } = require('./workloadReadiness');
+const { resolveInvocation, describeInvocation, redactEvent } = require('./eventRouter');
+const { RECIPIENT_WEBHOOK_SETTINGS } = require('./notificationChannels');
+const { runArchiveQuery, readArchiveData } = require('./archiveQuery');
+const { computeContentHash, readPublishedContentHash } = require('./contentHash');
+const { parseRetentionPolicy, describeRetentionPolicy } = require('./retentionPolicy');
+const { countServiceMappings } = require('./reportData');
+const { buildAvailabilityTimeline, loadArchiveHistory } = require('./availabilityTimeline');
+const {
+  sendSuccessNotification,
+  sendFailureNotification,
+  sendWarningNotification,
+  sendQuarantineNotification,
+  sendUnchangedNotification,
+  sendWatchlistNotification
+} = require('./snsNotifications');
+const { formatDuration, formatFileSize, generateTimestamp } = require('./utils');
 
 /**
  * Main Lambda handler
- * @param {Object} event - Lambda event (S3 event or manual invocation)
+ * @param {Object} event - Lambda event (S3 event, EventBridge scheduled event or manual payload)
  * @param {Object} context - Lambda context
  * @returns {Object} Response object
  */
-exports.handler = async (event, context) => {
+exports.handler = async (event, context) => runHandler(event, context, process.env);
+exports.runHandler = runHandler;
+
+/**
+ * Run one invocation with the configuration read from the given environment
+ * @param {Object} event - Lambda event (S3 event, EventBridge scheduled event or manual payload)
+ * @param {Object} context - Lambda context
+ * @param {Object} env - Environment variables holding the configuration (process.env in the Lambda)
+ * @param {Object} options - Run options that invocation payloads cannot set (used by the local CLI)
+ * @param {boolean} options.skipArchive - Write only the latest reports: no archive copies or snapshot, and no archive retention
+ * @returns {Object} Response object
+ */
+async function runHandler(event, context, env, options = {}) {
   const startTime = Date.now();
 
   console.log('📊 AWS Service Report Generator starting...');
-  console.log('Event:', JSON.stringify(event, null, 2));
+  console.log('Event:', JSON.stringify(redactEvent(event), null, 2));
 
   // Environment variables
   const config = {
-    sourceBucket: process.env.SOURCE_BUCKET,
-    sourceKey: process.env.SOURCE_KEY,
-    reportBucket: process.env.REPORT_BUCKET,
-    reportPrefix: process.env.REPORT_PREFIX,
-    archivePrefix: process.env.ARCHIVE_PREFIX,
-    latestReportName: process.env.LATEST_REPORT_NAME,
-    archiveRetentionDays: parseInt(process.env.ARCHIVE_RETENTION_DAYS || '7'),
-    snsTopicArn: process.env.SNS_TOPIC_ARN,
-    distributionBucket: process.env.DISTRIBUTION_BUCKET,
-    distributionKey: process.env.DISTRIBUTION_KEY,
-    region: process.env.AWS_REGION || 'us-east-1',
-    functionArn: context.invokedFunctionArn
+    sourceBucket: env.SOURCE_BUCKET,
+    sourceKey: env.SOURCE_KEY,
+    servicesKey: env.SERVICES_KEY || 'aws-data/services.json',
+    reportBucket: env.REPORT_BUCKET,
+    reportPrefix: env.REPORT_PREFIX,
+    archivePrefix: env.ARCHIVE_PREFIX,
+    latestReportName: env.LATEST_REPORT_NAME,
+    archiveRetentionDays: parseInt(env.ARCHIVE_RETENTION_DAYS || '7'),
+    archiveRetentionPolicy: env.ARCHIVE_RETENTION_POLICY,
+    snsTopicArn: env.SNS_TOPIC_ARN,
+    notificationChannels: env.NOTIFICATION_CHANNELS || 'sns',
+    notificationTemplatePrefix: env.NOTIFICATION_TEMPLATE_PREFIX,
+    reportDefinitionKey: env.REPORT_DEFINITION_KEY,
+    serviceCategoriesKey: env.SERVICE_CATEGORIES_KEY,
+    reportProfilesKey: env.REPORT_PROFILES_KEY,
+    watchlistKey: env.WATCHLIST_KEY,
+    watchlistTopicArn: env.WATCHLIST_SNS_TOPIC_ARN,
+    watchlistNotificationChannels: env.WATCHLIST_NOTIFICATION_CHANNELS,
+    workloadProfilesKey: env.WORKLOAD_PROFILES_KEY,
+    distributionBucket: env.DISTRIBUTION_BUCKET,
+    distributionKey: env.DISTRIBUTION_KEY,
+    distributionHtmlKey: env.DISTRIBUTION_HTML_KEY,
+    reportFormats: env.REPORT_FORMATS,
+    quarantinePrefix: env.QUARANTINE_PREFIX || 'reports/quarantine/',
+    unchangedInputAction: (env.UNCHANGED_INPUT_ACTION || 'skip').toLowerCase(),
+    storageBackend: env.STORAGE_BACKEND || 's3',
+    region: env.AWS_REGION || 'us-east-1',
+    functionArn: context.invokedFunctionArn,
+    skipArchive: Boolean(options.skipArchive)
+  };
+
+  // Work out the invocation mode and apply its overrides
+  let invocation;
+  try {
+    invocation = await resolveInvocation(event, config);
+  } catch (error) {
+    console.error('❌ Invalid invocation:', error.message);
+    return {
+      statusCode: 400,
+      body: JSON.stringify({
+        message: 'Invalid invocation payload',
+        error: error.message
+      })
+    };
+  }
+
+  console.log(`🚦 Invocation mode: ${invocation.mode}${invocation.dryRun ? ' (dry run)' : ''}`);
+  (invocation.ignored || []).forEach(record => {
+    console.log(`⏭️ Ignoring ${getStorage().uri(record.bucket, record.key)}: ${record.reason}`);
+  });
+
+  if (invocation.mode === 'query') {
+    return queryRun(config, invocation);
+  }
+
+  if (invocation.skip) {
+    console.log('⏭️ Nothing to process, no report generated');
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        message: 'No report generated: event ignored',
+        invocation: describeInvocation(invocation)
+      })
+    };
+  }
+
+  // A recipients override replaces the SNS topic and webhook URLs of every notification of this run
+  const recipients = invocation.recipients || {};
+  Object.assign(config, {
+    sourceBucket: invocation.sourceBucket,
+    sourceKey: invocation.sourceKey,
+    reportFormats: invocation.formats ? invocation.formats.join(',') : config.reportFormats,
+    notificationChannels: invocation.channels || config.notificationChannels,
+    snsTopicArn: recipients.topicArn || config.snsTopicArn,
+    watchlistTopicArn: recipients.topicArn || config.watchlistTopicArn,
+    dryRun: invocation.dryRun
+  });
+  const notificationEnv = { ...env };
+  Object.entries(RECIPIENT_WEBHOOK_SETTINGS)
+    .filter(([field]) => recipients[field])
+    .forEach(([field, setting]) => {
+      notificationEnv[setting] = recipients[field];
+    });
+  const notificationOptions = { channels: config.notificationChannels, dryRun: config.dryRun, env: notificationEnv };
+  // Watchlist alerts can go to their own topic and channels; a channels override applies to both
+  const watchlistNotificationOptions = {
+    channels: invocation.channels || config.watchlistNotificationChannels || config.notificationChannels,
+    dryRun: config.dryRun,
+    env: notificationEnv
   };
 
   console.log('Configuration:', JSON.stringify(config, null, 2));
 
   let sourceData;
   let excelBuffer;
-  let reportMetadata = {};
+  const reportMetadata = {};
   let archiveManagementWarning = null;
 
   try {
+    // Step 0: Read the data quality thresholds; a misconfigured threshold fails the run before any data is read
+    config.qualityThresholds = loadQualityThresholds(env);
+
+    // Step 0a: Load per-deployment notification template overrides (non-critical)
+    try {
+      await loadTemplateOverrides(config.reportBucket, config.notificationTemplatePrefix);
+    } catch (templateError) {
+      console.warn('⚠️ Loading notification templates failed, using built-in templates:', templateError.message);
+    }
+
+    // Step 0b: Load the report definition (non-critical: falls back to the built-in layout)
+    const reportDefinition = await loadReportDefinition(config.reportBucket, config.reportDefinitionKey);
+    reportMetadata.reportDefinition = reportDefinition.name;
+
+    // Step 0b': Load custom service categories (non-critical: falls back to the built-in categories)
+    const { categories: serviceCategories, warning: serviceCategoriesWarning } = await loadServiceCategories(
+      config.reportBucket,
+      config.serviceCategoriesKey
+    );
+    reportMetadata.serviceCategories = serviceCategories.source;
+    if (serviceCategoriesWarning) {
+      reportMetadata.serviceCategoriesWarning = serviceCategoriesWarning;
+    }
+
+    // Step 0c: Load the report profiles generated next to the default report (non-critical)
+    const { profiles: reportProfiles, warning: reportProfilesWarning } = await loadReportProfiles(
+      config.reportBucket,
+      config.reportProfilesKey,
+      reportDefinition,
+      config.latestReportName
+    );
+    if (reportProfilesWarning) {
+      reportMetadata.reportProfilesWarning = reportProfilesWarning;
+    }
+
+    // Step 0d: Load the service watchlist (non-critical)
+    const { watchlist, warning: watchlistWarning } = await loadWatchlist(config.reportBucket, config.watchlistKey);
+    if (watchlistWarning) {
+      reportMetadata.watchlistWarning = watchlistWarning;
+    }
+
+    // Step 0e: Load the workload profiles regions are scored against (non-critical)
+    const { workloads, warning: workloadProfilesWarning } = await loadWorkloadProfiles(config.reportBucket, config.workloadProfilesKey);
+    if (workloadProfilesWarning) {
+      reportMetadata.workloadProfilesWarning = workloadProfilesWarning;
+    }
+
     // Step 1: Read source data from S3
-    console.log(`📁 Reading source data from s3://${config.sourceBucket}/${config.sourceKey}`);
+    const sourceUri = getStorage().uri(config.sourceBucket, config.sourceKey);
+    console.log(`📁 Reading source data from ${sourceUri}`);
     sourceData = await readSourceData(config.sourceBucket, config.sourceKey);
 
     // Step 1b: Read services with names from services.json
-    console.log(`📁 Reading service definitions from s3://${config.sourceBucket}/aws-data/services.json`);
-    const servicesWithNames = await readServicesData(config.sourceBucket, 'aws-data/services.json');
+    console.log(`📁 Reading service definitions from ${getStorage().uri(config.sourceBucket, config.servicesKey)}`);
+    const servicesWithNames = await readServicesData(config.sourceBucket, config.servicesKey);
 
-    // Step 2: Validate data structure
+    // Step 2: Validate and normalize data into the canonical model
     console.log('✅ Validating data structure...');
-    if (!sourceData.metadata || !sourceData.regions || !sourceData.services) {
-      throw new Error('Invalid data structure: missing required fields (metadata, regions, or services)');
-    }
+    const { data: normalizedData, warnings: validationWarnings } = validateSourceData(sourceData, servicesWithNames);
+    validationWarnings.forEach(warning => {
+      console.warn(`⚠️ Data warning at ${warning.path}: ${warning.message}`);
+    });
 
-    // Extract arrays from nested structure
-    const regions = sourceData.regions.regions || sourceData.regions;
-    const serviceCodes = sourceData.services.services || sourceData.services;
+    const { regions, services, servicesByRegion } = normalizedData;
+    console.log(`📈 Data loaded: ${regions.length} regions, ${services.length} services, ${Object.keys(servicesByRegion).length} regions with service mappings`);
 
-    // Create service code to name mapping
-    const serviceMap = new Map();
-    servicesWithNames.forEach(service => {
-      serviceMap.set(service.code, service.name);
+    // Step 2a: Skip regeneration when the input matches the published report's (idempotent runs);
+    // the hash covers the configuration too, so changing a layout or format regenerates the reports
+    const formats = parseFormats(config.reportFormats);
+    const contentHash = computeContentHash(normalizedData, {
+      definition: reportDefinition,
+      categories: serviceCategories,
+      profiles: reportProfiles,
+      formats,
+      watchlist,
+      workloads
     });
+    reportMetadata.contentHash = contentHash;
+    if (invocation.force) {
+      console.log(`🔁 Forced run: regenerating regardless of content hash ${contentHash}`);
+    } else if (await isPublishedContent(config, contentHash)) {
+      return await unchangedRun(config, invocation, {
+        startTime,
+        normalizedData,
+        validationWarnings,
+        contentHash,
+        notificationOptions
+      });
+    }
 
-    // Enrich service codes with names
-    const services = serviceCodes.map(code => ({
-      code,
-      name: serviceMap.get(code) || code // Fallback to code if name not found
-    }));
+    // Step 2b: Compare against the previous archived report (non-critical)
+    const { previousData, previousReportKey } = await loadPreviousReport(config, reportDefinition);
+    const changes = previousData ? detectChanges(previousData, normalizedData) : null;
+    if (changes) {
+      reportMetadata.changes = {
+        previousReportKey,
+        ...summarizeChanges(changes)
+      };
+      const summary = reportMetadata.changes;
+      console.log(`✅ Changes: ${summary.servicesAdded} services added, ${summary.servicesRemoved} removed, ` +
+        `${summary.regionsAdded} regions added, ${summary.regionsRemoved} removed, ` +
+        `${summary.serviceLaunches} service launches across ${summary.regionsExpanded} regions`);
+    }
 
-    // Extract servicesByRegion - it's nested under .byRegion
-    const servicesByRegionRaw = sourceData.servicesByRegion?.byRegion || sourceData.servicesByRegion || {};
-
-    // Convert servicesByRegion from nested object to simple region->service codes mapping
-    const servicesByRegion = {};
-    Object.keys(servicesByRegionRaw).forEach(regionCode => {
-      const regionData = servicesByRegionRaw[regionCode];
-      // Handle both array format and object with .services property
-      if (Array.isArray(regionData)) {
-        servicesByRegion[regionCode] = regionData;
-      } else if (regionData.services && Array.isArray(regionData.services)) {
-        servicesByRegion[regionCode] = regionData.services;
-      }
-    });
+    // Step 2b': Evaluate the watched service×region pairs against the previous run
+    const watchlistResult = watchlist ? evaluateWatchlist(watchlist, normalizedData, previousData) : null;
+    if (watchlistResult) {
+      reportMetadata.watchlist = watchlistResult.summary;
+      console.log(`👀 Watchlist: ${watchlistResult.summary.availableCount} of ${watchlistResult.summary.pairCount} pairs available, ` +
+        `${watchlistResult.summary.newlyAvailableCount} now available, ${watchlistResult.summary.withdrawnCount} no longer available`);
+    }
 
-    console.log(`📈 Data loaded: ${regions.length} regions, ${services.length} services, ${Object.keys(servicesByRegion).length} regions with service mappings`);
+    // Step 2b'': Score every region against the workload profiles
+    const readiness = workloads.length > 0 ? evaluateReadiness(workloads, normalizedData) : null;
+    if (readiness) {
+      reportMetadata.readiness = readiness.summary;
+      readiness.workloads.forEach(workload => {
+        console.log(`🧭 Workload "${workload.name}": ${workload.eligibleRegions.length} of ${workload.regions.length} regions eligible`);
+        if (workload.unknownServices.length > 0) {
+          console.warn(`⚠️ Workload "${workload.name}" lists services not in the service list: ${workload.unknownServices.join(', ')}`);
+        }
+      });
+    }
 
-    // Step 3: Generate Excel workbook
-    console.log('📊 Generating Excel report...');
-    const excelStartTime = Date.now();
-    // Normalize data structure for Excel generator
-    const normalizedData = {
-      metadata: sourceData.metadata,
-      regions,
-      services,
-      servicesByRegion
+    // Step 2c: Build the service availability timeline from the archive history (non-critical)
+    const history = await loadTimelineHistory(config, normalizedData);
+    const timeline = history ? buildAvailabilityTimeline(history) : null;
+    if (timeline) {
+      reportMetadata.availabilityTimeline = {
+        historyStart: timeline.historyStart,
+        snapshotCount: timeline.dates.length,
+        pairCount: timeline.pairs.length,
+        withdrawnPairCount: timeline.pairs.filter(pair => !pair.available).length
+      };
+      console.log(`✅ Availability timeline: ${timeline.pairs.length} service-region pairs across ${timeline.dates.length} dates since ${timeline.historyStart}`);
+    }
+
+    // Step 2d: Evaluate data quality guardrails against thresholds and the previous run
+    const qualityResult = evaluateDataQuality(normalizedData, previousData, config.qualityThresholds);
+    reportMetadata.dataQuality = {
+      passed: qualityResult.passed,
+      failures: qualityResult.failures
     };
-    excelBuffer = await generateExcelReport(normalizedData);
+    if (!qualityResult.passed) {
+      qualityResult.failures.forEach(failure => console.warn(`🚫 Data quality check failed: ${failure}`));
+    }
+
+    // Step 3: Generate Excel workbook and any additional formats
+    console.log(`📊 Generating reports (${formats.join(', ')})...`);
+    const excelStartTime = Date.now();
+    const artifacts = await renderReports(normalizedData, formats, {
+      sourceUri,
+      changes,
+      timeline,
+      watchlist: watchlistResult,
+      readiness,
+      definition: reportDefinition,
+      categories: serviceCategories
+    });
+    excelBuffer = artifacts.find(artifact => artifact.format === 'xlsx').body;
     const excelDuration = Date.now() - excelStartTime;
 
-    console.log(`✅ Excel generated in ${formatDuration(excelDuration)}, size: ${formatFileSize(excelBuffer.length)}`);
+    console.log(`✅ Reports generated in ${formatDuration(excelDuration)}, Excel size: ${formatFileSize(excelBuffer.length)}`);
 
-    // Step 4: Upload reports to S3
-    console.log('📤 Uploading reports to S3...');
-    reportMetadata = await uploadReports(
-      excelBuffer,
+    // Step 3b: Quarantine suspect reports instead of publishing them
+    if (!qualityResult.passed) {
+      return await quarantineRun(config, invocation, {
+        startTime,
+        artifacts,
+        normalizedData,
+        qualityResult,
+        reportMetadata,
+        excelDuration,
+        validationWarnings,
+        notificationOptions
+      });
+    }
+
+    // Step 4: Upload reports to S3 (dry runs only plan the writes from here on)
+    console.log(config.dryRun ? '🧪 Dry run: planning uploads, distribution, retention and notifications' : '📤 Uploading reports to S3...');
+    const { plannedWrites, timestamp: runTimestamp, ...uploadMetadata } = await uploadReports(
+      artifacts,
       config.reportBucket,
       config.reportPrefix,
       config.archivePrefix,
-      config.latestReportName
+      config.latestReportName,
+      serializeSnapshot(normalizedData),
+      { dryRun: config.dryRun, contentHash, archive: !config.skipArchive }
     );
+    Object.assign(reportMetadata, uploadMetadata);
 
-    console.log('✅ Reports uploaded successfully');
+    console.log(config.dryRun ? '🧪 Reports would be uploaded to:' : '✅ Reports uploaded successfully');
     console.log(`  - Latest: ${reportMetadata.latestReportPath}`);
-    console.log(`  - Archive: ${reportMetadata.archiveReportPath}`);
+    console.log(`  - Archive: ${reportMetadata.archiveReportPath || 'not archived'}`);
+    console.log(`  - Snapshot: ${reportMetadata.archiveSnapshotPath || 'not archived'}`);
 
     // Step 5: Distribute to public bucket (non-critical)
+    const htmlReport = reportMetadata.uploadedReports.find(report => report.format === 'html');
+    const additionalDistributions = htmlReport && config.distributionHtmlKey
+      ? [{ sourceKey: htmlReport.latestKey, distributionKey: config.distributionHtmlKey, contentType: 'text/html; charset=utf-8' }]
+      : [];
     const distributionResult = await distributeReports(
       config.reportBucket,
       `${config.reportPrefix}${config.latestReportName}`,
       config.distributionBucket,
-      config.distributionKey
+      config.distributionKey,
+      additionalDistributions,
+      { dryRun: config.dryRun }
     );
     reportMetadata.distributionResult = distributionResult;
 
-    // Step 6: Manage archive retention (non-critical)
-    console.log(`🗂️ Managing archive retention (${config.archiveRetentionDays} days)...`);
-    try {
-      const retentionResult = await manageArchiveRetention(
-        config.reportBucket,
-        config.archivePrefix,
-        config.archiveRetentionDays
-      );
+    // Step 5b: Generate, upload and distribute the report profiles from the same data (non-critical)
+    const profileRuns = [];
+    for (const profile of reportProfiles) {
+      profileRuns.push(await profileRun(config, profile, { sourceUri, normalizedData, previousData, history, watchlistResult, workloads, serviceCategories, timestamp: runTimestamp }));
+    }
+    reportMetadata.profiles = [
+      {
+        name: DEFAULT_PROFILE_NAME,
+        description: 'Deployment report',
+        reportDefinition: reportDefinition.name,
+        regionCount: regions.length,
+        serviceCount: services.length,
+        reportFormats: reportMetadata.reportFormats,
+        reportSize: formatFileSize(excelBuffer.length),
+        reportSizeBytes: excelBuffer.length,
+        latestReportPath: reportMetadata.latestReportPath,
+        archiveReportPath: reportMetadata.archiveReportPath,
+        distributed: distributionResult.distributed
+      },
+      ...profileRuns.map(profileRunResult => profileRunResult.result)
+    ];
 
-      console.log(`✅ Archive retention: ${retentionResult.retained} retained, ${retentionResult.deleted} deleted`);
-      reportMetadata.archivedReportsRetained = retentionResult.retained;
-      reportMetadata.archivedReportsDeleted = retentionResult.deleted;
-    } catch (retentionError) {
-      console.warn('⚠️ Archive retention management failed (non-critical):', retentionError.message);
-      archiveManagementWarning = retentionError.message;
-      reportMetadata.archivedReportsRetained = 'Unknown';
+    // Step 6: Manage archive retention (non-critical); ARCHIVE_RETENTION_DAYS is the single-rule default policy
+    let plannedDeletions = [];
+    if (config.skipArchive) {
+      console.log('⏭️ Archive retention skipped: this run writes no archive');
+      reportMetadata.archivedReportsRetained = 'Skipped (no archive written)';
       reportMetadata.archivedReportsDeleted = 0;
+    } else {
+      try {
+        const retentionPolicy = parseRetentionPolicy(config.archiveRetentionPolicy || `days=${config.archiveRetentionDays}`);
+        reportMetadata.archiveRetentionPolicy = describeRetentionPolicy(retentionPolicy);
+        console.log(`🗂️ Managing archive retention (${reportMetadata.archiveRetentionPolicy})...`);
+
+        const retentionResult = await manageArchiveRetention(
+          config.reportBucket,
+          config.archivePrefix,
+          retentionPolicy,
+          { dryRun: config.dryRun }
+        );
+        plannedDeletions = retentionResult.plannedDeletions || [];
+
+        console.log(`✅ Archive retention: ${retentionResult.retained} retained, ${retentionResult.deleted} deleted`);
+        reportMetadata.archivedReportsRetained = retentionResult.retained;
+        reportMetadata.archivedReportsDeleted = retentionResult.deleted;
+        reportMetadata.archiveRetentionRules = retentionResult.rules;
+        reportMetadata.archiveDeletions = retentionResult.deletions.map(({ id, reasons, deleted }) => ({ id, reasons, deleted }));
+
+        // Keys that could not be deleted are reported in a warning notification
+        if (retentionResult.errors.length > 0) {
+          reportMetadata.archiveDeletionErrors = retentionResult.errors;
+          archiveManagementWarning = {
+            issue: 'Archive retention cleanup partially failed',
+            message: `${retentionResult.errors.length} archived file(s) could not be deleted; ` +
+              `${retentionResult.deletions.length - retentionResult.deleted} expired archive(s) remain`,
+            impact: 'Low - Manual cleanup may be needed eventually'
+          };
+          console.warn(`⚠️ Archive retention: ${archiveManagementWarning.message}`);
+        }
+      } catch (retentionError) {
+        console.warn('⚠️ Archive retention management failed (non-critical):', retentionError.message);
+        archiveManagementWarning = {
+          issue: 'Archive retention cleanup failed',
+          message: retentionError.message,
+          impact: 'Low - Expired archives are kept until a later run cleans them up'
+        };
+        reportMetadata.archivedReportsRetained = 'Unknown';
+        reportMetadata.archivedReportsDeleted = 0;
+      }
     }
 
     // Step 7: Calculate metrics
-    const totalDuration = Date.now() - startTime;
-    const successMetrics = {
-      processingTime: formatDuration(totalDuration),
-      processingTimeMs: totalDuration,
-      excelGenerationTime: formatDuration(excelDuration),
-      reportSize: formatFileSize(excelBuffer.length),
-      reportSizeBytes: excelBuffer.length,
-      regionCount: regions.length,
-      serviceCount: services.length,
-      serviceMappingCount: servicesByRegion
-        ? Object.keys(servicesByRegion).reduce((acc, region) =>
-          acc + (servicesByRegion[region]?.length || 0), 0)
-        : 0,
-      dataSchemaVersion: sourceData.metadata.version || sourceData.metadata.schemaVersion || 'Unknown',
-      dataTimestamp: sourceData.metadata.timestamp,
-      ...reportMetadata
-    };
+    const successMetrics = buildRunMetrics(startTime, excelDuration, excelBuffer, normalizedData, validationWarnings, reportMetadata);
 
-    // Step 8: Send notifications
-    if (archiveManagementWarning) {
-      console.log('⚠️ Sending warning notification...');
-      await sendWarningNotification(config.snsTopicArn, config.functionArn, successMetrics, archiveManagementWarning);
-    } else {
-      console.log('📧 Sending success notification...');
-      await sendSuccessNotification(config.snsTopicArn, config.functionArn, successMetrics);
+    // Step 8: Send notifications to every configured channel (non-critical: the reports are already published)
+    let notificationResults;
+    let notificationWarning = null;
+    try {
+      if (archiveManagementWarning) {
+        console.log('⚠️ Sending warning notification...');
+        notificationResults = await sendWarningNotification(config.snsTopicArn, config.functionArn, successMetrics, archiveManagementWarning, notificationOptions);
+      } else {
+        console.log('📧 Sending success notification...');
+        notificationResults = await sendSuccessNotification(config.snsTopicArn, config.functionArn, successMetrics, notificationOptions);
+      }
+    } catch (notificationError) {
+      console.warn('⚠️ Notification failed (non-critical):', notificationError.message);
+      notificationWarning = notificationError.message;
+      notificationResults = { error: notificationError.message };
+    }
+
+    // Step 8b: Alert watchers only when a watched service×region pair changed (non-critical)
+    let watchlistNotification = null;
+    if (watchlistResult && watchlistResult.changes.length > 0) {
+      console.log(`👀 Sending watchlist notification (${watchlistResult.changes.length} changed pairs)...`);
+      try {
+        watchlistNotification = await sendWatchlistNotification(
+          config.watchlistTopicArn || config.snsTopicArn,
+          config.functionArn,
+          successMetrics,
+          watchlistResult,
+          watchlistNotificationOptions
+        );
+      } catch (watchlistError) {
+        console.warn('⚠️ Watchlist notification failed (non-critical):', watchlistError.message);
+        watchlistNotification = { error: watchlistError.message };
+      }
+    }
+
+    if (config.dryRun) {
+      const { additionalDistributions = [], ...workbookDistribution } = distributionResult;
+      return dryRunResponse(invocation, successMetrics, {
+        writes: [...plannedWrites, ...profileRuns.flatMap(profileRunResult => profileRunResult.writes)],
+        distributions: [workbookDistribution, ...additionalDistributions, ...profileRuns.flatMap(profileRunResult => profileRunResult.distributions)],
+        deletions: plannedDeletions,
+        notification: notificationResults,
+        watchlistNotification
+      });
     }
 
     // Step 9: Structured logging
@@ -184,8 +497,10 @@ exports.handler = async (event, context) => {
       timestamp: new Date().toISOString(),
       level: 'INFO',
       message: 'Report generated successfully',
+      invocationMode: invocation.mode,
       ...successMetrics,
-      snsNotificationSent: true
+      notifications: notificationResults,
+      watchlistNotification
     }));
 
     // Step 10: Return success response
@@ -193,7 +508,9 @@ exports.handler = async (event, context) => {
       statusCode: 200,
       body: JSON.stringify({
         message: 'Report generated successfully',
-        ...successMetrics
+        ...successMetrics,
+        notificationWarning: notificationWarning || undefined,
+        invocation: describeInvocation(invocation)
       })
     };
   } catch (error) {
@@ -207,7 +524,9 @@ exports.handler = async (event, context) => {
       stack: error.stack,
       processingTime: formatDuration(totalDuration),
       sourceBucket: config.sourceBucket,
-      sourceKey: config.sourceKey
+      sourceKey: config.sourceKey,
+      invocationMode: invocation.mode,
+      violations: error.violations
     };
 
     // Structured error logging
@@ -219,12 +538,15 @@ exports.handler = async (event, context) => {
       snsNotificationSent: false
     }));
 
-    // Send failure notification
+    // Send failure notification (a dry run only reports the notification it would send)
+    let failureNotification;
     try {
-      await sendFailureNotification(config.snsTopicArn, config.functionArn, errorDetails);
-      console.log('📧 Failure notification sent');
-    } catch (snsError) {
-      console.error('Failed to send SNS notification:', snsError);
+      failureNotification = await sendFailureNotification(config.snsTopicArn, config.functionArn, errorDetails, notificationOptions);
+      if (!config.dryRun) {
+        console.log('📧 Failure notification sent');
+      }
+    } catch (notificationError) {
+      console.error('Failed to send failure notification:', notificationError);
     }
 
     // Return error response
@@ -233,8 +555,361 @@ exports.handler = async (event, context) => {
       body: JSON.stringify({
         message: 'Report generation failed',
         error: error.message,
-        errorType: error.name || 'UnknownError'
+        errorType: error.name || 'UnknownError',
+        plan: config.dryRun ? { notification: failureNotification } : undefined,
+        invocation: describeInvocation(invocation)
+      })
+    };
+  }
+}
+
+/**
+ * Build run metrics shared by the success, warning and quarantine paths
+ * @param {number} startTime - Handler start time (ms)
+ * @param {number} excelDuration - Report generation time (ms)
+ * @param {Buffer} excelBuffer - Generated workbook
+ * @param {Object} normalizedData - Normalized data for the current run
+ * @param {Array<Object>} validationWarnings - Non-fatal validation warnings
+ * @param {Object} reportMetadata - Upload, distribution, retention and change metadata
+ * @returns {Object} Run metrics
+ */
+function buildRunMetrics(startTime, excelDuration, excelBuffer, normalizedData, validationWarnings, reportMetadata) {
+  const totalDuration = Date.now() - startTime;
+  return {
+    processingTime: formatDuration(totalDuration),
+    processingTimeMs: totalDuration,
+    excelGenerationTime: formatDuration(excelDuration),
+    reportSize: formatFileSize(excelBuffer.length),
+    reportSizeBytes: excelBuffer.length,
+    regionCount: normalizedData.regions.length,
+    serviceCount: normalizedData.services.length,
+    serviceMappingCount: countServiceMappings(normalizedData.servicesByRegion),
+    dataSchemaVersion: normalizedData.metadata.schemaVersion,
+    dataTimestamp: normalizedData.metadata.timestamp,
+    dataWarningCount: validationWarnings.length,
+    ...reportMetadata
+  };
+}
+
+/**
+ * Archive a report that failed data quality checks under the quarantine prefix and alert,
+ * without touching the latest report, the distribution copy or archive retention
+ * @param {Object} config - Handler configuration
+ * @param {Object} invocation - Invocation from resolveInvocation
+ * @param {Object} run - Run state (startTime, artifacts, normalizedData, qualityResult, reportMetadata, excelDuration, validationWarnings,
+ *   notificationOptions)
+ * @returns {Promise<Object>} Handler response
+ */
+async function quarantineRun(config, invocation, run) {
+  console.log(`🚫 Quarantining report under ${getStorage().uri(config.reportBucket, config.quarantinePrefix)}`);
+  Object.assign(run.reportMetadata, await quarantineReports(
+    run.artifacts,
+    config.reportBucket,
+    config.quarantinePrefix,
+    serializeSnapshot(run.normalizedData),
+    { dryRun: config.dryRun }
+  ));
+
+  const excelBuffer = run.artifacts.find(artifact => artifact.format === 'xlsx').body;
+  const metrics = {
+    ...buildRunMetrics(run.startTime, run.excelDuration, excelBuffer, run.normalizedData, run.validationWarnings, run.reportMetadata),
+    quarantined: true
+  };
+
+  console.log('🚫 Sending quarantine notification...');
+  const notificationResults = await sendQuarantineNotification(config.snsTopicArn, config.functionArn, metrics, run.qualityResult, run.notificationOptions);
+
+  if (config.dryRun) {
+    const { plannedWrites, ...quarantineMetrics } = metrics;
+    return dryRunResponse(invocation, quarantineMetrics, {
+      writes: plannedWrites,
+      distributions: [],
+      deletions: [],
+      notification: notificationResults
+    });
+  }
+
+  console.log(JSON.stringify({
+    timestamp: new Date().toISOString(),
+    level: 'WARN',
+    message: 'Report quarantined: data quality checks failed',
+    ...metrics,
+    notifications: notificationResults
+  }));
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({
+      message: 'Report quarantined: data quality checks failed',
+      ...metrics,
+      invocation: describeInvocation(invocation)
+    })
+  };
+}
+
+/**
+ * Check whether the latest report was generated from data with the same content hash.
+ * Lookup failures are non-critical and lead to a normal run.
+ * @param {Object} config - Handler configuration
+ * @param {string} contentHash - Content hash of the current input
+ * @returns {Promise<boolean>} True when the published report has the same hash
+ */
+async function isPublishedContent(config, contentHash) {
+  try {
+    const publishedHash = await readPublishedContentHash(config.reportBucket, `${config.reportPrefix}${config.latestReportName}`);
+    console.log(`🔑 Content hash: ${contentHash} (published report: ${publishedHash || 'none'})`);
+    return publishedHash === contentHash;
+  } catch (error) {
+    console.warn('⚠️ Reading the published content hash failed (non-critical):', error.message);
+    return false;
+  }
+}
+
+/**
+ * Finish a run whose input is unchanged: nothing is written, and depending on
+ * UNCHANGED_INPUT_ACTION the run is skipped silently ('skip') or reported with a
+ * "no changes" notification ('notify')
+ * @param {Object} config - Handler configuration
+ * @param {Object} invocation - Invocation from resolveInvocation
+ * @param {Object} run - Run state (startTime, normalizedData, validationWarnings, contentHash, notificationOptions)
+ * @returns {Promise<Object>} Handler response
+ */
+async function unchangedRun(config, invocation, run) {
+  if (!['skip', 'notify'].includes(config.unchangedInputAction)) {
+    throw new Error(`Unknown UNCHANGED_INPUT_ACTION "${config.unchangedInputAction}". Supported: skip, notify`);
+  }
+
+  const storage = getStorage();
+  const totalDuration = Date.now() - run.startTime;
+  const metrics = {
+    processingTime: formatDuration(totalDuration),
+    processingTimeMs: totalDuration,
+    regionCount: run.normalizedData.regions.length,
+    serviceCount: run.normalizedData.services.length,
+    serviceMappingCount: countServiceMappings(run.normalizedData.servicesByRegion),
+    dataSchemaVersion: run.normalizedData.metadata.schemaVersion,
+    dataTimestamp: run.normalizedData.metadata.timestamp,
+    dataWarningCount: run.validationWarnings.length,
+    sourcePath: storage.uri(config.sourceBucket, config.sourceKey),
+    latestReportPath: storage.uri(config.reportBucket, `${config.reportPrefix}${config.latestReportName}`),
+    contentHash: run.contentHash,
+    unchanged: true
+  };
+
+  console.log('⏭️ Source data unchanged since the latest report, nothing regenerated');
+
+  let notificationResults = null;
+  if (config.unchangedInputAction === 'notify') {
+    console.log('📧 Sending unchanged notification...');
+    notificationResults = await sendUnchangedNotification(config.snsTopicArn, config.functionArn, metrics, run.notificationOptions);
+  }
+
+  if (config.dryRun) {
+    return dryRunResponse(invocation, metrics, {
+      writes: [],
+      distributions: [],
+      deletions: [],
+      notification: notificationResults
+    });
+  }
+
+  console.log(JSON.stringify({
+    timestamp: new Date().toISOString(),
+    level: 'INFO',
+    message: 'Report skipped: source data unchanged',
+    invocationMode: invocation.mode,
+    ...metrics,
+    notifications: notificationResults
+  }));
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({
+      message: 'No report generated: source data unchanged',
+      ...metrics,
+      invocation: describeInvocation(invocation)
+    })
+  };
+}
+
+/**
+ * Build the response for a dry run, which reports the plan instead of a published report
+ * @param {Object} invocation - Invocation from resolveInvocation
+ * @param {Object} metrics - Run metrics
+ * @param {Object} plan - What the run would do ({writes, distributions, deletions, notification, watchlistNotification})
+ * @returns {Object} Handler response
+ */
+function dryRunResponse(invocation, metrics, plan) {
+  console.log(`🧪 Dry run complete: ${plan.writes.length} writes, ` +
+    `${plan.distributions.filter(distribution => distribution.dryRun).length} distributions, ` +
+    `${plan.deletions.length} archive deletions planned; nothing was written or sent`);
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({
+      message: 'Dry run complete: nothing was written or sent',
+      ...metrics,
+      plan,
+      invocation: describeInvocation(invocation)
+    })
+  };
+}
+
+/**
+ * Answer a read-only archive query (list, get or diff) without generating a report
+ * @param {Object} config - Handler configuration
+ * @param {Object} invocation - Query invocation from resolveInvocation
+ * @returns {Promise<Object>} Handler response (404 when the selected archive does not exist)
+ */
+async function queryRun(config, invocation) {
+  try {
+    // Workbooks of archives without a snapshot are read with the deployment's report definition
+    const reportDefinition = await loadReportDefinition(config.reportBucket, config.reportDefinitionKey);
+    const result = await runArchiveQuery(invocation.query, config, reportDefinition);
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        message: `Archive query complete: ${invocation.query.type}`,
+        ...result,
+        invocation: describeInvocation(invocation)
+      })
+    };
+  } catch (error) {
+    console.error('❌ Archive query failed:', error.message);
+    return {
+      statusCode: error.name === 'ArchiveNotFound' ? 404 : 500,
+      body: JSON.stringify({
+        message: 'Archive query failed',
+        error: error.message,
+        invocation: describeInvocation(invocation)
       })
     };
   }
-};
+}
+
+/**
+ * Generate, upload and distribute one report profile. Failures are reported in the profile's
+ * result instead of failing the run, since the default report is already published.
+ * @param {Object} config - Handler configuration
+ * @param {Object} profile - Profile from loadReportProfiles
+ * @param {Object} run - Run state (sourceUri, normalizedData, previousData, history, watchlistResult, workloads, serviceCategories, timestamp of the default report's archive);
+ *   the watchlist is the deployment's, so profile workbooks show it unfiltered, while regions are scored against the workloads after filtering
+ * @returns {Promise<Object>} Profile outcome ({result, writes, distributions}); writes and distributions are planned ones in dry runs
+ */
+async function profileRun(config, profile, run) {
+  console.log(`📑 Generating report profile "${profile.name}" (${profile.formats.join(', ')})...`);
+  try {
+    const { data, changes, timeline } = buildProfileData(profile, run.normalizedData, run.previousData, run.history);
+    const readiness = run.workloads.length > 0 ? evaluateReadiness(run.workloads, data) : null;
+    const startTime = Date.now();
+    const artifacts = await renderReports(data, profile.formats, {
+      sourceUri: run.sourceUri,
+      changes,
+      timeline,
+      watchlist: run.watchlistResult,
+      readiness,
+      definition: profile.definition,
+      categories: run.serviceCategories
+    });
+    const excelBuffer = artifacts.find(artifact => artifact.format === 'xlsx').body;
+    const excelDuration = Date.now() - startTime;
+
+    // Profile archives share the default report's timestamp, so retention treats the run as one unit
+    const { plannedWrites = [], ...upload } = await uploadReports(
+      artifacts,
+      config.reportBucket,
+      config.reportPrefix,
+      config.archivePrefix,
+      profile.reportName,
+      null,
+      { dryRun: config.dryRun, timestamp: run.timestamp, archiveSuffix: `-${profile.name}`, archive: !config.skipArchive }
+    );
+
+    let distributionResult = { distributed: false, reason: 'No distribution target for this profile' };
+    if (profile.distribution) {
+      const htmlReport = upload.uploadedReports.find(report => report.format === 'html');
+      const additionalDistributions = htmlReport && profile.distribution.htmlKey
+        ? [{ sourceKey: htmlReport.latestKey, distributionKey: profile.distribution.htmlKey, contentType: 'text/html; charset=utf-8' }]
+        : [];
+      distributionResult = await distributeReports(
+        config.reportBucket,
+        upload.latestReportKey,
+        profile.distribution.bucket || config.distributionBucket,
+        profile.distribution.key,
+        additionalDistributions,
+        { dryRun: config.dryRun }
+      );
+    }
+
+    console.log(`✅ Report profile "${profile.name}": ${data.regions.length} regions, ${data.services.length} services, ` +
+      `Excel size ${formatFileSize(excelBuffer.length)}, generated in ${formatDuration(excelDuration)}`);
+
+    const { additionalDistributions = [], ...workbookDistribution } = distributionResult;
+    return {
+      result: {
+        name: profile.name,
+        description: profile.description,
+        reportDefinition: profile.definition.name,
+        regionCount: data.regions.length,
+        serviceCount: data.services.length,
+        reportFormats: upload.reportFormats,
+        reportSize: formatFileSize(excelBuffer.length),
+        reportSizeBytes: excelBuffer.length,
+        excelGenerationTime: formatDuration(excelDuration),
+        latestReportPath: upload.latestReportPath,
+        archiveReportPath: upload.archiveReportPath,
+        distributed: distributionResult.distributed,
+        distributionPath: distributionResult.distributionPath
+      },
+      writes: plannedWrites,
+      distributions: profile.distribution ? [workbookDistribution, ...additionalDistributions] : []
+    };
+  } catch (error) {
+    console.warn(`⚠️ Report profile "${profile.name}" failed (non-critical): ${error.message}`);
+    return {
+      result: { name: profile.name, description: profile.description, error: error.message },
+      writes: [],
+      distributions: []
+    };
+  }
+}
+
+/**
+ * Load the availability timeline observations: the archived snapshots plus the current data
+ * @param {Object} config - Handler configuration
+ * @param {Object} normalizedData - Current normalized data
+ * @returns {Promise<Array<Object>|null>} Observations ({date, data}), oldest first, or null if the archive history could not be read
+ */
+async function loadTimelineHistory(config, normalizedData) {
+  try {
+    const history = await loadArchiveHistory(config.reportBucket, config.archivePrefix);
+    return [...history, { date: generateTimestamp().slice(0, 10), data: normalizedData }];
+  } catch (error) {
+    console.warn('⚠️ Loading the availability timeline history failed (non-critical):', error.message);
+    return null;
+  }
+}
+
+/**
+ * Load the most recent archived report as normalized data
+ * @param {Object} config - Handler configuration
+ * @param {Object} reportDefinition - Report definition used to read a previous workbook
+ * @returns {Promise<Object>} Previous data (null if no previous report) and the archive key it was read from
+ */
+async function loadPreviousReport(config, reportDefinition) {
+  try {
+    const previousArchive = await findLatestArchive(config.reportBucket, config.archivePrefix);
+    if (!previousArchive) {
+      console.log('📂 No previous report found, skipping change detection');
+      return { previousData: null, previousReportKey: null };
+    }
+
+    // Prefers the JSON snapshot; older archives fall back to parsing the workbook
+    const { data: previousData, key: previousReportKey } = await readArchiveData(config.reportBucket, previousArchive, reportDefinition);
+    console.log(`🔄 Comparing against previous report ${getStorage().uri(config.reportBucket, previousReportKey)}`);
+    return { previousData, previousReportKey };
+  } catch (error) {
+    console.warn('⚠️ Loading previous report failed (non-critical):', error.message);
+    return { previousData: null, previousReportKey: null };
+  }
+}
@@ -0,0 +1,362 @@
+/**
+ * Notification Channels Module
+ *
+ * Delivers notifications built by snsNotifications.js to every configured channel:
+ *
+ *   - sns: plain-text message to the SNS topic (email subscribers)
+ *   - slack: Slack incoming webhook with Block Kit blocks
+ *   - teams: Microsoft Teams incoming webhook with an Adaptive Card
+ *   - webhook: generic JSON POST with the full notification payload
+ *
+ * Channels are selected with NOTIFICATION_CHANNELS (default: sns). Every channel is attempted;
+ * a failing or misconfigured channel (e.g. a missing webhook URL) is reported without preventing
+ * delivery to the others.
+ */
+
+const { SNSClient, PublishCommand } = require('@aws-sdk/client-sns');
+
+const snsClient = new SNSClient({ region: process.env.AWS_REGION || 'us-east-1' });
+
+// Webhook requests that take longer than this are aborted
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Slack limits: header text 150 chars, section text 3000 chars, 10 fields per section
+const SLACK_HEADER_MAX = 150;
+const SLACK_TEXT_MAX = 3000;
+const SLACK_FIELDS_MAX = 10;
+
+// Card colors by notification type
+const TEAMS_COLORS = {
+  success: 'Good',
+  warning: 'Warning',
+  failure: 'Attention',
+  quarantine: 'Attention',
+  unchanged: 'Accent',
+  watchlist: 'Accent'
+};
+
+const CHANNEL_FACTORIES = {
+  sns: (options) => createSnsChannel(options.topicArn),
+  slack: (options, env) => createSlackChannel(requireSetting(env, 'SLACK_WEBHOOK_URL', 'slack')),
+  teams: (options, env) => createTeamsChannel(requireSetting(env, 'TEAMS_WEBHOOK_URL', 'teams')),
+  webhook: (options, env) => createWebhookChannel(requireSetting(env, 'NOTIFICATION_WEBHOOK_URL', 'webhook'))
+};
+
+const NOTIFICATION_CHANNEL_NAMES = Object.keys(CHANNEL_FACTORIES);
+
+// Webhook URLs a manual run can override (payload `recipients`, see eventRouter.js) and the setting each one replaces
+const RECIPIENT_WEBHOOK_SETTINGS = {
+  slackWebhookUrl: 'SLACK_WEBHOOK_URL',
+  teamsWebhookUrl: 'TEAMS_WEBHOOK_URL',
+  webhookUrl: 'NOTIFICATION_WEBHOOK_URL'
+};
+
+/**
+ * Create the configured notification channels
+ * @param {Object} options - Channel options
+ * @param {string} options.topicArn - SNS topic ARN for the sns channel
+ * @param {string|Array<string>} options.channels - Channel names overriding NOTIFICATION_CHANNELS (an empty array disables notifications)
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Array<Object>} Channels ({name, send(notification)}); a channel that cannot be created fails its sends instead
+ * @throws {Error} When a channel name is unknown
+ */
+function loadNotificationChannels(options = {}, env = process.env) {
+  const selected = options.channels !== undefined ? options.channels : (env.NOTIFICATION_CHANNELS || 'sns');
+  const names = (Array.isArray(selected) ? selected : selected.split(','))
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = names.filter(name => !CHANNEL_FACTORIES[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown notification channel(s): ${unknown.join(', ')}. Supported: ${NOTIFICATION_CHANNEL_NAMES.join(', ')}`);
+  }
+
+  return [...new Set(names)].map(name => {
+    try {
+      return CHANNEL_FACTORIES[name](options, env);
+    } catch (error) {
+      return createMisconfiguredChannel(name, error);
+    }
+  });
+}
+
+/**
+ * Create a stand-in for a channel whose settings are missing, so the channel is reported
+ * as failed on delivery while the other channels still send
+ * @param {string} name - Channel name
+ * @param {Error} error - Error from the channel factory
+ * @returns {Object} Channel
+ */
+function createMisconfiguredChannel(name, error) {
+  return {
+    name,
+    async send() {
+      throw error;
+    }
+  };
+}
+
+/**
+ * Deliver a notification to every channel
+ * @param {Array<Object>} channels - Channels from loadNotificationChannels
+ * @param {Object} notification - Notification ({type, subject, message, facts, details, functionArn, data})
+ * @returns {Promise<Array<Object>>} Per-channel results ({channel, status: 'sent'|'skipped'|'failed', error})
+ * @throws {Error} When no channel delivered the notification and at least one failed
+ */
+async function deliverNotification(channels, notification) {
+  const settled = await Promise.allSettled(channels.map(channel => channel.send(notification)));
+
+  const results = settled.map((outcome, index) => {
+    const channel = channels[index].name;
+    if (outcome.status === 'rejected') {
+      console.error(`❌ ${channel} notification failed: ${outcome.reason.message}`);
+      return { channel, status: 'failed', error: outcome.reason.message };
+    }
+    return { channel, status: outcome.value === false ? 'skipped' : 'sent' };
+  });
+
+  const failed = results.filter(result => result.status === 'failed');
+  if (failed.length > 0 && !results.some(result => result.status === 'sent')) {
+    throw new Error(`Notification failed on every channel: ${failed.map(result => `${result.channel}: ${result.error}`).join('; ')}`);
+  }
+
+  return results;
+}
+
+/**
+ * Create the SNS channel (plain-text message)
+ * @param {string} topicArn - SNS topic ARN
+ * @returns {Object} Channel
+ */
+function createSnsChannel(topicArn) {
+  return {
+    name: 'sns',
+    async send(notification) {
+      // Local runs (e.g. STORAGE_BACKEND=local) usually have no topic to publish to
+      if (!topicArn) {
+        console.log(`⏭️ SNS notification skipped (no topic configured): ${notification.subject}`);
+        return false;
+      }
+
+      try {
+        const command = new PublishCommand({
+          TopicArn: topicArn,
+          Subject: notification.subject,
+          Message: notification.message
+        });
+
+        const response = await snsClient.send(command);
+        console.log(`📧 SNS notification sent: ${response.MessageId}`);
+      } catch (error) {
+        throw new Error(`SNS notification failed: ${error.message}`);
+      }
+    }
+  };
+}
+
+/**
+ * Create the Slack incoming-webhook channel (Block Kit)
+ * @param {string} webhookUrl - Slack incoming webhook URL
+ * @returns {Object} Channel
+ */
+function createSlackChannel(webhookUrl) {
+  return {
+    name: 'slack',
+    async send(notification) {
+      await postJson(webhookUrl, buildSlackPayload(notification));
+      console.log('💬 Slack notification sent');
+    }
+  };
+}
+
+/**
+ * Create the Microsoft Teams incoming-webhook channel (Adaptive Card)
+ * @param {string} webhookUrl - Teams incoming webhook URL
+ * @returns {Object} Channel
+ */
+function createTeamsChannel(webhookUrl) {
+  return {
+    name: 'teams',
+    async send(notification) {
+      await postJson(webhookUrl, buildTeamsPayload(notification));
+      console.log('💬 Teams notification sent');
+    }
+  };
+}
+
+/**
+ * Create the generic JSON webhook channel
+ * @param {string} webhookUrl - Webhook URL
+ * @returns {Object} Channel
+ */
+function createWebhookChannel(webhookUrl) {
+  return {
+    name: 'webhook',
+    async send(notification) {
+      await postJson(webhookUrl, buildWebhookPayload(notification));
+      console.log('🔗 Webhook notification sent');
+    }
+  };
+}
+
+/**
+ * Build a Slack Block Kit message
+ * @param {Object} notification - Notification
+ * @returns {Object} Slack payload
+ */
+function buildSlackPayload(notification) {
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: truncate(notification.subject, SLACK_HEADER_MAX), emoji: true }
+    }
+  ];
+
+  for (let i = 0; i < notification.facts.length; i += SLACK_FIELDS_MAX) {
+    blocks.push({
+      type: 'section',
+      fields: notification.facts.slice(i, i + SLACK_FIELDS_MAX).map(([label, value]) => ({
+        type: 'mrkdwn',
+        text: `*${escapeSlack(label)}*\n${escapeSlack(value)}`
+      }))
+    });
+  }
+
+  if (notification.details.length > 0) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: truncate(notification.details.map(detail => `• ${escapeSlack(detail)}`).join('\n'), SLACK_TEXT_MAX) }
+    });
+  }
+
+  blocks.push({
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text: `Generated by aws-service-report-generator · ${notification.functionArn}` }]
+  });
+
+  // Top-level text is the fallback shown in mobile push notifications
+  return { text: notification.subject, blocks };
+}
+
+/**
+ * Build a Microsoft Teams message with an Adaptive Card
+ * @param {Object} notification - Notification
+ * @returns {Object} Teams payload
+ */
+function buildTeamsPayload(notification) {
+  const body = [
+    {
+      type: 'TextBlock',
+      size: 'Large',
+      weight: 'Bolder',
+      wrap: true,
+      color: TEAMS_COLORS[notification.type] || 'Default',
+      text: notification.subject
+    },
+    {
+      type: 'FactSet',
+      facts: notification.facts.map(([title, value]) => ({ title, value: String(value) }))
+    }
+  ];
+
+  if (notification.details.length > 0) {
+    body.push({
+      type: 'TextBlock',
+      wrap: true,
+      text: notification.details.map(detail => `- ${detail}`).join('\n')
+    });
+  }
+
+  body.push({
+    type: 'TextBlock',
+    wrap: true,
+    isSubtle: true,
+    size: 'Small',
+    text: `Generated by aws-service-report-generator · ${notification.functionArn}`
+  });
+
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body
+      }
+    }]
+  };
+}
+
+/**
+ * Build the generic webhook payload
+ * @param {Object} notification - Notification
+ * @returns {Object} Webhook payload
+ */
+function buildWebhookPayload(notification) {
+  return {
+    source: 'aws-service-report-generator',
+    type: notification.type,
+    timestamp: new Date().toISOString(),
+    subject: notification.subject,
+    message: notification.message,
+    facts: Object.fromEntries(notification.facts.map(([label, value]) => [label, value])),
+    details: notification.details,
+    functionArn: notification.functionArn,
+    data: notification.data
+  };
+}
+
+/**
+ * POST a JSON payload, failing on non-2xx responses and timeouts
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON payload
+ */
+async function postJson(url, payload) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    const body = await response.text().catch(() => '');
+    throw new Error(`HTTP ${response.status}${body ? `: ${truncate(body, 200)}` : ''}`);
+  }
+}
+
+/**
+ * Read a required channel setting
+ */
+function requireSetting(env, name, channel) {
+  if (!env[name]) {
+    throw new Error(`Notification channel "${channel}" requires ${name}`);
+  }
+  return env[name];
+}
+
+/**
+ * Escape the characters Slack mrkdwn treats as control sequences
+ */
+function escapeSlack(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Truncate text to a maximum length
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+module.exports = {
+  NOTIFICATION_CHANNEL_NAMES,
+  RECIPIENT_WEBHOOK_SETTINGS,
+  loadNotificationChannels,
+  deliverNotification,
+  buildSlackPayload,
+  buildTeamsPayload,
+  buildWebhookPayload
+};
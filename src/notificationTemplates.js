@@ -0,0 +1,239 @@
+/**
+ * Notification Templates Module
+ *
+ * Loads and renders the plain-text notification templates. Built-in defaults live in
+ * templates/<type>.txt; a deployment can override any of them by placing a file with the
+ * same name under NOTIFICATION_TEMPLATE_PREFIX in the report bucket.
+ *
+ * A template starts with a "Subject: ..." line and a blank line, followed by the body.
+ * Placeholders use a small mustache-style syntax:
+ *
+ *   {{name}} / {{changes.servicesAdded}}   value (numbers are formatted, missing values show N/A)
+ *   {{#name}}...{{/name}}                  section: rendered once when truthy, or once per array item
+ *   {{^name}}...{{/name}}                  inverted section: rendered when falsy or an empty array
+ *   {{.}} / {{.field}}                     current array item, or one of its fields
+ *
+ * Lines holding only a section tag are removed from the output.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getStorage } = require('./storage');
+
+const TEMPLATE_TYPES = ['success', 'failure', 'warning', 'quarantine', 'unchanged', 'watchlist'];
+const DEFAULT_TEMPLATE_DIR = path.join(__dirname, 'templates');
+
+const TAG_PATTERN = /\{\{\s*([#^/]?)\s*(\.?[\w.]*)\s*\}\}/g;
+const STANDALONE_TAG_PATTERN = /^[ \t]*(\{\{\s*[#^/]\s*\.?[\w.]*\s*\}\})[ \t]*\r?\n/gm;
+
+let activeTemplates = null;
+
+/**
+ * Get the active templates (built-in defaults unless overrides were loaded)
+ * @returns {Object} Templates keyed by type ({subject, body, source})
+ */
+function getTemplates() {
+  if (!activeTemplates) {
+    activeTemplates = loadDefaultTemplates();
+  }
+  return activeTemplates;
+}
+
+/**
+ * Load the built-in templates bundled with the function
+ * @returns {Object} Templates keyed by type
+ */
+function loadDefaultTemplates() {
+  const templates = {};
+  TEMPLATE_TYPES.forEach(type => {
+    const file = path.join(DEFAULT_TEMPLATE_DIR, `${type}.txt`);
+    templates[type] = { ...parseTemplate(fs.readFileSync(file, 'utf-8')), source: 'built-in' };
+  });
+  return templates;
+}
+
+/**
+ * Load template overrides from storage. Missing files keep the built-in template;
+ * invalid files are reported and also fall back to the built-in template.
+ * @param {string} bucket - Bucket holding the overrides
+ * @param {string} prefix - Key prefix (e.g. 'config/notification-templates/'); empty disables overrides
+ * @returns {Promise<Object>} Active templates
+ */
+async function loadTemplateOverrides(bucket, prefix) {
+  const templates = loadDefaultTemplates();
+
+  if (bucket && prefix) {
+    const storage = getStorage();
+    for (const type of TEMPLATE_TYPES) {
+      const key = `${prefix}${type}.txt`;
+      let text;
+      try {
+        text = (await storage.get(bucket, key)).toString('utf-8');
+      } catch (error) {
+        if (error.name !== 'NoSuchKey') {
+          console.warn(`⚠️ Could not read notification template ${key}, using built-in: ${error.message}`);
+        }
+        continue;
+      }
+
+      try {
+        templates[type] = { ...parseTemplate(text), source: storage.uri(bucket, key) };
+        console.log(`📝 Using notification template override: ${templates[type].source}`);
+      } catch (error) {
+        console.warn(`⚠️ Invalid notification template ${key}, using built-in: ${error.message}`);
+      }
+    }
+  }
+
+  activeTemplates = templates;
+  return templates;
+}
+
+/**
+ * Parse template text into subject and body, checking that sections are balanced
+ * @param {string} text - Template text
+ * @returns {Object} Template ({subject, body})
+ * @throws {Error} When the subject line is missing or sections are unbalanced
+ */
+function parseTemplate(text) {
+  const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+  const match = normalized.match(/^Subject:[ \t]*(.*)\n\n?/);
+  if (!match) {
+    throw new Error('template must start with a "Subject:" line');
+  }
+
+  const template = {
+    subject: match[1].trim(),
+    body: normalized.slice(match[0].length).replace(/\n+$/, '')
+  };
+  parseTokens(template.subject);
+  parseTokens(template.body);
+  return template;
+}
+
+/**
+ * Render a template with a view
+ * @param {Object} template - Template from parseTemplate
+ * @param {Object} view - Values for placeholders
+ * @returns {Object} Rendered notification text ({subject, message})
+ */
+function renderTemplate(template, view) {
+  return {
+    subject: renderText(template.subject, view),
+    message: renderText(template.body, view)
+  };
+}
+
+/**
+ * Render template text
+ */
+function renderText(text, view) {
+  return renderNodes(parseTokens(text.replace(STANDALONE_TAG_PATTERN, '$1')), view, undefined);
+}
+
+/**
+ * Parse template text into a tree of text, value and section nodes
+ */
+function parseTokens(text) {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const [tag, kind, name] = match;
+    const parent = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      parent.children.push({ type: 'text', text: text.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (kind === '#' || kind === '^') {
+      const section = { type: kind === '#' ? 'section' : 'inverted', name, children: [] };
+      parent.children.push(section);
+      stack.push(section);
+    } else if (kind === '/') {
+      if (stack.length === 1 || parent.name !== name) {
+        throw new Error(`unexpected {{/${name}}}`);
+      }
+      stack.pop();
+    } else {
+      parent.children.push({ type: 'value', name });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`unclosed section {{#${stack[stack.length - 1].name}}}`);
+  }
+  if (lastIndex < text.length) {
+    root.children.push({ type: 'text', text: text.slice(lastIndex) });
+  }
+  return root.children;
+}
+
+/**
+ * Render parsed nodes against the view and the current section item
+ */
+function renderNodes(nodes, view, item) {
+  return nodes.map(node => {
+    if (node.type === 'text') {
+      return node.text;
+    }
+
+    const value = lookup(node.name, view, item);
+    if (node.type === 'value') {
+      return formatValue(value);
+    }
+
+    const isEmpty = !value || (Array.isArray(value) && value.length === 0);
+    if (node.type === 'inverted') {
+      return isEmpty ? renderNodes(node.children, view, item) : '';
+    }
+    if (isEmpty) {
+      return '';
+    }
+    return Array.isArray(value)
+      ? value.map(entry => renderNodes(node.children, view, entry)).join('')
+      : renderNodes(node.children, view, item);
+  }).join('');
+}
+
+/**
+ * Resolve a placeholder name ('.', '.field' or a dotted path into the view)
+ */
+function lookup(name, view, item) {
+  if (name === '.') {
+    return item;
+  }
+  const [base, pathText] = name.startsWith('.') ? [item, name.slice(1)] : [view, name];
+  return pathText.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), base);
+}
+
+/**
+ * Format a placeholder value for plain text
+ */
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return 'N/A';
+  }
+  if (typeof value === 'number') {
+    return value.toLocaleString('en-US');
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(formatValue).join(', ');
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+module.exports = {
+  TEMPLATE_TYPES,
+  getTemplates,
+  loadTemplateOverrides,
+  parseTemplate,
+  renderTemplate
+};
@@ -0,0 +1,100 @@
+/**
+ * Region Classification Module
+ *
+ * Classifies regions by partition and geography from their region codes, so every report
+ * groups regions the same way: commercial (aws) regions first, then China (aws-cn),
+ * GovCloud (aws-us-gov) and the isolated partitions, each split into geographies.
+ *
+ * The classification relies on AWS region code conventions: the first segment is the
+ * geography (us, eu, ap, ...), cn- codes are the China partition, us-gov- codes are GovCloud
+ * and -iso segments (us-iso-east-1, us-isob-east-1, eu-isoe-west-1) are isolated partitions.
+ * Codes that do not follow the conventions fall into the commercial partition and the
+ * "Other" geography rather than failing the report.
+ */
+
+// Partitions in report order; the first matching pattern wins and aws is the fallback
+const PARTITIONS = [
+  { id: 'aws-cn', label: 'China', pattern: /^cn-/ },
+  { id: 'aws-us-gov', label: 'GovCloud (US)', pattern: /^us-gov-/ },
+  { id: 'isolated', label: 'Isolated', pattern: /^[a-z]{2}-iso[a-z]?-/ },
+  { id: 'aws', label: 'Commercial', pattern: /^/ }
+];
+const PARTITION_ORDER = ['aws', 'aws-cn', 'aws-us-gov', 'isolated'];
+
+// Geographies in report order, keyed by the first segment of the region code
+const GEOGRAPHIES = [
+  { name: 'North America', prefixes: ['us', 'ca', 'mx'] },
+  { name: 'South America', prefixes: ['sa'] },
+  { name: 'Europe', prefixes: ['eu'] },
+  { name: 'Middle East', prefixes: ['me', 'il'] },
+  { name: 'Africa', prefixes: ['af'] },
+  { name: 'Asia Pacific', prefixes: ['ap', 'cn'] }
+];
+const OTHER_GEOGRAPHY = 'Other';
+const GEOGRAPHY_ORDER = [...GEOGRAPHIES.map(geography => geography.name), OTHER_GEOGRAPHY];
+
+/**
+ * Classify a region by its code
+ * @param {string} regionCode - Region code (e.g. 'eu-west-1', 'cn-north-1', 'us-gov-west-1')
+ * @returns {Object} Classification ({partition, partitionLabel, geography})
+ */
+function classifyRegion(regionCode) {
+  const code = String(regionCode || '').toLowerCase();
+  const partition = PARTITIONS.find(entry => entry.pattern.test(code));
+  const prefix = code.split('-')[0];
+  const geography = GEOGRAPHIES.find(entry => entry.prefixes.includes(prefix));
+
+  return {
+    partition: partition.id,
+    partitionLabel: partition.label,
+    geography: geography ? geography.name : OTHER_GEOGRAPHY
+  };
+}
+
+/**
+ * Compare region codes for report order: partition, then geography, then code
+ * @param {string} a - Region code
+ * @param {string} b - Region code
+ * @returns {number} Sort order
+ */
+function compareRegionCodes(a, b) {
+  const first = classifyRegion(a);
+  const second = classifyRegion(b);
+  return PARTITION_ORDER.indexOf(first.partition) - PARTITION_ORDER.indexOf(second.partition) ||
+    GEOGRAPHY_ORDER.indexOf(first.geography) - GEOGRAPHY_ORDER.indexOf(second.geography) ||
+    a.localeCompare(b);
+}
+
+/**
+ * Group region codes by partition and geography
+ * @param {Array<string>} regionCodes - Region codes in report order (see compareRegionCodes)
+ * @returns {Array<Object>} Groups in report order ({label, partition, geography, regionCodes}).
+ *   Commercial groups are labelled by geography alone, others by partition and geography
+ *   (e.g. 'Europe', 'China: Asia Pacific')
+ */
+function groupRegionCodes(regionCodes) {
+  const groups = [];
+  regionCodes.forEach(regionCode => {
+    const { partition, partitionLabel, geography } = classifyRegion(regionCode);
+    const last = groups[groups.length - 1];
+    if (last && last.partition === partition && last.geography === geography) {
+      last.regionCodes.push(regionCode);
+    } else {
+      groups.push({
+        label: partition === 'aws' ? geography : `${partitionLabel}: ${geography}`,
+        partition,
+        geography,
+        regionCodes: [regionCode]
+      });
+    }
+  });
+  return groups;
+}
+
+module.exports = {
+  PARTITION_ORDER,
+  GEOGRAPHY_ORDER,
+  classifyRegion,
+  compareRegionCodes,
+  groupRegionCodes
+};
@@ -0,0 +1,332 @@
+/**
+ * Report Data Module
+ *
+ * Derives the region, service and coverage rows shared by every report format
+ * (Excel, CSV, JSON, Markdown, HTML) from the canonical report model
+ * produced by dataValidator.js.
+ */
+
+const { classifyRegion, compareRegionCodes, groupRegionCodes } = require('./regionClassification');
+const { categorizeService, compareServicesByCategory } = require('./serviceCategories');
+
+// Number of regions listed as the newest in region analytics
+const NEWEST_REGION_COUNT = 5;
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+/**
+ * Build region rows with partition, geography, service counts and formatted launch dates
+ * @param {Object} sourceData - Normalized report data
+ * @returns {Array<Object>} Region rows grouped by partition and geography
+ */
+function buildRegionRows(sourceData) {
+  const servicesByRegion = sourceData.servicesByRegion || {};
+
+  return sortRegions(sourceData.regions || []).map(region => {
+    const { partition, geography } = classifyRegion(region.code);
+    return {
+      regionCode: region.code,
+      regionName: region.name,
+      partition,
+      geography,
+      azCount: region.availabilityZones || 0,
+      serviceCount: (servicesByRegion[region.code] || []).length,
+      launchDate: formatLaunchDate(region.launchDate),
+      blogUrl: region.blogUrl || null
+    };
+  });
+}
+
+/**
+ * Group the report's regions by partition and geography
+ * @param {Object} sourceData - Normalized report data
+ * @returns {Array<Object>} Groups in report order ({label, partition, geography, regionCodes})
+ */
+function buildRegionGroups(sourceData) {
+  return groupRegionCodes(sortRegions(sourceData.regions || []).map(region => region.code));
+}
+
+/**
+ * Build service rows with regional availability and coverage, sorted by name
+ * @param {Object} sourceData - Normalized report data
+ * @param {Object} categories - Service categories (see serviceCategories.js)
+ * @returns {Array<Object>} Service rows; geographyCounts holds the available region count per region group label,
+ *   categoryOrder the position of the service's category in the category order
+ */
+function buildServiceRows(sourceData, categories) {
+  const totalRegions = (sourceData.regions || []).length;
+  const serviceRegions = mapServiceRegions(sourceData.servicesByRegion || {});
+  const regionGroups = buildRegionGroups(sourceData);
+
+  return sortServicesByName(sourceData.services || []).map(service => {
+    const regions = serviceRegions.get(service.code) || [];
+    const category = categorizeService(service.code, categories);
+
+    return {
+      serviceCode: service.code,
+      serviceName: service.name,
+      category,
+      categoryOrder: categories.names.indexOf(category),
+      availableRegions: regions.length,
+      coveragePercent: totalRegions > 0 ? Number(((regions.length / totalRegions) * 100).toFixed(1)) : 0,
+      geographyCounts: Object.fromEntries(regionGroups.map(group =>
+        [group.label, group.regionCodes.filter(regionCode => regions.includes(regionCode)).length])),
+      regions
+    };
+  });
+}
+
+/**
+ * Build the service x region availability matrix
+ * @param {Object} sourceData - Normalized report data
+ * @param {Object} categories - Service categories (see serviceCategories.js)
+ * @returns {Object} Region codes (columns, grouped by partition and geography), the region groups
+ *   and one row per service with its category and availability flags, grouped by category
+ */
+function buildCoverageMatrix(sourceData, categories) {
+  const servicesByRegion = sourceData.servicesByRegion || {};
+  const regionGroups = buildRegionGroups(sourceData);
+  const regionCodes = regionGroups.flatMap(group => group.regionCodes);
+  const regionServiceSets = new Map(regionCodes.map(code => [code, new Set(servicesByRegion[code] || [])]));
+
+  const rows = [...(sourceData.services || [])].sort((a, b) => compareServicesByCategory(a, b, categories)).map(service => ({
+    serviceCode: service.code,
+    serviceName: service.name,
+    category: categorizeService(service.code, categories),
+    availability: regionCodes.map(regionCode => regionServiceSets.get(regionCode).has(service.code))
+  }));
+
+  return { regionCodes, regionGroups, rows };
+}
+
+/**
+ * Build the coverage summary of each region group (partition and geography)
+ * @param {Object} sourceData - Normalized report data
+ * @returns {Array<Object>} Groups in report order ({label, partition, geography, regionCount, regionCodes,
+ *   availableServices (in at least one region), servicesInAllRegions, averageServiceCount, coveragePercent})
+ */
+function buildGeographyCoverage(sourceData) {
+  const servicesByRegion = sourceData.servicesByRegion || {};
+  const serviceCount = (sourceData.services || []).length;
+
+  return buildRegionGroups(sourceData).map(group => {
+    const regionServiceSets = group.regionCodes.map(code => new Set(servicesByRegion[code] || []));
+    const mappingCount = regionServiceSets.reduce((acc, services) => acc + services.size, 0);
+    const availableServices = new Set(regionServiceSets.flatMap(services => [...services]));
+    const servicesInAllRegions = [...availableServices]
+      .filter(serviceCode => regionServiceSets.every(services => services.has(serviceCode)));
+
+    return {
+      label: group.label,
+      partition: group.partition,
+      geography: group.geography,
+      regionCount: group.regionCodes.length,
+      regionCodes: group.regionCodes,
+      availableServices: availableServices.size,
+      servicesInAllRegions: servicesInAllRegions.length,
+      averageServiceCount: Number((mappingCount / group.regionCodes.length).toFixed(1)),
+      // Share of the service catalog available across the group's regions
+      coveragePercent: serviceCount > 0
+        ? Number(((mappingCount / (group.regionCodes.length * serviceCount)) * 100).toFixed(1))
+        : 0
+    };
+  });
+}
+
+/**
+ * Build the coverage of each service category in each region
+ * @param {Object} sourceData - Normalized report data
+ * @param {Object} serviceCategories - Service categories (see serviceCategories.js)
+ * @returns {Object} Categories with services in the catalog, in category order ({name, serviceCount}),
+ *   and one row per region in report order ({regionCode, regionName, partition, geography,
+ *   categories: [{name, availableServices, coveragePercent}]} aligned with the categories)
+ */
+function buildCategoryCoverage(sourceData, serviceCategories) {
+  const servicesByRegion = sourceData.servicesByRegion || {};
+  const categoryServices = new Map();
+  (sourceData.services || []).forEach(service => {
+    const category = categorizeService(service.code, serviceCategories);
+    categoryServices.set(category, [...(categoryServices.get(category) || []), service.code]);
+  });
+  const categories = serviceCategories.names
+    .filter(name => categoryServices.has(name))
+    .map(name => ({ name, serviceCount: categoryServices.get(name).length }));
+
+  const rows = buildRegionRows(sourceData).map(region => {
+    const available = new Set(servicesByRegion[region.regionCode] || []);
+    return {
+      regionCode: region.regionCode,
+      regionName: region.regionName,
+      partition: region.partition,
+      geography: region.geography,
+      categories: categories.map(category => {
+        const availableServices = categoryServices.get(category.name).filter(code => available.has(code)).length;
+        return {
+          name: category.name,
+          availableServices,
+          coveragePercent: Number(((availableServices / category.serviceCount) * 100).toFixed(1))
+        };
+      })
+    };
+  });
+
+  return { categories, rows };
+}
+
+/**
+ * Build high-level summary statistics
+ * @param {Object} sourceData - Normalized report data
+ * @returns {Object} Schema version, data timestamp and counts
+ */
+function buildReportSummary(sourceData) {
+  return {
+    schemaVersion: sourceData.metadata?.schemaVersion || 'Unknown',
+    dataTimestamp: sourceData.metadata?.timestamp || null,
+    regionCount: sourceData.regions?.length || 0,
+    serviceCount: sourceData.services?.length || 0,
+    serviceMappingCount: countServiceMappings(sourceData.servicesByRegion)
+  };
+}
+
+/**
+ * Build region launch analytics: launch-year cohorts, region ages, the newest regions and
+ * a cumulative region count per year (every year from the first launch, for charting)
+ * @param {Object} sourceData - Normalized report data
+ * @returns {Object} Analytics ({asOf, datedRegionCount, undatedRegionCount, averageAgeYears,
+ *   cohorts: [{year, launched, cumulativeRegions, averageServiceCount, regionCodes}],
+ *   newestRegions, regionAges: [{regionCode, regionName, launchDate, launchYear, ageYears, serviceCount}]})
+ */
+function buildRegionAnalytics(sourceData) {
+  // Ages are measured at the data timestamp so a report regenerated later shows the same ages
+  const asOfDate = new Date(sourceData.metadata?.timestamp || Date.now());
+  const asOf = isNaN(asOfDate.getTime()) ? new Date() : asOfDate;
+
+  const regionAges = buildRegionRows(sourceData)
+    .filter(region => region.launchDate)
+    .map(region => ({
+      regionCode: region.regionCode,
+      regionName: region.regionName,
+      launchDate: region.launchDate,
+      launchYear: Number(region.launchDate.slice(0, 4)),
+      ageYears: Number(((asOf.getTime() - new Date(region.launchDate).getTime()) / MS_PER_YEAR).toFixed(1)),
+      serviceCount: region.serviceCount
+    }))
+    .sort((a, b) => b.launchDate.localeCompare(a.launchDate) || a.regionCode.localeCompare(b.regionCode));
+
+  const cohorts = [];
+  if (regionAges.length > 0) {
+    const years = regionAges.map(region => region.launchYear);
+    let cumulativeRegions = 0;
+    for (let year = Math.min(...years); year <= Math.max(...years); year++) {
+      const cohort = regionAges.filter(region => region.launchYear === year);
+      cumulativeRegions += cohort.length;
+      cohorts.push({
+        year,
+        launched: cohort.length,
+        cumulativeRegions,
+        averageServiceCount: cohort.length > 0
+          ? Number((cohort.reduce((acc, region) => acc + region.serviceCount, 0) / cohort.length).toFixed(1))
+          : null,
+        regionCodes: cohort.map(region => region.regionCode).sort()
+      });
+    }
+  }
+
+  return {
+    asOf: asOf.toISOString(),
+    datedRegionCount: regionAges.length,
+    undatedRegionCount: (sourceData.regions || []).length - regionAges.length,
+    averageAgeYears: regionAges.length > 0
+      ? Number((regionAges.reduce((acc, region) => acc + region.ageYears, 0) / regionAges.length).toFixed(1))
+      : null,
+    cohorts,
+    newestRegions: regionAges.slice(0, NEWEST_REGION_COUNT),
+    regionAges
+  };
+}
+
+/**
+ * Get the coverage color band for a coverage percentage
+ * @param {number} percent - Coverage percentage (0-100)
+ * @param {Array<Object>} bands - Bands, highest threshold first (report definition `coverageBands`)
+ * @param {Object} noCoverageBand - Band for 0% coverage (report definition `noCoverageBand`)
+ * @returns {Object} Band ({label, min, color (ARGB), bold, italic})
+ */
+function getCoverageBand(percent, bands, noCoverageBand) {
+  if (!(percent > 0)) {
+    return noCoverageBand;
+  }
+  return bands.find(band => percent >= band.min) || noCoverageBand;
+}
+
+/**
+ * Count service-by-region mappings
+ * @param {Object} servicesByRegion - Region code -> service codes
+ * @returns {number} Total mappings
+ */
+function countServiceMappings(servicesByRegion) {
+  return Object.keys(servicesByRegion || {}).reduce((acc, region) =>
+    acc + (servicesByRegion[region]?.length || 0), 0);
+}
+
+/**
+ * Map each service code to the regions it is available in
+ * @param {Object} servicesByRegion - Region code -> service codes
+ * @returns {Map<string, Array<string>>} Service code -> region codes
+ */
+function mapServiceRegions(servicesByRegion) {
+  const serviceRegions = new Map();
+  Object.keys(servicesByRegion).forEach(regionCode => {
+    (servicesByRegion[regionCode] || []).forEach(serviceCode => {
+      if (!serviceRegions.has(serviceCode)) {
+        serviceRegions.set(serviceCode, []);
+      }
+      serviceRegions.get(serviceCode).push(regionCode);
+    });
+  });
+  return serviceRegions;
+}
+
+/**
+ * Sort regions by partition, geography and code
+ * @param {Array<Object>} regions - Region entries
+ * @returns {Array<Object>} Sorted copy
+ */
+function sortRegions(regions) {
+  return [...regions].sort((a, b) => compareRegionCodes(a.code, b.code));
+}
+
+/**
+ * Sort services alphabetically by service name
+ * @param {Array<Object>} services - Service entries
+ * @returns {Array<Object>} Sorted copy
+ */
+function sortServicesByName(services) {
+  return [...services].sort((a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase()));
+}
+
+/**
+ * Format a launch date as YYYY-MM-DD
+ * @param {string} launchDate - Launch date in any Date-parsable format
+ * @returns {string|null} Formatted date, or null if missing or unparsable
+ */
+function formatLaunchDate(launchDate) {
+  if (!launchDate) {
+    return null;
+  }
+  const date = new Date(launchDate);
+  return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
+module.exports = {
+  getCoverageBand,
+  buildRegionRows,
+  buildRegionGroups,
+  buildServiceRows,
+  buildCoverageMatrix,
+  buildGeographyCoverage,
+  buildCategoryCoverage,
+  buildReportSummary,
+  buildRegionAnalytics,
+  countServiceMappings
+};
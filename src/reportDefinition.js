@@ -0,0 +1,361 @@
+/**
+ * Report Definition Module
+ *
+ * Loads the declarative definition of the Excel workbook: which sheets to include and in what
+ * order, the columns and sort keys of the table sheets, the coverage color bands and the theme.
+ * The built-in definition (report-definitions/default.yaml) is the standard layout; a deployment
+ * can replace it with a JSON or YAML file in the report bucket (REPORT_DEFINITION_KEY), and the
+ * CLI can use a local file (--definition).
+ *
+ * Everything a custom definition leaves out (the sheet list, theme entries, coverage bands, a
+ * sheet's header color or columns) falls back to the built-in definition.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { getStorage } = require('./storage');
+
+const DEFAULT_DEFINITION_FILE = path.join(__dirname, 'report-definitions', 'default.yaml');
+
+// Sheet catalog: worksheet name and, for table sheets, the available columns (default header and width)
+const SHEET_TYPES = {
+  summary: { name: 'Summary' },
+  regions: {
+    name: 'Regions',
+    columns: {
+      regionCode: { header: 'Region Code', width: 20 },
+      regionName: { header: 'Region Name', width: 35 },
+      partition: { header: 'Partition', width: 14 },
+      geography: { header: 'Geography', width: 16 },
+      azCount: { header: 'Availability Zones', width: 20 },
+      serviceCount: { header: 'Service Count', width: 15 },
+      launchDate: { header: 'Launch Date', width: 20 },
+      blogUrl: { header: 'Blog URL', width: 50 }
+    }
+  },
+  regionAnalytics: { name: 'Region Analytics' },
+  services: {
+    name: 'Services',
+    columns: {
+      serviceCode: { header: 'Service Code', width: 30 },
+      serviceName: { header: 'Service Name', width: 60 },
+      // Sorts in category order (see serviceCategories.js) rather than alphabetically
+      category: { header: 'Category', width: 30, sortField: 'categoryOrder' },
+      availableRegions: { header: 'Available Regions', width: 18 },
+      coveragePercent: { header: 'Coverage %', width: 12 },
+      // Expands to one subtotal column per region group, headed by the group label
+      regionGroups: { header: null, width: 14, sortable: false }
+    }
+  },
+  serviceCoverage: { name: 'Service Coverage' },
+  categoryCoverage: { name: 'Category Coverage' },
+  geographyCoverage: {
+    name: 'Geography Coverage',
+    columns: {
+      label: { header: 'Region Group', width: 30 },
+      partition: { header: 'Partition', width: 14 },
+      geography: { header: 'Geography', width: 16 },
+      regionCount: { header: 'Regions', width: 10 },
+      availableServices: { header: 'Services (Any Region)', width: 14 },
+      servicesInAllRegions: { header: 'Services (All Regions)', width: 14 },
+      averageServiceCount: { header: 'Avg Service Count', width: 14 },
+      coveragePercent: { header: 'Coverage %', width: 12 },
+      regionCodes: { header: 'Region Codes', width: 60, sortable: false }
+    }
+  },
+  regionReadiness: { name: 'Region Readiness' },
+  changes: { name: 'Changes' },
+  watchlist: { name: 'Watchlist' },
+  availabilityTimeline: { name: 'Availability Timeline' },
+  serviceGrowth: { name: 'Service Growth' }
+};
+
+const DEFINITION_FIELDS = ['name', 'description', 'charts', 'theme', 'coverageBands', 'noCoverageBand', 'sheets'];
+const SHEET_FIELDS = ['sheet', 'headerColor', 'groupHeaderColor', 'columns', 'sort'];
+const THEME_COLORS = ['headerFontColor', 'positiveColor', 'negativeColor', 'mutedColor', 'linkColor', 'gapColor'];
+
+let defaultDefinition = null;
+
+/**
+ * Load the report definition from storage. Without a key, or when the file is missing or
+ * invalid, the built-in definition is used (problems are reported as warnings).
+ * @param {string} bucket - Bucket holding the definition
+ * @param {string} key - Definition key (e.g. 'config/report-definitions/executive.yaml'); empty uses the built-in definition
+ * @returns {Promise<Object>} Resolved definition ({name, description, source, charts, theme, coverageBands,
+ *   noCoverageBand, sheets: [{sheet, name, headerColor, groupHeaderColor, columns: [{key, header, width}], sort: [{key, order, field}]}]})
+ */
+async function loadReportDefinition(bucket, key) {
+  if (!bucket || !key) {
+    return getDefaultReportDefinition();
+  }
+
+  const storage = getStorage();
+  let text;
+  try {
+    text = (await storage.get(bucket, key)).toString('utf-8');
+  } catch (error) {
+    console.warn(`⚠️ Could not read report definition ${key}, using built-in: ${error.message}`);
+    return getDefaultReportDefinition();
+  }
+
+  try {
+    const definition = parseReportDefinition(text, storage.uri(bucket, key), getDefaultReportDefinition());
+    console.log(`📐 Using report definition "${definition.name}": ${definition.source}`);
+    return definition;
+  } catch (error) {
+    console.warn(`⚠️ ${error.message}; using built-in report definition`);
+    return getDefaultReportDefinition();
+  }
+}
+
+/**
+ * Get the built-in definition bundled with the function
+ * @returns {Object} Resolved definition (see loadReportDefinition)
+ */
+function getDefaultReportDefinition() {
+  if (!defaultDefinition) {
+    defaultDefinition = parseReportDefinition(fs.readFileSync(DEFAULT_DEFINITION_FILE, 'utf-8'), 'built-in', null);
+  }
+  return defaultDefinition;
+}
+
+/**
+ * Parse and validate a report definition
+ * @param {string} text - Definition (JSON or YAML; YAML is a superset of JSON)
+ * @param {string} source - Where the definition came from (for messages)
+ * @param {Object|null} base - Resolved definition supplying the values this one leaves out (null for the built-in definition)
+ * @returns {Object} Resolved definition
+ * @throws {Error} Listing every problem when the definition is invalid
+ */
+function parseReportDefinition(text, source, base) {
+  let raw;
+  try {
+    raw = yaml.load(text);
+  } catch (error) {
+    throw new Error(`Invalid report definition ${source}: ${error.message}`);
+  }
+  return resolveReportDefinition(raw, source, base);
+}
+
+/**
+ * Validate a parsed definition object and resolve it against a base definition
+ * @param {Object} raw - Definition object (e.g. from YAML, or inline in a report profile)
+ * @param {string} source - Where the definition came from (for messages)
+ * @param {Object|null} base - Resolved definition supplying the values this one leaves out (null for the built-in definition)
+ * @returns {Object} Resolved definition
+ * @throws {Error} Listing every problem when the definition is invalid
+ */
+function resolveReportDefinition(raw, source, base) {
+  const problems = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Invalid report definition ${source}: expected an object with a "sheets" list`);
+  }
+  Object.keys(raw)
+    .filter(field => !DEFINITION_FIELDS.includes(field))
+    .forEach(field => problems.push(`unknown field "${field}"`));
+
+  if (raw.charts !== undefined && typeof raw.charts !== 'boolean') {
+    problems.push('charts must be true or false');
+  }
+
+  const theme = { ...(base ? base.theme : {}) };
+  if (raw.theme !== undefined && (typeof raw.theme !== 'object' || raw.theme === null)) {
+    problems.push('theme must be an object');
+  } else {
+    Object.entries(raw.theme || {}).forEach(([name, value]) => {
+      if (!THEME_COLORS.includes(name)) {
+        problems.push(`theme: unknown color "${name}". Supported: ${THEME_COLORS.join(', ')}`);
+      } else {
+        theme[name] = parseColor(value, `theme.${name}`, problems);
+      }
+    });
+  }
+  THEME_COLORS.filter(name => !theme[name]).forEach(name => problems.push(`theme.${name} is required`));
+
+  const coverageBands = raw.coverageBands !== undefined
+    ? parseCoverageBands(raw.coverageBands, problems)
+    : base && base.coverageBands;
+  const noCoverageBand = raw.noCoverageBand !== undefined
+    ? parseBand(raw.noCoverageBand, 'noCoverageBand', problems, false)
+    : base && base.noCoverageBand;
+  if (!coverageBands || !noCoverageBand) {
+    problems.push('coverageBands and noCoverageBand are required');
+  }
+
+  const sheets = [];
+  if (raw.sheets === undefined && base) {
+    sheets.push(...base.sheets);
+  } else if (!Array.isArray(raw.sheets) || raw.sheets.length === 0) {
+    problems.push('sheets must be a non-empty list');
+  } else {
+    raw.sheets.forEach((entry, index) => {
+      const sheet = parseSheet(entry, `sheets[${index}]`, base, problems);
+      if (sheet && sheets.some(existing => existing.sheet === sheet.sheet)) {
+        problems.push(`sheets[${index}]: sheet "${sheet.sheet}" is listed more than once`);
+      } else if (sheet) {
+        sheets.push(sheet);
+      }
+    });
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid report definition ${source}: ${problems.join('; ')}`);
+  }
+
+  return {
+    name: raw.name ? String(raw.name) : path.basename(source).replace(/\.(json|ya?ml)$/i, ''),
+    description: raw.description ? String(raw.description) : '',
+    source,
+    charts: raw.charts !== undefined ? raw.charts : (base ? base.charts : true),
+    theme,
+    coverageBands,
+    noCoverageBand,
+    sheets
+  };
+}
+
+/**
+ * Parse one sheet entry ({sheet, headerColor, groupHeaderColor, columns, sort})
+ */
+function parseSheet(entry, where, base, problems) {
+  const type = typeof entry === 'string' ? entry : entry && entry.sheet;
+  const catalog = SHEET_TYPES[type];
+  if (!catalog) {
+    problems.push(`${where}: unknown sheet "${type}". Supported: ${Object.keys(SHEET_TYPES).join(', ')}`);
+    return null;
+  }
+
+  const options = typeof entry === 'string' ? {} : entry;
+  Object.keys(options)
+    .filter(field => !SHEET_FIELDS.includes(field))
+    .forEach(field => problems.push(`${where}: unknown field "${field}"`));
+
+  const inherited = (base && base.sheets.find(sheet => sheet.sheet === type)) || {};
+  const sheet = {
+    sheet: type,
+    name: catalog.name,
+    headerColor: options.headerColor !== undefined
+      ? parseColor(options.headerColor, `${where}.headerColor`, problems)
+      : inherited.headerColor || 'FF4472C4',
+    groupHeaderColor: options.groupHeaderColor !== undefined
+      ? parseColor(options.groupHeaderColor, `${where}.groupHeaderColor`, problems)
+      : inherited.groupHeaderColor || inherited.headerColor || 'FF4472C4',
+    columns: [],
+    sort: []
+  };
+
+  if (!catalog.columns) {
+    ['columns', 'sort']
+      .filter(field => options[field] !== undefined)
+      .forEach(field => problems.push(`${where}: sheet "${type}" does not support ${field}`));
+    return sheet;
+  }
+
+  if (options.columns === undefined) {
+    sheet.columns = inherited.columns || Object.keys(catalog.columns).map(key => ({ key, ...catalog.columns[key] }));
+  } else if (!Array.isArray(options.columns) || options.columns.length === 0) {
+    problems.push(`${where}.columns must be a non-empty list`);
+  } else {
+    options.columns.forEach((column, index) => {
+      const key = typeof column === 'string' ? column : column && column.key;
+      if (!catalog.columns[key]) {
+        problems.push(`${where}.columns[${index}]: unknown column "${key}". Supported: ${Object.keys(catalog.columns).join(', ')}`);
+      } else if (sheet.columns.some(existing => existing.key === key)) {
+        problems.push(`${where}.columns[${index}]: column "${key}" is listed more than once`);
+      } else {
+        const overrides = typeof column === 'string' ? {} : column;
+        if (overrides.width !== undefined && !(typeof overrides.width === 'number' && overrides.width > 0)) {
+          problems.push(`${where}.columns[${index}].width must be a positive number`);
+        }
+        sheet.columns.push({
+          key,
+          header: overrides.header !== undefined && catalog.columns[key].header !== null ? String(overrides.header) : catalog.columns[key].header,
+          width: overrides.width || catalog.columns[key].width
+        });
+      }
+    });
+  }
+
+  const sort = options.sort !== undefined ? options.sort : inherited.sort || [];
+  if (!Array.isArray(sort)) {
+    problems.push(`${where}.sort must be a list`);
+  } else {
+    sheet.sort = sort.map((rule, index) => {
+      const key = typeof rule === 'string' ? rule : rule && rule.key;
+      const order = String(typeof rule === 'string' ? 'asc' : (rule && rule.order) || 'asc').toLowerCase();
+      if (!catalog.columns[key] || catalog.columns[key].sortable === false) {
+        problems.push(`${where}.sort[${index}]: cannot sort by "${key}"`);
+      }
+      if (!['asc', 'desc'].includes(order)) {
+        problems.push(`${where}.sort[${index}]: order must be asc or desc`);
+      }
+      // field is the row value sorted on, which differs from the column key for columns with a custom order
+      return { key, order, field: (catalog.columns[key] && catalog.columns[key].sortField) || key };
+    });
+  }
+
+  return sheet;
+}
+
+/**
+ * Parse coverage bands: highest threshold first, the lowest band starting at 0
+ */
+function parseCoverageBands(value, problems) {
+  if (!Array.isArray(value) || value.length === 0) {
+    problems.push('coverageBands must be a non-empty list');
+    return null;
+  }
+
+  const bands = value.map((band, index) => parseBand(band, `coverageBands[${index}]`, problems, true));
+  bands.forEach((band, index) => {
+    if (index > 0 && band.min >= bands[index - 1].min) {
+      problems.push(`coverageBands[${index}]: min must be lower than the previous band's (${bands[index - 1].min})`);
+    }
+  });
+  if (bands[bands.length - 1].min !== 0) {
+    problems.push('coverageBands: the last band must have min 0');
+  }
+  return bands;
+}
+
+/**
+ * Parse one coverage band ({label, min, color, bold, italic})
+ */
+function parseBand(value, where, problems, withMin) {
+  const band = value && typeof value === 'object' ? value : {};
+  if (!band.label) {
+    problems.push(`${where}.label is required`);
+  }
+  if (withMin && !(typeof band.min === 'number' && band.min >= 0 && band.min <= 100)) {
+    problems.push(`${where}.min must be a number from 0 to 100`);
+  }
+  return {
+    label: String(band.label || ''),
+    // The no-coverage band has no threshold of its own
+    min: withMin ? band.min : 0,
+    color: parseColor(band.color, `${where}.color`, problems),
+    ...(band.bold && { bold: true }),
+    ...(band.italic && { italic: true })
+  };
+}
+
+/**
+ * Parse a color as ARGB hex (RRGGBB gets an opaque alpha; a leading # is allowed)
+ */
+function parseColor(value, where, problems) {
+  const match = typeof value === 'string' && value.match(/^#?([0-9a-f]{6}|[0-9a-f]{8})$/i);
+  if (!match) {
+    problems.push(`${where} must be an RRGGBB or AARRGGBB hex string (quote it in YAML), got "${value}"`);
+    return null;
+  }
+  const hex = match[1].toUpperCase();
+  return hex.length === 6 ? `FF${hex}` : hex;
+}
+
+module.exports = {
+  getDefaultReportDefinition,
+  loadReportDefinition,
+  parseReportDefinition,
+  resolveReportDefinition
+};
@@ -0,0 +1,293 @@
+/**
+ * Report Profiles Module
+ *
+ * Named report profiles produce several reports from one read of the source data, e.g. a compact
+ * executive workbook or a report limited to EU regions next to the full report. Each profile has
+ * its own region and service filters, sheet selection and styling (an inline report definition),
+ * output name, formats and distribution target.
+ *
+ * The deployment's configured report is always the "default" profile: unfiltered, written to
+ * LATEST_REPORT_NAME and distributed to DISTRIBUTION_KEY. It alone records the content hash and
+ * writes the archive snapshot, so change detection and idempotent runs do not depend on the other
+ * profiles. Other profiles are listed in a JSON or YAML file (REPORT_PROFILES_KEY in the report
+ * bucket, --profiles in the CLI):
+ *
+ *   profiles:
+ *     - name: eu
+ *       reportName: aws-service-report-eu-latest.xlsx
+ *       formats: xlsx,html
+ *       regions: { geographies: [Europe] }
+ *       definition: { charts: false, sheets: [summary, regions, services, serviceCoverage] }
+ *       distribution: { key: reports/profiles/aws-service-report-eu.xlsx }
+ */
+
+const yaml = require('js-yaml');
+const { getStorage } = require('./storage');
+const { parseFormats } = require('./reportRenderers');
+const { resolveReportDefinition } = require('./reportDefinition');
+const { PARTITION_ORDER, GEOGRAPHY_ORDER, classifyRegion } = require('./regionClassification');
+const { detectChanges } = require('./changeDetector');
+const { buildAvailabilityTimeline } = require('./availabilityTimeline');
+
+const DEFAULT_PROFILE_NAME = 'default';
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const REPORT_NAME_PATTERN = /^[\w.-]+\.xlsx$/;
+
+const PROFILE_FIELDS = ['name', 'description', 'reportName', 'formats', 'definition', 'regions', 'services', 'distribution'];
+const REGION_FILTER_FIELDS = ['include', 'exclude', 'partitions', 'geographies'];
+const SERVICE_FILTER_FIELDS = ['include', 'exclude'];
+const DISTRIBUTION_FIELDS = ['bucket', 'key', 'htmlKey'];
+
+/**
+ * Load the report profiles from storage. Without a key no profiles are configured; a missing or
+ * invalid file is reported as a warning and only the default report is generated.
+ * @param {string} bucket - Bucket holding the profiles file
+ * @param {string} key - Profiles key (e.g. 'config/report-profiles/profiles.yaml'); empty disables profiles
+ * @param {Object} definition - Active report definition that profile definitions build on
+ * @param {string} defaultReportName - Latest workbook name of the default report, which profiles cannot reuse
+ * @returns {Promise<Object>} Profiles ({profiles, warning}); warning is null when the profiles loaded
+ */
+async function loadReportProfiles(bucket, key, definition, defaultReportName) {
+  if (!bucket || !key) {
+    return { profiles: [], warning: null };
+  }
+
+  const storage = getStorage();
+  try {
+    const text = (await storage.get(bucket, key)).toString('utf-8');
+    const profiles = parseReportProfiles(text, storage.uri(bucket, key), definition, defaultReportName);
+    console.log(`📑 Report profiles from ${storage.uri(bucket, key)}: ${profiles.map(profile => profile.name).join(', ') || 'none'}`);
+    return { profiles, warning: null };
+  } catch (error) {
+    console.warn(`⚠️ Report profiles not loaded, generating the default report only: ${error.message}`);
+    return { profiles: [], warning: error.message };
+  }
+}
+
+/**
+ * Parse and validate a report profiles file
+ * @param {string} text - Profiles file (JSON or YAML) with a "profiles" list
+ * @param {string} source - Where the profiles came from (for messages)
+ * @param {Object} definition - Active report definition that profile definitions build on
+ * @param {string} defaultReportName - Latest workbook name of the default report, which profiles cannot reuse
+ * @returns {Array<Object>} Resolved profiles ({name, description, reportName, formats, definition,
+ *   regions: {include, exclude, partitions, geographies}, services: {include, exclude}, distribution})
+ * @throws {Error} Listing every problem when the file is invalid
+ */
+function parseReportProfiles(text, source, definition, defaultReportName) {
+  let raw;
+  try {
+    raw = yaml.load(text);
+  } catch (error) {
+    throw new Error(`Invalid report profiles ${source}: ${error.message}`);
+  }
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.profiles)) {
+    throw new Error(`Invalid report profiles ${source}: expected an object with a "profiles" list`);
+  }
+
+  const problems = [];
+  Object.keys(raw)
+    .filter(field => field !== 'profiles')
+    .forEach(field => problems.push(`unknown field "${field}"`));
+
+  const profiles = raw.profiles
+    .map((entry, index) => parseProfile(entry, `profiles[${index}]`, source, definition, problems))
+    .filter(Boolean);
+
+  profiles
+    .filter(profile => profile.reportName === defaultReportName)
+    .forEach(profile => problems.push(`profile "${profile.name}": reportName "${profile.reportName}" is the default report's name`));
+  ['name', 'reportName'].forEach(field => {
+    profiles
+      .filter((profile, index) => profiles.findIndex(other => other[field] === profile[field]) !== index)
+      .forEach(profile => problems.push(`${field} "${profile[field]}" is used by more than one profile`));
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid report profiles ${source}: ${problems.join('; ')}`);
+  }
+  return profiles;
+}
+
+/**
+ * Parse one profile entry
+ */
+function parseProfile(entry, where, source, definition, problems) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    problems.push(`${where} must be an object`);
+    return null;
+  }
+  Object.keys(entry)
+    .filter(field => !PROFILE_FIELDS.includes(field))
+    .forEach(field => problems.push(`${where}: unknown field "${field}"`));
+
+  const name = String(entry.name || '');
+  if (!PROFILE_NAME_PATTERN.test(name)) {
+    problems.push(`${where}.name must be lowercase letters, digits and dashes, got "${name}"`);
+  } else if (name === DEFAULT_PROFILE_NAME) {
+    problems.push(`${where}: "${DEFAULT_PROFILE_NAME}" is the deployment's own report and cannot be redefined`);
+  }
+
+  const reportName = entry.reportName !== undefined ? String(entry.reportName) : `aws-service-report-${name}-latest.xlsx`;
+  if (!REPORT_NAME_PATTERN.test(reportName)) {
+    problems.push(`${where}.reportName must be a file name ending in .xlsx, got "${reportName}"`);
+  }
+
+  let formats = ['xlsx'];
+  try {
+    formats = parseFormats(entry.formats === undefined ? 'xlsx' : String(entry.formats));
+  } catch (error) {
+    problems.push(`${where}.formats: ${error.message}`);
+  }
+
+  // Inline definitions build on the deployment's definition and are named after the profile
+  let profileDefinition = definition;
+  if (entry.definition !== undefined && (!entry.definition || typeof entry.definition !== 'object' || Array.isArray(entry.definition))) {
+    problems.push(`${where}.definition must be an object (a report definition)`);
+  } else if (entry.definition !== undefined) {
+    try {
+      profileDefinition = resolveReportDefinition({ name, ...entry.definition }, `${source} ${where}.definition`, definition);
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+
+  const distribution = parseObject(entry.distribution, `${where}.distribution`, DISTRIBUTION_FIELDS, problems);
+  if (entry.distribution !== undefined && !distribution.key) {
+    problems.push(`${where}.distribution.key is required`);
+  }
+
+  const regions = parseObject(entry.regions, `${where}.regions`, REGION_FILTER_FIELDS, problems);
+  const services = parseObject(entry.services, `${where}.services`, SERVICE_FILTER_FIELDS, problems);
+  return {
+    name,
+    description: entry.description ? String(entry.description) : '',
+    reportName,
+    formats,
+    definition: profileDefinition,
+    regions: {
+      include: parseList(regions.include, `${where}.regions.include`, problems),
+      exclude: parseList(regions.exclude, `${where}.regions.exclude`, problems),
+      partitions: parseList(regions.partitions, `${where}.regions.partitions`, problems, PARTITION_ORDER),
+      geographies: parseList(regions.geographies, `${where}.regions.geographies`, problems, GEOGRAPHY_ORDER)
+    },
+    services: {
+      include: parseList(services.include, `${where}.services.include`, problems),
+      exclude: parseList(services.exclude, `${where}.services.exclude`, problems)
+    },
+    distribution: distribution.key
+      ? { bucket: distribution.bucket ? String(distribution.bucket) : null, key: String(distribution.key), htmlKey: distribution.htmlKey ? String(distribution.htmlKey) : null }
+      : null
+  };
+}
+
+/**
+ * Parse an optional object with a fixed set of fields
+ */
+function parseObject(value, where, fields, problems) {
+  if (value === undefined) {
+    return {};
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    problems.push(`${where} must be an object`);
+    return {};
+  }
+  Object.keys(value)
+    .filter(field => !fields.includes(field))
+    .forEach(field => problems.push(`${where}: unknown field "${field}". Supported: ${fields.join(', ')}`));
+  return value;
+}
+
+/**
+ * Parse an optional list of strings (a comma-separated string is accepted), checking against allowed values
+ */
+function parseList(value, where, problems, allowed) {
+  if (value === undefined) {
+    return [];
+  }
+  const list = typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : value;
+  if (!Array.isArray(list) || list.some(item => typeof item !== 'string' || !item)) {
+    problems.push(`${where} must be a list of strings`);
+    return [];
+  }
+  if (allowed) {
+    list
+      .filter(item => !allowed.includes(item))
+      .forEach(item => problems.push(`${where}: unknown value "${item}". Supported: ${allowed.join(', ')}`));
+  }
+  return list;
+}
+
+/**
+ * Build a profile's report data from the run's data: the filtered current data, changes against
+ * the filtered previous data and the availability timeline of the filtered history
+ * @param {Object} profile - Profile from parseReportProfiles
+ * @param {Object} normalizedData - Current normalized data
+ * @param {Object|null} previousData - Previous normalized data (null without a previous report)
+ * @param {Array<Object>|null} history - Timeline observations ({date, data}), oldest first, including the current run
+ * @returns {Object} Report data ({data, changes, timeline})
+ * @throws {Error} When the filters match no regions or no services
+ */
+function buildProfileData(profile, normalizedData, previousData, history) {
+  const data = filterReportData(normalizedData, profile);
+  if (data.regions.length === 0 || data.services.length === 0) {
+    throw new Error(`Profile "${profile.name}" filters match ${data.regions.length} regions and ${data.services.length} services`);
+  }
+
+  return {
+    data,
+    changes: previousData ? detectChanges(filterReportData(previousData, profile), data) : null,
+    timeline: history
+      ? buildAvailabilityTimeline(history.map(observation => ({ date: observation.date, data: filterReportData(observation.data, profile) })))
+      : null
+  };
+}
+
+/**
+ * Apply a profile's region and service filters to normalized data
+ * @param {Object} data - Normalized data ({metadata, regions, services, servicesByRegion})
+ * @param {Object} profile - Profile from parseReportProfiles
+ * @returns {Object} Normalized data limited to the matching regions and services
+ */
+function filterReportData(data, profile) {
+  const regionFilter = profile.regions;
+  const serviceFilter = profile.services;
+  const includeRegion = code => {
+    const { partition, geography } = classifyRegion(code);
+    return (regionFilter.include.length === 0 || matchesAny(code, regionFilter.include)) &&
+      !matchesAny(code, regionFilter.exclude) &&
+      (regionFilter.partitions.length === 0 || regionFilter.partitions.includes(partition)) &&
+      (regionFilter.geographies.length === 0 || regionFilter.geographies.includes(geography));
+  };
+  const includeService = code => (serviceFilter.include.length === 0 || matchesAny(code, serviceFilter.include)) &&
+    !matchesAny(code, serviceFilter.exclude);
+
+  const regions = (data.regions || []).filter(region => includeRegion(region.code));
+  const services = (data.services || []).filter(service => includeService(service.code));
+  const servicesByRegion = {};
+  Object.entries(data.servicesByRegion || {})
+    .filter(([regionCode]) => includeRegion(regionCode))
+    .forEach(([regionCode, serviceCodes]) => {
+      servicesByRegion[regionCode] = (serviceCodes || []).filter(includeService);
+    });
+
+  return { ...data, regions, services, servicesByRegion };
+}
+
+/**
+ * Check a code against patterns where * matches any characters (case-insensitive)
+ */
+function matchesAny(code, patterns) {
+  return patterns.some(pattern => {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`, 'i').test(code);
+  });
+}
+
+module.exports = {
+  DEFAULT_PROFILE_NAME,
+  loadReportProfiles,
+  parseReportProfiles,
+  buildProfileData,
+  filterReportData
+};
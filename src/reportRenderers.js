@@ -0,0 +1,323 @@
+/**
+ * Report Renderers Module
+ *
+ * Renders normalized report data into one or more output formats.
+ * Each renderer returns artifacts ({format, suffix, extension, contentType, body})
+ * that are uploaded side by side under the latest and archive prefixes.
+ */
+
+const { generateExcelReport } = require('./excelGenerator');
+const { generateHtmlReport } = require('./htmlGenerator');
+const {
+  getCoverageBand,
+  buildRegionRows,
+  buildServiceRows,
+  buildCoverageMatrix,
+  buildGeographyCoverage,
+  buildCategoryCoverage,
+  buildReportSummary,
+  buildRegionAnalytics
+} = require('./reportData');
+const { getDefaultServiceCategories } = require('./serviceCategories');
+const { getDefaultReportDefinition } = require('./reportDefinition');
+const { formatDateEST } = require('./utils');
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Renderers keyed by format name; xlsx is the primary report and always rendered
+const RENDERERS = {
+  xlsx: renderExcel,
+  csv: renderCsv,
+  json: renderJson,
+  md: renderMarkdown,
+  html: renderHtml
+};
+
+/**
+ * Parse a comma-separated list of output formats
+ * @param {string} value - Formats (e.g. 'xlsx,csv,json,md,html')
+ * @returns {Array<string>} Validated formats, always including xlsx
+ */
+function parseFormats(value) {
+  const formats = (value || 'xlsx')
+    .split(',')
+    .map(format => format.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = formats.filter(format => !RENDERERS[format]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown report format(s): ${unknown.join(', ')}. Supported: ${Object.keys(RENDERERS).join(', ')}`);
+  }
+
+  return ['xlsx', ...formats.filter(format => format !== 'xlsx')]
+    .filter((format, index, all) => all.indexOf(format) === index);
+}
+
+/**
+ * Render report data in every requested format
+ * @param {Object} sourceData - Normalized report data
+ * @param {Array<string>} formats - Formats from parseFormats
+ * @param {Object} options - Additional report content passed to every renderer (sourceUri, changes, timeline, watchlist, readiness,
+ *   definition, categories); the report definition and service categories default to the built-in ones
+ * @returns {Promise<Array<Object>>} Rendered artifacts
+ */
+async function renderReports(sourceData, formats, options = {}) {
+  const rendererOptions = {
+    ...options,
+    definition: options.definition || getDefaultReportDefinition(),
+    categories: options.categories || getDefaultServiceCategories()
+  };
+  const artifacts = [];
+  for (const format of formats) {
+    artifacts.push(...await RENDERERS[format](sourceData, rendererOptions));
+  }
+  return artifacts;
+}
+
+/**
+ * Render the Excel workbook
+ */
+async function renderExcel(sourceData, options) {
+  const body = await generateExcelReport(sourceData, options);
+  return [{ format: 'xlsx', suffix: '', extension: '.xlsx', contentType: XLSX_CONTENT_TYPE, body }];
+}
+
+/**
+ * Render a CSV bundle: one file per sheet (Regions, Services, Service Coverage)
+ */
+async function renderCsv(sourceData, options) {
+  const regionRows = buildRegionRows(sourceData).map(region => [
+    region.regionCode,
+    region.regionName,
+    region.partition,
+    region.geography,
+    region.azCount,
+    region.serviceCount,
+    region.launchDate || '',
+    region.blogUrl || ''
+  ]);
+
+  const serviceRows = buildServiceRows(sourceData, options.categories).map(service => [
+    service.serviceCode,
+    service.serviceName,
+    service.category,
+    service.availableRegions,
+    service.coveragePercent.toFixed(1)
+  ]);
+
+  const { regionCodes, rows } = buildCoverageMatrix(sourceData, options.categories);
+  const coverageRows = rows.map(service => [
+    service.serviceCode,
+    service.serviceName,
+    service.category,
+    ...service.availability.map(isAvailable => isAvailable ? 'Yes' : 'No')
+  ]);
+
+  return [
+    csvArtifact('-regions', [
+      ['Region Code', 'Region Name', 'Partition', 'Geography', 'Availability Zones', 'Service Count', 'Launch Date', 'Blog URL'],
+      ...regionRows
+    ]),
+    csvArtifact('-services', [
+      ['Service Code', 'Service Name', 'Category', 'Available Regions', 'Coverage %'],
+      ...serviceRows
+    ]),
+    csvArtifact('-service-coverage', [
+      ['Service Code', 'Service Name', 'Category', ...regionCodes],
+      ...coverageRows
+    ])
+  ];
+}
+
+/**
+ * Render a flat JSON document
+ */
+async function renderJson(sourceData, options) {
+  const document = {
+    generatedAt: new Date().toISOString(),
+    metadata: sourceData.metadata || {},
+    summary: buildReportSummary(sourceData),
+    regions: buildRegionRows(sourceData),
+    geographyCoverage: buildGeographyCoverage(sourceData),
+    categoryCoverage: buildCategoryCoverage(sourceData, options.categories),
+    regionAnalytics: buildRegionAnalytics(sourceData),
+    services: buildServiceRows(sourceData, options.categories)
+  };
+
+  if (options.changes) {
+    document.changes = options.changes;
+  }
+  if (options.timeline) {
+    document.timeline = options.timeline;
+  }
+  if (options.watchlist) {
+    document.watchlist = options.watchlist;
+  }
+  if (options.readiness) {
+    document.readiness = options.readiness;
+  }
+
+  return [{
+    format: 'json',
+    suffix: '',
+    extension: '.json',
+    contentType: 'application/json',
+    body: Buffer.from(JSON.stringify(document, null, 2), 'utf-8')
+  }];
+}
+
+/**
+ * Render a Markdown summary
+ */
+async function renderMarkdown(sourceData, options) {
+  const summary = buildReportSummary(sourceData);
+  const services = buildServiceRows(sourceData, options.categories);
+
+  const { coverageBands: bands, noCoverageBand } = options.definition;
+  const coverageBands = [...bands, noCoverageBand].map(band => ({
+    label: band.label,
+    count: services.filter(service => getCoverageBand(service.coveragePercent, bands, noCoverageBand) === band).length
+  }));
+
+  const lines = [
+    '# AWS Service Report',
+    '',
+    '## Summary',
+    '',
+    '| Field | Value |',
+    '| --- | --- |',
+    `| Report Generated | ${formatDateEST(new Date())} |`,
+    `| Schema Version | ${summary.schemaVersion} |`,
+    `| Data Timestamp | ${summary.dataTimestamp ? formatDateEST(summary.dataTimestamp) : 'Unknown'} |`,
+    `| Total AWS Regions | ${summary.regionCount} |`,
+    `| Total AWS Services | ${summary.serviceCount} |`,
+    `| Service-by-Region Mappings | ${summary.serviceMappingCount.toLocaleString()} |`,
+    '',
+    '## Service Coverage Distribution',
+    '',
+    '| Coverage | Services |',
+    '| --- | --- |',
+    ...coverageBands.map(band => `| ${band.label} | ${band.count} |`),
+    '',
+    '## Regions',
+    '',
+    '| Region Code | Region Name | Geography | Availability Zones | Service Count | Launch Date |',
+    '| --- | --- | --- | --- | --- | --- |',
+    ...buildRegionRows(sourceData).map(region =>
+      `| ${region.regionCode} | ${escapeMarkdown(region.regionName)} | ${region.partition === 'aws' ? region.geography : `${region.geography} (${region.partition})`} | ` +
+      `${region.azCount} | ${region.serviceCount} | ${region.launchDate || 'N/A'} |`)
+  ];
+
+  const regionAnalytics = buildRegionAnalytics(sourceData);
+  if (regionAnalytics.cohorts.length > 0) {
+    lines.push(
+      '',
+      '## Regions by Launch Year',
+      '',
+      `Average region age: ${regionAnalytics.averageAgeYears} years. Newest: ` +
+        regionAnalytics.newestRegions.map(region => `${region.regionCode} (${region.launchDate})`).join(', '),
+      '',
+      '| Launch Year | Regions Launched | Cumulative Regions | Avg Service Count |',
+      '| --- | --- | --- | --- |',
+      ...regionAnalytics.cohorts.map(cohort =>
+        `| ${cohort.year} | ${cohort.launched} | ${cohort.cumulativeRegions} | ${cohort.averageServiceCount === null ? 'N/A' : cohort.averageServiceCount} |`)
+    );
+  }
+
+  if (options.readiness) {
+    lines.push('', '## Region Readiness');
+    options.readiness.workloads.forEach(workload => {
+      const eligible = workload.regions.filter(region => region.eligible);
+      lines.push(
+        '',
+        `### ${workload.name}`,
+        '',
+        `${eligible.length} of ${workload.regions.length} regions offer all ${workload.required.length} required services.`,
+        ...eligible.map(region => `${region.rank}. ${region.regionCode}` +
+          (region.optionalCount > 0 ? ` (${region.optionalAvailable} of ${region.optionalCount} optional services)` : ''))
+      );
+    });
+  }
+
+  if (options.changes) {
+    const changes = options.changes;
+    lines.push(
+      '',
+      '## Changes Since Previous Report',
+      '',
+      `- Regions added: ${changes.addedRegions.map(r => r.code).join(', ') || 'none'}`,
+      `- Regions removed: ${changes.removedRegions.map(r => r.code).join(', ') || 'none'}`,
+      `- Services added: ${changes.addedServices.map(s => s.code).join(', ') || 'none'}`,
+      `- Services removed: ${changes.removedServices.map(s => s.code).join(', ') || 'none'}`,
+      ...changes.regionChanges
+        .filter(change => change.addedServices.length > 0)
+        .map(change => `- New in ${change.regionCode}: ${change.addedServices.join(', ')}`)
+    );
+  }
+
+  if (options.watchlist) {
+    const { summary, changes } = options.watchlist;
+    lines.push(
+      '',
+      '## Watchlist',
+      '',
+      `${summary.availableCount} of ${summary.pairCount} watched service-region pairs available, ${summary.gapCount} gaps.`,
+      ...changes.map(pair => `- ${pair.change === 'available' ? 'Now available' : 'No longer available'}: ${pair.serviceCode} in ${pair.regionCode}`)
+    );
+  }
+
+  return [{
+    format: 'md',
+    suffix: '',
+    extension: '.md',
+    contentType: 'text/markdown; charset=utf-8',
+    body: Buffer.from(lines.join('\n') + '\n', 'utf-8')
+  }];
+}
+
+/**
+ * Render the self-contained HTML dashboard
+ */
+async function renderHtml(sourceData, options) {
+  return [{
+    format: 'html',
+    suffix: '',
+    extension: '.html',
+    contentType: 'text/html; charset=utf-8',
+    body: Buffer.from(generateHtmlReport(sourceData, options.categories, options.definition), 'utf-8')
+  }];
+}
+
+/**
+ * Build a CSV artifact from rows of cell values
+ */
+function csvArtifact(suffix, rows) {
+  const csv = rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+  return {
+    format: 'csv',
+    suffix,
+    extension: '.csv',
+    contentType: 'text/csv; charset=utf-8',
+    body: Buffer.from(csv, 'utf-8')
+  };
+}
+
+/**
+ * Quote a CSV cell when it contains separators, quotes or line breaks
+ */
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escape pipe characters that would break a Markdown table cell
+ */
+function escapeMarkdown(value) {
+  return String(value || '').replace(/\|/g, '\\|');
+}
+
+module.exports = {
+  parseFormats,
+  renderReports
+};
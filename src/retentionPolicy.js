@@ -0,0 +1,177 @@
+/**
+ * Retention Policy Module
+ *
+ * Grandfather-father-son retention for archived reports. A policy is a list of keep rules,
+ * e.g. ARCHIVE_RETENTION_POLICY="daily=7,weekly=8,monthly=12,yearly=all":
+ *
+ *   - days=N: keep every archive from the last N days (the ARCHIVE_RETENTION_DAYS behavior)
+ *   - daily=N / weekly=N / monthly=N / yearly=N: keep the newest archive of each of the
+ *     N most recent days / ISO weeks / months / years that have archives ('all' keeps every period)
+ *
+ * An archive is kept when any rule keeps it. Archive dates come from the run timestamp in the
+ * filename (yyyy-MM-dd-HHmmss), not from the object's LastModified, so copies or restores of old
+ * archives do not reset their age. The newest archive and archives without a timestamp are always kept.
+ */
+
+const { format } = require('date-fns');
+
+const PERIOD_RULES = {
+  daily: { format: 'yyyy-MM-dd', noun: 'days' },
+  weekly: { format: 'RRRR-\'W\'II', noun: 'weeks' },
+  monthly: { format: 'yyyy-MM', noun: 'months' },
+  yearly: { format: 'yyyy', noun: 'years' }
+};
+
+const RULE_NAMES = ['days', ...Object.keys(PERIOD_RULES)];
+
+const TIMESTAMP_PATTERN = /^(\d{4})-(\d{2})-(\d{2})-(\d{2})(\d{2})(\d{2})$/;
+
+/**
+ * Parse a retention policy
+ * @param {string} text - Comma-separated rules (e.g. 'daily=7,weekly=8,monthly=12,yearly=all')
+ * @returns {Object} Policy keyed by rule name; values are counts (Infinity for 'all')
+ * @throws {Error} When a rule is unknown, repeated or has an invalid count
+ */
+function parseRetentionPolicy(text) {
+  const policy = {};
+  const entries = String(text || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  if (entries.length === 0) {
+    throw new Error('Retention policy is empty');
+  }
+
+  entries.forEach(entry => {
+    const [name, value = ''] = entry.split('=').map(part => part.trim().toLowerCase());
+    if (!RULE_NAMES.includes(name)) {
+      throw new Error(`Unknown retention rule "${name}". Supported: ${RULE_NAMES.join(', ')}`);
+    }
+    if (policy[name] !== undefined) {
+      throw new Error(`Retention rule "${name}" is set more than once`);
+    }
+    if (value === 'all') {
+      policy[name] = Infinity;
+    } else if (/^\d+$/.test(value)) {
+      policy[name] = parseInt(value);
+    } else {
+      throw new Error(`Retention rule "${name}" needs a whole number or 'all', got "${value}"`);
+    }
+  });
+
+  return policy;
+}
+
+/**
+ * Describe a policy for logs and notifications (e.g. 'last 7 days' or '7 daily, 8 weekly, all yearly')
+ * @param {Object} policy - Policy from parseRetentionPolicy
+ * @returns {string} Description
+ */
+function describeRetentionPolicy(policy) {
+  return RULE_NAMES
+    .filter(name => policy[name] !== undefined)
+    .map(name => {
+      const count = formatLimit(policy[name]);
+      return name === 'days' ? `last ${count} days` : `${count} ${name}`;
+    })
+    .join(', ');
+}
+
+/**
+ * Decide which archive units a policy keeps
+ * @param {Array<Object>} archives - Archive units from listArchives ({id, timestamp, ...})
+ * @param {Object} policy - Policy from parseRetentionPolicy
+ * @param {Date} now - Current time (for the days rule)
+ * @returns {Object} Evaluation ({kept: [{archive, keptBy}], expired: [{archive, reasons}], rules: [{rule, limit, kept: [id]}]})
+ */
+function evaluateRetention(archives, policy, now = new Date()) {
+  const decisions = archives.map(archive => ({
+    archive,
+    date: parseArchiveTimestamp(archive.timestamp),
+    keptBy: [],
+    reasons: []
+  }));
+
+  decisions.filter(decision => !decision.date).forEach(decision => decision.keptBy.push('undated'));
+
+  // Newest first by run timestamp (which sorts lexicographically)
+  const dated = decisions
+    .filter(decision => decision.date)
+    .sort((a, b) => b.archive.timestamp.localeCompare(a.archive.timestamp));
+  if (dated.length > 0) {
+    dated[0].keptBy.push('latest');
+  }
+
+  const rules = [];
+
+  if (policy.days !== undefined) {
+    const cutoff = now.getTime() - policy.days * 24 * 60 * 60 * 1000;
+    const kept = [];
+    dated.forEach(decision => {
+      if (decision.date.getTime() >= cutoff) {
+        decision.keptBy.push('days');
+        kept.push(decision.archive.id);
+      } else {
+        decision.reasons.push(`days: older than ${formatLimit(policy.days)} days`);
+      }
+    });
+    rules.push({ rule: 'days', limit: formatLimit(policy.days), kept });
+  }
+
+  Object.entries(PERIOD_RULES).forEach(([rule, period]) => {
+    if (policy[rule] === undefined) {
+      return;
+    }
+
+    // The first (newest) archive seen in each period represents it
+    const keptByPeriod = new Map();
+    dated.forEach(decision => {
+      const key = format(decision.date, period.format);
+      if (keptByPeriod.has(key)) {
+        decision.reasons.push(`${rule}: ${key} is represented by the newer ${keptByPeriod.get(key)}`);
+      } else if (keptByPeriod.size < policy[rule]) {
+        keptByPeriod.set(key, decision.archive.id);
+        decision.keptBy.push(rule);
+      } else {
+        decision.reasons.push(`${rule}: ${key} is beyond the ${formatLimit(policy[rule])} most recent ${period.noun}`);
+      }
+    });
+    rules.push({ rule, limit: formatLimit(policy[rule]), kept: [...keptByPeriod.values()] });
+  });
+
+  return {
+    kept: decisions
+      .filter(decision => decision.keptBy.length > 0)
+      .map(({ archive, keptBy }) => ({ archive, keptBy })),
+    expired: decisions
+      .filter(decision => decision.keptBy.length === 0)
+      .map(({ archive, reasons }) => ({ archive, reasons })),
+    rules
+  };
+}
+
+/**
+ * Parse an archive run timestamp (yyyy-MM-dd-HHmmss, written in the function's local time)
+ * @param {string|null} timestamp - Run timestamp from the archive filename
+ * @returns {Date|null} Date, or null when missing or invalid
+ */
+function parseArchiveTimestamp(timestamp) {
+  const match = TIMESTAMP_PATTERN.exec(timestamp || '');
+  if (!match) {
+    return null;
+  }
+  const [year, month, day, hours, minutes, seconds] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day, hours, minutes, seconds);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Format a rule count ('all' for unlimited)
+ */
+function formatLimit(limit) {
+  return limit === Infinity ? 'all' : limit;
+}
+
+module.exports = {
+  parseRetentionPolicy,
+  describeRetentionPolicy,
+  evaluateRetention,
+  parseArchiveTimestamp
+};
@@ -1,30 +1,21 @@
 /**
  * S3 Operations Module
  *
- * Handles reading AWS infrastructure data from S3.
+ * Handles reading AWS infrastructure data from the configured storage backend (S3 or local).
  */
 
-const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
-
-const s3Client = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
+const { getStorage } = require('./storage');
 
 /**
- * Read and parse source data from S3
+ * Read and parse source data from storage
  * @param {string} bucket - S3 bucket name
  * @param {string} key - S3 object key
  * @returns {Promise<Object>} Parsed JSON data
  */
 async function readSourceData(bucket, key) {
+  const storage = getStorage();
   try {
-    const command = new GetObjectCommand({
-      Bucket: bucket,
-      Key: key
-    });
-
-    const response = await s3Client.send(command);
-
-    // Convert stream to string
-    const bodyContents = await streamToString(response.Body);
+    const bodyContents = (await storage.get(bucket, key)).toString('utf-8');
 
     // Parse JSON
     const data = JSON.parse(bodyContents);
@@ -32,31 +23,35 @@ async function readSourceData(bucket, key) {
     return data;
   } catch (error) {
     if (error.name === 'NoSuchKey') {
-      throw new Error(`Source file not found: s3://${bucket}/${key}`);
+      throw new Error(`Source file not found: ${storage.uri(bucket, key)}`);
     } else if (error.name === 'SyntaxError') {
       throw new Error(`Invalid JSON format in source file: ${error.message}`);
     } else {
-      throw new Error(`Failed to read source data from S3: ${error.message}`);
+      throw new Error(`Failed to read source data from ${storage.name}: ${error.message}`);
     }
   }
 }
 
 /**
- * Convert a stream to a string
- * @param {ReadableStream} stream - The stream to convert
- * @returns {Promise<string>} The stream content as a string
+ * Read a binary object (e.g. an archived report) from storage
+ * @param {string} bucket - S3 bucket name
+ * @param {string} key - S3 object key
+ * @returns {Promise<Buffer>} Object contents
  */
-async function streamToString(stream) {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    stream.on('data', (chunk) => chunks.push(chunk));
-    stream.on('error', reject);
-    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
-  });
+async function readObjectBuffer(bucket, key) {
+  const storage = getStorage();
+  try {
+    return await storage.get(bucket, key);
+  } catch (error) {
+    if (error.name === 'NoSuchKey') {
+      throw new Error(`Object not found: ${storage.uri(bucket, key)}`);
+    }
+    throw new Error(`Failed to read object from ${storage.name}: ${error.message}`);
+  }
 }
 
 /**
- * Read service definitions with names from S3
+ * Read service definitions with names from storage
  * @param {string} bucket - S3 bucket name
  * @param {string} key - S3 object key (typically 'aws-data/services.json')
  * @returns {Promise<Array>} Array of service objects with code and name
@@ -74,5 +69,6 @@ async function readServicesData(bucket, key) {
 
 module.exports = {
   readSourceData,
-  readServicesData
+  readServicesData,
+  readObjectBuffer
 };
@@ -0,0 +1,162 @@
+/**
+ * Service Categories Module
+ *
+ * Maps service codes to categories (Compute, Storage, Database, ...) for the Category column of the
+ * Services sheet, the category grouping of the Service Coverage sheet and the Category Coverage
+ * sheet. The built-in mapping (service-categories/default.yaml) can be extended by a JSON or YAML
+ * file in the report bucket (SERVICE_CATEGORIES_KEY), and the CLI can use a local file (--categories):
+ *
+ *   categories:
+ *     - name: Machine Learning
+ *       services: [my-new-ml-service]   # added to the built-in category
+ *     - name: Quantum
+ *       services: [braket]              # new category, after the built-in ones
+ *
+ * A service listed by the custom file moves to its category there. Services in no category
+ * are reported as "Other", which is always the last category.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { getStorage } = require('./storage');
+
+const DEFAULT_CATEGORIES_FILE = path.join(__dirname, 'service-categories', 'default.yaml');
+const OTHER_CATEGORY = 'Other';
+const CATEGORY_FIELDS = ['name', 'services'];
+
+let defaultCategories = null;
+
+/**
+ * Load custom service categories from storage and apply them to the built-in mapping. Without a key,
+ * or when the file is missing or invalid, the built-in mapping is used (problems are reported as warnings).
+ * @param {string} bucket - Bucket holding the categories
+ * @param {string} key - Categories key (e.g. 'config/service-categories/categories.yaml'); empty uses the built-in mapping
+ * @returns {Promise<Object>} Service categories ({categories, warning}); categories is the mapping to pass to the renderers
+ */
+async function loadServiceCategories(bucket, key) {
+  if (!bucket || !key) {
+    return { categories: getDefaultServiceCategories(), warning: null };
+  }
+
+  const storage = getStorage();
+  try {
+    const categories = parseServiceCategories((await storage.get(bucket, key)).toString('utf-8'), storage.uri(bucket, key), getDefaultServiceCategories());
+    console.log(`🗃️ Using service categories from ${categories.source}: ${categories.names.length} categories`);
+    return { categories, warning: null };
+  } catch (error) {
+    console.warn(`⚠️ Service categories not loaded, using built-in categories: ${error.message}`);
+    return { categories: getDefaultServiceCategories(), warning: error.message };
+  }
+}
+
+/**
+ * Get the built-in service categories bundled with the function
+ * @returns {Object} Service categories ({source, names, byService}); names are in report order,
+ *   ending with "Other", and byService maps service codes to category names
+ */
+function getDefaultServiceCategories() {
+  if (!defaultCategories) {
+    defaultCategories = parseServiceCategories(fs.readFileSync(DEFAULT_CATEGORIES_FILE, 'utf-8'), 'built-in', null);
+  }
+  return defaultCategories;
+}
+
+/**
+ * Parse and validate service categories
+ * @param {string} text - Categories (JSON or YAML)
+ * @param {string} source - Where the categories came from (for messages)
+ * @param {Object|null} base - Service categories this file extends (null for the built-in mapping)
+ * @returns {Object} Service categories ({source, names, byService})
+ * @throws {Error} Listing every problem when the categories are invalid
+ */
+function parseServiceCategories(text, source, base) {
+  let raw;
+  try {
+    raw = yaml.load(text);
+  } catch (error) {
+    throw new Error(`Invalid service categories ${source}: ${error.message}`);
+  }
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.categories) || raw.categories.length === 0) {
+    throw new Error(`Invalid service categories ${source}: expected an object with a non-empty "categories" list`);
+  }
+
+  const problems = [];
+  Object.keys(raw)
+    .filter(field => field !== 'categories')
+    .forEach(field => problems.push(`unknown field "${field}"`));
+
+  const names = base ? base.names.filter(name => name !== OTHER_CATEGORY) : [];
+  const byService = new Map(base ? base.byService : []);
+  const listed = new Set();
+  raw.categories.forEach((options, index) => {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      problems.push(`categories[${index}] must be an object`);
+      return;
+    }
+    const name = typeof options.name === 'string' ? options.name.trim() : '';
+    const where = name ? `category "${name}"` : `categories[${index}]`;
+    Object.keys(options)
+      .filter(field => !CATEGORY_FIELDS.includes(field))
+      .forEach(field => problems.push(`${where}: unknown field "${field}"`));
+
+    if (!name) {
+      problems.push(`${where}.name is required`);
+      return;
+    }
+    if (name === OTHER_CATEGORY) {
+      problems.push(`${where}: "${OTHER_CATEGORY}" holds the services in no category and cannot be listed`);
+      return;
+    }
+    if (!names.includes(name)) {
+      names.push(name);
+    }
+
+    if (!Array.isArray(options.services) || options.services.some(code => typeof code !== 'string' || !code.trim())) {
+      problems.push(`${where}: services must be a list of service codes`);
+      return;
+    }
+    options.services.map(code => code.trim()).forEach(code => {
+      if (listed.has(code)) {
+        problems.push(`${where}: service "${code}" is listed more than once`);
+      }
+      listed.add(code);
+      byService.set(code, name);
+    });
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid service categories ${source}: ${problems.join('; ')}`);
+  }
+  return { source, names: [...names, OTHER_CATEGORY], byService };
+}
+
+/**
+ * Get the category of a service
+ * @param {string} serviceCode - Service code
+ * @param {Object} categories - Service categories ({source, names, byService})
+ * @returns {string} Category name ("Other" for services in no category)
+ */
+function categorizeService(serviceCode, categories) {
+  return categories.byService.get(serviceCode) || OTHER_CATEGORY;
+}
+
+/**
+ * Compare two services by category (in report order), then by name
+ * @param {Object} a - Service ({code, name})
+ * @param {Object} b - Service ({code, name})
+ * @param {Object} categories - Service categories ({source, names, byService})
+ * @returns {number} Sort order
+ */
+function compareServicesByCategory(a, b, categories) {
+  return (categories.names.indexOf(categorizeService(a.code, categories)) - categories.names.indexOf(categorizeService(b.code, categories))) ||
+    a.name.toLowerCase().localeCompare(b.name.toLowerCase());
+}
+
+module.exports = {
+  getDefaultServiceCategories,
+  loadServiceCategories,
+  parseServiceCategories,
+  categorizeService,
+  compareServicesByCategory
+};
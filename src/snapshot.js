@@ -0,0 +1,63 @@
+/**
+ * Snapshot Module
+ *
+ * Serializes normalized report data to compressed JSON snapshots stored
+ * alongside each archived report, and reads them back.
+ */
+
+const zlib = require('zlib');
+
+const SNAPSHOT_VERSION = '1.0';
+const SNAPSHOT_EXTENSION = '.json.gz';
+const SNAPSHOT_CONTENT_TYPE = 'application/gzip';
+
+/**
+ * Serialize normalized report data to a gzip-compressed JSON snapshot
+ * @param {Object} normalizedData - Normalized data ({metadata, regions, services, servicesByRegion})
+ * @returns {Buffer} Compressed snapshot
+ */
+function serializeSnapshot(normalizedData) {
+  const snapshot = {
+    snapshotVersion: SNAPSHOT_VERSION,
+    generatedAt: new Date().toISOString(),
+    metadata: normalizedData.metadata,
+    regions: normalizedData.regions,
+    services: normalizedData.services,
+    servicesByRegion: normalizedData.servicesByRegion
+  };
+
+  return zlib.gzipSync(JSON.stringify(snapshot));
+}
+
+/**
+ * Parse a gzip-compressed JSON snapshot back into normalized report data
+ * @param {Buffer} buffer - Compressed snapshot
+ * @returns {Object} Normalized data ({metadata, regions, services, servicesByRegion})
+ */
+function deserializeSnapshot(buffer) {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(zlib.gunzipSync(buffer).toString('utf-8'));
+  } catch (error) {
+    throw new Error(`Invalid snapshot: ${error.message}`);
+  }
+
+  if (!Array.isArray(snapshot.regions) || !Array.isArray(snapshot.services)) {
+    throw new Error('Invalid snapshot: missing regions or services');
+  }
+
+  return {
+    metadata: snapshot.metadata || {},
+    regions: snapshot.regions,
+    services: snapshot.services,
+    servicesByRegion: snapshot.servicesByRegion || {},
+    generatedAt: snapshot.generatedAt
+  };
+}
+
+module.exports = {
+  SNAPSHOT_EXTENSION,
+  SNAPSHOT_CONTENT_TYPE,
+  serializeSnapshot,
+  deserializeSnapshot
+};
@@ -1,56 +1,116 @@
 /**
  * SNS Notifications Module
  *
- * Handles sending formatted SNS notifications with emojis and structured content.
+ * Builds formatted notifications with emojis and structured content, and sends them to
+ * every configured channel (SNS email, Slack, Teams, webhook; see notificationChannels.js).
+ *
+ * Each notification carries the plain-text message rendered from its template (see
+ * notificationTemplates.js) plus structured facts and details that chat channels render natively.
  */
 
-const { SNSClient, PublishCommand } = require('@aws-sdk/client-sns');
+const { loadNotificationChannels, deliverNotification } = require('./notificationChannels');
+const { getTemplates, renderTemplate } = require('./notificationTemplates');
+const { getStorage } = require('./storage');
+
+// Violations listed in failure notifications; the rest are summarized as a count
+const MAX_LISTED_VIOLATIONS = 20;
+
+// Expired archives listed in success notifications, and failed deletions listed in warning
+// notifications; the rest are summarized as a count
+const MAX_LISTED_DELETIONS = 10;
 
-const snsClient = new SNSClient({ region: process.env.AWS_REGION || 'us-east-1' });
+// Changed watchlist pairs listed in watchlist notifications; the rest are summarized as a count
+const MAX_LISTED_WATCHLIST_CHANGES = 25;
 
 /**
- * Send success notification
- * @param {string} topicArn - SNS topic ARN
+ * Build success notification
  * @param {string} functionArn - Lambda function ARN
  * @param {Object} metrics - Success metrics
+ * @returns {Object} Notification ({type, subject, message, facts, details, functionArn, data})
  */
-async function sendSuccessNotification(topicArn, functionArn, metrics) {
-  const subject = '✅ AWS Service Report Generated Successfully';
+function buildSuccessNotification(functionArn, metrics) {
+  const changes = metrics.changes && {
+    ...metrics.changes,
+    moreCount: countChanges(metrics.changes) - metrics.changes.highlights.length
+  };
+  const deletions = metrics.archiveDeletions || [];
+  const profiles = metrics.profiles || [];
+  const { subject, message } = renderTemplate(getTemplates().success, {
+    ...metrics,
+    changes,
+    // The profiles section is only shown when profiles besides the default report are configured
+    profileCount: profiles.length > 1 ? profiles.length : 0,
+    archiveDeletions: deletions.slice(0, MAX_LISTED_DELETIONS),
+    moreDeletions: Math.max(deletions.length - MAX_LISTED_DELETIONS, 0),
+    generatedAt: formatTimestamp(new Date()),
+    functionArn
+  });
 
-  const message = `✅ AWS Service Report Generation Complete
-
-📊 Report Details
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-• Generated: ${new Date().toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, ' UTC')}
-• Processing Time: ${metrics.processingTime}
-• Report Size: ${metrics.reportSize}
-
-📁 Report Locations
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-Latest Report:
-${metrics.latestReportPath}
+  const facts = [
+    ['Processing Time', metrics.processingTime],
+    ['Report Size', metrics.reportSize],
+    ['AWS Regions', metrics.regionCount],
+    ['AWS Services', metrics.serviceCount],
+    ['Service-by-Region Mappings', metrics.serviceMappingCount.toLocaleString()],
+    ['Data Timestamp', metrics.dataTimestamp],
+    ['Latest Report', metrics.latestReportPath]
+  ];
+  if (metrics.changes) {
+    facts.push(
+      ['Service Launches', `${metrics.changes.serviceLaunches} across ${metrics.changes.regionsExpanded} regions`],
+      ['Services Added/Removed', `${metrics.changes.servicesAdded}/${metrics.changes.servicesRemoved}`]
+    );
+  }
+  if (profiles.length > 1) {
+    facts.push(['Report Profiles', profiles.map(profile => profile.error ? `${profile.name} (failed)` : profile.name).join(', ')]);
+  }
+  const details = metrics.changes ? metrics.changes.highlights : [];
 
-Archive Report:
-${metrics.archiveReportPath}
+  return { type: 'success', subject, message, facts, details, functionArn, data: metrics };
+}
 
-📈 Data Summary
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-• AWS Regions: ${metrics.regionCount}
-• AWS Services: ${metrics.serviceCount}
-• Service-by-Region Mappings: ${metrics.serviceMappingCount.toLocaleString()}
-• Data Schema Version: ${metrics.dataSchemaVersion}
-• Data Timestamp: ${metrics.dataTimestamp}
+/**
+ * Send success notification
+ * @param {string} topicArn - SNS topic ARN
+ * @param {string} functionArn - Lambda function ARN
+ * @param {Object} metrics - Success metrics
+ * @param {Object} options - Delivery options ({channels, dryRun}; see sendNotification)
+ * @returns {Promise<Array<Object>|Object>} Per-channel delivery results, or the planned notification in a dry run
+ */
+async function sendSuccessNotification(topicArn, functionArn, metrics, options) {
+  return sendNotification(topicArn, buildSuccessNotification(functionArn, metrics), options);
+}
 
-📂 Archive Management
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-• Reports Retained: ${metrics.archivedReportsRetained} (7 days)
-• Reports Deleted: ${metrics.archivedReportsDeleted} (older than 7 days)
+/**
+ * Build failure notification
+ * @param {string} functionArn - Lambda function ARN
+ * @param {Object} errorDetails - Error details
+ * @returns {Object} Notification ({type, subject, message, facts, details, functionArn, data})
+ */
+function buildFailureNotification(functionArn, errorDetails) {
+  const violations = errorDetails.violations || [];
+  const sourcePath = getStorage().uri(errorDetails.sourceBucket, errorDetails.sourceKey);
+  const { subject, message } = renderTemplate(getTemplates().failure, {
+    ...errorDetails,
+    violationCount: violations.length,
+    violations: violations.slice(0, MAX_LISTED_VIOLATIONS),
+    moreViolations: Math.max(violations.length - MAX_LISTED_VIOLATIONS, 0),
+    sourcePath,
+    logGroup: process.env.AWS_LAMBDA_LOG_GROUP_NAME || `/aws/lambda/${process.env.AWS_LAMBDA_FUNCTION_NAME || 'aws-service-report-generator'}`,
+    generatedAt: formatTimestamp(new Date()),
+    functionArn
+  });
 
----
-Generated by aws-service-report-generator
-Lambda Function: ${functionArn}`;
+  const facts = [
+    ['Error Type', errorDetails.errorType],
+    ['Error Message', errorDetails.error],
+    ['Processing Time', errorDetails.processingTime],
+    ['Source File', sourcePath]
+  ];
+  const details = violations.slice(0, MAX_LISTED_VIOLATIONS).map(v => `${v.path}: ${v.message}`);
+  const { stack: _stack, ...data } = errorDetails;
 
-  await publishSNS(topicArn, subject, message);
+  return { type: 'failure', subject, message, facts, details, functionArn, data };
 }
 
 /**
@@ -58,43 +118,47 @@ Lambda Function: ${functionArn}`;
  * @param {string} topicArn - SNS topic ARN
  * @param {string} functionArn - Lambda function ARN
  * @param {Object} errorDetails - Error details
+ * @param {Object} options - Delivery options ({channels, dryRun}; see sendNotification)
+ * @returns {Promise<Array<Object>|Object>} Per-channel delivery results, or the planned notification in a dry run
+ */
+async function sendFailureNotification(topicArn, functionArn, errorDetails, options) {
+  return sendNotification(topicArn, buildFailureNotification(functionArn, errorDetails), options);
+}
+
+/**
+ * Build warning notification (for non-critical issues)
+ * @param {string} functionArn - Lambda function ARN
+ * @param {Object} metrics - Success metrics
+ * @param {Object} warning - Non-critical issue ({issue, message, impact})
+ * @returns {Object} Notification ({type, subject, message, facts, details, functionArn, data})
  */
-async function sendFailureNotification(topicArn, functionArn, errorDetails) {
-  const subject = '❌ AWS Service Report Generation Failed';
-
-  const message = `❌ AWS Service Report Generation Failed
-
-⚠️ Error Details
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-• Error Type: ${errorDetails.errorType}
-• Error Message: ${errorDetails.error}
-• Timestamp: ${new Date().toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, ' UTC')}
-• Processing Time: ${errorDetails.processingTime}
-
-📁 Source File
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-• Bucket: ${errorDetails.sourceBucket}
-• Key: ${errorDetails.sourceKey}
-• Full Path: s3://${errorDetails.sourceBucket}/${errorDetails.sourceKey}
-
-🔍 Troubleshooting Steps
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-1. Verify the source file exists in S3
-2. Check aws-infrastructure-fetcher Lambda execution logs
-3. Verify data fetcher completed successfully at 2 AM UTC
-4. Check S3 bucket permissions
-5. Review CloudWatch logs for detailed error trace
-
-📊 CloudWatch Logs
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-Log Group: /aws/lambda/aws-service-report-generator
-Search for error details in the latest log stream
-
----
-Generated by aws-service-report-generator
-Lambda Function: ${functionArn}`;
-
-  await publishSNS(topicArn, subject, message);
+function buildWarningNotification(functionArn, metrics, warning) {
+  const deletionErrors = metrics.archiveDeletionErrors || [];
+  const { subject, message } = renderTemplate(getTemplates().warning, {
+    ...metrics,
+    warningIssue: warning.issue,
+    warningMessage: warning.message,
+    warningImpact: warning.impact,
+    archiveDeletionErrors: deletionErrors.slice(0, MAX_LISTED_DELETIONS),
+    moreDeletionErrors: Math.max(deletionErrors.length - MAX_LISTED_DELETIONS, 0),
+    generatedAt: formatTimestamp(new Date()),
+    functionArn
+  });
+
+  const facts = [
+    ['Issue', warning.issue],
+    ['AWS Regions', metrics.regionCount],
+    ['AWS Services', metrics.serviceCount],
+    ['Processing Time', metrics.processingTime],
+    ['Latest Report', metrics.latestReportPath]
+  ];
+
+  const details = [
+    warning.message,
+    ...deletionErrors.slice(0, MAX_LISTED_DELETIONS).map(error => `${error.key}: ${error.code} ${error.message}`)
+  ];
+
+  return { type: 'warning', subject, message, facts, details, functionArn, data: metrics };
 }
 
 /**
@@ -102,70 +166,193 @@ Lambda Function: ${functionArn}`;
  * @param {string} topicArn - SNS topic ARN
  * @param {string} functionArn - Lambda function ARN
  * @param {Object} metrics - Success metrics
- * @param {string} warningMessage - Warning message
+ * @param {Object} warning - Non-critical issue ({issue, message, impact})
+ * @param {Object} options - Delivery options ({channels, dryRun}; see sendNotification)
+ * @returns {Promise<Array<Object>|Object>} Per-channel delivery results, or the planned notification in a dry run
  */
-async function sendWarningNotification(topicArn, functionArn, metrics, warningMessage) {
-  const subject = '⚠️ AWS Service Report Generated with Warnings';
+async function sendWarningNotification(topicArn, functionArn, metrics, warning, options) {
+  return sendNotification(topicArn, buildWarningNotification(functionArn, metrics, warning), options);
+}
 
-  const message = `⚠️ AWS Service Report Generated with Warnings
+/**
+ * Build quarantine notification (report failed data quality checks and was not published)
+ * @param {string} functionArn - Lambda function ARN
+ * @param {Object} metrics - Run metrics
+ * @param {Object} qualityResult - Result from evaluateDataQuality
+ * @returns {Object} Notification ({type, subject, message, facts, details, functionArn, data})
+ */
+function buildQuarantineNotification(functionArn, metrics, qualityResult) {
+  const { subject, message } = renderTemplate(getTemplates().quarantine, {
+    ...metrics,
+    qualityChecks: qualityResult.checks.map(check => ({ ...check, icon: check.passed ? '✅' : '❌' })),
+    generatedAt: formatTimestamp(new Date()),
+    functionArn
+  });
 
-✅ Report Status
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-Report was generated successfully, but some non-critical issues occurred.
+  const facts = [
+    ['AWS Regions', metrics.regionCount],
+    ['AWS Services', metrics.serviceCount],
+    ['Service-by-Region Mappings', metrics.serviceMappingCount.toLocaleString()],
+    ['Quarantined Report', metrics.quarantineReportPath]
+  ];
 
-📁 Report Locations
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-Latest Report:
-${metrics.latestReportPath}
+  return { type: 'quarantine', subject, message, facts, details: qualityResult.failures, functionArn, data: metrics };
+}
 
-Archive Report:
-${metrics.archiveReportPath}
+/**
+ * Send quarantine notification (report failed data quality checks and was not published)
+ * @param {string} topicArn - SNS topic ARN
+ * @param {string} functionArn - Lambda function ARN
+ * @param {Object} metrics - Run metrics
+ * @param {Object} qualityResult - Result from evaluateDataQuality
+ * @param {Object} options - Delivery options ({channels, dryRun}; see sendNotification)
+ * @returns {Promise<Array<Object>|Object>} Per-channel delivery results, or the planned notification in a dry run
+ */
+async function sendQuarantineNotification(topicArn, functionArn, metrics, qualityResult, options) {
+  return sendNotification(topicArn, buildQuarantineNotification(functionArn, metrics, qualityResult), options);
+}
 
-⚠️ Warning Details
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-• Issue: Archive retention cleanup partially failed
-• Details: ${warningMessage}
-• Impact: Low - Manual cleanup may be needed eventually
-• Timestamp: ${new Date().toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, ' UTC')}
+/**
+ * Build unchanged notification (source data identical to the published report's, nothing regenerated)
+ * @param {string} functionArn - Lambda function ARN
+ * @param {Object} metrics - Run metrics (contentHash, sourcePath, latestReportPath and data counts)
+ * @returns {Object} Notification ({type, subject, message, facts, details, functionArn, data})
+ */
+function buildUnchangedNotification(functionArn, metrics) {
+  const { subject, message } = renderTemplate(getTemplates().unchanged, {
+    ...metrics,
+    generatedAt: formatTimestamp(new Date()),
+    functionArn
+  });
 
-📈 Data Summary
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-• AWS Regions: ${metrics.regionCount}
-• AWS Services: ${metrics.serviceCount}
-• Processing Time: ${metrics.processingTime}
-• Report Size: ${metrics.reportSize}
+  const facts = [
+    ['AWS Regions', metrics.regionCount],
+    ['AWS Services', metrics.serviceCount],
+    ['Data Timestamp', metrics.dataTimestamp],
+    ['Current Report', metrics.latestReportPath]
+  ];
 
----
-Generated by aws-service-report-generator
-Lambda Function: ${functionArn}`;
+  return { type: 'unchanged', subject, message, facts, details: [], functionArn, data: metrics };
+}
 
-  await publishSNS(topicArn, subject, message);
+/**
+ * Send unchanged notification (source data identical to the published report's, nothing regenerated)
+ * @param {string} topicArn - SNS topic ARN
+ * @param {string} functionArn - Lambda function ARN
+ * @param {Object} metrics - Run metrics
+ * @param {Object} options - Delivery options ({channels, dryRun}; see sendNotification)
+ * @returns {Promise<Array<Object>|Object>} Per-channel delivery results, or the planned notification in a dry run
+ */
+async function sendUnchangedNotification(topicArn, functionArn, metrics, options) {
+  return sendNotification(topicArn, buildUnchangedNotification(functionArn, metrics), options);
 }
 
 /**
- * Publish message to SNS topic
+ * Build watchlist notification (watched services became available or unavailable in target regions)
+ * @param {string} functionArn - Lambda function ARN
+ * @param {Object} metrics - Run metrics (latestReportPath, changes and the watchlist summary)
+ * @param {Object} watchlistResult - Evaluation from evaluateWatchlist
+ * @returns {Object} Notification ({type, subject, message, facts, details, functionArn, data})
+ */
+function buildWatchlistNotification(functionArn, metrics, watchlistResult) {
+  const listed = watchlistResult.changes.slice(0, MAX_LISTED_WATCHLIST_CHANGES);
+  const newlyAvailable = listed.filter(pair => pair.change === 'available');
+  const withdrawn = listed.filter(pair => pair.change === 'unavailable');
+  const { subject, message } = renderTemplate(getTemplates().watchlist, {
+    ...metrics,
+    watchlist: watchlistResult.summary,
+    newlyAvailableCount: watchlistResult.summary.newlyAvailableCount,
+    withdrawnCount: watchlistResult.summary.withdrawnCount,
+    newlyAvailable,
+    withdrawn,
+    moreChanges: Math.max(watchlistResult.changes.length - listed.length, 0),
+    generatedAt: formatTimestamp(new Date()),
+    functionArn
+  });
+
+  const facts = [
+    ['Now Available', watchlistResult.summary.newlyAvailableCount],
+    ['No Longer Available', watchlistResult.summary.withdrawnCount],
+    ['Watchlist Gaps', `${watchlistResult.summary.gapCount} of ${watchlistResult.summary.pairCount}`],
+    ['Latest Report', metrics.latestReportPath]
+  ];
+  const details = listed.map(pair =>
+    `${pair.change === 'available' ? 'Now available' : 'No longer available'}: ${pair.serviceName} in ${pair.regionCode}`);
+
+  return { type: 'watchlist', subject, message, facts, details, functionArn, data: { ...metrics, watchlistChanges: watchlistResult.changes } };
+}
+
+/**
+ * Send watchlist notification (only sent when a watched service×region pair changed)
  * @param {string} topicArn - SNS topic ARN
- * @param {string} subject - Message subject
- * @param {string} message - Message body
- */
-async function publishSNS(topicArn, subject, message) {
-  try {
-    const command = new PublishCommand({
-      TopicArn: topicArn,
-      Subject: subject,
-      Message: message
-    });
-
-    const response = await snsClient.send(command);
-    console.log(`📧 SNS notification sent: ${response.MessageId}`);
-  } catch (error) {
-    console.error('❌ Failed to send SNS notification:', error);
-    throw new Error(`SNS notification failed: ${error.message}`);
+ * @param {string} functionArn - Lambda function ARN
+ * @param {Object} metrics - Run metrics
+ * @param {Object} watchlistResult - Evaluation from evaluateWatchlist
+ * @param {Object} options - Delivery options ({channels, dryRun}; see sendNotification)
+ * @returns {Promise<Array<Object>|Object>} Per-channel delivery results, or the planned notification in a dry run
+ */
+async function sendWatchlistNotification(topicArn, functionArn, metrics, watchlistResult, options) {
+  return sendNotification(topicArn, buildWatchlistNotification(functionArn, metrics, watchlistResult), options);
+}
+
+/**
+ * Count every individual change in a change summary
+ * @param {Object} changes - Change summary from summarizeChanges
+ * @returns {number} Total changes
+ */
+function countChanges(changes) {
+  return changes.regionsAdded + changes.regionsRemoved + changes.servicesAdded +
+    changes.servicesRemoved + changes.serviceLaunches + changes.serviceWithdrawals;
+}
+
+/**
+ * Format a timestamp for notifications (yyyy-MM-dd HH:mm:ss UTC)
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted timestamp
+ */
+function formatTimestamp(date) {
+  return date.toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, ' UTC');
+}
+
+/**
+ * Send a notification to every configured channel
+ * @param {string} topicArn - SNS topic ARN (used by the sns channel)
+ * @param {Object} notification - Notification from one of the build functions
+ * @param {Object} options - Delivery options
+ * @param {string|Array<string>} options.channels - Channel names (defaults to NOTIFICATION_CHANNELS)
+ * @param {boolean} options.dryRun - Return the notification that would be sent instead of sending it
+ * @param {Object} options.env - Environment variables with the channel settings (defaults to process.env)
+ * @returns {Promise<Array<Object>|Object>} Per-channel delivery results, or the planned notification in a dry run
+ */
+async function sendNotification(topicArn, notification, options = {}) {
+  const channels = loadNotificationChannels({ topicArn, channels: options.channels }, options.env);
+
+  if (options.dryRun) {
+    const channelNames = channels.map(channel => channel.name);
+    console.log(`🧪 Would send ${notification.type} notification to ${channelNames.join(', ') || 'no channels'}: ${notification.subject}`);
+    return {
+      dryRun: true,
+      type: notification.type,
+      channels: channelNames,
+      subject: notification.subject,
+      message: notification.message
+    };
   }
+
+  return deliverNotification(channels, notification);
 }
 
 module.exports = {
+  buildSuccessNotification,
+  buildFailureNotification,
+  buildWarningNotification,
+  buildQuarantineNotification,
+  buildUnchangedNotification,
+  buildWatchlistNotification,
   sendSuccessNotification,
   sendFailureNotification,
-  sendWarningNotification
+  sendWarningNotification,
+  sendQuarantineNotification,
+  sendUnchangedNotification,
+  sendWatchlistNotification
 };
@@ -0,0 +1,415 @@
+/**
+ * Storage Module
+ *
+ * Object storage interface used for every read and write of source data, reports and archives.
+ * Two backends implement the same operations (get, head, put, list, copy, delete, deleteMany, signedUrl):
+ *
+ *   - s3: Amazon S3 (default)
+ *   - local: a directory tree where each bucket is a subdirectory of LOCAL_STORAGE_ROOT,
+ *     so the full handler can run on a laptop or in tests without AWS
+ *
+ * The backend is selected with STORAGE_BACKEND. Missing objects are reported by both
+ * backends as an error named 'NoSuchKey'. Objects can carry user metadata (string key/value
+ * pairs), which the local backend keeps in a .metadata directory beside the buckets.
+ *
+ * list returns every object under the prefix (the S3 backend follows continuation tokens), and
+ * deleteMany removes many keys at once, reporting per-key failures instead of throwing.
+ * signedUrl returns a time-limited download URL (a pre-signed GET on S3, a file:// URL locally).
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+  ListObjectsV2Command,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Local backend directory holding object metadata (outside every bucket directory)
+const METADATA_DIR = '.metadata';
+
+// S3 DeleteObjects accepts at most 1000 keys per request
+const DELETE_BATCH_SIZE = 1000;
+
+let activeStorage = null;
+
+/**
+ * Get the configured storage backend (created on first use)
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Storage backend
+ */
+function getStorage(env = process.env) {
+  if (!activeStorage) {
+    activeStorage = createStorage(env);
+  }
+  return activeStorage;
+}
+
+/**
+ * Replace the active storage backend (e.g. with a local backend in tests)
+ * @param {Object|null} storage - Storage backend, or null to recreate from configuration on next use
+ */
+function setStorage(storage) {
+  activeStorage = storage;
+}
+
+/**
+ * Create a storage backend from configuration
+ * @param {Object} env - Environment variables (STORAGE_BACKEND, LOCAL_STORAGE_ROOT, AWS_REGION)
+ * @returns {Object} Storage backend
+ */
+function createStorage(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || 's3').toLowerCase();
+
+  if (backend === 's3') {
+    return createS3Storage({ region: env.AWS_REGION || 'us-east-1' });
+  }
+  if (backend === 'local') {
+    return createLocalStorage(env.LOCAL_STORAGE_ROOT || './storage');
+  }
+
+  throw new Error(`Unknown storage backend "${env.STORAGE_BACKEND}". Supported: s3, local`);
+}
+
+/**
+ * Create an S3 storage backend
+ * @param {Object} options - S3 client options
+ * @param {string} options.region - AWS region
+ * @returns {Object} Storage backend
+ */
+function createS3Storage(options = {}) {
+  const s3Client = new S3Client({ region: options.region || 'us-east-1' });
+
+  return {
+    name: 's3',
+
+    uri(bucket, key) {
+      return `s3://${bucket}/${key}`;
+    },
+
+    async get(bucket, key) {
+      const response = await s3Client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: key
+      }));
+      return streamToBuffer(response.Body);
+    },
+
+    async head(bucket, key) {
+      let response;
+      try {
+        response = await s3Client.send(new HeadObjectCommand({
+          Bucket: bucket,
+          Key: key
+        }));
+      } catch (error) {
+        // HEAD responses have no body, so a missing object surfaces as NotFound
+        if (error.name === 'NotFound') {
+          throw noSuchKey(bucket, key);
+        }
+        throw error;
+      }
+      return {
+        size: response.ContentLength || 0,
+        lastModified: response.LastModified,
+        contentType: response.ContentType,
+        metadata: response.Metadata || {}
+      };
+    },
+
+    async put(bucket, key, body, putOptions = {}) {
+      await s3Client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: putOptions.contentType,
+        CacheControl: putOptions.cacheControl,
+        Metadata: putOptions.metadata,
+        ServerSideEncryption: 'AES256'
+      }));
+    },
+
+    async list(bucket, prefix) {
+      const objects = [];
+      let continuationToken;
+
+      // Each response holds at most 1000 keys; follow continuation tokens to the end
+      do {
+        const response = await s3Client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken
+        }));
+        (response.Contents || []).forEach(obj => objects.push({
+          key: obj.Key,
+          size: obj.Size || 0,
+          lastModified: obj.LastModified
+        }));
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return objects;
+    },
+
+    async copy(sourceBucket, sourceKey, targetBucket, targetKey, copyOptions = {}) {
+      await s3Client.send(new CopyObjectCommand({
+        Bucket: targetBucket,
+        CopySource: `${sourceBucket}/${sourceKey}`,
+        Key: targetKey,
+        ContentType: copyOptions.contentType,
+        CacheControl: copyOptions.cacheControl,
+        MetadataDirective: 'REPLACE'
+      }));
+    },
+
+    async delete(bucket, key) {
+      await s3Client.send(new DeleteObjectCommand({
+        Bucket: bucket,
+        Key: key
+      }));
+    },
+
+    async deleteMany(bucket, keys) {
+      const result = { deleted: [], errors: [] };
+
+      for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+        const batch = keys.slice(i, i + DELETE_BATCH_SIZE);
+        let response;
+        try {
+          // Quiet mode only returns the keys that failed
+          response = await s3Client.send(new DeleteObjectsCommand({
+            Bucket: bucket,
+            Delete: {
+              Objects: batch.map(key => ({ Key: key })),
+              Quiet: true
+            }
+          }));
+        } catch (error) {
+          // The whole request failed (e.g. access denied): every key in the batch failed
+          batch.forEach(key => result.errors.push({ key, code: error.name, message: error.message }));
+          continue;
+        }
+
+        const failed = new Map((response.Errors || []).map(error => [error.Key, error]));
+        batch.forEach(key => {
+          if (failed.has(key)) {
+            result.errors.push({ key, code: failed.get(key).Code, message: failed.get(key).Message });
+          } else {
+            result.deleted.push(key);
+          }
+        });
+      }
+
+      return result;
+    },
+
+    async signedUrl(bucket, key, expiresIn) {
+      // Signing happens locally; the URL grants the function role's read access to the key until it expires
+      return getSignedUrl(s3Client, new GetObjectCommand({
+        Bucket: bucket,
+        Key: key
+      }), { expiresIn });
+    }
+  };
+}
+
+/**
+ * Create a local directory storage backend. Buckets are subdirectories of the root
+ * and keys are relative file paths; content types and cache headers are not stored.
+ * User metadata is kept as JSON under <root>/.metadata/<bucket>/<key>.json.
+ * @param {string} rootDir - Root directory
+ * @returns {Object} Storage backend
+ */
+function createLocalStorage(rootDir) {
+  const root = path.resolve(rootDir);
+  const metadataRoot = path.join(root, METADATA_DIR);
+
+  // Resolve a bucket/key to a file path, refusing keys that escape the bucket directory
+  const resolvePath = (bucket, key, baseDir = root) => {
+    const bucketDir = path.join(baseDir, bucket);
+    const filePath = path.resolve(bucketDir, key);
+    if (!filePath.startsWith(bucketDir + path.sep)) {
+      throw new Error(`Invalid key for local storage: ${bucket}/${key}`);
+    }
+    return filePath;
+  };
+  const resolveMetadataPath = (bucket, key) => `${resolvePath(bucket, key, metadataRoot)}.json`;
+
+  return {
+    name: 'local',
+
+    uri(bucket, key) {
+      return path.join(root, bucket, key);
+    },
+
+    async get(bucket, key) {
+      try {
+        return await fs.readFile(resolvePath(bucket, key));
+      } catch (error) {
+        throw toNoSuchKey(error, bucket, key);
+      }
+    },
+
+    async head(bucket, key) {
+      let stats;
+      try {
+        stats = await fs.stat(resolvePath(bucket, key));
+      } catch (error) {
+        throw toNoSuchKey(error, bucket, key);
+      }
+
+      let metadata = {};
+      try {
+        metadata = JSON.parse(await fs.readFile(resolveMetadataPath(bucket, key), 'utf-8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+      return { size: stats.size, lastModified: stats.mtime, contentType: undefined, metadata };
+    },
+
+    async put(bucket, key, body, putOptions = {}) {
+      const filePath = resolvePath(bucket, key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, body);
+
+      // Overwriting an object replaces its metadata, as on S3
+      const metadataPath = resolveMetadataPath(bucket, key);
+      if (putOptions.metadata && Object.keys(putOptions.metadata).length > 0) {
+        await fs.mkdir(path.dirname(metadataPath), { recursive: true });
+        await fs.writeFile(metadataPath, JSON.stringify(putOptions.metadata));
+      } else {
+        await fs.rm(metadataPath, { force: true });
+      }
+    },
+
+    async list(bucket, prefix = '') {
+      const bucketDir = path.join(root, bucket);
+      // Only walk the directory part of the prefix, then filter by the full prefix
+      const prefixDir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+      const files = await walk(path.join(bucketDir, prefixDir));
+
+      const objects = [];
+      for (const filePath of files) {
+        const key = path.relative(bucketDir, filePath).split(path.sep).join('/');
+        if (key.startsWith(prefix)) {
+          const stats = await fs.stat(filePath);
+          objects.push({ key, size: stats.size, lastModified: stats.mtime });
+        }
+      }
+
+      // S3 lists keys in lexicographic order
+      return objects.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+    },
+
+    async copy(sourceBucket, sourceKey, targetBucket, targetKey) {
+      const targetPath = resolvePath(targetBucket, targetKey);
+      await fs.mkdir(path.dirname(targetPath), { recursive: true });
+      try {
+        await fs.copyFile(resolvePath(sourceBucket, sourceKey), targetPath);
+      } catch (error) {
+        throw toNoSuchKey(error, sourceBucket, sourceKey);
+      }
+      // Copies replace metadata (the S3 backend copies with MetadataDirective REPLACE)
+      await fs.rm(resolveMetadataPath(targetBucket, targetKey), { force: true });
+    },
+
+    async delete(bucket, key) {
+      // Deleting a missing object succeeds, as on S3
+      await fs.rm(resolvePath(bucket, key), { force: true });
+      await fs.rm(resolveMetadataPath(bucket, key), { force: true });
+    },
+
+    async deleteMany(bucket, keys) {
+      const result = { deleted: [], errors: [] };
+      for (const key of keys) {
+        try {
+          await this.delete(bucket, key);
+          result.deleted.push(key);
+        } catch (error) {
+          result.errors.push({ key, code: error.code || error.name, message: error.message });
+        }
+      }
+      return result;
+    },
+
+    async signedUrl(bucket, key) {
+      // Local files need no signature and do not expire
+      return pathToFileURL(resolvePath(bucket, key)).href;
+    }
+  };
+}
+
+/**
+ * Recursively list files below a directory
+ * @param {string} dir - Directory
+ * @returns {Promise<Array<string>>} File paths (empty if the directory does not exist)
+ */
+async function walk(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return [];
+    }
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await walk(entryPath));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Report a missing local file the way S3 reports a missing object
+ */
+function toNoSuchKey(error, bucket, key) {
+  return error.code === 'ENOENT' ? noSuchKey(bucket, key) : error;
+}
+
+/**
+ * Create the error both backends raise for a missing object
+ */
+function noSuchKey(bucket, key) {
+  const notFound = new Error(`The specified key does not exist: ${bucket}/${key}`);
+  notFound.name = 'NoSuchKey';
+  return notFound;
+}
+
+/**
+ * Convert a stream to a buffer
+ * @param {ReadableStream} stream - The stream to convert
+ * @returns {Promise<Buffer>} The stream content as a buffer
+ */
+async function streamToBuffer(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+module.exports = {
+  getStorage,
+  setStorage,
+  createStorage,
+  createS3Storage,
+  createLocalStorage
+};
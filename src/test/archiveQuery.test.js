@@ -0,0 +1,228 @@
+/**
+ * Archive query tests: payload validation, archive selection, listings and queries over a local archive
+ */
+
+const { describe, it, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { parseArchiveQuery, runArchiveQuery, listArchivedReports, selectArchive } = require('../archiveQuery');
+const { listArchives } = require('../archiveManager');
+const { validateSourceData } = require('../dataValidator');
+const { serializeSnapshot } = require('../snapshot');
+const { createLocalStorage, setStorage } = require('../storage');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const BUCKET = 'reports';
+const ARCHIVE_PREFIX = 'archive/';
+const CONFIG = { reportBucket: BUCKET, archivePrefix: ARCHIVE_PREFIX };
+
+// Archived runs, oldest first; the 2026-10-16 run was archived before snapshots existed
+const RUNS = ['2026-10-15-020000', '2026-10-16-020000', '2026-10-17-020000', '2026-10-17-140000', '2026-10-18-020000'];
+
+/**
+ * Build archive units in the shape listArchives returns
+ */
+function units(...timestamps) {
+  return timestamps.map(timestamp => ({ id: `aws-service-report-${timestamp}`, timestamp, files: [] }));
+}
+
+/**
+ * Check that a call throws an ArchiveNotFound error with the given message
+ */
+function assertNotFound(call, message) {
+  assert.throws(call, error => {
+    assert.equal(error.name, 'ArchiveNotFound');
+    assert.equal(error.message, message);
+    return true;
+  });
+}
+
+describe('parseArchiveQuery', () => {
+  it('applies the defaults of each query type', () => {
+    assert.deepEqual(parseArchiveQuery({ query: 'list' }), { type: 'list', from: null, to: null, limit: 30 });
+    assert.deepEqual(parseArchiveQuery({ query: 'get' }), { type: 'get', archive: 'latest', as: 'url', format: 'xlsx', expiresIn: 900 });
+    assert.deepEqual(parseArchiveQuery({ query: 'diff', from: ' 2026-10-01 ' }), { type: 'diff', from: '2026-10-01', to: 'latest' });
+  });
+
+  it('accepts dates and run timestamps as list bounds', () => {
+    assert.deepEqual(parseArchiveQuery({ query: 'list', from: '2026-10-01', to: '2026-10-17-020000', limit: 100 }), {
+      type: 'list',
+      from: '2026-10-01',
+      to: '2026-10-17-020000',
+      limit: 100
+    });
+  });
+
+  it('rejects unknown queries, fields and invalid values', () => {
+    const cases = [
+      [{ query: 'delete' }, /Unknown query "delete". Supported: list, get, diff$/],
+      [{ query: 'list', archive: 'latest' }, /Unknown field\(s\) for query "list": archive. Supported: from, to, limit$/],
+      [{ query: 'list', from: '17/10/2026' }, /from must be a date \(yyyy-MM-dd\) or run timestamp \(yyyy-MM-dd-HHmmss\)$/],
+      [{ query: 'list', limit: 0 }, /limit must be a whole number between 1 and 100$/],
+      [{ query: 'list', limit: 2.5 }, /limit must be a whole number between 1 and 100$/],
+      [{ query: 'get', as: 'file' }, /as must be "url" or "data"$/],
+      [{ query: 'get', format: 'pdf' }, /Unknown archive format "pdf". Supported: xlsx, csv, json, md, html, snapshot$/],
+      [{ query: 'get', as: 'data', format: 'json' }, /format only applies to as: "url"/],
+      [{ query: 'get', expiresIn: 7200 }, /expiresIn must be a whole number between 1 and 3600$/],
+      [{ query: 'get', archive: ' ' }, /archive must be 'latest', a date/],
+      [{ query: 'diff' }, /from is required for query "diff"$/],
+      [{ query: 'diff', from: 'latest', to: 42 }, /to must be 'latest', a date/]
+    ];
+
+    for (const [payload, message] of cases) {
+      assert.throws(() => parseArchiveQuery(payload), message);
+    }
+  });
+});
+
+describe('selectArchive', () => {
+  const archives = [
+    ...units('2026-10-17-020000', '2026-10-15-020000', '2026-10-17-140000'),
+    { id: 'aws-service-report-manual', timestamp: null, files: [] }
+  ];
+
+  it('selects the newest archive for latest', () => {
+    assert.equal(selectArchive(archives, 'latest').timestamp, '2026-10-17-140000');
+  });
+
+  it('selects the last report generated on or before a date', () => {
+    assert.equal(selectArchive(archives, '2026-10-17').timestamp, '2026-10-17-140000');
+    assert.equal(selectArchive(archives, '2026-10-16').timestamp, '2026-10-15-020000');
+    assert.equal(selectArchive(archives, '2026-12-31').timestamp, '2026-10-17-140000');
+  });
+
+  it('selects exact run timestamps and ids', () => {
+    assert.equal(selectArchive(archives, '2026-10-17-020000').timestamp, '2026-10-17-020000');
+    assert.equal(selectArchive(archives, 'aws-service-report-manual').id, 'aws-service-report-manual');
+    assert.equal(selectArchive(archives, 'aws-service-report-2026-10-15-020000').timestamp, '2026-10-15-020000');
+  });
+
+  it('throws ArchiveNotFound when nothing matches', () => {
+    assertNotFound(() => selectArchive(archives, '2026-10-14'), 'No archived report on or before 2026-10-14');
+    assertNotFound(() => selectArchive(archives, '2026-10-17-030000'), 'No archived report matches "2026-10-17-030000"');
+    assertNotFound(() => selectArchive(archives, 'aws-service-report-missing'), 'No archived report matches "aws-service-report-missing"');
+    assertNotFound(() => selectArchive([], 'latest'), 'No archived report matches "latest"');
+  });
+});
+
+describe('archive queries over a local archive', () => {
+  let root;
+  let storage;
+  let data;
+  let archives;
+
+  before(async () => {
+    const sourceData = JSON.parse(await fs.readFile(path.join(FIXTURES_DIR, 'complete-data.json'), 'utf-8'));
+    const { services } = JSON.parse(await fs.readFile(path.join(FIXTURES_DIR, 'services.json'), 'utf-8'));
+    data = validateSourceData(sourceData, services).data;
+  });
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'report-archive-query-'));
+    storage = createLocalStorage(root);
+    setStorage(storage);
+    ['log', 'warn'].forEach(method => mock.method(console, method, () => {}));
+
+    for (const timestamp of RUNS) {
+      const id = `aws-service-report-${timestamp}`;
+      await storage.put(BUCKET, `${ARCHIVE_PREFIX}${id}.xlsx`, 'workbook');
+      await storage.put(BUCKET, `${ARCHIVE_PREFIX}${id}.csv`, 'csv');
+      if (timestamp !== '2026-10-16-020000') {
+        // The newest run adds bedrock in eu-west-1
+        const snapshotData = timestamp === '2026-10-18-020000'
+          ? { ...data, servicesByRegion: { ...data.servicesByRegion, 'eu-west-1': [...data.servicesByRegion['eu-west-1'], 'bedrock'] } }
+          : data;
+        await storage.put(BUCKET, `${ARCHIVE_PREFIX}${id}.json.gz`, serializeSnapshot(snapshotData));
+      }
+    }
+    archives = await listArchives(BUCKET, ARCHIVE_PREFIX);
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    setStorage(null);
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  const list = (options = {}) => listArchivedReports(archives, BUCKET, { from: null, to: null, limit: 30, ...options });
+  const timestamps = listing => listing.archives.map(archive => archive.timestamp);
+
+  it('lists archives newest first with files and snapshot stats', async () => {
+    const listing = await list();
+
+    assert.equal(listing.total, 5);
+    assert.equal(listing.matched, 5);
+    assert.deepEqual(timestamps(listing), [...RUNS].reverse());
+
+    const [newest] = listing.archives;
+    assert.equal(newest.id, 'aws-service-report-2026-10-18-020000');
+    assert.deepEqual(newest.files.map(file => [file.file, file.format]), [
+      ['aws-service-report-2026-10-18-020000.csv', 'csv'],
+      ['aws-service-report-2026-10-18-020000.json.gz', 'snapshot'],
+      ['aws-service-report-2026-10-18-020000.xlsx', 'xlsx']
+    ]);
+    assert.deepEqual(newest.stats, {
+      regionCount: 4,
+      serviceCount: 5,
+      serviceMappingCount: 18,
+      dataSchemaVersion: '1.4.0',
+      dataTimestamp: '2026-10-18T02:00:00Z'
+    });
+    assert.equal(listing.archives.find(archive => archive.timestamp === '2026-10-16-020000').stats, null);
+  });
+
+  it('includes every run on the to date when to is a date', async () => {
+    assert.deepEqual(timestamps(await list({ from: '2026-10-16', to: '2026-10-17' })), ['2026-10-17-140000', '2026-10-17-020000', '2026-10-16-020000']);
+  });
+
+  it('compares run timestamps in full', async () => {
+    assert.deepEqual(timestamps(await list({ from: '2026-10-15-020001', to: '2026-10-17-020000' })), ['2026-10-17-020000', '2026-10-16-020000']);
+  });
+
+  it('limits the listing but counts every match', async () => {
+    const listing = await list({ to: '2026-10-17', limit: 2 });
+
+    assert.equal(listing.matched, 4);
+    assert.deepEqual(timestamps(listing), ['2026-10-17-140000', '2026-10-17-020000']);
+  });
+
+  it('reports unreadable snapshots per archive', async () => {
+    await storage.put(BUCKET, `${ARCHIVE_PREFIX}aws-service-report-2026-10-15-020000.json.gz`, 'not gzip');
+
+    const listing = await list({ to: '2026-10-15' });
+
+    assert.match(listing.archives[0].stats.error, /^Invalid snapshot: /);
+  });
+
+  it('returns download URLs for one format of a selected archive', async () => {
+    const result = await runArchiveQuery(parseArchiveQuery({ query: 'get', archive: '2026-10-16', format: 'csv' }), CONFIG);
+
+    assert.equal(result.archive.id, 'aws-service-report-2026-10-16-020000');
+    assert.deepEqual(result.files.map(file => file.url), [pathToFileURL(path.join(root, BUCKET, ARCHIVE_PREFIX, 'aws-service-report-2026-10-16-020000.csv')).href]);
+  });
+
+  it('returns the data of a selected archive from its snapshot', async () => {
+    const result = await runArchiveQuery(parseArchiveQuery({ query: 'get', archive: 'latest', as: 'data' }), CONFIG);
+
+    assert.equal(result.source, storage.uri(BUCKET, `${ARCHIVE_PREFIX}aws-service-report-2026-10-18-020000.json.gz`));
+    assert.ok(result.data.servicesByRegion['eu-west-1'].includes('bedrock'));
+  });
+
+  it('diffs two archived reports', async () => {
+    const result = await runArchiveQuery(parseArchiveQuery({ query: 'diff', from: '2026-10-17' }), CONFIG);
+
+    assert.equal(result.from.id, 'aws-service-report-2026-10-17-140000');
+    assert.equal(result.to.id, 'aws-service-report-2026-10-18-020000');
+    assert.equal(result.summary.serviceLaunches, 1);
+  });
+
+  it('throws ArchiveNotFound for missing archives and files', async () => {
+    await assert.rejects(runArchiveQuery(parseArchiveQuery({ query: 'get', archive: '2026-10-01' }), CONFIG),
+      { name: 'ArchiveNotFound', message: 'No archived report on or before 2026-10-01' });
+    await assert.rejects(runArchiveQuery(parseArchiveQuery({ query: 'get', format: 'html' }), CONFIG),
+      { name: 'ArchiveNotFound', message: 'Archive aws-service-report-2026-10-18-020000 has no html file' });
+  });
+});
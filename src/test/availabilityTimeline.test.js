@@ -0,0 +1,122 @@
+/**
+ * Availability timeline tests: first/last seen dates, growth and the archive history
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { buildAvailabilityTimeline, loadArchiveHistory } = require('../availabilityTimeline');
+const { serializeSnapshot } = require('../snapshot');
+const { createLocalStorage, setStorage } = require('../storage');
+
+/**
+ * Build normalized data from a region → services mapping
+ */
+function dataset(servicesByRegion, names = {}) {
+  const regionCodes = Object.keys(servicesByRegion);
+  const serviceCodes = [...new Set(Object.values(servicesByRegion).flat())];
+  return {
+    metadata: { schemaVersion: '1.4.0' },
+    regions: regionCodes.map(code => ({ code, name: names[code] || code })),
+    services: serviceCodes.map(code => ({ code, name: names[code] || code })),
+    servicesByRegion
+  };
+}
+
+describe('buildAvailabilityTimeline', () => {
+  const observations = [
+    { date: '2026-10-10', data: dataset({ 'us-east-1': ['ec2', 'simpledb'], 'eu-west-1': ['ec2'] }) },
+    { date: '2026-10-12', data: dataset({ 'us-east-1': ['ec2', 'bedrock'], 'eu-west-1': ['ec2'] }) },
+    { date: '2026-10-14', data: dataset({ 'us-east-1': ['ec2', 'bedrock'], 'eu-west-1': ['ec2', 'bedrock'] }, { bedrock: 'Amazon Bedrock' }) }
+  ];
+
+  it('records when each service was first and last seen in each region', () => {
+    const timeline = buildAvailabilityTimeline(observations);
+
+    assert.deepEqual(timeline.dates, ['2026-10-10', '2026-10-12', '2026-10-14']);
+    assert.equal(timeline.historyStart, '2026-10-10');
+    assert.deepEqual(timeline.pairs.map(pair => [pair.serviceCode, pair.regionCode, pair.firstSeen, pair.lastSeen, pair.available, pair.sinceHistoryStart]), [
+      ['bedrock', 'eu-west-1', '2026-10-14', null, true, false],
+      ['bedrock', 'us-east-1', '2026-10-12', null, true, false],
+      ['ec2', 'eu-west-1', '2026-10-10', null, true, true],
+      ['ec2', 'us-east-1', '2026-10-10', null, true, true],
+      ['simpledb', 'us-east-1', '2026-10-10', '2026-10-10', false, true]
+    ]);
+  });
+
+  it('uses the names from the newest observation', () => {
+    const timeline = buildAvailabilityTimeline(observations);
+
+    assert.equal(timeline.pairs[0].serviceName, 'Amazon Bedrock');
+  });
+
+  it('counts regions per service on each date and the growth since first seen', () => {
+    const bedrock = buildAvailabilityTimeline(observations).services.find(service => service.serviceCode === 'bedrock');
+
+    assert.deepEqual(bedrock, {
+      serviceCode: 'bedrock',
+      serviceName: 'Amazon Bedrock',
+      regionCounts: [0, 1, 2],
+      firstRegionCount: 1,
+      currentRegionCount: 2,
+      regionGrowth: 1
+    });
+  });
+
+  it('keeps the later observation of a date', () => {
+    const timeline = buildAvailabilityTimeline([
+      { date: '2026-10-10', data: dataset({ 'us-east-1': ['ec2'] }) },
+      { date: '2026-10-10', data: dataset({ 'us-east-1': ['ec2', 's3'] }) }
+    ]);
+
+    assert.deepEqual(timeline.dates, ['2026-10-10']);
+    assert.deepEqual(timeline.pairs.map(pair => pair.serviceCode), ['ec2', 's3']);
+  });
+
+  it('returns null without observations', () => {
+    assert.equal(buildAvailabilityTimeline([]), null);
+  });
+});
+
+describe('loadArchiveHistory', () => {
+  let root;
+  let storage;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'report-timeline-'));
+    storage = createLocalStorage(root);
+    setStorage(storage);
+    ['log', 'warn'].forEach(method => mock.method(console, method, () => {}));
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    setStorage(null);
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('reads the newest snapshot of each day, oldest day first', async () => {
+    await storage.put('reports', 'archive/aws-service-report-2026-10-12-020000.json.gz', serializeSnapshot(dataset({ 'us-east-1': ['ec2'] })));
+    await storage.put('reports', 'archive/aws-service-report-2026-10-12-140000.json.gz', serializeSnapshot(dataset({ 'us-east-1': ['ec2', 's3'] })));
+    await storage.put('reports', 'archive/aws-service-report-2026-10-11-020000.json.gz', serializeSnapshot(dataset({ 'eu-west-1': ['ec2'] })));
+    // Workbooks without a snapshot are not read
+    await storage.put('reports', 'archive/aws-service-report-2026-10-10-020000.xlsx', 'workbook');
+
+    const observations = await loadArchiveHistory('reports', 'archive/');
+
+    assert.deepEqual(observations.map(observation => observation.date), ['2026-10-11', '2026-10-12']);
+    assert.deepEqual(observations[1].data.servicesByRegion, { 'us-east-1': ['ec2', 's3'] });
+  });
+
+  it('skips snapshots that cannot be read', async () => {
+    await storage.put('reports', 'archive/aws-service-report-2026-10-11-020000.json.gz', 'not gzip');
+    await storage.put('reports', 'archive/aws-service-report-2026-10-12-020000.json.gz', serializeSnapshot(dataset({ 'us-east-1': ['ec2'] })));
+
+    const observations = await loadArchiveHistory('reports', 'archive/');
+
+    assert.deepEqual(observations.map(observation => observation.date), ['2026-10-12']);
+    assert.ok(console.warn.mock.calls.some(call => call.arguments[0].startsWith('⚠️ Skipping snapshot archive/aws-service-report-2026-10-11-020000.json.gz')));
+  });
+});
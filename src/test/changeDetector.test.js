@@ -0,0 +1,120 @@
+/**
+ * Change detector tests: added/removed regions and services, per-region launches and summaries
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectChanges, summarizeChanges } = require('../changeDetector');
+
+const PREVIOUS = {
+  regions: [
+    { code: 'us-east-1', name: 'US East (N. Virginia)' },
+    { code: 'eu-west-1', name: 'Europe (Ireland)' },
+    { code: 'sa-east-1', name: 'South America (São Paulo)' }
+  ],
+  services: [
+    { code: 'ec2', name: 'Amazon EC2' },
+    { code: 's3', name: 'Amazon S3' },
+    { code: 'simpledb', name: 'Amazon SimpleDB' }
+  ],
+  servicesByRegion: {
+    'us-east-1': ['ec2', 's3', 'simpledb'],
+    'eu-west-1': ['ec2', 's3'],
+    'sa-east-1': ['ec2']
+  }
+};
+
+const CURRENT = {
+  regions: [
+    { code: 'us-east-1', name: 'US East (N. Virginia)' },
+    { code: 'eu-west-1', name: 'Europe (Ireland)' },
+    { code: 'ap-southeast-7', name: 'Asia Pacific (Thailand)' }
+  ],
+  services: [
+    { code: 'ec2', name: 'Amazon EC2' },
+    { code: 's3', name: 'Amazon S3' },
+    { code: 'bedrock', name: 'Amazon Bedrock' }
+  ],
+  servicesByRegion: {
+    'us-east-1': ['ec2', 's3', 'bedrock'],
+    'eu-west-1': ['ec2', 'bedrock'],
+    'ap-southeast-7': ['ec2']
+  }
+};
+
+describe('detectChanges', () => {
+  it('reports added and removed regions and services', () => {
+    const changes = detectChanges(PREVIOUS, CURRENT);
+
+    assert.equal(changes.hasChanges, true);
+    assert.deepEqual(changes.addedRegions, [{ code: 'ap-southeast-7', name: 'Asia Pacific (Thailand)' }]);
+    assert.deepEqual(changes.removedRegions, [{ code: 'sa-east-1', name: 'South America (São Paulo)' }]);
+    assert.deepEqual(changes.addedServices, [{ code: 'bedrock', name: 'Amazon Bedrock' }]);
+    assert.deepEqual(changes.removedServices, [{ code: 'simpledb', name: 'Amazon SimpleDB' }]);
+  });
+
+  it('reports service launches and withdrawals only for regions in both reports', () => {
+    const { regionChanges } = detectChanges(PREVIOUS, CURRENT);
+
+    assert.deepEqual(regionChanges, [
+      { regionCode: 'eu-west-1', regionName: 'Europe (Ireland)', addedServices: ['bedrock'], removedServices: ['s3'] },
+      { regionCode: 'us-east-1', regionName: 'US East (N. Virginia)', addedServices: ['bedrock'], removedServices: ['simpledb'] }
+    ]);
+  });
+
+  it('keeps the names of services from both reports', () => {
+    const { serviceNames } = detectChanges(PREVIOUS, CURRENT);
+
+    assert.equal(serviceNames.simpledb, 'Amazon SimpleDB');
+    assert.equal(serviceNames.bedrock, 'Amazon Bedrock');
+  });
+
+  it('finds no changes between identical reports', () => {
+    const changes = detectChanges(CURRENT, structuredClone(CURRENT));
+
+    assert.equal(changes.hasChanges, false);
+    assert.deepEqual(changes.regionChanges, []);
+  });
+
+  it('treats regions without a mapping as having no services', () => {
+    const previous = { ...CURRENT, servicesByRegion: { 'us-east-1': ['ec2'] } };
+    const { regionChanges } = detectChanges(previous, CURRENT);
+
+    assert.deepEqual(regionChanges.map(change => [change.regionCode, change.addedServices]), [
+      ['ap-southeast-7', ['ec2']],
+      ['eu-west-1', ['bedrock', 'ec2']],
+      ['us-east-1', ['bedrock', 's3']]
+    ]);
+  });
+});
+
+describe('summarizeChanges', () => {
+  it('counts changes and lists the most significant first', () => {
+    const summary = summarizeChanges(detectChanges(PREVIOUS, CURRENT));
+
+    assert.deepEqual(summary, {
+      hasChanges: true,
+      servicesAdded: 1,
+      servicesRemoved: 1,
+      regionsAdded: 1,
+      regionsRemoved: 1,
+      regionsExpanded: 2,
+      serviceLaunches: 2,
+      serviceWithdrawals: 2,
+      highlights: [
+        'New region: ap-southeast-7 (Asia Pacific (Thailand))',
+        'Removed region: sa-east-1 (South America (São Paulo))',
+        'New service: bedrock (Amazon Bedrock)',
+        'Removed service: simpledb (Amazon SimpleDB)',
+        'bedrock launched in eu-west-1',
+        'bedrock launched in us-east-1',
+        's3 removed from eu-west-1',
+        'simpledb removed from us-east-1'
+      ]
+    });
+  });
+
+  it('limits the highlights', () => {
+    assert.equal(summarizeChanges(detectChanges(PREVIOUS, CURRENT), 3).highlights.length, 3);
+  });
+});
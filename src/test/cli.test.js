@@ -0,0 +1,139 @@
+/**
+ * Local CLI tests: argument parsing and complete runs of the handler against a temporary output directory
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { parseCliArgs, run } = require('../cli');
+const { setStorage } = require('../storage');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const DATA_FILE = path.join(FIXTURES_DIR, 'complete-data.json');
+
+let outDir;
+const savedEnv = { ...process.env };
+
+beforeEach(async () => {
+  outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-test-'));
+  ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+});
+
+afterEach(async () => {
+  mock.restoreAll();
+  // Each run stages into its own output directory, so the storage backend is recreated from the environment
+  setStorage(null);
+  process.env = { ...savedEnv };
+  await fs.rm(outDir, { recursive: true, force: true });
+});
+
+/**
+ * Run the CLI with the given arguments against the temporary output directory
+ */
+function runCli(...args) {
+  return run(parseCliArgs(['--data', DATA_FILE, '--out', outDir, ...args]));
+}
+
+/**
+ * List the files of a directory under the output directory (empty when it does not exist)
+ */
+async function files(...segments) {
+  return (await fs.readdir(path.join(outDir, ...segments)).catch(() => [])).sort();
+}
+
+describe('parseCliArgs', () => {
+  it('looks for services.json next to the data file', () => {
+    const options = parseCliArgs(['--data', 'data/complete-data.json']);
+
+    assert.equal(options.servicesFile, path.join('data', 'services.json'));
+    assert.equal(options.outDir, 'output');
+    assert.equal(options.latestReportName, 'aws-service-report-latest.xlsx');
+    assert.equal(options.skipArchive, false);
+    assert.equal(options.skipNotifications, false);
+    assert.equal(options.dryRun, false);
+  });
+
+  it('rejects unknown options', () => {
+    assert.throws(() => parseCliArgs(['--data', 'complete-data.json', '--bucket', 'reports']), /Unknown option '--bucket'/);
+  });
+});
+
+describe('run', () => {
+  it('writes the latest reports and an archive with a snapshot', async () => {
+    const { statusCode, body } = await runCli('--formats', 'xlsx,md');
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.message, 'Report generated successfully');
+    assert.deepEqual(await files('reports'), ['archive', 'aws-service-report-latest.md', 'aws-service-report-latest.xlsx']);
+    assert.deepEqual((await files('reports', 'archive')).map(name => path.extname(name)), ['.gz', '.md', '.xlsx']);
+  });
+
+  it('leaves process.env untouched', async () => {
+    const before = { ...process.env };
+
+    await runCli();
+
+    assert.deepEqual(process.env, before);
+  });
+
+  it('runs neither archive retention nor notifications when skipped', async () => {
+    // An archive outside the retention period that a normal run deletes
+    const expiredKey = path.join(outDir, 'reports', 'archive', 'aws-service-report-2020-01-01-020000.xlsx');
+    await fs.mkdir(path.dirname(expiredKey), { recursive: true });
+    await fs.writeFile(expiredKey, 'old workbook');
+    process.env.NOTIFICATION_CHANNELS = 'webhook';
+    process.env.NOTIFICATION_WEBHOOK_URL = 'https://hooks.example.com/report';
+    const fetchMock = mock.method(globalThis, 'fetch', async () => new Response('ok', { status: 200 }));
+
+    const { statusCode, body } = await runCli('--skip-archive', '--skip-notifications');
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.archiveReportPath, null);
+    assert.equal(body.archivedReportsRetained, 'Skipped (no archive written)');
+    assert.deepEqual(await files('reports', 'archive'), ['aws-service-report-2020-01-01-020000.xlsx']);
+    assert.equal(fetchMock.mock.callCount(), 0);
+
+    await runCli();
+
+    assert.ok(!(await files('reports', 'archive')).includes('aws-service-report-2020-01-01-020000.xlsx'));
+    assert.equal(fetchMock.mock.callCount(), 1);
+  });
+
+  it('regenerates unchanged data and compares against the newest archive', async () => {
+    await runCli();
+    const { body } = await runCli();
+
+    assert.equal(body.message, 'Report generated successfully');
+    assert.equal(body.changes.hasChanges, false);
+    assert.ok(body.changes.previousReportKey.endsWith('.json.gz'));
+  });
+
+  it('stages the configuration files for the handler', async () => {
+    const definitionFile = path.join(outDir, 'executive.yaml');
+    await fs.writeFile(definitionFile, 'sheets: [summary, services]');
+
+    await runCli('--definition', definitionFile);
+
+    assert.deepEqual(await files('reports', 'config', 'report-definitions'), ['executive.yaml']);
+  });
+
+  it('plans a dry run without writing any report', async () => {
+    const { body } = await runCli('--dry-run');
+
+    assert.equal(body.message, 'Dry run complete: nothing was written or sent');
+    assert.ok(body.plan.writes.some(write => write.key === 'aws-service-report-latest.xlsx'));
+    assert.deepEqual(await files('reports'), []);
+  });
+
+  it('quarantines reports that fail data quality checks', async () => {
+    process.env.QUALITY_MIN_REGIONS = '100';
+
+    const { body } = await runCli();
+
+    assert.equal(body.quarantined, true);
+    assert.deepEqual(body.dataQuality.failures, ['Minimum regions: 4 (minimum 100)']);
+    assert.deepEqual(await files('reports'), ['quarantine']);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Content hash tests: canonical fingerprints of the normalized data and configuration, and the published hash
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { CONTENT_HASH_METADATA_KEY, computeContentHash, computeConfigurationDigest, readPublishedContentHash } = require('../contentHash');
+const { getDefaultReportDefinition, parseReportDefinition } = require('../reportDefinition');
+const { getDefaultServiceCategories, parseServiceCategories } = require('../serviceCategories');
+const { createLocalStorage, setStorage } = require('../storage');
+
+const DATA = {
+  metadata: { schemaVersion: '1.4.0', timestamp: '2026-10-18T02:00:00Z' },
+  regions: [{ code: 'us-east-1', name: 'US East (N. Virginia)' }, { code: 'eu-west-1', name: 'Europe (Ireland)' }],
+  services: [{ code: 'ec2', name: 'Amazon EC2' }, { code: 'bedrock', name: 'Amazon Bedrock' }],
+  servicesByRegion: { 'us-east-1': ['ec2', 'bedrock'], 'eu-west-1': ['ec2'] }
+};
+
+describe('computeContentHash', () => {
+  it('ignores ordering and the fetcher timestamp', () => {
+    const reordered = {
+      metadata: { schemaVersion: '1.4.0', timestamp: '2026-10-19T02:00:00Z' },
+      regions: [...DATA.regions].reverse(),
+      services: [...DATA.services].reverse(),
+      servicesByRegion: { 'eu-west-1': ['ec2'], 'us-east-1': ['bedrock', 'ec2'] }
+    };
+
+    assert.match(computeContentHash(DATA), /^[0-9a-f]{64}$/);
+    assert.equal(computeContentHash(reordered), computeContentHash(DATA));
+  });
+
+  it('changes with the data', () => {
+    const expanded = { ...DATA, servicesByRegion: { ...DATA.servicesByRegion, 'eu-west-1': ['ec2', 'bedrock'] } };
+    const renamed = { ...DATA, regions: [{ code: 'us-east-1', name: 'US East' }, DATA.regions[1]] };
+
+    assert.notEqual(computeContentHash(expanded), computeContentHash(DATA));
+    assert.notEqual(computeContentHash(renamed), computeContentHash(DATA));
+  });
+});
+
+describe('computeConfigurationDigest', () => {
+  const CONFIGURATION = {
+    definition: getDefaultReportDefinition(),
+    categories: getDefaultServiceCategories(),
+    profiles: [],
+    formats: ['xlsx', 'json'],
+    watchlist: null,
+    workloads: []
+  };
+
+  it('changes the content hash with the configuration the reports are rendered with', () => {
+    const hash = computeContentHash(DATA, CONFIGURATION);
+    const changed = [
+      { definition: parseReportDefinition('sheets: [summary, services]', 'executive.yaml', getDefaultReportDefinition()) },
+      { categories: parseServiceCategories('categories: [{ name: Quantum, services: [braket] }]', 'categories.yaml', getDefaultServiceCategories()) },
+      { formats: ['xlsx', 'json', 'md'] },
+      { watchlist: { source: 'watchlist.yaml', services: [{ code: 'bedrock', regions: ['eu-west-1'] }] } },
+      { workloads: [{ name: 'web-app', description: null, required: ['ec2'], optional: [] }] }
+    ];
+
+    assert.equal(computeContentHash(DATA, { ...CONFIGURATION }), hash);
+    changed.forEach(change => assert.notEqual(computeContentHash(DATA, { ...CONFIGURATION, ...change }), hash, Object.keys(change)[0]));
+  });
+
+  it('ignores the key order of objects and maps', () => {
+    const categories = { source: 'categories.yaml', names: ['Compute', 'Other'], byService: new Map([['ec2', 'Compute'], ['ecs', 'Compute']]) };
+    const reordered = { byService: new Map([['ecs', 'Compute'], ['ec2', 'Compute']]), names: ['Compute', 'Other'], source: 'categories.yaml' };
+
+    assert.match(computeConfigurationDigest({ categories }), /^[0-9a-f]{64}$/);
+    assert.equal(computeConfigurationDigest({ categories: reordered }), computeConfigurationDigest({ categories }));
+    assert.notEqual(computeConfigurationDigest({ categories: { ...categories, names: ['Other', 'Compute'] } }), computeConfigurationDigest({ categories }));
+  });
+});
+
+describe('readPublishedContentHash', () => {
+  let root;
+  let storage;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'report-hash-'));
+    storage = createLocalStorage(root);
+    setStorage(storage);
+  });
+
+  afterEach(async () => {
+    setStorage(null);
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('reads the hash recorded on the latest report', async () => {
+    await storage.put('reports', 'latest.xlsx', 'report', { metadata: { [CONTENT_HASH_METADATA_KEY]: 'abc123' } });
+
+    assert.equal(await readPublishedContentHash('reports', 'latest.xlsx'), 'abc123');
+  });
+
+  it('returns null without a report or a recorded hash', async () => {
+    await storage.put('reports', 'latest.xlsx', 'report');
+
+    assert.equal(await readPublishedContentHash('reports', 'latest.xlsx'), null);
+    assert.equal(await readPublishedContentHash('reports', 'missing.xlsx'), null);
+  });
+});
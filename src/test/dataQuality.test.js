@@ -0,0 +1,122 @@
+/**
+ * Data quality tests: thresholds, minimum counts, required regions and drops against the previous run
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadQualityThresholds, evaluateDataQuality } = require('../dataQuality');
+
+const PREVIOUS = {
+  regions: [{ code: 'us-east-1' }, { code: 'eu-west-1' }, { code: 'ap-south-1' }, { code: 'sa-east-1' }],
+  services: [{ code: 'ec2' }, { code: 's3' }],
+  servicesByRegion: {
+    'us-east-1': ['ec2', 's3'],
+    'eu-west-1': ['ec2', 's3'],
+    'ap-south-1': ['ec2', 's3'],
+    'sa-east-1': ['ec2', 's3']
+  }
+};
+
+const CURRENT = {
+  regions: [{ code: 'us-east-1' }, { code: 'eu-west-1' }, { code: 'ap-south-1' }],
+  services: [{ code: 'ec2' }, { code: 's3' }],
+  servicesByRegion: {
+    'us-east-1': ['ec2', 's3'],
+    'eu-west-1': ['ec2'],
+    'ap-south-1': []
+  }
+};
+
+describe('loadQualityThresholds', () => {
+  it('defaults to at least one of everything with the drop check disabled', () => {
+    assert.deepEqual(loadQualityThresholds({}), {
+      minRegions: 1,
+      minServices: 1,
+      minServiceMappings: 1,
+      maxDropPercent: null,
+      requiredRegions: []
+    });
+  });
+
+  it('reads thresholds from the environment', () => {
+    const thresholds = loadQualityThresholds({
+      QUALITY_MIN_REGIONS: '30',
+      QUALITY_MIN_SERVICES: '200',
+      QUALITY_MIN_SERVICE_MAPPINGS: '5000',
+      QUALITY_MAX_DROP_PERCENT: '12.5',
+      QUALITY_REQUIRED_REGIONS: ' us-east-1, eu-west-1 ,'
+    });
+
+    assert.deepEqual(thresholds, {
+      minRegions: 30,
+      minServices: 200,
+      minServiceMappings: 5000,
+      maxDropPercent: 12.5,
+      requiredRegions: ['us-east-1', 'eu-west-1']
+    });
+  });
+
+  it('rejects thresholds that are not numbers or out of range, listing every problem', () => {
+    assert.throws(() => loadQualityThresholds({
+      QUALITY_MIN_REGIONS: '-1',
+      QUALITY_MIN_SERVICES: '2.5',
+      QUALITY_MIN_SERVICE_MAPPINGS: '100',
+      QUALITY_MAX_DROP_PERCENT: '150'
+    }), error => {
+      assert.equal(error.name, 'ConfigurationError');
+      assert.equal(error.message, [
+        'Invalid data quality thresholds: QUALITY_MIN_REGIONS must be a whole number of 0 or more, got "-1"',
+        'QUALITY_MIN_SERVICES must be a whole number of 0 or more, got "2.5"',
+        'QUALITY_MAX_DROP_PERCENT must be a number between 0 and 100, got "150"'
+      ].join('; '));
+      return true;
+    });
+  });
+});
+
+describe('evaluateDataQuality', () => {
+  it('passes data that meets every threshold', () => {
+    const result = evaluateDataQuality(CURRENT, PREVIOUS, loadQualityThresholds({}));
+
+    assert.equal(result.passed, true);
+    assert.deepEqual(result.checks.map(check => check.name), [
+      'Minimum regions',
+      'Minimum services',
+      'Minimum service-by-region mappings'
+    ]);
+    assert.deepEqual(result.failures, []);
+  });
+
+  it('fails counts below the minimums', () => {
+    const result = evaluateDataQuality(CURRENT, null, loadQualityThresholds({ QUALITY_MIN_REGIONS: '4', QUALITY_MIN_SERVICE_MAPPINGS: '3' }));
+
+    assert.equal(result.passed, false);
+    assert.deepEqual(result.failures, ['Minimum regions: 3 (minimum 4)']);
+  });
+
+  it('fails required regions that are missing or have no services', () => {
+    const thresholds = loadQualityThresholds({ QUALITY_REQUIRED_REGIONS: 'us-east-1,ap-south-1,me-central-1' });
+    const result = evaluateDataQuality(CURRENT, null, thresholds);
+
+    assert.deepEqual(result.failures, ['Required regions: Missing or empty required regions: ap-south-1, me-central-1']);
+  });
+
+  it('fails drops larger than allowed against the previous run', () => {
+    const thresholds = loadQualityThresholds({ QUALITY_MAX_DROP_PERCENT: '30' });
+    const result = evaluateDataQuality(CURRENT, PREVIOUS, thresholds);
+
+    assert.deepEqual(result.checks.slice(3).map(check => [check.name, check.passed]), [
+      ['Region count drop', true],
+      ['Service count drop', true],
+      ['Service mapping drop', false]
+    ]);
+    assert.deepEqual(result.failures, ['Service mapping drop: 8 → 3 (62.5% drop, maximum 30%)']);
+  });
+
+  it('skips the drop checks on the first run', () => {
+    const result = evaluateDataQuality(CURRENT, null, loadQualityThresholds({ QUALITY_MAX_DROP_PERCENT: '0' }));
+
+    assert.equal(result.checks.length, 3);
+    assert.equal(result.passed, true);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Data validator tests: schema adapters, violations and cross-reference checks
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { DataValidationError, validateSourceData } = require('../dataValidator');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const SERVICES = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'services.json'), 'utf-8')).services;
+
+/**
+ * Load the complete-data.json fixture, optionally modified in place
+ */
+function fixture(modify = () => {}) {
+  const data = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'complete-data.json'), 'utf-8'));
+  modify(data);
+  return data;
+}
+
+/**
+ * Validate and return the violations of a DataValidationError
+ */
+function violationsOf(sourceData) {
+  try {
+    validateSourceData(sourceData, SERVICES);
+  } catch (error) {
+    assert.ok(error instanceof DataValidationError);
+    assert.equal(error.name, 'DataValidationError');
+    return error.violations;
+  }
+  assert.fail('expected a DataValidationError');
+}
+
+describe('validateSourceData', () => {
+  it('normalizes schema 1.4.0 into the canonical model', () => {
+    const { data, warnings } = validateSourceData(fixture(), SERVICES);
+
+    assert.deepEqual(warnings, []);
+    assert.equal(data.metadata.schemaVersion, '1.4.0');
+    assert.equal(data.metadata.timestamp, '2026-10-18T02:00:00Z');
+    assert.deepEqual(data.regions[0], {
+      code: 'us-east-1',
+      name: 'US East (N. Virginia)',
+      availabilityZones: 6,
+      launchDate: '2006-08-25',
+      blogUrl: 'https://aws.amazon.com/blogs/aws/'
+    });
+    assert.equal(data.regions[1].blogUrl, null);
+    assert.deepEqual(data.services.map(service => service.name), ['Amazon EC2', 'Amazon S3', 'AWS Lambda', 'Amazon DynamoDB', 'Amazon Bedrock']);
+    assert.deepEqual(data.servicesByRegion['ap-southeast-1'], ['ec2', 's3', 'lambda']);
+  });
+
+  it('reads newer 1.x versions with the 1.4 adapter', () => {
+    const { data } = validateSourceData(fixture(data => {
+      data.metadata = { schemaVersion: '1.5.2' };
+    }), SERVICES);
+
+    assert.equal(data.metadata.schemaVersion, '1.5.2');
+    assert.equal(data.regions.length, 4);
+    assert.equal(data.services.length, 5);
+  });
+
+  it('accepts availability zone lists and bare service arrays', () => {
+    const { data, warnings } = validateSourceData(fixture(data => {
+      data.regions.regions[0].availabilityZones = ['use1-az1', 'use1-az2'];
+      data.servicesByRegion.byRegion['eu-west-1'] = ['ec2', 's3', 's3'];
+    }), SERVICES);
+
+    assert.equal(data.regions[0].availabilityZones, 2);
+    assert.deepEqual(data.servicesByRegion['eu-west-1'], ['ec2', 's3']);
+    assert.deepEqual(warnings, [{ path: 'servicesByRegion.byRegion.eu-west-1.services', message: 'duplicate service codes removed' }]);
+  });
+
+  it('falls back to service codes without services.json names', () => {
+    const { data, warnings } = validateSourceData(fixture(), [{ code: 'ec2', name: 'Amazon EC2' }, { name: 'No code' }]);
+
+    assert.deepEqual(data.services.map(service => service.name), ['Amazon EC2', 's3', 'lambda', 'dynamodb', 'bedrock']);
+    assert.deepEqual(warnings, [{ path: 'services.json services[1]', message: 'service definition without code ignored' }]);
+  });
+
+  it('rejects data that is not an object', () => {
+    assert.deepEqual(violationsOf([]), [{ path: '$', message: 'expected a JSON object' }]);
+  });
+
+  it('reports every missing top-level field', () => {
+    assert.deepEqual(violationsOf({ metadata: { version: '1.4.0' } }), [
+      { path: 'regions', message: 'required field is missing' },
+      { path: 'services', message: 'required field is missing' }
+    ]);
+  });
+
+  it('rejects missing, invalid and unsupported schema versions', () => {
+    assert.deepEqual(violationsOf(fixture(data => { data.metadata = {}; })), [
+      { path: 'metadata.version', message: 'schema version is missing' }
+    ]);
+    assert.deepEqual(violationsOf(fixture(data => { data.metadata.version = 'latest'; })), [
+      { path: 'metadata.version', message: 'invalid schema version "latest"' }
+    ]);
+    assert.deepEqual(violationsOf(fixture(data => { data.metadata.version = '1.3.9'; })), [
+      { path: 'metadata.version', message: 'schema version 1.3.9 is not supported (minimum 1.4.0)' }
+    ]);
+  });
+
+  it('reports malformed regions, services and mappings with their paths', () => {
+    const violations = violationsOf(fixture(data => {
+      data.regions.regions[1] = 'us-west-2';
+      data.regions.regions[2].code = '';
+      data.services.services[3] = 42;
+      data.servicesByRegion.byRegion['us-east-1'] = { services: ['ec2', null] };
+      data.servicesByRegion.byRegion['eu-west-1'] = {};
+    }));
+
+    assert.deepEqual(violations, [
+      { path: 'regions.regions[1]', message: 'expected a region object' },
+      { path: 'regions.regions[2].code', message: 'region code is missing' },
+      { path: 'services.services[3]', message: 'expected a service code string' },
+      { path: 'servicesByRegion.byRegion.us-east-1.services[1]', message: 'expected a service code string' },
+      { path: 'servicesByRegion.byRegion.eu-west-1.services', message: 'expected an array of service codes' },
+      // The malformed region is dropped, so its mapping no longer has a region
+      { path: 'servicesByRegion.byRegion.us-west-2', message: 'services mapped to unknown region "us-west-2"' }
+    ]);
+  });
+
+  it('reports missing containers and empty lists', () => {
+    assert.deepEqual(violationsOf(fixture(data => {
+      data.regions = {};
+      data.services.services = [];
+      delete data.servicesByRegion;
+    })), [
+      { path: 'regions.regions', message: 'expected an array of regions' },
+      { path: 'servicesByRegion.byRegion', message: 'service-by-region mapping is missing' },
+      { path: 'services.services', message: 'no services found' }
+    ]);
+  });
+
+  it('reports duplicate region and service codes at the later entry', () => {
+    const violations = violationsOf(fixture(data => {
+      data.regions.regions.push({ code: 'us-east-1', name: 'Duplicate' });
+      data.services.services.push('s3');
+    }));
+
+    assert.deepEqual(violations, [
+      { path: 'regions.regions[4].code', message: 'duplicate region code "us-east-1" (first seen at regions.regions[0])' },
+      { path: 'services.services[5]', message: 'duplicate service code "s3" (first seen at services.services[1])' }
+    ]);
+  });
+
+  it('reports services mapped to an unknown region', () => {
+    const violations = violationsOf(fixture(data => {
+      data.servicesByRegion.byRegion['mars-north-1'] = { services: ['ec2'] };
+    }));
+
+    assert.deepEqual(violations, [
+      { path: 'servicesByRegion.byRegion.mars-north-1', message: 'services mapped to unknown region "mars-north-1"' }
+    ]);
+  });
+
+  it('warns about unknown services, unmapped regions and bad timestamps', () => {
+    const { data, warnings } = validateSourceData(fixture(data => {
+      data.metadata.timestamp = 'yesterday';
+      data.servicesByRegion.byRegion['us-east-1'].services.push('braket');
+      delete data.servicesByRegion.byRegion['ap-southeast-1'];
+    }), SERVICES);
+
+    assert.deepEqual(warnings, [
+      { path: 'metadata.timestamp', message: 'unparsable timestamp "yesterday"' },
+      { path: 'servicesByRegion.byRegion.us-east-1.services', message: '1 service code(s) not in services list: braket' },
+      { path: 'regions.regions[3]', message: 'region "ap-southeast-1" has no service-by-region mapping' }
+    ]);
+    assert.equal(data.regions.length, 4);
+  });
+
+  it('summarizes at most ten violations in the error message', () => {
+    const sourceData = fixture(data => {
+      data.services.services = Array.from({ length: 12 }, () => '');
+    });
+
+    assert.throws(() => validateSourceData(sourceData, SERVICES), error => {
+      // Twelve bad codes, then "no services found"
+      assert.equal(error.violations.length, 13);
+      assert.match(error.message, /^Source data failed validation with 13 violation\(s\): services\.services\[0\]: expected a service code string;/);
+      assert.match(error.message, /\(and 3 more\)$/);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,305 @@
+/**
+ * Event router tests: S3, scheduled, manual and query invocations
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { resolveInvocation, describeInvocation, redactEvent } = require('../eventRouter');
+const { createLocalStorage, setStorage } = require('../storage');
+
+const TOPIC_ARN = 'arn:aws:sns:us-east-1:123456789012:report-test';
+const SLACK_URL = 'https://hooks.slack.com/services/T000/B000/secret';
+
+const CONFIG = {
+  sourceBucket: 'aws-data-fetcher-output',
+  sourceKey: 'aws-data/complete-data.json',
+  servicesKey: 'aws-data/services.json',
+  reportBucket: 'aws-data-fetcher-output',
+  reportPrefix: 'reports/',
+  latestReportName: 'aws-service-report-latest.xlsx'
+};
+
+/**
+ * Build an S3 notification record
+ */
+function s3Record(key, { bucket = CONFIG.sourceBucket, eventName = 'ObjectCreated:Put', eventTime = '2026-10-18T02:00:00.000Z' } = {}) {
+  return { eventSource: 'aws:s3', eventName, eventTime, s3: { bucket: { name: bucket }, object: { key } } };
+}
+
+describe('resolveInvocation', () => {
+  let root;
+  let storage;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'report-router-'));
+    storage = createLocalStorage(root);
+    setStorage(storage);
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    setStorage(null);
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  describe('S3 events', () => {
+    it('reports on the uploaded object', async () => {
+      const invocation = await resolveInvocation({ Records: [s3Record('aws-data/complete-data.json')] }, CONFIG);
+
+      assert.deepEqual(invocation, {
+        mode: 's3',
+        skip: false,
+        sourceBucket: CONFIG.sourceBucket,
+        sourceKey: 'aws-data/complete-data.json',
+        dryRun: false,
+        force: false,
+        eventTime: '2026-10-18T02:00:00.000Z',
+        recordCount: 1,
+        ignored: []
+      });
+    });
+
+    it('decodes URL-encoded keys', async () => {
+      const invocation = await resolveInvocation({ Records: [s3Record('aws-data/complete+data%282%29.json')] }, CONFIG);
+
+      assert.equal(invocation.sourceKey, 'aws-data/complete data(2).json');
+    });
+
+    it('collapses duplicate records of the same object', async () => {
+      const invocation = await resolveInvocation({
+        Records: [
+          s3Record('aws-data/complete-data.json', { eventTime: '2026-10-18T02:00:00.000Z' }),
+          s3Record('aws-data/complete-data.json', { eventTime: '2026-10-18T02:00:05.000Z' })
+        ]
+      }, CONFIG);
+
+      assert.equal(invocation.skip, false);
+      assert.equal(invocation.eventTime, '2026-10-18T02:00:05.000Z');
+      assert.deepEqual(invocation.ignored, [
+        { bucket: CONFIG.sourceBucket, key: 'aws-data/complete-data.json', reason: 'duplicate record' }
+      ]);
+    });
+
+    it('reports on the newest of several uploads', async () => {
+      const invocation = await resolveInvocation({
+        Records: [
+          s3Record('aws-data/complete-data.json', { eventTime: '2026-10-18T02:00:00.000Z' }),
+          s3Record('aws-data/complete-data-2.json', { eventTime: '2026-10-18T03:00:00.000Z' })
+        ]
+      }, CONFIG);
+
+      assert.equal(invocation.sourceKey, 'aws-data/complete-data-2.json');
+      assert.deepEqual(invocation.ignored, [
+        { bucket: CONFIG.sourceBucket, key: 'aws-data/complete-data.json', reason: 'superseded by aws-data/complete-data-2.json' }
+      ]);
+    });
+
+    it('ignores report output, service definitions, non-JSON files and other events', async () => {
+      const invocation = await resolveInvocation({
+        Records: [
+          s3Record('reports/archive/aws-service-report-2026-10-18-020000.json'),
+          s3Record('aws-data/services.json'),
+          s3Record('aws-data/complete-data.csv'),
+          s3Record('aws-data/complete-data.json', { eventName: 'ObjectRemoved:Delete' }),
+          { eventSource: 'aws:s3', eventName: 'ObjectCreated:Put', s3: {} }
+        ]
+      }, CONFIG);
+
+      assert.equal(invocation.skip, true);
+      assert.equal(invocation.sourceKey, CONFIG.sourceKey);
+      assert.equal(invocation.recordCount, 5);
+      assert.deepEqual(invocation.ignored.map(entry => entry.reason), [
+        'report output written by this function',
+        'service definitions are read alongside the data file',
+        'not a JSON data file',
+        'not an ObjectCreated event (ObjectRemoved:Delete)',
+        'record has no bucket or key'
+      ]);
+    });
+
+    it('only ignores the report prefix in the report bucket', async () => {
+      const invocation = await resolveInvocation({ Records: [s3Record('reports/complete-data.json', { bucket: 'other-bucket' })] }, CONFIG);
+
+      assert.equal(invocation.skip, false);
+      assert.equal(invocation.sourceBucket, 'other-bucket');
+    });
+
+    it('skips uploads older than the latest report (redelivered events)', async () => {
+      await storage.put(CONFIG.reportBucket, 'reports/aws-service-report-latest.xlsx', 'report');
+
+      const invocation = await resolveInvocation({ Records: [s3Record('aws-data/complete-data.json', { eventTime: '2020-01-01T00:00:00.000Z' })] }, CONFIG);
+
+      assert.equal(invocation.skip, true);
+      assert.deepEqual(invocation.ignored, [{
+        bucket: CONFIG.sourceBucket,
+        key: 'aws-data/complete-data.json',
+        reason: 'latest report is newer than this upload (redelivered event)'
+      }]);
+    });
+
+    it('reports on uploads newer than the latest report', async () => {
+      await storage.put(CONFIG.reportBucket, 'reports/aws-service-report-latest.xlsx', 'report');
+
+      const eventTime = new Date(Date.now() + 60 * 1000).toISOString();
+      const invocation = await resolveInvocation({ Records: [s3Record('aws-data/complete-data.json', { eventTime })] }, CONFIG);
+
+      assert.equal(invocation.skip, false);
+    });
+
+    it('accepts EventBridge Object Created events', async () => {
+      const invocation = await resolveInvocation({
+        source: 'aws.s3',
+        'detail-type': 'Object Created',
+        time: '2026-10-18T02:00:00Z',
+        detail: { bucket: { name: 'uploads' }, object: { key: 'data/complete-data.json' }, reason: 'CopyObject' }
+      }, CONFIG);
+
+      assert.equal(invocation.mode, 's3');
+      assert.equal(invocation.skip, false);
+      assert.equal(invocation.sourceBucket, 'uploads');
+      assert.equal(invocation.sourceKey, 'data/complete-data.json');
+    });
+  });
+
+  describe('scheduled events', () => {
+    it('uses the configured source data', async () => {
+      const invocation = await resolveInvocation({
+        source: 'aws.events',
+        'detail-type': 'Scheduled Event',
+        time: '2026-10-18T02:00:00Z',
+        resources: ['arn:aws:events:us-east-1:123456789012:rule/daily-report']
+      }, CONFIG);
+
+      assert.deepEqual(invocation, {
+        mode: 'schedule',
+        skip: false,
+        sourceBucket: CONFIG.sourceBucket,
+        sourceKey: CONFIG.sourceKey,
+        dryRun: false,
+        force: false,
+        scheduledTime: '2026-10-18T02:00:00Z',
+        rule: 'arn:aws:events:us-east-1:123456789012:rule/daily-report'
+      });
+    });
+
+    it('treats other EventBridge events as manual payloads', async () => {
+      await assert.rejects(resolveInvocation({ source: 'aws.events', 'detail-type': 'Other' }, CONFIG), /Unknown invocation field\(s\): source, detail-type/);
+    });
+  });
+
+  describe('manual payloads', () => {
+    it('uses the configured source data for an empty payload', async () => {
+      for (const event of [{}, null]) {
+        assert.deepEqual(await resolveInvocation(event, CONFIG), {
+          mode: 'manual',
+          skip: false,
+          sourceBucket: CONFIG.sourceBucket,
+          sourceKey: CONFIG.sourceKey,
+          dryRun: false,
+          force: false,
+          overrides: []
+        });
+      }
+    });
+
+    it('applies source, format, channel, dry-run and force overrides', async () => {
+      const invocation = await resolveInvocation({
+        sourceBucket: 'other',
+        sourceKey: 'data/complete-data.json',
+        formats: 'csv, html',
+        channels: ['Slack', 'sns'],
+        dryRun: true,
+        force: true
+      }, CONFIG);
+
+      assert.equal(invocation.sourceBucket, 'other');
+      assert.equal(invocation.sourceKey, 'data/complete-data.json');
+      assert.deepEqual(invocation.formats, ['xlsx', 'csv', 'html']);
+      assert.deepEqual(invocation.channels, ['slack', 'sns']);
+      assert.equal(invocation.dryRun, true);
+      assert.equal(invocation.force, true);
+      assert.deepEqual(invocation.overrides, ['sourceBucket', 'sourceKey', 'formats', 'channels', 'dryRun', 'force']);
+    });
+
+    it('accepts an empty channel list to send no notifications', async () => {
+      assert.deepEqual((await resolveInvocation({ channels: [] }, CONFIG)).channels, []);
+    });
+
+    it('overrides the SNS topic and webhook URLs of the run', async () => {
+      const invocation = await resolveInvocation({ recipients: { topicArn: TOPIC_ARN, slackWebhookUrl: SLACK_URL } }, CONFIG);
+
+      assert.deepEqual(invocation.recipients, { topicArn: TOPIC_ARN, slackWebhookUrl: SLACK_URL });
+      assert.deepEqual(invocation.overrides, ['recipients']);
+    });
+
+    it('rejects invalid payloads', async () => {
+      const cases = [
+        [[], /Manual invocation payload must be a JSON object/],
+        [{ topicArn: TOPIC_ARN }, /Unknown invocation field\(s\): topicArn. Supported: sourceBucket, sourceKey, formats, channels, recipients, dryRun, force, query/],
+        [{ sourceBucket: '' }, /sourceBucket must be a non-empty string/],
+        [{ sourceKey: 42 }, /sourceKey must be a non-empty string/],
+        [{ dryRun: 'yes' }, /dryRun must be true or false/],
+        [{ force: 1 }, /force must be true or false/],
+        [{ formats: 'xlsx,pdf' }, /Unknown report format\(s\): pdf/],
+        [{ formats: [1] }, /formats must be an array of strings or a comma-separated string/],
+        [{ channels: 'sns,pager' }, /Unknown notification channel\(s\): pager. Supported: sns, slack, teams, webhook/],
+        [{ channels: { sns: true } }, /channels must be an array of strings or a comma-separated string/],
+        [{ recipients: {} }, /recipients must be an object with at least one of topicArn, slackWebhookUrl, teamsWebhookUrl, webhookUrl/],
+        [{ recipients: [TOPIC_ARN] }, /recipients must be an object/],
+        [{ recipients: { email: 'ops@example.com' } }, /Unknown recipients field\(s\): email. Supported: topicArn, slackWebhookUrl, teamsWebhookUrl, webhookUrl/],
+        [{ recipients: { topicArn: 'report-test' } }, /recipients.topicArn must be an SNS topic ARN, got "report-test"/],
+        [{ recipients: { slackWebhookUrl: 'http://hooks.slack.com/services/T000/B000/secret' } }, /^Error: recipients.slackWebhookUrl must be an https URL$/],
+        [{ recipients: { webhookUrl: 42 } }, /recipients.webhookUrl must be an https URL/]
+      ];
+
+      for (const [event, message] of cases) {
+        await assert.rejects(resolveInvocation(event, CONFIG), message);
+      }
+    });
+  });
+
+  describe('archive queries', () => {
+    it('resolves a query payload with its defaults', async () => {
+      assert.deepEqual(await resolveInvocation({ query: 'list' }, CONFIG), {
+        mode: 'query',
+        skip: false,
+        dryRun: false,
+        force: false,
+        query: { type: 'list', from: null, to: null, limit: 30 }
+      });
+    });
+
+    it('validates query fields instead of the manual fields', async () => {
+      await assert.rejects(resolveInvocation({ query: 'list', dryRun: true }, CONFIG), /Unknown field\(s\) for query "list": dryRun/);
+      await assert.rejects(resolveInvocation({ query: 'delete' }, CONFIG), /Unknown query "delete". Supported: list, get, diff/);
+    });
+  });
+});
+
+describe('describeInvocation', () => {
+  it('leaves out the skip flag', () => {
+    assert.deepEqual(describeInvocation({ mode: 'manual', skip: false, dryRun: true }), { mode: 'manual', dryRun: true });
+  });
+
+  it('redacts the webhook URLs of a recipients override', () => {
+    const invocation = { mode: 'manual', skip: false, recipients: { topicArn: TOPIC_ARN, slackWebhookUrl: SLACK_URL } };
+
+    assert.deepEqual(describeInvocation(invocation).recipients, { topicArn: TOPIC_ARN, slackWebhookUrl: '(redacted)' });
+    assert.equal(invocation.recipients.slackWebhookUrl, SLACK_URL);
+  });
+});
+
+describe('redactEvent', () => {
+  it('redacts the webhook URLs of a manual payload and leaves other events as they are', () => {
+    const event = { force: true, recipients: { webhookUrl: 'https://example.com/hooks/reports' } };
+
+    assert.deepEqual(redactEvent(event), { force: true, recipients: { webhookUrl: '(redacted)' } });
+    assert.equal(event.recipients.webhookUrl, 'https://example.com/hooks/reports');
+    assert.equal(redactEvent(null), null);
+    assert.deepEqual(redactEvent({ recipients: 'sns' }), { recipients: 'sns' });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Excel chart tests: chart, drawing and relationship parts added to generated workbooks
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+const { addWorkbookCharts } = require('../excelCharts');
+const { generateExcelReport } = require('../excelGenerator');
+
+const CHART = {
+  sheet: 'Summary',
+  type: 'column',
+  title: 'Services per Region & <Zone>',
+  from: { col: 3, row: 1 },
+  to: { col: 15, row: 21 },
+  categories: { ref: '\'Chart Data\'!$A$2:$A$3', values: ['us-east-1', 'eu-west-1'] },
+  series: [{ name: 'Services', nameRef: '\'Chart Data\'!$B$1', ref: '\'Chart Data\'!$B$2:$B$3', values: [2, 1] }]
+};
+
+/**
+ * Generate a workbook with the given sheets
+ */
+async function workbookWithSheets(...names) {
+  const workbook = new ExcelJS.Workbook();
+  names.forEach(name => workbook.addWorksheet(name).addRow([name]));
+  return workbook.xlsx.writeBuffer();
+}
+
+/**
+ * Read a part of a workbook package as text
+ */
+async function readPart(zip, path) {
+  return zip.file(path).async('string');
+}
+
+describe('addWorkbookCharts', () => {
+  it('adds a chart, a drawing and the relationships to the target sheet', async () => {
+    const zip = await JSZip.loadAsync(await addWorkbookCharts(await workbookWithSheets('Summary', 'Regions'), [CHART]));
+
+    const chart = await readPart(zip, 'xl/charts/chart1.xml');
+    assert.ok(chart.includes('<c:barDir val="col"/>'));
+    assert.ok(chart.includes('<a:t>Services per Region &amp; &lt;Zone&gt;</a:t>'));
+    assert.ok(chart.includes('<c:f>\'Chart Data\'!$B$2:$B$3</c:f>'));
+    assert.ok(chart.includes('<c:pt idx="1"><c:v>eu-west-1</c:v></c:pt>'));
+
+    assert.ok((await readPart(zip, 'xl/drawings/_rels/drawing1.xml.rels')).includes('Target="../charts/chart1.xml"'));
+    assert.ok((await readPart(zip, 'xl/worksheets/sheet1.xml')).includes('<drawing r:id='));
+    assert.ok(!(await readPart(zip, 'xl/worksheets/sheet2.xml')).includes('<drawing'));
+    assert.ok((await readPart(zip, 'xl/worksheets/_rels/sheet1.xml.rels')).includes('Target="../drawings/drawing1.xml"'));
+
+    const contentTypes = await readPart(zip, '[Content_Types].xml');
+    assert.ok(contentTypes.includes('<Override PartName="/xl/charts/chart1.xml" ContentType="application/vnd.openxmlformats-officedocument.drawingml.chart+xml"/>'));
+    assert.ok(contentTypes.includes('<Override PartName="/xl/drawings/drawing1.xml"'));
+  });
+
+  it('shares one drawing between the charts of a sheet', async () => {
+    const charts = [CHART, { ...CHART, type: 'line', title: 'Growth' }, { ...CHART, sheet: 'Regions', type: 'bar', title: 'Bands' }];
+    const zip = await JSZip.loadAsync(await addWorkbookCharts(await workbookWithSheets('Summary', 'Regions'), charts));
+
+    assert.deepEqual(Object.keys(zip.files).filter(name => /^xl\/(charts|drawings)\/[^/]+\.xml$/.test(name)).sort(), [
+      'xl/charts/chart1.xml',
+      'xl/charts/chart2.xml',
+      'xl/charts/chart3.xml',
+      'xl/drawings/drawing1.xml',
+      'xl/drawings/drawing2.xml'
+    ]);
+    assert.equal((await readPart(zip, 'xl/drawings/drawing1.xml')).match(/<xdr:twoCellAnchor/g).length, 2);
+    assert.ok((await readPart(zip, 'xl/charts/chart2.xml')).includes('<c:lineChart>'));
+    assert.ok((await readPart(zip, 'xl/charts/chart3.xml')).includes('<c:barDir val="bar"/>'));
+  });
+
+  it('leaves the workbook untouched without charts', async () => {
+    const buffer = await workbookWithSheets('Summary');
+
+    assert.equal(await addWorkbookCharts(buffer, []), buffer);
+  });
+
+  it('rejects charts for missing sheets', async () => {
+    await assert.rejects(addWorkbookCharts(await workbookWithSheets('Summary'), [{ ...CHART, sheet: 'Charts' }]),
+      /Cannot add chart "Services per Region & <Zone>": sheet "Charts" not found/);
+  });
+});
+
+describe('report charts', () => {
+  it('plots the hidden Chart Data sheet and still opens in ExcelJS', async () => {
+    const buffer = await generateExcelReport({
+      metadata: { version: '1.4.0', timestamp: '2026-10-18T02:00:00Z' },
+      regions: [{ code: 'us-east-1', name: 'US East (N. Virginia)', availabilityZones: 6, launchDate: '2006-08-25' }],
+      services: [{ code: 'ec2', name: 'Amazon EC2' }],
+      servicesByRegion: { 'us-east-1': ['ec2'] }
+    });
+
+    const zip = await JSZip.loadAsync(buffer);
+    assert.ok(Object.keys(zip.files).some(name => /^xl\/charts\/chart\d+\.xml$/.test(name)));
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.getWorksheet('Chart Data');
+    assert.equal(sheet.state, 'hidden');
+    assert.equal(sheet.getCell('A2').formula, '\'Regions\'!A2');
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Excel generator tests: workbooks read back as report data
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { generateExcelReport, parseExcelReport } = require('../excelGenerator');
+const { detectChanges } = require('../changeDetector');
+const { buildAvailabilityTimeline } = require('../availabilityTimeline');
+const { parseWatchlist, evaluateWatchlist } = require('../watchlist');
+const { parseWorkloadProfiles, evaluateReadiness } = require('../workloadReadiness');
+const { getDefaultReportDefinition, parseReportDefinition } = require('../reportDefinition');
+
+const DATA = {
+  metadata: { version: '1.4.0', timestamp: '2026-10-18T02:00:00Z' },
+  regions: [
+    { code: 'us-east-1', name: 'US East (N. Virginia)', availabilityZones: 6, launchDate: '2006-08-25' },
+    { code: 'eu-west-1', name: 'Europe (Ireland)', availabilityZones: 3, launchDate: '2007-12-10' }
+  ],
+  services: [
+    { code: 'ec2', name: 'Amazon EC2' },
+    { code: 'bedrock', name: 'Amazon Bedrock' }
+  ],
+  servicesByRegion: {
+    'us-east-1': ['ec2', 'bedrock'],
+    'eu-west-1': ['ec2']
+  }
+};
+
+/**
+ * Load a generated workbook
+ */
+async function loadWorkbook(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  return workbook;
+}
+
+describe('parseExcelReport', () => {
+  it('reads a generated workbook back into the report data', async () => {
+    const data = await parseExcelReport(await generateExcelReport(DATA));
+
+    assert.deepEqual(data.regions.map(region => region.code).sort(), ['eu-west-1', 'us-east-1']);
+    assert.deepEqual(data.services.map(service => service.code).sort(), ['bedrock', 'ec2']);
+    assert.deepEqual(data.servicesByRegion['us-east-1'].sort(), ['bedrock', 'ec2']);
+    assert.deepEqual(data.servicesByRegion['eu-west-1'], ['ec2']);
+    assert.equal(detectChanges(data, DATA).hasChanges, false);
+  });
+
+  it('finds reordered and renamed columns by the headers of the report definition', async () => {
+    const definition = parseReportDefinition([
+      'sheets:',
+      '  - { sheet: regions, columns: [{ key: regionName, header: Name }, { key: regionCode, header: Code }] }',
+      '  - { sheet: services, columns: [availableRegions, { key: serviceName, header: Service }, serviceCode] }',
+      '  - serviceCoverage'
+    ].join('\n'), 'renamed.yaml', getDefaultReportDefinition());
+
+    const data = await parseExcelReport(await generateExcelReport(DATA, { definition }), definition);
+
+    assert.deepEqual(data.regions.map(region => [region.code, region.name]).sort(), [['eu-west-1', 'Europe (Ireland)'], ['us-east-1', 'US East (N. Virginia)']]);
+    assert.deepEqual(data.services.map(service => [service.code, service.name]).sort(), [['bedrock', 'Amazon Bedrock'], ['ec2', 'Amazon EC2']]);
+    assert.deepEqual(data.servicesByRegion['us-east-1'].sort(), ['bedrock', 'ec2']);
+  });
+
+  it('names regions by their code without a Region Name column', async () => {
+    const definition = parseReportDefinition('sheets: [{ sheet: regions, columns: [regionCode] }, services, serviceCoverage]', 'codes.yaml', getDefaultReportDefinition());
+
+    const data = await parseExcelReport(await generateExcelReport(DATA, { definition }), definition);
+
+    assert.deepEqual(data.regions.map(region => region.name).sort(), ['eu-west-1', 'us-east-1']);
+  });
+
+  it('fails when a required column is missing', async () => {
+    const definition = parseReportDefinition('sheets: [regions, { sheet: services, columns: [serviceName] }, serviceCoverage]', 'names.yaml', getDefaultReportDefinition());
+    const buffer = await generateExcelReport(DATA, { definition });
+
+    await assert.rejects(parseExcelReport(buffer, definition), /^Error: Report Services sheet has no "Service Code" column$/);
+  });
+});
+
+describe('Changes sheet', () => {
+  it('lists every change against the previous report', async () => {
+    const previous = { ...DATA, servicesByRegion: { 'us-east-1': ['ec2'], 'eu-west-1': ['ec2'] } };
+    const workbook = await loadWorkbook(await generateExcelReport(DATA, { changes: detectChanges(previous, DATA) }));
+
+    const rows = workbook.getWorksheet('Changes').getRows(2, 10).filter(row => row.getCell(1).value)
+      .map(row => [row.getCell(1).value, row.getCell(2).value, row.getCell(4).value, row.getCell(5).value]);
+    assert.deepEqual(rows, [['Service Launched in Region', 'us-east-1', 'bedrock', 'Amazon Bedrock']]);
+  });
+
+  it('says when there is no previous report', async () => {
+    const workbook = await loadWorkbook(await generateExcelReport(DATA));
+
+    assert.equal(workbook.getWorksheet('Changes').getCell('A1').value, 'No previous report available for comparison');
+  });
+});
+
+describe('region groups', () => {
+  const grouped = {
+    ...DATA,
+    regions: [...DATA.regions, { code: 'cn-north-1', name: 'China (Beijing)', availabilityZones: 3 }],
+    servicesByRegion: { ...DATA.servicesByRegion, 'cn-north-1': ['ec2'] }
+  };
+
+  it('heads the Service Coverage columns with their partition and geography', async () => {
+    const sheet = (await loadWorkbook(await generateExcelReport(grouped))).getWorksheet('Service Coverage');
+
+    assert.deepEqual([3, 4, 5].map(column => sheet.getRow(1).getCell(column).value), ['North America', 'Europe', 'China: Asia Pacific']);
+    assert.deepEqual([3, 4, 5].map(column => sheet.getRow(2).getCell(column).value), ['us-east-1', 'eu-west-1', 'cn-north-1']);
+  });
+
+  it('summarizes each group on the Geography Coverage sheet and subtotals the Services sheet', async () => {
+    const workbook = await loadWorkbook(await generateExcelReport(grouped));
+
+    const coverage = workbook.getWorksheet('Geography Coverage').getRows(2, 3)
+      .map(row => [row.getCell(1).value, row.getCell(4).value, row.getCell(6).value, row.getCell(8).value]);
+    assert.deepEqual(coverage, [['North America', 1, 2, '100.0%'], ['Europe', 1, 1, '50.0%'], ['China: Asia Pacific', 1, 1, '50.0%']]);
+
+    const services = workbook.getWorksheet('Services');
+    assert.deepEqual(services.getRow(1).values.slice(6), ['North America (1)', 'Europe (1)', 'China: Asia Pacific (1)']);
+  });
+});
+
+describe('service categories', () => {
+  it('rolls up category coverage per region on the Category Coverage sheet', async () => {
+    const sheet = (await loadWorkbook(await generateExcelReport(DATA))).getWorksheet('Category Coverage');
+
+    assert.deepEqual(sheet.getRow(1).values.slice(1), ['Region Code', 'Region Name', 'Geography', 'Compute (1)', 'Machine Learning (1)']);
+    assert.deepEqual(sheet.getRows(2, 2).map(row => row.values.slice(1)), [
+      ['us-east-1', 'US East (N. Virginia)', 'North America', '100.0%', '100.0%'],
+      ['eu-west-1', 'Europe (Ireland)', 'Europe', '100.0%', '0.0%']
+    ]);
+  });
+
+  it('groups the Service Coverage rows by category', async () => {
+    const sheet = (await loadWorkbook(await generateExcelReport(DATA))).getWorksheet('Service Coverage');
+
+    assert.deepEqual(sheet.getRows(3, 2).map(row => [row.getCell(1).value, row.getCell(2).value]), [
+      ['Amazon EC2', 'Compute'],
+      ['Amazon Bedrock', 'Machine Learning']
+    ]);
+  });
+});
+
+describe('Watchlist sheet', () => {
+  const watchlist = parseWatchlist('regions: [us-east-1, eu-west-1]\nservices: [bedrock]', 'watchlist.yaml');
+
+  it('lists every watched pair with its status and change', async () => {
+    const previous = { ...DATA, servicesByRegion: { 'us-east-1': ['ec2'], 'eu-west-1': ['ec2'] } };
+    const workbook = await loadWorkbook(await generateExcelReport(DATA, { watchlist: evaluateWatchlist(watchlist, DATA, previous) }));
+
+    const rows = workbook.getWorksheet('Watchlist').getRows(2, 2).map(row => [3, 5, 6].map(column => row.getCell(column).value));
+    assert.deepEqual(rows, [['us-east-1', 'Available', 'Now available'], ['eu-west-1', 'Not Available', '']]);
+    const names = workbook.worksheets.map(sheet => sheet.name);
+    assert.equal(names.indexOf('Changes') + 1, names.indexOf('Watchlist'));
+  });
+
+  it('says when there is nothing to compare with and is left out without a watchlist', async () => {
+    const sheet = (await loadWorkbook(await generateExcelReport(DATA, { watchlist: evaluateWatchlist(watchlist, DATA, null) }))).getWorksheet('Watchlist');
+    assert.equal(sheet.getCell('A4').value, 'No previous report: changes are tracked from the next run');
+
+    assert.equal((await loadWorkbook(await generateExcelReport(DATA))).getWorksheet('Watchlist'), undefined);
+  });
+});
+
+describe('Region Readiness sheet', () => {
+  it('ranks the regions of each workload before the Changes sheet', async () => {
+    const workloads = parseWorkloadProfiles('workloads: [{ name: genai, required: [bedrock], optional: [sagemaker] }]', 'workloads.yaml');
+    const workbook = await loadWorkbook(await generateExcelReport(DATA, { readiness: evaluateReadiness(workloads, DATA) }));
+
+    const sheet = workbook.getWorksheet('Region Readiness');
+    assert.deepEqual(sheet.getRows(2, 2).map(row => row.values.slice(1, 11)), [
+      ['genai', 1, 'us-east-1', 'US East (N. Virginia)', 'North America', 'Yes', '1 of 1', '100.0%', '0 of 1', ''],
+      ['genai', 2, 'eu-west-1', 'Europe (Ireland)', 'Europe', 'No', '0 of 1', '0.0%', '0 of 1', 'bedrock']
+    ]);
+    assert.equal(sheet.getCell('C4').value, 'Not in the service list: sagemaker');
+    const names = workbook.worksheets.map(entry => entry.name);
+    assert.equal(names.indexOf('Region Readiness') + 1, names.indexOf('Changes'));
+  });
+});
+
+describe('Availability Timeline and Service Growth sheets', () => {
+  const timeline = buildAvailabilityTimeline([
+    { date: '2026-10-10', data: { ...DATA, servicesByRegion: { 'us-east-1': ['ec2'], 'eu-west-1': ['ec2'] } } },
+    { date: '2026-10-12', data: DATA }
+  ]);
+
+  it('lists first-seen dates, flagging pairs from the start of the history', async () => {
+    const workbook = await loadWorkbook(await generateExcelReport(DATA, { timeline }));
+
+    const rows = workbook.getWorksheet('Availability Timeline').getRows(2, 3)
+      .map(row => [row.getCell(1).value, row.getCell(3).value, row.getCell(5).value, row.getCell(7).value]);
+    assert.deepEqual(rows, [
+      ['bedrock', 'us-east-1', '2026-10-12', 'Available'],
+      ['ec2', 'eu-west-1', '2026-10-10 or earlier', 'Available'],
+      ['ec2', 'us-east-1', '2026-10-10 or earlier', 'Available']
+    ]);
+  });
+
+  it('lists region counts per date', async () => {
+    const workbook = await loadWorkbook(await generateExcelReport(DATA, { timeline }));
+    const sheet = workbook.getWorksheet('Service Growth');
+
+    assert.deepEqual(sheet.getRow(1).values.slice(1), ['Service', 'First Seen Regions', 'Current Regions', 'Growth', '2026-10-10', '2026-10-12']);
+    assert.deepEqual(sheet.getRow(3).values.slice(1), ['Amazon EC2', 2, 2, 0, 2, 2]);
+  });
+
+  it('say when there is no archive history', async () => {
+    const workbook = await loadWorkbook(await generateExcelReport(DATA));
+
+    assert.equal(workbook.getWorksheet('Availability Timeline').getCell('A1').value, 'No archive history available for the availability timeline');
+    assert.equal(workbook.getWorksheet('Service Growth').getCell('A1').value, 'No archive history available for service growth');
+  });
+});
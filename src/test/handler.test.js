@@ -0,0 +1,371 @@
+/**
+ * Handler tests: full runs against the local storage backend
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { SNSClient } = require('@aws-sdk/client-sns');
+const { handler } = require('../index');
+const { createLocalStorage, setStorage } = require('../storage');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const CONTEXT = { invokedFunctionArn: 'arn:aws:lambda:us-east-1:123456789012:function:aws-service-report-generator' };
+
+const ENV = {
+  STORAGE_BACKEND: 'local',
+  SOURCE_BUCKET: 'source',
+  SOURCE_KEY: 'aws-data/complete-data.json',
+  REPORT_BUCKET: 'source',
+  REPORT_PREFIX: 'reports/',
+  ARCHIVE_PREFIX: 'reports/archive/',
+  LATEST_REPORT_NAME: 'aws-service-report-latest.xlsx',
+  ARCHIVE_RETENTION_DAYS: '7',
+  DISTRIBUTION_BUCKET: 'distribution',
+  DISTRIBUTION_KEY: 'reports/aws-service-report-latest.xlsx',
+  REPORT_FORMATS: 'xlsx,json'
+};
+
+describe('handler', () => {
+  let root;
+  let storage;
+  const savedEnv = { ...process.env };
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'report-handler-'));
+    storage = createLocalStorage(root);
+    setStorage(storage);
+    Object.keys(process.env)
+      .filter(name => name.startsWith('QUALITY_') || name === 'SNS_TOPIC_ARN')
+      .forEach(name => delete process.env[name]);
+    Object.assign(process.env, ENV);
+    ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+    await storage.put('source', 'aws-data/complete-data.json', await fs.readFile(path.join(FIXTURES_DIR, 'complete-data.json')));
+    await storage.put('source', 'aws-data/services.json', await fs.readFile(path.join(FIXTURES_DIR, 'services.json')));
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    setStorage(null);
+    process.env = { ...savedEnv };
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  const run = async (event = {}) => {
+    const response = await handler(event, CONTEXT);
+    return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+  };
+  const keys = async (bucket, prefix) => (await storage.list(bucket, prefix)).map(object => object.key).sort();
+
+  it('uploads the latest report, the archive unit and the snapshot', async () => {
+    const { statusCode, body } = await run();
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.message, 'Report generated successfully');
+    assert.equal(body.regionCount, 4);
+    assert.equal(body.serviceCount, 5);
+    assert.equal(body.serviceMappingCount, 17);
+
+    assert.deepEqual(await keys('source', 'reports/aws-service-report-latest'), [
+      'reports/aws-service-report-latest.json',
+      'reports/aws-service-report-latest.xlsx'
+    ]);
+    const archived = await keys('source', 'reports/archive/');
+    assert.equal(archived.length, 3);
+    assert.ok(archived.every(key => /^reports\/archive\/aws-service-report-\d{4}-\d{2}-\d{2}-\d{6}\.(xlsx|json|json\.gz)$/.test(key)));
+
+    const document = JSON.parse(await storage.get('source', 'reports/aws-service-report-latest.json'));
+    assert.equal(document.services.find(service => service.serviceCode === 'bedrock').availableRegions, 2);
+    assert.equal((await storage.head('source', 'reports/aws-service-report-latest.xlsx')).metadata['content-hash'], body.contentHash);
+  });
+
+  it('copies the workbook to the distribution bucket', async () => {
+    const { body } = await run();
+
+    assert.equal(body.distributionResult.distributed, true);
+    assert.deepEqual(
+      await storage.get('distribution', 'reports/aws-service-report-latest.xlsx'),
+      await storage.get('source', 'reports/aws-service-report-latest.xlsx')
+    );
+  });
+
+  it('generates the report profiles next to the default report', async () => {
+    process.env.REPORT_PROFILES_KEY = 'config/profiles.yaml';
+    await storage.put('source', 'config/profiles.yaml', [
+      'profiles:',
+      '  - name: eu',
+      '    regions: { geographies: [Europe] }',
+      '    distribution: { key: reports/aws-service-report-eu.xlsx }',
+      '  - name: africa',
+      '    regions: { geographies: [Africa] }'
+    ].join('\n'));
+
+    const { statusCode, body } = await run();
+
+    assert.equal(statusCode, 200);
+    assert.deepEqual(body.profiles.map(profile => [profile.name, profile.regionCount, profile.distributed]), [
+      ['default', 4, true],
+      ['eu', 1, true],
+      ['africa', undefined, undefined]
+    ]);
+    assert.equal(body.profiles[2].error, 'Profile "africa" filters match 0 regions and 5 services');
+    assert.ok((await keys('source', 'reports/')).includes('reports/aws-service-report-eu-latest.xlsx'));
+    assert.ok((await keys('source', 'reports/archive/')).some(key => /aws-service-report-\d{4}-\d{2}-\d{2}-\d{6}-eu\.xlsx$/.test(key)));
+    assert.deepEqual(await keys('distribution', ''), ['reports/aws-service-report-eu.xlsx', 'reports/aws-service-report-latest.xlsx']);
+  });
+
+  it('alerts watchers when a watched service launches in a target region', async () => {
+    process.env.WATCHLIST_KEY = 'config/watchlist.yaml';
+    process.env.WATCHLIST_SNS_TOPIC_ARN = 'arn:aws:sns:us-east-1:123456789012:watchers';
+    await storage.put('source', 'config/watchlist.yaml', 'regions: [eu-west-1, ap-southeast-1]\nservices: [bedrock]');
+    const first = await run();
+    assert.equal(first.body.watchlist.compared, false);
+
+    const data = JSON.parse(await fs.readFile(path.join(FIXTURES_DIR, 'complete-data.json')));
+    data.servicesByRegion.byRegion['eu-west-1'].services.push('bedrock');
+    await storage.put('source', 'aws-data/complete-data.json', JSON.stringify(data));
+
+    const { body } = await run({ dryRun: true });
+
+    assert.deepEqual(body.watchlist, {
+      serviceCount: 1,
+      regionCount: 2,
+      pairCount: 2,
+      availableCount: 1,
+      gapCount: 1,
+      newlyAvailableCount: 1,
+      withdrawnCount: 0,
+      changeCount: 1,
+      compared: true
+    });
+    assert.equal(body.plan.watchlistNotification.type, 'watchlist');
+    assert.equal(body.plan.watchlistNotification.subject, '👀 AWS Service Watchlist - 1 Now Available, 0 No Longer Available');
+    assert.ok(body.plan.watchlistNotification.message.includes('• Amazon Bedrock (bedrock) in Europe (Ireland) (eu-west-1)'));
+  });
+
+  it('scores the regions against the workload profiles', async () => {
+    process.env.WORKLOAD_PROFILES_KEY = 'config/workloads.yaml';
+    await storage.put('source', 'config/workloads.yaml', 'workloads: [{ name: genai, required: [lambda, bedrock], optional: [dynamodb] }]');
+
+    const { body } = await run();
+
+    assert.deepEqual(body.readiness, {
+      workloadCount: 1,
+      regionCount: 4,
+      workloads: [{ name: 'genai', requiredCount: 2, optionalCount: 1, eligibleRegionCount: 2, topRegions: ['us-east-1', 'us-west-2'] }]
+    });
+    const document = JSON.parse(await storage.get('source', 'reports/aws-service-report-latest.json'));
+    assert.deepEqual(document.readiness.workloads[0].regions.map(region => region.regionCode), ['us-east-1', 'us-west-2', 'eu-west-1', 'ap-southeast-1']);
+  });
+
+  it('deletes archives outside the retention period and keeps the new one', async () => {
+    const expired = new Date('2020-01-01T02:00:00Z');
+    for (const key of ['reports/archive/aws-service-report-2020-01-01-020000.xlsx', 'reports/archive/aws-service-report-2020-01-01-020000.json']) {
+      await storage.put('source', key, 'old report');
+      await fs.utimes(storage.uri('source', key), expired, expired);
+    }
+
+    const { body } = await run();
+
+    assert.equal(body.archivedReportsDeleted, 1);
+    assert.equal(body.archivedReportsRetained, 1);
+    const archived = await keys('source', 'reports/archive/');
+    assert.ok(archived.every(key => !key.includes('2020-01-01')));
+    assert.equal(archived.length, 3);
+  });
+
+  it('warns about archives that could not be deleted', async () => {
+    await storage.put('source', 'reports/archive/aws-service-report-2020-01-01-020000.xlsx', 'old workbook');
+    await storage.put('source', 'reports/archive/aws-service-report-2020-01-01-020000.json', '{}');
+    storage.deleteMany = async (bucket, keys) => ({
+      deleted: keys.filter(key => !key.endsWith('.json')),
+      errors: keys.filter(key => key.endsWith('.json')).map(key => ({ key, code: 'AccessDenied', message: 'Access Denied' }))
+    });
+
+    const { statusCode, body } = await run();
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.archivedReportsDeleted, 0);
+    assert.deepEqual(body.archiveDeletionErrors, [
+      { key: 'reports/archive/aws-service-report-2020-01-01-020000.json', code: 'AccessDenied', message: 'Access Denied' }
+    ]);
+    assert.ok(console.warn.mock.calls.some(call =>
+      call.arguments[0] === '⚠️ Archive retention: 1 archived file(s) could not be deleted; 1 expired archive(s) remain'));
+  });
+
+  it('names the failed retention cleanup in the warning notification', async () => {
+    process.env.SNS_TOPIC_ARN = 'arn:aws:sns:us-east-1:123456789012:reports';
+    await storage.put('source', 'reports/archive/aws-service-report-2020-01-01-020000.xlsx', 'old workbook');
+    storage.deleteMany = async () => {
+      throw new Error('Access Denied');
+    };
+    const publish = mock.method(SNSClient.prototype, 'send', async () => ({ MessageId: 'message-1' }));
+
+    const { statusCode } = await run();
+
+    const { Subject, Message } = publish.mock.calls[0].arguments[0].input;
+    assert.equal(statusCode, 200);
+    assert.equal(Subject, '⚠️ AWS Service Report Generated with Warnings');
+    assert.ok(Message.includes([
+      '• Issue: Archive retention cleanup failed',
+      '• Details: Archive retention management failed: Access Denied',
+      '• Impact: Low - Expired archives are kept until a later run cleans them up'
+    ].join('\n')));
+  });
+
+  it('publishes the reports and returns the error when every notification channel fails', async () => {
+    process.env.SNS_TOPIC_ARN = 'arn:aws:sns:us-east-1:123456789012:reports';
+    process.env.NOTIFICATION_CHANNELS = 'sns,slack';
+    mock.method(SNSClient.prototype, 'send', async () => {
+      throw new Error('Topic does not exist');
+    });
+
+    const { statusCode, body } = await run();
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.message, 'Report generated successfully');
+    assert.equal(body.notificationWarning, 'Notification failed on every channel: ' +
+      'sns: SNS notification failed: Topic does not exist; slack: Notification channel "slack" requires SLACK_WEBHOOK_URL');
+    assert.deepEqual(await keys('source', 'reports/aws-service-report-latest'), [
+      'reports/aws-service-report-latest.json',
+      'reports/aws-service-report-latest.xlsx'
+    ]);
+    assert.ok(await storage.head('distribution', 'reports/aws-service-report-latest.xlsx'));
+  });
+
+  it('sends the notifications of a run to the recipients of its payload', async () => {
+    process.env.SNS_TOPIC_ARN = 'arn:aws:sns:us-east-1:123456789012:reports';
+    process.env.NOTIFICATION_CHANNELS = 'sns,slack';
+    process.env.SLACK_WEBHOOK_URL = 'https://hooks.slack.com/services/T000/B000/deployment';
+    const publish = mock.method(SNSClient.prototype, 'send', async () => ({ MessageId: 'message-1' }));
+    const fetchMock = mock.method(globalThis, 'fetch', async () => new Response('ok', { status: 200 }));
+
+    const { statusCode, body } = await run({
+      recipients: { topicArn: 'arn:aws:sns:us-east-1:123456789012:report-test', slackWebhookUrl: 'https://hooks.slack.com/services/T000/B000/test' }
+    });
+
+    assert.equal(statusCode, 200);
+    assert.equal(publish.mock.calls[0].arguments[0].input.TopicArn, 'arn:aws:sns:us-east-1:123456789012:report-test');
+    assert.equal(fetchMock.mock.calls[0].arguments[0], 'https://hooks.slack.com/services/T000/B000/test');
+    assert.deepEqual(body.invocation.recipients, { topicArn: 'arn:aws:sns:us-east-1:123456789012:report-test', slackWebhookUrl: '(redacted)' });
+    assert.ok(!console.log.mock.calls.some(call => call.arguments.some(argument => String(argument).includes('B000/test'))));
+  });
+
+  it('quarantines a report that fails the data quality checks', async () => {
+    await storage.put('distribution', 'reports/aws-service-report-latest.xlsx', 'last good report');
+    process.env.QUALITY_MIN_REGIONS = '10';
+
+    const { statusCode, body } = await run();
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.message, 'Report quarantined: data quality checks failed');
+    assert.equal(body.quarantined, true);
+    assert.deepEqual(body.dataQuality.failures, ['Minimum regions: 4 (minimum 10)']);
+    assert.equal((await keys('source', 'reports/quarantine/')).length, 3);
+    assert.deepEqual(await keys('source', 'reports/aws-service-report-latest'), []);
+    assert.deepEqual(await keys('source', 'reports/archive/'), []);
+    assert.equal((await storage.get('distribution', 'reports/aws-service-report-latest.xlsx')).toString(), 'last good report');
+  });
+
+  it('fails the run on an invalid quality threshold', async () => {
+    process.env.QUALITY_MAX_DROP_PERCENT = 'ten';
+
+    const { statusCode, body } = await run();
+
+    assert.equal(statusCode, 500);
+    assert.equal(body.errorType, 'ConfigurationError');
+    assert.match(body.error, /QUALITY_MAX_DROP_PERCENT must be a number between 0 and 100, got "ten"/);
+    assert.deepEqual(await keys('source', 'reports/'), []);
+  });
+
+  it('plans a dry run without writing, distributing or deleting anything', async () => {
+    const expired = new Date('2020-01-01T02:00:00Z');
+    await storage.put('source', 'reports/archive/aws-service-report-2020-01-01-020000.xlsx', 'old workbook');
+    await fs.utimes(storage.uri('source', 'reports/archive/aws-service-report-2020-01-01-020000.xlsx'), expired, expired);
+    await storage.put('source', 'reports/archive/aws-service-report-2026-10-17-020000.xlsx', 'recent workbook');
+
+    const { statusCode, body } = await run({ dryRun: true });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.message, 'Dry run complete: nothing was written or sent');
+    assert.deepEqual(body.plan.writes.map(write => write.key).filter(key => !key.startsWith('reports/archive/')), [
+      'reports/aws-service-report-latest.xlsx',
+      'reports/aws-service-report-latest.json'
+    ]);
+    assert.equal(body.plan.distributions[0].dryRun, true);
+    assert.deepEqual(body.plan.deletions.map(deletion => deletion.id), ['aws-service-report-2020-01-01-020000']);
+    assert.deepEqual(await keys('source', 'reports/'), [
+      'reports/archive/aws-service-report-2020-01-01-020000.xlsx',
+      'reports/archive/aws-service-report-2026-10-17-020000.xlsx'
+    ]);
+    assert.deepEqual(await keys('distribution', ''), []);
+  });
+
+  it('skips regeneration when the source data is unchanged, unless forced', async () => {
+    const first = await run();
+    const latest = await storage.head('source', 'reports/aws-service-report-latest.xlsx');
+
+    const { statusCode, body } = await run();
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.message, 'No report generated: source data unchanged');
+    assert.equal(body.unchanged, true);
+    assert.equal(body.contentHash, first.body.contentHash);
+    assert.equal((await keys('source', 'reports/archive/')).length, 3);
+    assert.deepEqual(await storage.head('source', 'reports/aws-service-report-latest.xlsx'), latest);
+
+    const forced = await run({ force: true });
+    assert.equal(forced.body.message, 'Report generated successfully');
+  });
+
+  it('regenerates unchanged source data when the configuration changed', async () => {
+    const first = await run();
+
+    process.env.REPORT_FORMATS = 'xlsx,json,md';
+    const formatsChanged = await run();
+    await storage.put('source', 'reports/config/report-definitions/executive.yaml', 'sheets: [summary, services]');
+    process.env.REPORT_DEFINITION_KEY = 'reports/config/report-definitions/executive.yaml';
+    const definitionChanged = await run();
+
+    assert.equal(formatsChanged.body.message, 'Report generated successfully');
+    assert.notEqual(formatsChanged.body.contentHash, first.body.contentHash);
+    assert.equal(definitionChanged.body.message, 'Report generated successfully');
+    assert.notEqual(definitionChanged.body.contentHash, formatsChanged.body.contentHash);
+    assert.equal((await run()).body.message, 'No report generated: source data unchanged');
+  });
+
+  it('reports the source data location on the Summary sheet of a manual run', async () => {
+    await storage.put('other', 'data/complete-data.json', await storage.get('source', 'aws-data/complete-data.json'));
+
+    const { body } = await run({ sourceBucket: 'other', sourceKey: 'data/complete-data.json' });
+
+    assert.equal(body.message, 'Report generated successfully');
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await storage.get('source', 'reports/aws-service-report-latest.xlsx'));
+    const sourceRow = workbook.getWorksheet('Summary').getRows(1, 20).find(row => row.getCell(1).value === 'Data Source');
+    assert.equal(sourceRow.getCell(2).value, storage.uri('other', 'data/complete-data.json'));
+  });
+
+  it('fails the run when the source data is missing', async () => {
+    await storage.delete('source', 'aws-data/complete-data.json');
+
+    const { statusCode, body } = await run();
+
+    assert.equal(statusCode, 500);
+    assert.equal(body.message, 'Report generation failed');
+    assert.deepEqual(await keys('source', 'reports/'), []);
+  });
+
+  it('names the source file by its storage location in the failure notification', async () => {
+    await storage.delete('source', 'aws-data/complete-data.json');
+
+    const { body } = await run({ dryRun: true });
+
+    const sourcePath = path.join(root, 'source', 'aws-data', 'complete-data.json');
+    assert.ok(body.plan.notification.message.includes(`• Full Path: ${sourcePath}\n`));
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * HTML dashboard tests: escaping of source data, link filtering and coverage bands
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateHtmlReport } = require('../htmlGenerator');
+const { getDefaultServiceCategories } = require('../serviceCategories');
+const { getDefaultReportDefinition, parseReportDefinition } = require('../reportDefinition');
+
+const DATA = {
+  metadata: { schemaVersion: '1.4.0', timestamp: '2026-10-18T02:00:00Z' },
+  regions: [
+    { code: 'us-east-1', name: 'US East <script>alert(1)</script>', availabilityZones: 6, blogUrl: 'https://aws.amazon.com/blogs/aws/?a=1&b="2"' },
+    { code: 'eu-west-1', name: 'Europe (Ireland)', availabilityZones: 3, blogUrl: 'javascript:alert(1)' },
+    { code: 'eu-south-2', name: 'Europe (Spain)', availabilityZones: 3 }
+  ],
+  services: [
+    { code: 'ec2', name: 'Amazon EC2' },
+    { code: 'bedrock', name: 'Amazon "Bedrock" & <Agents>' }
+  ],
+  servicesByRegion: {
+    'us-east-1': ['ec2', 'bedrock'],
+    'eu-west-1': ['ec2'],
+    'eu-south-2': ['ec2']
+  }
+};
+
+describe('generateHtmlReport', () => {
+  it('escapes source data in content and attributes', () => {
+    const html = generateHtmlReport(DATA, getDefaultServiceCategories(), getDefaultReportDefinition());
+
+    assert.ok(!html.includes('<script>alert(1)</script>'));
+    assert.ok(html.includes('US East &lt;script&gt;alert(1)&lt;/script&gt;'));
+    assert.ok(html.includes('<td class="service">Amazon &quot;Bedrock&quot; &amp; &lt;Agents&gt;</td>'));
+    assert.ok(html.includes('data-search="amazon &quot;bedrock&quot; &amp; &lt;agents&gt; bedrock"'));
+  });
+
+  it('links only http(s) blog URLs', () => {
+    const html = generateHtmlReport(DATA, getDefaultServiceCategories(), getDefaultReportDefinition());
+    const regions = html.slice(html.indexOf('<section id="regions">'), html.indexOf('<section id="services">'));
+
+    assert.ok(regions.includes('<a href="https://aws.amazon.com/blogs/aws/?a=1&amp;b=&quot;2&quot;">'));
+    assert.ok(!html.includes('javascript:alert(1)'));
+    assert.equal(regions.match(/<a href=/g).length, 1);
+  });
+
+  it('marks availability in the coverage matrix', () => {
+    const html = generateHtmlReport(DATA, getDefaultServiceCategories(), getDefaultReportDefinition());
+    const bedrockRow = html.split('\n').find(line => line.startsWith('<tr data-search="amazon &quot;bedrock'));
+
+    assert.equal(bedrockRow.match(/class="mark yes"/g).length, 1);
+    assert.equal(bedrockRow.match(/class="mark no"/g).length, 2);
+  });
+
+  it('colors coverage with the bands of the report definition', () => {
+    const definition = parseReportDefinition(
+      'coverageBands: [{ label: all, min: 100, color: "FF0000FF" }, { label: some, min: 0, color: "FF00FFFF" }]\nnoCoverageBand: { label: none, min: 0, color: "FF000000" }',
+      'executive.yaml',
+      getDefaultReportDefinition()
+    );
+    const html = generateHtmlReport(DATA, getDefaultServiceCategories(), definition);
+
+    assert.ok(html.includes('<td class="num" style="color: #0000FF">100.0%</td>'));
+    assert.ok(html.includes('<td class="num" style="color: #00FFFF">33.3%</td>'));
+  });
+
+  it('says when there is no service-by-region mapping', () => {
+    const html = generateHtmlReport({ ...DATA, servicesByRegion: {} }, getDefaultServiceCategories(), getDefaultReportDefinition());
+
+    assert.ok(html.includes('Service-by-region mapping not available in source data'));
+    assert.ok(!html.includes('id="matrix"'));
+  });
+});
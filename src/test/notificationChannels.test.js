@@ -0,0 +1,161 @@
+/**
+ * Notification channel tests: channel selection, chat payloads and per-channel failure isolation
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { SNSClient } = require('@aws-sdk/client-sns');
+const {
+  loadNotificationChannels,
+  deliverNotification,
+  buildSlackPayload,
+  buildTeamsPayload,
+  buildWebhookPayload
+} = require('../notificationChannels');
+
+const FUNCTION_ARN = 'arn:aws:lambda:us-east-1:123456789012:function:aws-service-report-generator';
+
+const NOTIFICATION = {
+  type: 'success',
+  subject: '✅ AWS Service Report Generated',
+  message: 'Report generated successfully',
+  facts: [['Regions', 38], ['Services', 395], ['Notes', '<b>bold</b> & more']],
+  details: ['bedrock launched in eu-west-1'],
+  functionArn: FUNCTION_ARN,
+  data: { regionCount: 38 }
+};
+
+/**
+ * A channel that resolves or rejects as configured
+ */
+function fakeChannel(name, outcome) {
+  return {
+    name,
+    send: async () => {
+      if (outcome instanceof Error) {
+        throw outcome;
+      }
+      return outcome;
+    }
+  };
+}
+
+describe('loadNotificationChannels', () => {
+  it('defaults to SNS', () => {
+    assert.deepEqual(loadNotificationChannels({ topicArn: 'arn:aws:sns:us-east-1:123456789012:reports' }, {}).map(channel => channel.name), ['sns']);
+  });
+
+  it('creates each configured channel once', () => {
+    const channels = loadNotificationChannels({}, {
+      NOTIFICATION_CHANNELS: 'Slack, webhook,slack',
+      SLACK_WEBHOOK_URL: 'https://hooks.slack.com/services/T/B/X',
+      NOTIFICATION_WEBHOOK_URL: 'https://example.com/hooks/reports'
+    });
+
+    assert.deepEqual(channels.map(channel => channel.name), ['slack', 'webhook']);
+  });
+
+  it('fails a misconfigured channel on delivery while SNS still delivers', async () => {
+    ['log', 'error'].forEach(method => mock.method(console, method, () => {}));
+    const publish = mock.method(SNSClient.prototype, 'send', async () => ({ MessageId: 'message-1' }));
+    try {
+      const channels = loadNotificationChannels({ topicArn: 'arn:aws:sns:us-east-1:123456789012:reports' }, { NOTIFICATION_CHANNELS: 'slack,sns' });
+
+      assert.deepEqual(await deliverNotification(channels, NOTIFICATION), [
+        { channel: 'slack', status: 'failed', error: 'Notification channel "slack" requires SLACK_WEBHOOK_URL' },
+        { channel: 'sns', status: 'sent' }
+      ]);
+      assert.equal(publish.mock.callCount(), 1);
+      assert.equal(publish.mock.calls[0].arguments[0].input.Subject, NOTIFICATION.subject);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  it('rejects unknown channels', () => {
+    assert.throws(() => loadNotificationChannels({}, { NOTIFICATION_CHANNELS: 'sns,pager' }),
+      /Unknown notification channel\(s\): pager\. Supported: sns, slack, teams, webhook/);
+  });
+});
+
+describe('deliverNotification', () => {
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('reports each channel result without stopping at a failure', async () => {
+    const results = await deliverNotification([
+      fakeChannel('slack', new Error('HTTP 404: no_service')),
+      fakeChannel('sns', false),
+      fakeChannel('webhook', undefined)
+    ], NOTIFICATION);
+
+    assert.deepEqual(results, [
+      { channel: 'slack', status: 'failed', error: 'HTTP 404: no_service' },
+      { channel: 'sns', status: 'skipped' },
+      { channel: 'webhook', status: 'sent' }
+    ]);
+  });
+
+  it('fails when no channel delivered the notification', async () => {
+    await assert.rejects(deliverNotification([
+      fakeChannel('slack', new Error('HTTP 500')),
+      fakeChannel('sns', false)
+    ], NOTIFICATION), /Notification failed on every channel: slack: HTTP 500/);
+  });
+
+  it('posts JSON to webhooks and fails on error responses', async () => {
+    mock.method(console, 'log', () => {});
+    const fetchMock = mock.method(globalThis, 'fetch', async () => new Response('invalid_token', { status: 403 }));
+    const [teams] = loadNotificationChannels({}, { NOTIFICATION_CHANNELS: 'teams', TEAMS_WEBHOOK_URL: 'https://example.webhook.office.com/hook' });
+
+    const results = await deliverNotification([teams, fakeChannel('sns', undefined)], NOTIFICATION);
+
+    assert.deepEqual(results[0], { channel: 'teams', status: 'failed', error: 'HTTP 403: invalid_token' });
+    const [url, request] = fetchMock.mock.calls[0].arguments;
+    assert.equal(url, 'https://example.webhook.office.com/hook');
+    assert.equal(request.method, 'POST');
+    assert.equal(JSON.parse(request.body).type, 'message');
+  });
+});
+
+describe('chat payloads', () => {
+  it('renders Slack blocks with escaped fields and details', () => {
+    const payload = buildSlackPayload(NOTIFICATION);
+
+    assert.equal(payload.text, NOTIFICATION.subject);
+    assert.deepEqual(payload.blocks.map(block => block.type), ['header', 'section', 'section', 'context']);
+    assert.equal(payload.blocks[1].fields[2].text, '*Notes*\n&lt;b&gt;bold&lt;/b&gt; &amp; more');
+    assert.equal(payload.blocks[2].text.text, '• bedrock launched in eu-west-1');
+  });
+
+  it('splits Slack fields into sections of ten', () => {
+    const facts = Array.from({ length: 12 }, (_, index) => [`Fact ${index}`, index]);
+    const payload = buildSlackPayload({ ...NOTIFICATION, facts, details: [] });
+
+    assert.deepEqual(payload.blocks.filter(block => block.fields).map(block => block.fields.length), [10, 2]);
+  });
+
+  it('renders a Teams Adaptive Card colored by notification type', () => {
+    const card = buildTeamsPayload({ ...NOTIFICATION, type: 'failure' }).attachments[0].content;
+
+    assert.equal(card.type, 'AdaptiveCard');
+    assert.equal(card.body[0].color, 'Attention');
+    assert.deepEqual(card.body[1].facts[0], { title: 'Regions', value: '38' });
+    assert.equal(card.body[2].text, '- bedrock launched in eu-west-1');
+  });
+
+  it('sends the full notification to generic webhooks', () => {
+    const payload = buildWebhookPayload(NOTIFICATION);
+
+    assert.equal(payload.source, 'aws-service-report-generator');
+    assert.equal(payload.type, 'success');
+    assert.deepEqual(payload.facts, { Regions: 38, Services: 395, Notes: '<b>bold</b> & more' });
+    assert.deepEqual(payload.data, { regionCount: 38 });
+    assert.equal(payload.functionArn, FUNCTION_ARN);
+  });
+});
@@ -0,0 +1,254 @@
+/**
+ * Notification template tests: parsing, sections, value formatting and the built-in templates
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseTemplate, renderTemplate } = require('../notificationTemplates');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+
+/**
+ * Render a template body (with a fixed subject line) and return the message
+ */
+function render(body, view) {
+  return renderTemplate(parseTemplate(`Subject: Test\n\n${body}`), view).message;
+}
+
+describe('parseTemplate', () => {
+  it('splits the subject line from the body', () => {
+    assert.deepEqual(parseTemplate('\uFEFFSubject:  Report {{status}} \r\n\r\nLine 1\r\nLine 2\r\n\r\n'), {
+      subject: 'Report {{status}}',
+      body: 'Line 1\nLine 2'
+    });
+  });
+
+  it('rejects a missing subject line and unbalanced sections', () => {
+    assert.throws(() => parseTemplate('Report generated\n\nBody'), /template must start with a "Subject:" line/);
+    assert.throws(() => parseTemplate('Subject: Test\n\n{{#changes}}Body'), /unclosed section \{\{#changes\}\}/);
+    assert.throws(() => parseTemplate('Subject: Test\n\n{{#changes}}Body{{/watchlist}}'), /unexpected \{\{\/watchlist\}\}/);
+    assert.throws(() => parseTemplate('Subject: {{/changes}}\n\nBody'), /unexpected \{\{\/changes\}\}/);
+  });
+});
+
+describe('renderTemplate', () => {
+  it('renders the subject and message', () => {
+    const template = parseTemplate('Subject: Report for {{region}}\n\nRegions: {{ regionCount }}');
+
+    assert.deepEqual(renderTemplate(template, { region: 'us-east-1', regionCount: 4 }), {
+      subject: 'Report for us-east-1',
+      message: 'Regions: 4'
+    });
+  });
+
+  it('formats numbers, arrays, dates and objects', () => {
+    const view = {
+      count: 12345,
+      regions: ['us-east-1', 'eu-west-1'],
+      at: new Date('2026-10-18T02:00:00Z'),
+      limits: { min: 1 },
+      zero: 0,
+      flag: false
+    };
+
+    assert.equal(render('{{count}} | {{regions}} | {{at}} | {{limits}} | {{zero}} | {{flag}}', view),
+      '12,345 | us-east-1, eu-west-1 | 2026-10-18T02:00:00.000Z | {"min":1} | 0 | false');
+  });
+
+  it('shows N/A for missing, null and empty values', () => {
+    assert.equal(render('{{missing}} {{changes.servicesAdded}} {{nothing}} {{empty}}', { nothing: null, empty: '' }), 'N/A N/A N/A N/A');
+  });
+
+  it('resolves dotted paths into the view', () => {
+    assert.equal(render('{{changes.servicesAdded}}/{{changes.servicesRemoved}}', { changes: { servicesAdded: 3, servicesRemoved: 0 } }), '3/0');
+  });
+
+  it('inserts values verbatim without escaping or expanding them', () => {
+    assert.equal(render('Error: {{error}}', { error: '<b>"bad" & {{regionCount}}</b>' }), 'Error: <b>"bad" & {{regionCount}}</b>');
+  });
+
+  it('renders sections once for truthy values and skips falsy ones', () => {
+    const body = '{{#changes}}Changes: {{changes.count}}{{/changes}}{{#zero}}zero{{/zero}}{{#empty}}empty{{/empty}}';
+
+    assert.equal(render(body, { changes: { count: 2 }, zero: 0, empty: [] }), 'Changes: 2');
+    assert.equal(render(body, {}), '');
+  });
+
+  it('renders sections once per array item with {{.}} and {{.field}}', () => {
+    assert.equal(render('{{#highlights}}[{{.}}]{{/highlights}}', { highlights: ['bedrock launched', 'ec2 removed'] }),
+      '[bedrock launched][ec2 removed]');
+    assert.equal(render('{{#violations}}{{.path}}: {{.message}}; {{/violations}}', {
+      violations: [{ path: 'regions.regions[0].code', message: 'region code is missing' }, { path: 'services' }]
+    }), 'regions.regions[0].code: region code is missing; services: N/A; ');
+  });
+
+  it('renders nested sections against the current item and the view', () => {
+    const body = '{{#workloads}}{{.name}} of {{regionCount}}{{#.eligible}} (top: {{.top}}){{/.eligible}}; {{/workloads}}';
+
+    assert.equal(render(body, {
+      regionCount: 4,
+      workloads: [{ name: 'web', eligible: 2, top: ['us-east-1', 'us-west-2'] }, { name: 'ml', eligible: 0, top: [] }]
+    }), 'web of 4 (top: us-east-1, us-west-2); ml of 4; ');
+  });
+
+  it('renders inverted sections for falsy values and empty arrays', () => {
+    const body = '{{^hasChanges}}No changes{{/hasChanges}}{{^items}} and no items{{/items}}';
+
+    assert.equal(render(body, { hasChanges: false, items: [] }), 'No changes and no items');
+    assert.equal(render(body, { hasChanges: true, items: ['x'] }), '');
+  });
+
+  it('removes lines holding only a section tag', () => {
+    const body = [
+      'Summary',
+      '{{#deletions}}',
+      '  - {{.}}',
+      '{{/deletions}}',
+      '  {{^deletions}}  ',
+      '  - none',
+      '{{/deletions}}',
+      'End {{#flag}}inline{{/flag}}'
+    ].join('\n');
+
+    assert.equal(render(body, { deletions: ['a', 'b'], flag: true }), 'Summary\n  - a\n  - b\nEnd inline');
+    assert.equal(render(body, { deletions: [] }), 'Summary\n  - none\nEnd ');
+  });
+});
+
+describe('built-in templates', () => {
+  const load = type => parseTemplate(fs.readFileSync(path.join(TEMPLATES_DIR, `${type}.txt`), 'utf-8'));
+
+  it('renders the success template with run metrics', () => {
+    const { subject, message } = renderTemplate(load('success'), {
+      generatedAt: '2026-10-18 02:00:05 UTC',
+      processingTime: '4.21s',
+      reportSize: '48.2 KB',
+      reportDefinition: 'built-in',
+      serviceCategories: 'built-in',
+      latestReportPath: 's3://reports/aws-service-report-latest.xlsx',
+      archiveReportPath: 's3://reports/archive/aws-service-report-2026-10-18-020000.xlsx',
+      archiveSnapshotPath: 's3://reports/archive/aws-service-report-2026-10-18-020000.json.gz',
+      regionCount: 4,
+      serviceCount: 5,
+      serviceMappingCount: 17,
+      dataSchemaVersion: '1.4.0',
+      dataTimestamp: '2026-10-18T02:00:00Z',
+      archivedReportsRetained: 8,
+      archiveRetentionPolicy: '7 daily, 8 weekly',
+      archivedReportsDeleted: 1,
+      archiveDeletions: [{ id: 'aws-service-report-2026-08-01-020000', reasons: ['daily: beyond', 'weekly: beyond'] }],
+      moreDeletions: 0,
+      changes: {
+        previousReportKey: 'archive/aws-service-report-2026-10-17-020000.json.gz',
+        regionsAdded: 0,
+        regionsRemoved: 0,
+        servicesAdded: 1,
+        servicesRemoved: 0,
+        serviceLaunches: 2,
+        regionsExpanded: 2,
+        serviceWithdrawals: 0,
+        highlights: ['New service: bedrock'],
+        hasChanges: true,
+        moreCount: 0
+      },
+      readiness: { regionCount: 4, workloads: [{ name: 'web-app', eligibleRegionCount: 2, topRegions: ['us-east-1', 'us-west-2'] }] },
+      functionArn: 'arn:aws:lambda:us-east-1:123456789012:function:aws-service-report-generator'
+    });
+
+    assert.equal(subject, '✅ AWS Service Report Generated Successfully');
+    assert.ok(message.includes('• Report Definition: built-in\n• Service Categories: built-in\n'));
+    assert.ok(message.includes('• Service-by-Region Mappings: 17\n'));
+    assert.ok(message.includes('• Reports Retained: 8 (policy: 7 daily, 8 weekly)\n• Reports Deleted: 1\n  - aws-service-report-2026-08-01-020000: daily: beyond, weekly: beyond\n\n🔄 Changes'));
+    assert.ok(message.includes('• Services Added/Removed: 1/0\n'));
+    assert.ok(message.includes('  - New service: bedrock\n\n🧭 Region Readiness'));
+    assert.ok(message.includes('• web-app: 2 of 4 regions eligible (top: us-east-1, us-west-2)\n'));
+    assert.ok(!message.includes('{{'));
+    assert.ok(!message.includes('No changes since previous report'));
+    assert.ok(!message.includes('Watchlist'));
+    assert.ok(!message.includes('Report Profiles'));
+    assert.ok(message.endsWith('Lambda Function: arn:aws:lambda:us-east-1:123456789012:function:aws-service-report-generator'));
+  });
+
+  it('lists the report profiles of the success template', () => {
+    const { message } = renderTemplate(load('success'), {
+      profileCount: 2,
+      profiles: [
+        { name: 'default', regionCount: 4, serviceCount: 5, reportSize: '48.2 KB', latestReportPath: 's3://reports/aws-service-report-latest.xlsx' },
+        { name: 'eu', error: 'Profile "eu" filters match 0 regions and 5 services' }
+      ]
+    });
+
+    assert.ok(message.includes([
+      '📑 Report Profiles',
+      '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━',
+      '• default: 4 regions, 5 services, 48.2 KB',
+      '  s3://reports/aws-service-report-latest.xlsx',
+      '• eu: ❌ Failed: Profile "eu" filters match 0 regions and 5 services'
+    ].join('\n')));
+    assert.ok(!message.includes('Report profiles not loaded'));
+  });
+
+  it('renders the issue, details and impact of the warning template', () => {
+    const { subject, message } = renderTemplate(load('warning'), {
+      warningIssue: 'Archive retention cleanup partially failed',
+      warningMessage: '1 archived file(s) could not be deleted; 1 expired archive(s) remain',
+      warningImpact: 'Low - Manual cleanup may be needed eventually',
+      archiveDeletionErrors: [{ key: 'archive/aws-service-report-2026-08-01-020000.xlsx', code: 'AccessDenied', message: 'Access Denied' }],
+      moreDeletionErrors: 0,
+      generatedAt: '2026-10-18 02:00:05 UTC'
+    });
+
+    assert.equal(subject, '⚠️ AWS Service Report Generated with Warnings');
+    assert.ok(message.includes([
+      '• Issue: Archive retention cleanup partially failed',
+      '• Details: 1 archived file(s) could not be deleted; 1 expired archive(s) remain',
+      '  - archive/aws-service-report-2026-08-01-020000.xlsx: AccessDenied Access Denied',
+      '• Impact: Low - Manual cleanup may be needed eventually',
+      '• Timestamp: 2026-10-18 02:00:05 UTC'
+    ].join('\n')));
+    assert.ok(!message.includes('{{'));
+  });
+
+  it('renders the failure template with validation violations', () => {
+    const { subject, message } = renderTemplate(load('failure'), {
+      errorType: 'DataValidationError',
+      error: 'Source data failed validation with 2 violation(s)',
+      generatedAt: '2026-10-18 02:00:05 UTC',
+      processingTime: '0.42s',
+      violationCount: 2,
+      violations: [
+        { path: 'regions.regions[0].code', message: 'region code is missing' },
+        { path: 'servicesByRegion.byRegion.mars-north-1', message: 'services mapped to unknown region "mars-north-1"' }
+      ],
+      moreViolations: 0,
+      sourceBucket: 'aws-data-fetcher-output',
+      sourceKey: 'aws-data/complete-data.json',
+      sourcePath: 's3://aws-data-fetcher-output/aws-data/complete-data.json',
+      logGroup: '/aws/lambda/aws-service-report-generator',
+      functionArn: 'arn:aws:lambda:us-east-1:123456789012:function:aws-service-report-generator'
+    });
+
+    assert.equal(subject, '❌ AWS Service Report Generation Failed');
+    assert.ok(message.includes('• Error Type: DataValidationError\n'));
+    assert.ok(message.includes([
+      '🧪 Data Validation Violations (2)',
+      '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━',
+      '  - regions.regions[0].code: region code is missing',
+      '  - servicesByRegion.byRegion.mars-north-1: services mapped to unknown region "mars-north-1"',
+      '',
+      '📁 Source File'
+    ].join('\n')));
+    assert.ok(message.includes('• Full Path: s3://aws-data-fetcher-output/aws-data/complete-data.json\n'));
+    assert.ok(!message.includes('{{'));
+    assert.ok(!message.includes('...and'));
+  });
+
+  it('leaves out the violations section of the failure template without violations', () => {
+    const { message } = renderTemplate(load('failure'), { errorType: 'Error', error: 'Access Denied', violationCount: 0 });
+
+    assert.ok(message.includes('• Processing Time: N/A\n\n📁 Source File'));
+    assert.ok(!message.includes('Data Validation Violations'));
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Region classification tests: partitions, geographies and report order
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyRegion, compareRegionCodes, groupRegionCodes } = require('../regionClassification');
+
+describe('classifyRegion', () => {
+  it('recognizes the partition from the region code', () => {
+    assert.deepEqual(classifyRegion('eu-west-1'), { partition: 'aws', partitionLabel: 'Commercial', geography: 'Europe' });
+    assert.deepEqual(classifyRegion('cn-north-1'), { partition: 'aws-cn', partitionLabel: 'China', geography: 'Asia Pacific' });
+    assert.deepEqual(classifyRegion('us-gov-west-1'), { partition: 'aws-us-gov', partitionLabel: 'GovCloud (US)', geography: 'North America' });
+    assert.equal(classifyRegion('us-isob-east-1').partition, 'isolated');
+    assert.equal(classifyRegion('eu-isoe-west-1').partition, 'isolated');
+  });
+
+  it('maps the first segment of the code to a geography', () => {
+    assert.deepEqual(['ca-central-1', 'mx-central-1', 'sa-east-1', 'il-central-1', 'me-south-1', 'af-south-1', 'ap-south-2']
+      .map(code => classifyRegion(code).geography),
+    ['North America', 'North America', 'South America', 'Middle East', 'Middle East', 'Africa', 'Asia Pacific']);
+  });
+
+  it('puts unconventional codes in the commercial partition and the Other geography', () => {
+    assert.deepEqual(classifyRegion('local-zone'), { partition: 'aws', partitionLabel: 'Commercial', geography: 'Other' });
+    assert.deepEqual(classifyRegion(undefined), { partition: 'aws', partitionLabel: 'Commercial', geography: 'Other' });
+  });
+});
+
+describe('compareRegionCodes', () => {
+  it('orders by partition, then geography, then code', () => {
+    const codes = ['cn-north-1', 'ap-south-1', 'us-gov-west-1', 'eu-west-1', 'us-west-2', 'us-iso-east-1', 'sa-east-1', 'us-east-1', 'xx-new-1'];
+
+    assert.deepEqual(codes.sort(compareRegionCodes), [
+      'us-east-1', 'us-west-2', 'sa-east-1', 'eu-west-1', 'ap-south-1', 'xx-new-1',
+      'cn-north-1', 'us-gov-west-1', 'us-iso-east-1'
+    ]);
+  });
+});
+
+describe('groupRegionCodes', () => {
+  it('labels commercial groups by geography and the others by partition and geography', () => {
+    const groups = groupRegionCodes(['us-east-1', 'eu-west-1', 'eu-south-2', 'cn-north-1', 'cn-northwest-1', 'us-gov-west-1']);
+
+    assert.deepEqual(groups.map(group => [group.label, group.regionCodes]), [
+      ['North America', ['us-east-1']],
+      ['Europe', ['eu-west-1', 'eu-south-2']],
+      ['China: Asia Pacific', ['cn-north-1', 'cn-northwest-1']],
+      ['GovCloud (US): North America', ['us-gov-west-1']]
+    ]);
+  });
+
+  it('starts a new group when a geography comes back out of order', () => {
+    assert.deepEqual(groupRegionCodes(['eu-west-1', 'us-east-1', 'eu-central-1']).map(group => group.label), ['Europe', 'North America', 'Europe']);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Report data tests: region launch-year analytics
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildRegionAnalytics } = require('../reportData');
+
+const DATA = {
+  metadata: { schemaVersion: '1.4.0', timestamp: '2026-10-18T00:00:00Z' },
+  regions: [
+    { code: 'us-east-1', name: 'US East (N. Virginia)', launchDate: '2006-08-25' },
+    { code: 'eu-west-1', name: 'Europe (Ireland)', launchDate: '2007-12-10' },
+    { code: 'us-west-1', name: 'US West (N. California)', launchDate: '2009-12-03' },
+    { code: 'ap-southeast-1', name: 'Asia Pacific (Singapore)', launchDate: '2010-04-29' },
+    { code: 'ap-northeast-1', name: 'Asia Pacific (Tokyo)', launchDate: '2011-03-02' },
+    { code: 'us-west-2', name: 'US West (Oregon)', launchDate: '2011-11-09' },
+    { code: 'mx-central-1', name: 'Mexico (Central)' }
+  ],
+  services: [{ code: 'ec2', name: 'Amazon EC2' }, { code: 's3', name: 'Amazon S3' }],
+  servicesByRegion: {
+    'us-east-1': ['ec2', 's3'],
+    'eu-west-1': ['ec2', 's3'],
+    'us-west-1': ['ec2'],
+    'ap-southeast-1': ['ec2', 's3'],
+    'ap-northeast-1': ['ec2'],
+    'us-west-2': ['ec2', 's3'],
+    'mx-central-1': ['ec2']
+  }
+};
+
+describe('buildRegionAnalytics', () => {
+  it('groups regions into launch-year cohorts with a cumulative count for every year', () => {
+    const { cohorts } = buildRegionAnalytics(DATA);
+
+    assert.deepEqual(cohorts.map(cohort => [cohort.year, cohort.launched, cohort.cumulativeRegions, cohort.averageServiceCount]), [
+      [2006, 1, 1, 2],
+      [2007, 1, 2, 2],
+      [2008, 0, 2, null],
+      [2009, 1, 3, 1],
+      [2010, 1, 4, 2],
+      [2011, 2, 6, 1.5]
+    ]);
+    assert.deepEqual(cohorts[5].regionCodes, ['ap-northeast-1', 'us-west-2']);
+  });
+
+  it('measures ages at the data timestamp and lists the newest regions first', () => {
+    const analytics = buildRegionAnalytics(DATA);
+
+    assert.equal(analytics.asOf, '2026-10-18T00:00:00.000Z');
+    assert.equal(analytics.datedRegionCount, 6);
+    assert.equal(analytics.undatedRegionCount, 1);
+    assert.deepEqual(analytics.newestRegions.map(region => region.regionCode), ['us-west-2', 'ap-northeast-1', 'ap-southeast-1', 'us-west-1', 'eu-west-1']);
+    assert.equal(analytics.regionAges.find(region => region.regionCode === 'us-east-1').ageYears, 20.1);
+    assert.equal(analytics.averageAgeYears, 17.2);
+  });
+
+  it('has no cohorts without launch dates', () => {
+    const analytics = buildRegionAnalytics({ ...DATA, regions: [{ code: 'mx-central-1', name: 'Mexico (Central)' }] });
+
+    assert.deepEqual(analytics.cohorts, []);
+    assert.equal(analytics.averageAgeYears, null);
+    assert.equal(analytics.undatedRegionCount, 1);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Report definition tests: validation, fallbacks to the built-in definition and workbook layout
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { getDefaultReportDefinition, loadReportDefinition, parseReportDefinition } = require('../reportDefinition');
+const { generateExcelReport } = require('../excelGenerator');
+const { createLocalStorage, setStorage } = require('../storage');
+
+const DATA = {
+  metadata: { version: '1.4.0', timestamp: '2026-10-18T02:00:00Z' },
+  regions: [
+    { code: 'us-east-1', name: 'US East (N. Virginia)', availabilityZones: 6 },
+    { code: 'eu-west-1', name: 'Europe (Ireland)', availabilityZones: 3 }
+  ],
+  services: [{ code: 'ec2', name: 'Amazon EC2' }, { code: 'bedrock', name: 'Amazon Bedrock' }],
+  servicesByRegion: { 'us-east-1': ['ec2', 'bedrock'], 'eu-west-1': ['ec2'] }
+};
+
+/**
+ * Parse a definition on top of the built-in one
+ */
+function parse(text, source = 'executive.yaml') {
+  return parseReportDefinition(text, source, getDefaultReportDefinition());
+}
+
+describe('parseReportDefinition', () => {
+  it('falls back to the built-in definition for what it leaves out', () => {
+    const definition = parse('sheets: [summary, { sheet: services, columns: [serviceName, coveragePercent] }]');
+
+    assert.equal(definition.name, 'executive');
+    assert.equal(definition.charts, true);
+    assert.deepEqual(definition.coverageBands, getDefaultReportDefinition().coverageBands);
+    assert.deepEqual(definition.sheets.map(sheet => [sheet.sheet, sheet.name, sheet.headerColor]), [
+      ['summary', 'Summary', 'FF4472C4'],
+      ['services', 'Services', 'FFFFC000']
+    ]);
+    assert.deepEqual(definition.sheets[1].columns, [
+      { key: 'serviceName', header: 'Service Name', width: 60 },
+      { key: 'coveragePercent', header: 'Coverage %', width: 12 }
+    ]);
+    assert.deepEqual(definition.sheets[1].sort, [
+      { key: 'category', order: 'asc', field: 'categoryOrder' },
+      { key: 'serviceName', order: 'asc', field: 'serviceName' }
+    ]);
+  });
+
+  it('keeps the built-in sheets when it lists none', () => {
+    const definition = parse('charts: false');
+
+    assert.equal(definition.charts, false);
+    assert.deepEqual(definition.sheets, getDefaultReportDefinition().sheets);
+  });
+
+  it('reads JSON, colors with a leading # and column overrides', () => {
+    const definition = parse(JSON.stringify({
+      name: 'Ops',
+      theme: { positiveColor: '#00aa00' },
+      sheets: [{ sheet: 'regions', headerColor: '112233', columns: [{ key: 'regionCode', header: 'Code', width: 12 }], sort: [{ key: 'regionCode', order: 'DESC' }] }]
+    }), 'ops.json');
+
+    assert.equal(definition.name, 'Ops');
+    assert.equal(definition.theme.positiveColor, 'FF00AA00');
+    assert.equal(definition.theme.linkColor, 'FF0563C1');
+    assert.equal(definition.sheets[0].headerColor, 'FF112233');
+    assert.deepEqual(definition.sheets[0].columns, [{ key: 'regionCode', header: 'Code', width: 12 }]);
+    assert.deepEqual(definition.sheets[0].sort, [{ key: 'regionCode', order: 'desc', field: 'regionCode' }]);
+  });
+
+  it('lists every problem in one error', () => {
+    const text = [
+      'title: Ops',
+      'charts: sometimes',
+      'theme: { accentColor: "FF000000" }',
+      'coverageBands: [{ label: high, min: 50, color: "FF00B050" }, { label: low, min: 60, color: "red" }]',
+      'sheets:',
+      '  - regions',
+      '  - { sheet: regions }',
+      '  - { sheet: pivot }',
+      '  - { sheet: summary, columns: [label] }',
+      '  - { sheet: services, columns: [serviceCode, serviceCode, price], sort: [regionGroups] }'
+    ].join('\n');
+
+    assert.throws(() => parse(text), error => {
+      assert.equal(error.message, [
+        'Invalid report definition executive.yaml: unknown field "title"',
+        'charts must be true or false',
+        'theme: unknown color "accentColor". Supported: headerFontColor, positiveColor, negativeColor, mutedColor, linkColor, gapColor',
+        'coverageBands[1].color must be an RRGGBB or AARRGGBB hex string (quote it in YAML), got "red"',
+        'coverageBands[1]: min must be lower than the previous band\'s (50)',
+        'coverageBands: the last band must have min 0',
+        'sheets[1]: sheet "regions" is listed more than once',
+        'sheets[2]: unknown sheet "pivot". Supported: summary, regions, regionAnalytics, services, serviceCoverage, categoryCoverage, geographyCoverage, regionReadiness, changes, watchlist, availabilityTimeline, serviceGrowth',
+        'sheets[3]: sheet "summary" does not support columns',
+        'sheets[4].columns[1]: column "serviceCode" is listed more than once',
+        'sheets[4].columns[2]: unknown column "price". Supported: serviceCode, serviceName, category, availableRegions, coveragePercent, regionGroups',
+        'sheets[4].sort[0]: cannot sort by "regionGroups"'
+      ].join('; '));
+      return true;
+    });
+  });
+
+  it('rejects definitions that are not an object with sheets', () => {
+    assert.throws(() => parse('- summary'), /^Error: Invalid report definition executive\.yaml: expected an object with a "sheets" list$/);
+    assert.throws(() => parse('sheets: []'), /sheets must be a non-empty list/);
+    assert.throws(() => parse('sheets: [summary'), /^Error: Invalid report definition executive\.yaml: /);
+  });
+});
+
+describe('loadReportDefinition', () => {
+  let root;
+  let storage;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'report-definition-'));
+    storage = createLocalStorage(root);
+    setStorage(storage);
+    ['log', 'warn'].forEach(method => mock.method(console, method, () => {}));
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    setStorage(null);
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('reads a definition from storage on top of the built-in one', async () => {
+    await storage.put('reports', 'config/executive.yaml', 'name: Executive\nsheets: [summary]');
+
+    const definition = await loadReportDefinition('reports', 'config/executive.yaml');
+
+    assert.equal(definition.name, 'Executive');
+    assert.equal(definition.source, storage.uri('reports', 'config/executive.yaml'));
+    assert.equal(getDefaultReportDefinition().name, 'default');
+  });
+
+  it('keeps the built-in definition when the file is missing or invalid', async () => {
+    await storage.put('reports', 'config/broken.yaml', 'sheets: [pivot]');
+
+    assert.equal((await loadReportDefinition('reports', 'config/missing.yaml')).name, 'default');
+    assert.equal((await loadReportDefinition('reports', 'config/broken.yaml')).name, 'default');
+    assert.ok(console.warn.mock.calls[0].arguments[0].startsWith('⚠️ Could not read report definition config/missing.yaml, using built-in'));
+    assert.ok(console.warn.mock.calls[1].arguments[0].includes('unknown sheet "pivot"'));
+  });
+});
+
+describe('workbook layout', () => {
+  it('creates only the listed sheets with their columns and sort order', async () => {
+    const definition = parse([
+      'charts: false',
+      'sheets:',
+      '  - { sheet: services, columns: [serviceCode, { key: availableRegions, header: Regions }], sort: [{ key: availableRegions, order: desc }] }',
+      '  - summary'
+    ].join('\n'));
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await generateExcelReport(DATA, { definition }));
+
+    assert.deepEqual(workbook.worksheets.map(sheet => sheet.name), ['Services', 'Summary']);
+    const services = workbook.getWorksheet('Services');
+    assert.deepEqual(services.getRow(1).values.slice(1), ['Service Code', 'Regions']);
+    assert.deepEqual([2, 3].map(row => services.getRow(row).values.slice(1)), [['ec2', 2], ['bedrock', 1]]);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Report profile tests: profile validation, name clashes and region/service filters
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReportProfiles, filterReportData, buildProfileData } = require('../reportProfiles');
+const { getDefaultReportDefinition } = require('../reportDefinition');
+
+const DEFAULT_REPORT_NAME = 'aws-service-report-latest.xlsx';
+
+const DATA = {
+  metadata: { schemaVersion: '1.4.0' },
+  regions: [
+    { code: 'us-east-1', name: 'US East (N. Virginia)' },
+    { code: 'eu-west-1', name: 'Europe (Ireland)' },
+    { code: 'eu-central-1', name: 'Europe (Frankfurt)' },
+    { code: 'cn-north-1', name: 'China (Beijing)' }
+  ],
+  services: [
+    { code: 'ec2', name: 'Amazon EC2' },
+    { code: 'bedrock', name: 'Amazon Bedrock' },
+    { code: 'bedrock-agent', name: 'Agents for Amazon Bedrock' }
+  ],
+  servicesByRegion: {
+    'us-east-1': ['ec2', 'bedrock', 'bedrock-agent'],
+    'eu-west-1': ['ec2', 'bedrock'],
+    'eu-central-1': ['ec2'],
+    'cn-north-1': ['ec2']
+  }
+};
+
+/**
+ * Parse a profiles file on top of the built-in definition
+ */
+function parse(text) {
+  return parseReportProfiles(text, 'profiles.yaml', getDefaultReportDefinition(), DEFAULT_REPORT_NAME);
+}
+
+/**
+ * Build a profile with the given filters
+ */
+function profileWith(regions = {}, services = {}) {
+  const [profile] = parse(JSON.stringify({ profiles: [{ name: 'test', regions, services }] }));
+  return profile;
+}
+
+describe('parseReportProfiles', () => {
+  it('resolves names, formats, inline definitions and distribution targets', () => {
+    const [eu, executive] = parse([
+      'profiles:',
+      '  - name: eu',
+      '    formats: html, csv',
+      '    regions: { geographies: [Europe] }',
+      '    distribution: { key: reports/eu.xlsx, htmlKey: reports/eu.html }',
+      '  - name: executive',
+      '    reportName: executive.xlsx',
+      '    definition: { charts: false, sheets: [summary] }'
+    ].join('\n'));
+
+    assert.equal(eu.reportName, 'aws-service-report-eu-latest.xlsx');
+    assert.deepEqual(eu.formats, ['xlsx', 'html', 'csv']);
+    assert.equal(eu.definition, getDefaultReportDefinition());
+    assert.deepEqual(eu.regions, { include: [], exclude: [], partitions: [], geographies: ['Europe'] });
+    assert.deepEqual(eu.distribution, { bucket: null, key: 'reports/eu.xlsx', htmlKey: 'reports/eu.html' });
+
+    assert.equal(executive.reportName, 'executive.xlsx');
+    assert.equal(executive.definition.name, 'executive');
+    assert.equal(executive.definition.charts, false);
+    assert.deepEqual(executive.definition.sheets.map(sheet => sheet.sheet), ['summary']);
+    assert.equal(executive.distribution, null);
+  });
+
+  it('rejects names and report names that clash', () => {
+    const text = [
+      'profiles:',
+      '  - { name: eu, reportName: shared.xlsx }',
+      '  - { name: eu, reportName: shared.xlsx }',
+      '  - { name: default }',
+      '  - { name: main, reportName: aws-service-report-latest.xlsx }'
+    ].join('\n');
+
+    assert.throws(() => parse(text), error => {
+      assert.equal(error.message, [
+        'Invalid report profiles profiles.yaml: profiles[2]: "default" is the deployment\'s own report and cannot be redefined',
+        'profile "main": reportName "aws-service-report-latest.xlsx" is the default report\'s name',
+        'name "eu" is used by more than one profile',
+        'reportName "shared.xlsx" is used by more than one profile'
+      ].join('; '));
+      return true;
+    });
+  });
+
+  it('lists every invalid field in one error', () => {
+    const text = JSON.stringify({
+      output: 's3',
+      profiles: [
+        'eu',
+        {
+          name: 'EU Only',
+          reportName: 'eu.csv',
+          formats: 'xlsx,pdf',
+          audience: 'execs',
+          regions: { geographies: ['Europe', 'Antarctica'], continents: ['EU'] },
+          services: { include: [3] },
+          definition: { sheets: ['pivot'] },
+          distribution: { bucket: 'public' }
+        }
+      ]
+    });
+
+    assert.throws(() => parse(text), error => {
+      const problems = error.message.replace('Invalid report profiles profiles.yaml: ', '').split('; ');
+      assert.deepEqual(problems, [
+        'unknown field "output"',
+        'profiles[0] must be an object',
+        'profiles[1]: unknown field "audience"',
+        'profiles[1].name must be lowercase letters, digits and dashes, got "EU Only"',
+        'profiles[1].reportName must be a file name ending in .xlsx, got "eu.csv"',
+        'profiles[1].formats: Unknown report format(s): pdf. Supported: xlsx, csv, json, md, html',
+        'Invalid report definition profiles.yaml profiles[1].definition: sheets[0]: unknown sheet "pivot". Supported: summary, regions, regionAnalytics, services, serviceCoverage, categoryCoverage, geographyCoverage, regionReadiness, changes, watchlist, availabilityTimeline, serviceGrowth',
+        'profiles[1].distribution.key is required',
+        'profiles[1].regions: unknown field "continents". Supported: include, exclude, partitions, geographies',
+        'profiles[1].regions.geographies: unknown value "Antarctica". Supported: North America, South America, Europe, Middle East, Africa, Asia Pacific, Other',
+        'profiles[1].services.include must be a list of strings'
+      ]);
+      return true;
+    });
+  });
+
+  it('needs a profiles list', () => {
+    assert.throws(() => parse('name: eu'), /^Error: Invalid report profiles profiles\.yaml: expected an object with a "profiles" list$/);
+    assert.deepEqual(parse('profiles: []'), []);
+  });
+});
+
+describe('filterReportData', () => {
+  it('limits regions by partition and geography', () => {
+    const data = filterReportData(DATA, profileWith({ partitions: ['aws'], geographies: ['Europe'] }));
+
+    assert.deepEqual(data.regions.map(region => region.code), ['eu-west-1', 'eu-central-1']);
+    assert.deepEqual(Object.keys(data.servicesByRegion), ['eu-west-1', 'eu-central-1']);
+    assert.equal(data.services.length, 3);
+  });
+
+  it('matches include and exclude patterns with wildcards, case-insensitively', () => {
+    const data = filterReportData(DATA, profileWith({ include: ['EU-*', 'us-east-1'], exclude: ['eu-central-*'] }, { exclude: ['bedrock-*'] }));
+
+    assert.deepEqual(data.regions.map(region => region.code), ['us-east-1', 'eu-west-1']);
+    assert.deepEqual(data.services.map(service => service.code), ['ec2', 'bedrock']);
+    assert.deepEqual(data.servicesByRegion, { 'us-east-1': ['ec2', 'bedrock'], 'eu-west-1': ['ec2', 'bedrock'] });
+    assert.equal(data.metadata, DATA.metadata);
+  });
+
+  it('treats a comma-separated string as a list', () => {
+    const data = filterReportData(DATA, profileWith({}, { include: 'ec2, bedrock' }));
+
+    assert.deepEqual(data.services.map(service => service.code), ['ec2', 'bedrock']);
+  });
+});
+
+describe('buildProfileData', () => {
+  it('filters the previous data and the history the same way', () => {
+    const profile = profileWith({ geographies: ['Europe'] });
+    const previous = { ...DATA, servicesByRegion: { ...DATA.servicesByRegion, 'eu-west-1': ['ec2'], 'us-east-1': ['ec2'] } };
+
+    const { data, changes, timeline } = buildProfileData(profile, DATA, previous, [
+      { date: '2026-10-17', data: previous },
+      { date: '2026-10-18', data: DATA }
+    ]);
+
+    assert.equal(data.regions.length, 2);
+    assert.deepEqual(changes.regionChanges.map(change => [change.regionCode, change.addedServices]), [['eu-west-1', ['bedrock']]]);
+    assert.deepEqual(timeline.pairs.map(pair => `${pair.serviceCode}@${pair.regionCode}`), ['bedrock@eu-west-1', 'ec2@eu-central-1', 'ec2@eu-west-1']);
+  });
+
+  it('fails a profile whose filters match nothing', () => {
+    assert.throws(() => buildProfileData(profileWith({ include: ['sa-*'] }), DATA, null, null),
+      /^Error: Profile "test" filters match 0 regions and 3 services$/);
+  });
+});
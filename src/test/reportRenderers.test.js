@@ -0,0 +1,240 @@
+/**
+ * Report renderer tests: format selection and the CSV, JSON and Markdown outputs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFormats, renderReports } = require('../reportRenderers');
+const { detectChanges } = require('../changeDetector');
+const { getDefaultServiceCategories, parseServiceCategories } = require('../serviceCategories');
+const { getDefaultReportDefinition, parseReportDefinition } = require('../reportDefinition');
+
+const DATA = {
+  metadata: { schemaVersion: '1.4.0', timestamp: '2026-10-18T02:00:00Z' },
+  regions: [
+    { code: 'us-east-1', name: 'US East (N. Virginia)', availabilityZones: 6, launchDate: '2006-08-25', blogUrl: 'https://aws.amazon.com/blogs/aws/' },
+    { code: 'ap-northeast-3', name: 'Asia Pacific (Osaka, "local")', availabilityZones: 3, launchDate: '2021-03-01' },
+    { code: 'eu-west-1', name: 'Europe | Ireland', availabilityZones: 3 },
+    { code: 'eu-south-2', name: 'Europe (Spain)', availabilityZones: 3 }
+  ],
+  services: [
+    { code: 's3', name: 'Amazon S3' },
+    { code: 'ec2', name: 'Amazon EC2' },
+    { code: 'bedrock', name: 'Amazon Bedrock' },
+    { code: 'braket', name: 'Amazon Braket' }
+  ],
+  servicesByRegion: {
+    'us-east-1': ['ec2', 's3', 'bedrock'],
+    'ap-northeast-3': ['ec2', 's3'],
+    'eu-west-1': ['ec2', 's3', 'bedrock'],
+    'eu-south-2': ['ec2']
+  }
+};
+
+/**
+ * Parse a CSV artifact into rows of cells (quoted cells may hold commas, quotes and line breaks)
+ */
+function parseCsv(body) {
+  const rows = [[]];
+  let cell = '';
+  let quoted = false;
+  const text = body.toString('utf-8');
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      rows[rows.length - 1].push(cell);
+      cell = '';
+    } else if (char === '\r' && text[i + 1] === '\n') {
+      rows[rows.length - 1].push(cell);
+      rows.push([]);
+      cell = '';
+      i++;
+    } else {
+      cell += char;
+    }
+  }
+  return rows.slice(0, -1);
+}
+
+/**
+ * Read the named columns of a parsed CSV, one array per data row
+ */
+function csvColumns(rows, ...headers) {
+  const indexes = headers.map(header => rows[0].indexOf(header));
+  assert.ok(indexes.every(index => index !== -1), `missing one of ${headers.join(', ')}`);
+  return rows.slice(1).map(row => indexes.map(index => row[index]));
+}
+
+/**
+ * Render one format and return its artifacts
+ */
+async function render(format, options = {}) {
+  return (await renderReports(DATA, [format], options)).filter(artifact => artifact.format === format);
+}
+
+describe('parseFormats', () => {
+  it('always renders the workbook first and drops duplicates', () => {
+    assert.deepEqual(parseFormats('CSV, md,csv'), ['xlsx', 'csv', 'md']);
+    assert.deepEqual(parseFormats(''), ['xlsx']);
+    assert.deepEqual(parseFormats(undefined), ['xlsx']);
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => parseFormats('xlsx,pdf'), /Unknown report format\(s\): pdf/);
+  });
+});
+
+describe('CSV output', () => {
+  it('writes one file per sheet', async () => {
+    const artifacts = await render('csv');
+
+    assert.deepEqual(artifacts.map(artifact => artifact.suffix), ['-regions', '-services', '-service-coverage']);
+    assert.ok(artifacts.every(artifact => artifact.extension === '.csv' && artifact.contentType === 'text/csv; charset=utf-8'));
+  });
+
+  it('quotes cells with separators and quotes', async () => {
+    const [regions] = await render('csv');
+
+    assert.ok(regions.body.toString('utf-8').includes('"Asia Pacific (Osaka, ""local"")"'));
+    assert.deepEqual(csvColumns(parseCsv(regions.body), 'Region Code', 'Region Name', 'Geography', 'Service Count', 'Launch Date'), [
+      ['us-east-1', 'US East (N. Virginia)', 'North America', '3', '2006-08-25'],
+      ['eu-south-2', 'Europe (Spain)', 'Europe', '1', ''],
+      ['eu-west-1', 'Europe | Ireland', 'Europe', '3', ''],
+      ['ap-northeast-3', 'Asia Pacific (Osaka, "local")', 'Asia Pacific', '2', '2021-03-01']
+    ]);
+  });
+
+  it('lists service coverage and the availability matrix', async () => {
+    const [, services, coverage] = await render('csv');
+
+    assert.deepEqual(csvColumns(parseCsv(services.body), 'Service Code', 'Category', 'Available Regions', 'Coverage %'), [
+      ['bedrock', 'Machine Learning', '2', '50.0'],
+      ['braket', 'Other', '0', '0.0'],
+      ['ec2', 'Compute', '4', '100.0'],
+      ['s3', 'Storage', '3', '75.0']
+    ]);
+    const matrix = parseCsv(coverage.body);
+    assert.deepEqual(csvColumns(matrix, 'Service Code', 'Category', 'us-east-1', 'eu-south-2'), [
+      ['ec2', 'Compute', 'Yes', 'Yes'],
+      ['s3', 'Storage', 'Yes', 'No'],
+      ['bedrock', 'Machine Learning', 'Yes', 'No'],
+      ['braket', 'Other', 'No', 'No']
+    ]);
+  });
+
+  it('categorizes services with the categories passed in', async () => {
+    const categories = parseServiceCategories('categories: [{ name: Quantum, services: [braket] }]', 'categories.yaml', getDefaultServiceCategories());
+    const [, services] = await render('csv', { categories });
+
+    assert.deepEqual(csvColumns(parseCsv(services.body), 'Service Code', 'Category'), [
+      ['bedrock', 'Machine Learning'],
+      ['braket', 'Quantum'],
+      ['ec2', 'Compute'],
+      ['s3', 'Storage']
+    ]);
+  });
+});
+
+describe('JSON output', () => {
+  it('writes the summary, regions and services', async () => {
+    const [artifact] = await render('json');
+    const document = JSON.parse(artifact.body.toString('utf-8'));
+
+    assert.equal(artifact.contentType, 'application/json');
+    assert.deepEqual(document.metadata, DATA.metadata);
+    assert.deepEqual(document.summary, {
+      schemaVersion: '1.4.0',
+      dataTimestamp: '2026-10-18T02:00:00Z',
+      regionCount: 4,
+      serviceCount: 4,
+      serviceMappingCount: 9
+    });
+    assert.deepEqual(document.regions.map(region => region.regionCode), ['us-east-1', 'eu-south-2', 'eu-west-1', 'ap-northeast-3']);
+    assert.deepEqual(document.geographyCoverage.map(group => [group.label, group.regionCodes, group.servicesInAllRegions]), [
+      ['North America', ['us-east-1'], 3],
+      ['Europe', ['eu-south-2', 'eu-west-1'], 1],
+      ['Asia Pacific', ['ap-northeast-3'], 2]
+    ]);
+    assert.deepEqual(document.services.find(service => service.serviceCode === 'bedrock').regions, ['us-east-1', 'eu-west-1']);
+    assert.deepEqual(document.regionAnalytics.cohorts.filter(cohort => cohort.launched > 0).map(cohort => cohort.year), [2006, 2021]);
+    assert.equal(document.regionAnalytics.undatedRegionCount, 2);
+    assert.equal(document.changes, undefined);
+  });
+
+  it('includes the changes since the previous report', async () => {
+    const changes = detectChanges({ ...DATA, servicesByRegion: { ...DATA.servicesByRegion, 'eu-south-2': [] } }, DATA);
+    const [artifact] = await render('json', { changes });
+
+    assert.deepEqual(JSON.parse(artifact.body.toString('utf-8')).changes.regionChanges, [
+      { regionCode: 'eu-south-2', regionName: 'Europe (Spain)', addedServices: ['ec2'], removedServices: [] }
+    ]);
+  });
+});
+
+describe('Markdown output', () => {
+  it('summarizes the report with a coverage distribution', async () => {
+    const [artifact] = await render('md');
+    const markdown = artifact.body.toString('utf-8');
+
+    assert.equal(artifact.contentType, 'text/markdown; charset=utf-8');
+    assert.ok(markdown.startsWith('# AWS Service Report\n'));
+    assert.ok(markdown.includes('| Service-by-Region Mappings | 9 |'));
+    assert.ok(markdown.includes('| 100% | 1 |\n| 75-99% | 1 |\n| 50-74% | 1 |\n| 1-49% | 0 |\n| 0% | 1 |'));
+  });
+
+  it('counts services in the coverage bands of the report definition', async () => {
+    const definition = parseReportDefinition(
+      'coverageBands: [{ label: Global, min: 75, color: "FF00B050" }, { label: Partial, min: 0, color: "FFFFC000" }]\nnoCoverageBand: { label: Unavailable, min: 0, color: "FF7F7F7F" }',
+      'executive.yaml',
+      getDefaultReportDefinition()
+    );
+    const [artifact] = await render('md', { definition });
+
+    assert.ok(artifact.body.toString('utf-8').includes('| Global | 2 |\n| Partial | 1 |\n| Unavailable | 1 |\n'));
+  });
+
+  it('lists regions by launch year', async () => {
+    const [artifact] = await render('md');
+    const markdown = artifact.body.toString('utf-8');
+
+    assert.ok(markdown.includes('## Regions by Launch Year\n\nAverage region age: 12.9 years. Newest: ap-northeast-3 (2021-03-01), us-east-1 (2006-08-25)\n'));
+    assert.ok(markdown.includes('| 2006 | 1 | 1 | 3 |\n| 2007 | 0 | 1 | N/A |'));
+    assert.ok(markdown.includes('| 2021 | 1 | 2 | 2 |'));
+  });
+
+  it('escapes pipes in table cells', async () => {
+    const [artifact] = await render('md');
+
+    assert.ok(artifact.body.toString('utf-8').includes('| eu-west-1 | Europe \\| Ireland | Europe | 3 | 3 | N/A |'));
+  });
+
+  it('names the partition of regions outside the commercial partition', async () => {
+    const data = {
+      ...DATA,
+      regions: [...DATA.regions, { code: 'cn-north-1', name: 'China (Beijing)', availabilityZones: 3 }],
+      servicesByRegion: { ...DATA.servicesByRegion, 'cn-north-1': ['ec2'] }
+    };
+    const [artifact] = (await renderReports(data, ['md'])).filter(entry => entry.format === 'md');
+
+    assert.ok(artifact.body.toString('utf-8').includes('| ap-northeast-3 | Asia Pacific (Osaka, "local") | Asia Pacific | 3 | 2 | 2021-03-01 |\n| cn-north-1 | China (Beijing) | Asia Pacific (aws-cn) | 3 | 1 | N/A |'));
+  });
+
+  it('lists new services per region when there are changes', async () => {
+    const changes = detectChanges({ ...DATA, servicesByRegion: { ...DATA.servicesByRegion, 'us-east-1': ['ec2'] } }, DATA);
+    const [artifact] = await render('md', { changes });
+
+    assert.ok(artifact.body.toString('utf-8').includes('## Changes Since Previous Report\n\n- Regions added: none'));
+    assert.ok(artifact.body.toString('utf-8').includes('- New in us-east-1: bedrock, s3'));
+  });
+});
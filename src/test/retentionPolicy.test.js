@@ -0,0 +1,166 @@
+/**
+ * Retention policy tests: rule parsing and grandfather-father-son evaluation
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseRetentionPolicy,
+  describeRetentionPolicy,
+  evaluateRetention,
+  parseArchiveTimestamp
+} = require('../retentionPolicy');
+
+/**
+ * Build archive units from run timestamps (yyyy-MM-dd-HHmmss)
+ */
+function archives(...timestamps) {
+  return timestamps.map(timestamp => ({ id: `aws-service-report-${timestamp}`, timestamp }));
+}
+
+/**
+ * Evaluate a policy and return the kept and expired timestamps
+ */
+function evaluate(policyText, units, now) {
+  const evaluation = evaluateRetention(units, parseRetentionPolicy(policyText), now);
+  return {
+    kept: evaluation.kept.map(entry => entry.archive.timestamp).sort(),
+    expired: evaluation.expired.map(entry => entry.archive.timestamp).sort(),
+    evaluation
+  };
+}
+
+describe('parseRetentionPolicy', () => {
+  it('parses counts and \'all\' for every rule', () => {
+    assert.deepEqual(parseRetentionPolicy('days=30, Daily=7,weekly=8,monthly=12,yearly=ALL'), {
+      days: 30,
+      daily: 7,
+      weekly: 8,
+      monthly: 12,
+      yearly: Infinity
+    });
+  });
+
+  it('rejects empty, unknown, repeated and invalid rules', () => {
+    assert.throws(() => parseRetentionPolicy(' , '), /^Error: Retention policy is empty$/);
+    assert.throws(() => parseRetentionPolicy('hourly=24'), /Unknown retention rule "hourly". Supported: days, daily, weekly, monthly, yearly/);
+    assert.throws(() => parseRetentionPolicy('daily=7,daily=14'), /Retention rule "daily" is set more than once/);
+    assert.throws(() => parseRetentionPolicy('weekly=-1'), /Retention rule "weekly" needs a whole number or 'all', got "-1"/);
+    assert.throws(() => parseRetentionPolicy('monthly=1.5'), /got "1.5"/);
+    assert.throws(() => parseRetentionPolicy('yearly'), /Retention rule "yearly" needs a whole number or 'all', got ""/);
+  });
+});
+
+describe('describeRetentionPolicy', () => {
+  it('lists the rules in rule order', () => {
+    assert.equal(describeRetentionPolicy(parseRetentionPolicy('yearly=all,days=7,daily=3')), 'last 7 days, 3 daily, all yearly');
+  });
+});
+
+describe('parseArchiveTimestamp', () => {
+  it('parses run timestamps in local time and rejects anything else', () => {
+    assert.deepEqual(parseArchiveTimestamp('2024-03-05-140709'), new Date(2024, 2, 5, 14, 7, 9));
+    assert.equal(parseArchiveTimestamp('2024-03-05'), null);
+    assert.equal(parseArchiveTimestamp(null), null);
+  });
+});
+
+describe('evaluateRetention', () => {
+  it('keeps archives from the last N days with the days rule', () => {
+    const now = new Date(2024, 5, 10, 12, 0, 0);
+    const { kept, expired, evaluation } = evaluate('days=7', archives('2024-06-10-020000', '2024-06-03-120000', '2024-06-03-115959'), now);
+
+    assert.deepEqual(kept, ['2024-06-03-120000', '2024-06-10-020000']);
+    assert.deepEqual(expired, ['2024-06-03-115959']);
+    assert.deepEqual(evaluation.expired[0].reasons, ['days: older than 7 days']);
+    assert.deepEqual(evaluation.rules, [{ rule: 'days', limit: 7, kept: ['aws-service-report-2024-06-10-020000', 'aws-service-report-2024-06-03-120000'] }]);
+  });
+
+  it('keeps the newest archive of each of the N most recent days', () => {
+    const { kept, evaluation } = evaluate('daily=2', archives(
+      '2024-06-10-020000', '2024-06-10-140000', '2024-06-09-020000', '2024-06-08-020000'
+    ));
+
+    assert.deepEqual(kept, ['2024-06-09-020000', '2024-06-10-140000']);
+    const reasons = Object.fromEntries(evaluation.expired.map(entry => [entry.archive.timestamp, entry.reasons]));
+    assert.deepEqual(reasons, {
+      '2024-06-10-020000': ['daily: 2024-06-10 is represented by the newer aws-service-report-2024-06-10-140000'],
+      '2024-06-08-020000': ['daily: 2024-06-08 is beyond the 2 most recent days']
+    });
+  });
+
+  it('only counts periods that have archives', () => {
+    const { kept } = evaluate('daily=2', archives('2024-06-10-020000', '2024-05-01-020000', '2024-01-01-020000'));
+
+    assert.deepEqual(kept, ['2024-05-01-020000', '2024-06-10-020000']);
+  });
+
+  it('groups weekly archives by ISO week across the year boundary', () => {
+    // 2020-12-28 (Monday) to 2021-01-03 (Sunday) is ISO week 2020-W53; 2021-01-04 starts 2021-W01
+    const { kept, evaluation } = evaluate('weekly=2', archives(
+      '2021-01-04-020000', '2021-01-03-020000', '2020-12-28-020000', '2020-12-27-020000'
+    ));
+
+    assert.deepEqual(kept, ['2021-01-03-020000', '2021-01-04-020000']);
+    assert.deepEqual(evaluation.rules[0].kept, ['aws-service-report-2021-01-04-020000', 'aws-service-report-2021-01-03-020000']);
+    const reasons = Object.fromEntries(evaluation.expired.map(entry => [entry.archive.timestamp, entry.reasons]));
+    assert.deepEqual(reasons, {
+      '2020-12-28-020000': ['weekly: 2020-W53 is represented by the newer aws-service-report-2021-01-03-020000'],
+      '2020-12-27-020000': ['weekly: 2020-W52 is beyond the 2 most recent weeks']
+    });
+  });
+
+  it('uses the ISO week-numbering year for late-December weeks', () => {
+    // 2024-12-30 (Monday) is in ISO week 2025-W01, the same week as 2025-01-02
+    const { kept, expired } = evaluate('weekly=1', archives('2025-01-02-020000', '2024-12-30-020000'));
+
+    assert.deepEqual(kept, ['2025-01-02-020000']);
+    assert.deepEqual(expired, ['2024-12-30-020000']);
+  });
+
+  it('keeps the newest archive of each month and year', () => {
+    const units = archives('2024-01-15-020000', '2024-01-01-020000', '2023-12-31-235959', '2023-12-01-020000', '2022-06-01-020000');
+
+    assert.deepEqual(evaluate('monthly=2', units).kept, ['2023-12-31-235959', '2024-01-15-020000']);
+    assert.deepEqual(evaluate('yearly=all', units).kept, ['2022-06-01-020000', '2023-12-31-235959', '2024-01-15-020000']);
+  });
+
+  it('keeps an archive when any rule keeps it and records every rule', () => {
+    const { kept, evaluation } = evaluate('daily=1,monthly=all', archives('2024-06-10-020000', '2024-06-09-020000', '2024-05-20-020000'));
+
+    assert.deepEqual(kept, ['2024-05-20-020000', '2024-06-10-020000']);
+    assert.deepEqual(evaluation.kept.find(entry => entry.archive.timestamp === '2024-06-10-020000').keptBy, ['latest', 'daily', 'monthly']);
+    assert.deepEqual(evaluation.expired[0].reasons, [
+      'daily: 2024-06-09 is beyond the 1 most recent days',
+      'monthly: 2024-06 is represented by the newer aws-service-report-2024-06-10-020000'
+    ]);
+  });
+
+  it('always keeps the newest archive, even outside every rule', () => {
+    const now = new Date(2024, 5, 10);
+    const { kept, expired, evaluation } = evaluate('days=0', archives('2024-01-02-020000', '2024-01-01-020000'), now);
+
+    assert.deepEqual(kept, ['2024-01-02-020000']);
+    assert.deepEqual(expired, ['2024-01-01-020000']);
+    assert.deepEqual(evaluation.kept[0].keptBy, ['latest']);
+  });
+
+  it('always keeps archives without a run timestamp', () => {
+    const units = [...archives('2024-06-10-020000', '2024-06-09-020000'), { id: 'aws-service-report-manual', timestamp: null }];
+    const { evaluation } = evaluate('daily=1', units);
+
+    assert.deepEqual(evaluation.kept.map(entry => [entry.archive.id, entry.keptBy]), [
+      ['aws-service-report-2024-06-10-020000', ['latest', 'daily']],
+      ['aws-service-report-manual', ['undated']]
+    ]);
+    assert.deepEqual(evaluation.expired.map(entry => entry.archive.id), ['aws-service-report-2024-06-09-020000']);
+  });
+
+  it('returns empty results without archives', () => {
+    assert.deepEqual(evaluateRetention([], parseRetentionPolicy('daily=7')), {
+      kept: [],
+      expired: [],
+      rules: [{ rule: 'daily', limit: 7, kept: [] }]
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Service category tests: the built-in mapping, custom categories and category coverage rollups
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const {
+  getDefaultServiceCategories,
+  loadServiceCategories,
+  parseServiceCategories,
+  categorizeService,
+  compareServicesByCategory
+} = require('../serviceCategories');
+const { buildCategoryCoverage } = require('../reportData');
+const { createLocalStorage, setStorage } = require('../storage');
+
+const DATA = {
+  regions: [
+    { code: 'us-east-1', name: 'US East (N. Virginia)' },
+    { code: 'eu-west-1', name: 'Europe (Ireland)' }
+  ],
+  services: [
+    { code: 'sagemaker', name: 'Amazon SageMaker' },
+    { code: 'ec2', name: 'Amazon EC2' },
+    { code: 'lambda', name: 'AWS Lambda' },
+    { code: 'bedrock', name: 'Amazon Bedrock' },
+    { code: 'braket', name: 'Amazon Braket' }
+  ],
+  servicesByRegion: {
+    'us-east-1': ['ec2', 'lambda', 'sagemaker', 'bedrock', 'braket'],
+    'eu-west-1': ['ec2', 'sagemaker']
+  }
+};
+
+describe('service categories', () => {
+  const builtIn = getDefaultServiceCategories();
+
+  it('maps services with the built-in categories and puts the rest in Other', () => {
+    assert.equal(categorizeService('ec2', builtIn), 'Compute');
+    assert.equal(categorizeService('bedrock', builtIn), 'Machine Learning');
+    assert.equal(categorizeService('braket', builtIn), 'Other');
+    assert.equal(builtIn.names[0], 'Compute');
+    assert.equal(builtIn.names.at(-1), 'Other');
+  });
+
+  it('orders services by category, then by name', () => {
+    const codes = [...DATA.services].sort((a, b) => compareServicesByCategory(a, b, builtIn)).map(service => service.code);
+
+    assert.deepEqual(codes, ['ec2', 'lambda', 'bedrock', 'sagemaker', 'braket']);
+  });
+
+  it('extends the built-in mapping with a custom file', () => {
+    const categories = parseServiceCategories([
+      'categories:',
+      '  - { name: Quantum, services: [braket] }',
+      '  - { name: Compute, services: [sagemaker] }'
+    ].join('\n'), 'categories.yaml', builtIn);
+
+    assert.equal(categories.source, 'categories.yaml');
+    assert.deepEqual(categories.names.slice(-2), ['Quantum', 'Other']);
+    assert.equal(categorizeService('braket', categories), 'Quantum');
+    assert.equal(categorizeService('sagemaker', categories), 'Compute');
+    assert.equal(categorizeService('bedrock', categories), 'Machine Learning');
+    assert.equal(categorizeService('braket', builtIn), 'Other');
+  });
+
+  it('lists every problem in one error', () => {
+    const text = JSON.stringify({
+      version: 2,
+      categories: [
+        { name: 'Quantum', services: ['braket', 'braket'] },
+        { name: 'Other', services: ['x'] },
+        { services: ['y'] },
+        { name: 'Edge', services: 'outposts', owner: 'infra' },
+        'Robotics'
+      ]
+    });
+
+    assert.throws(() => parseServiceCategories(text, 'categories.json', builtIn), error => {
+      assert.equal(error.message, [
+        'Invalid service categories categories.json: unknown field "version"',
+        'category "Quantum": service "braket" is listed more than once',
+        'category "Other": "Other" holds the services in no category and cannot be listed',
+        'categories[2].name is required',
+        'category "Edge": unknown field "owner"',
+        'category "Edge": services must be a list of service codes',
+        'categories[4] must be an object'
+      ].join('; '));
+      return true;
+    });
+  });
+
+  it('rolls up the coverage of each category per region', () => {
+    const { categories, rows } = buildCategoryCoverage(DATA, builtIn);
+
+    assert.deepEqual(categories, [
+      { name: 'Compute', serviceCount: 2 },
+      { name: 'Machine Learning', serviceCount: 2 },
+      { name: 'Other', serviceCount: 1 }
+    ]);
+    assert.deepEqual(rows.map(row => [row.regionCode, ...row.categories.map(category => category.coveragePercent)]), [
+      ['us-east-1', 100, 100, 100],
+      ['eu-west-1', 50, 50, 0]
+    ]);
+    assert.deepEqual(rows[1].categories[0], { name: 'Compute', availableServices: 1, coveragePercent: 50 });
+  });
+});
+
+describe('loadServiceCategories', () => {
+  let root;
+  let storage;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'report-categories-'));
+    storage = createLocalStorage(root);
+    setStorage(storage);
+    ['log', 'warn'].forEach(method => mock.method(console, method, () => {}));
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    setStorage(null);
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('reads custom categories from storage on top of the built-in ones', async () => {
+    await storage.put('reports', 'config/categories.yaml', 'categories: [{ name: Quantum, services: [braket] }]');
+
+    const { categories, warning } = await loadServiceCategories('reports', 'config/categories.yaml');
+
+    assert.equal(warning, null);
+    assert.equal(categories.source, storage.uri('reports', 'config/categories.yaml'));
+    assert.equal(categorizeService('braket', categories), 'Quantum');
+    assert.equal(categorizeService('ec2', categories), 'Compute');
+    assert.equal(categorizeService('braket', getDefaultServiceCategories()), 'Other');
+  });
+
+  it('falls back to the built-in categories with a warning', async () => {
+    await storage.put('reports', 'config/categories.yaml', 'categories: []');
+
+    const { categories, warning } = await loadServiceCategories('reports', 'config/categories.yaml');
+
+    assert.equal(categories.source, 'built-in');
+    assert.match(warning, /^Invalid service categories .*categories\.yaml: expected an object with a non-empty "categories" list$/);
+    assert.equal(console.warn.mock.callCount(), 1);
+  });
+});
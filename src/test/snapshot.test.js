@@ -0,0 +1,29 @@
+/**
+ * Snapshot tests: compressed JSON round trips
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { serializeSnapshot, deserializeSnapshot } = require('../snapshot');
+
+const DATA = {
+  metadata: { schemaVersion: '1.4.0', timestamp: '2026-10-18T02:00:00Z' },
+  regions: [{ code: 'us-east-1', name: 'US East (N. Virginia)' }],
+  services: [{ code: 'ec2', name: 'Amazon EC2' }],
+  servicesByRegion: { 'us-east-1': ['ec2'] }
+};
+
+describe('snapshots', () => {
+  it('round-trip the normalized report data', () => {
+    const { generatedAt, ...data } = deserializeSnapshot(serializeSnapshot(DATA));
+
+    assert.deepEqual(data, DATA);
+    assert.ok(!Number.isNaN(Date.parse(generatedAt)));
+  });
+
+  it('reject buffers that are not snapshots', () => {
+    assert.throws(() => deserializeSnapshot(Buffer.from('{}')), /^Error: Invalid snapshot: /);
+    assert.throws(() => deserializeSnapshot(zlib.gzipSync('{"regions": []}')), /Invalid snapshot: missing regions or services/);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Storage tests: the local directory backend and backend selection
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { createStorage, createS3Storage, createLocalStorage } = require('../storage');
+
+describe('local storage', () => {
+  let root;
+  let storage;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'report-storage-'));
+    storage = createLocalStorage(root);
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('reads back what it writes', async () => {
+    await storage.put('reports', 'archive/report.json', '{"ok":true}');
+
+    assert.equal((await storage.get('reports', 'archive/report.json')).toString(), '{"ok":true}');
+    assert.equal(storage.uri('reports', 'archive/report.json'), path.join(root, 'reports', 'archive', 'report.json'));
+  });
+
+  it('lists keys under a prefix in lexicographic order', async () => {
+    await storage.put('reports', 'archive/b.xlsx', 'b');
+    await storage.put('reports', 'archive/a.xlsx', 'a');
+    await storage.put('reports', 'archive-old/c.xlsx', 'c');
+    await storage.put('reports', 'latest.xlsx', 'latest');
+
+    assert.deepEqual((await storage.list('reports', 'archive/')).map(object => object.key), ['archive/a.xlsx', 'archive/b.xlsx']);
+    assert.deepEqual((await storage.list('reports', 'archive')).map(object => object.key), ['archive-old/c.xlsx', 'archive/a.xlsx', 'archive/b.xlsx']);
+    assert.deepEqual(await storage.list('missing', ''), []);
+  });
+
+  it('copies between buckets and deletes', async () => {
+    await storage.put('reports', 'latest.xlsx', 'report');
+    await storage.copy('reports', 'latest.xlsx', 'public', 'reports/latest.xlsx');
+    await storage.delete('reports', 'latest.xlsx');
+    await storage.delete('reports', 'latest.xlsx');
+
+    assert.equal((await storage.get('public', 'reports/latest.xlsx')).toString(), 'report');
+    assert.deepEqual(await storage.list('reports', ''), []);
+  });
+
+  it('keeps user metadata until the object is overwritten', async () => {
+    await storage.put('reports', 'latest.xlsx', 'report', { metadata: { 'content-hash': 'abc123' } });
+
+    const head = await storage.head('reports', 'latest.xlsx');
+    assert.equal(head.size, 6);
+    assert.deepEqual(head.metadata, { 'content-hash': 'abc123' });
+    assert.deepEqual((await storage.list('reports', '')).map(object => object.key), ['latest.xlsx']);
+
+    await storage.put('reports', 'latest.xlsx', 'new report');
+    assert.deepEqual((await storage.head('reports', 'latest.xlsx')).metadata, {});
+  });
+
+  it('reports missing objects as NoSuchKey', async () => {
+    await assert.rejects(storage.get('reports', 'missing.xlsx'), { name: 'NoSuchKey' });
+    await assert.rejects(storage.head('reports', 'missing.xlsx'), { name: 'NoSuchKey' });
+    await assert.rejects(storage.copy('reports', 'missing.xlsx', 'public', 'missing.xlsx'), { name: 'NoSuchKey' });
+  });
+
+  it('deletes many keys and reports the ones that failed', async () => {
+    await storage.put('reports', 'archive/a.xlsx', 'a');
+    await storage.put('reports', 'archive/b.xlsx', 'b');
+
+    const result = await storage.deleteMany('reports', ['archive/a.xlsx', '../escape.xlsx', 'archive/b.xlsx']);
+
+    assert.deepEqual(result.deleted, ['archive/a.xlsx', 'archive/b.xlsx']);
+    assert.equal(result.errors.length, 1);
+    assert.equal(result.errors[0].key, '../escape.xlsx');
+    assert.deepEqual(await storage.list('reports', ''), []);
+  });
+
+  it('refuses keys outside the bucket directory', async () => {
+    await assert.rejects(storage.put('reports', '../public/report.xlsx', 'x'), /Invalid key for local storage: reports\/\.\.\/public\/report\.xlsx/);
+  });
+});
+
+describe('createStorage', () => {
+  it('selects the backend from STORAGE_BACKEND', () => {
+    assert.equal(createStorage({}).name, 's3');
+    assert.equal(createStorage({ STORAGE_BACKEND: 'LOCAL', LOCAL_STORAGE_ROOT: os.tmpdir() }).name, 'local');
+    assert.throws(() => createStorage({ STORAGE_BACKEND: 'gcs' }), /Unknown storage backend "gcs"\. Supported: s3, local/);
+  });
+});
+
+describe('S3 storage', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('follows continuation tokens when listing', async () => {
+    const pages = {
+      undefined: { Contents: [{ Key: 'archive/a.xlsx', Size: 1 }], IsTruncated: true, NextContinuationToken: 'page-2' },
+      'page-2': { Contents: [{ Key: 'archive/b.xlsx', Size: 2 }], IsTruncated: true, NextContinuationToken: 'page-3' },
+      'page-3': { Contents: [{ Key: 'archive/c.xlsx', Size: 3 }], IsTruncated: false }
+    };
+    const send = mock.method(S3Client.prototype, 'send', async command => pages[command.input.ContinuationToken]);
+
+    const objects = await createS3Storage().list('reports', 'archive/');
+
+    assert.deepEqual(objects.map(object => [object.key, object.size]), [['archive/a.xlsx', 1], ['archive/b.xlsx', 2], ['archive/c.xlsx', 3]]);
+    assert.equal(send.mock.callCount(), 3);
+    assert.ok(send.mock.calls.every(call => call.arguments[0].input.Prefix === 'archive/'));
+  });
+
+  it('deletes in batches of 1000 and collects per-key and per-batch errors', async () => {
+    const keys = Array.from({ length: 2500 }, (_, index) => `archive/report-${index}.xlsx`);
+    const send = mock.method(S3Client.prototype, 'send', async command => {
+      const batch = command.input.Delete.Objects;
+      if (batch[0].Key === 'archive/report-2000.xlsx') {
+        throw Object.assign(new Error('Access Denied'), { name: 'AccessDenied' });
+      }
+      return batch[0].Key === 'archive/report-0.xlsx'
+        ? { Errors: [{ Key: 'archive/report-7.xlsx', Code: 'InternalError', Message: 'We encountered an internal error' }] }
+        : {};
+    });
+
+    const result = await createS3Storage().deleteMany('reports', keys);
+
+    assert.deepEqual(send.mock.calls.map(call => call.arguments[0].input.Delete.Objects.length), [1000, 1000, 500]);
+    assert.ok(send.mock.calls.every(call => call.arguments[0].input.Delete.Quiet === true));
+    assert.equal(result.deleted.length, 1999);
+    assert.equal(result.errors.length, 501);
+    assert.deepEqual(result.errors[0], { key: 'archive/report-7.xlsx', code: 'InternalError', message: 'We encountered an internal error' });
+    assert.deepEqual(result.errors[1], { key: 'archive/report-2000.xlsx', code: 'AccessDenied', message: 'Access Denied' });
+  });
+});
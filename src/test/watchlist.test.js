@@ -0,0 +1,147 @@
+/**
+ * Watchlist tests: parsing, evaluation against the previous run and the watchlist notification
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseWatchlist, evaluateWatchlist } = require('../watchlist');
+const { buildWatchlistNotification } = require('../snsNotifications');
+
+const PREVIOUS = {
+  regions: [
+    { code: 'us-east-1', name: 'US East (N. Virginia)' },
+    { code: 'eu-west-1', name: 'Europe (Ireland)' }
+  ],
+  services: [
+    { code: 'bedrock', name: 'Amazon Bedrock' },
+    { code: 'lambda', name: 'AWS Lambda' }
+  ],
+  servicesByRegion: {
+    'us-east-1': ['bedrock', 'lambda'],
+    'eu-west-1': ['lambda']
+  }
+};
+const CURRENT = {
+  ...PREVIOUS,
+  servicesByRegion: {
+    'us-east-1': ['bedrock'],
+    'eu-west-1': ['bedrock', 'lambda']
+  }
+};
+
+describe('parseWatchlist', () => {
+  it('gives every service the default regions unless it sets its own', () => {
+    const watchlist = parseWatchlist([
+      'regions: us-east-1, eu-west-1, us-east-1',
+      'services:',
+      '  - bedrock',
+      '  - { code: sagemaker, regions: [eu-central-1] }'
+    ].join('\n'), 'watchlist.yaml');
+
+    assert.deepEqual(watchlist, {
+      source: 'watchlist.yaml',
+      services: [
+        { code: 'bedrock', regions: ['us-east-1', 'eu-west-1'] },
+        { code: 'sagemaker', regions: ['eu-central-1'] }
+      ]
+    });
+  });
+
+  it('lists every problem in one error', () => {
+    const text = JSON.stringify({
+      regions: 'us-east-1',
+      owner: 'platform',
+      services: ['bedrock', 'bedrock', { regions: ['eu-west-1'] }, { code: 'lambda', regions: [] }, { code: 'ec2', level: 'high' }, 42]
+    });
+
+    assert.throws(() => parseWatchlist(text, 'watchlist.json'), error => {
+      assert.equal(error.message, [
+        'Invalid watchlist watchlist.json: unknown field "owner"',
+        'services[1]: service "bedrock" is listed more than once',
+        'services[2].code is required',
+        'services[3]: service "lambda" has no target regions (set "regions" for the watchlist or the service)',
+        'services[4]: unknown field "level"',
+        'services[5] must be a service code or an object with a "code"'
+      ].join('; '));
+      return true;
+    });
+  });
+
+  it('needs target regions and a services list', () => {
+    assert.throws(() => parseWatchlist('services: [bedrock]', 'watchlist.yaml'), /service "bedrock" has no target regions/);
+    assert.throws(() => parseWatchlist('regions: [us-east-1]', 'watchlist.yaml'), /services must be a non-empty list/);
+    assert.throws(() => parseWatchlist('regions: [us-east-1, 7]\nservices: [ec2]', 'watchlist.yaml'), /regions must be a list of codes/);
+    assert.throws(() => parseWatchlist('- bedrock', 'watchlist.yaml'), /^Error: Invalid watchlist watchlist\.yaml: expected an object with a "services" list$/);
+  });
+});
+
+describe('evaluateWatchlist', () => {
+  const watchlist = parseWatchlist('regions: [us-east-1, eu-west-1, ap-south-1]\nservices: [lambda, bedrock, sagemaker]', 'watchlist.yaml');
+
+  it('reports the pairs that changed since the previous run', () => {
+    const { pairs, changes, summary } = evaluateWatchlist(watchlist, CURRENT, PREVIOUS);
+
+    assert.deepEqual(changes.map(pair => [pair.serviceCode, pair.regionCode, pair.change]), [
+      ['bedrock', 'eu-west-1', 'available'],
+      ['lambda', 'us-east-1', 'unavailable']
+    ]);
+    assert.deepEqual(summary, {
+      serviceCount: 3,
+      regionCount: 3,
+      pairCount: 9,
+      availableCount: 3,
+      gapCount: 6,
+      newlyAvailableCount: 1,
+      withdrawnCount: 1,
+      changeCount: 2,
+      compared: true
+    });
+    assert.deepEqual(pairs.slice(0, 3).map(pair => `${pair.serviceName} ${pair.regionCode}`), [
+      'Amazon Bedrock us-east-1',
+      'Amazon Bedrock eu-west-1',
+      'Amazon Bedrock ap-south-1'
+    ]);
+  });
+
+  it('notes services and regions missing from the data', () => {
+    const { pairs } = evaluateWatchlist(watchlist, CURRENT, PREVIOUS);
+
+    assert.deepEqual(pairs.find(pair => pair.serviceCode === 'sagemaker' && pair.regionCode === 'ap-south-1'), {
+      serviceCode: 'sagemaker',
+      serviceName: 'sagemaker',
+      regionCode: 'ap-south-1',
+      regionName: 'ap-south-1',
+      available: false,
+      previouslyAvailable: false,
+      change: null,
+      note: 'Service not in the service list; Region not in the region list'
+    });
+  });
+
+  it('reports no changes without a previous run', () => {
+    const { changes, pairs, summary } = evaluateWatchlist(watchlist, CURRENT, null);
+
+    assert.deepEqual(changes, []);
+    assert.equal(pairs[0].previouslyAvailable, null);
+    assert.equal(summary.compared, false);
+  });
+});
+
+describe('buildWatchlistNotification', () => {
+  it('lists the newly available and withdrawn pairs', () => {
+    const watchlist = parseWatchlist('regions: [us-east-1, eu-west-1]\nservices: [lambda, bedrock]', 'watchlist.yaml');
+    const notification = buildWatchlistNotification('arn:aws:lambda:us-east-1:123456789012:function:report', {
+      latestReportPath: 's3://reports/aws-service-report-latest.xlsx',
+      changes: { previousReportKey: 'archive/aws-service-report-2026-10-17-020000.json.gz' }
+    }, evaluateWatchlist(watchlist, CURRENT, PREVIOUS));
+
+    assert.equal(notification.type, 'watchlist');
+    assert.equal(notification.subject, '👀 AWS Service Watchlist - 1 Now Available, 1 No Longer Available');
+    assert.ok(notification.message.includes('🆕 Now Available\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n• Amazon Bedrock (bedrock) in Europe (Ireland) (eu-west-1)\n'));
+    assert.ok(notification.message.includes('⚠️ No Longer Available\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n• AWS Lambda (lambda) in US East (N. Virginia) (us-east-1)\n'));
+    assert.ok(notification.message.includes('• Available: 3 of 4 service-region pairs\n• Gaps: 1\n• Compared With: archive/aws-service-report-2026-10-17-020000.json.gz\n'));
+    assert.ok(!notification.message.includes('more (see Watchlist sheet)'));
+    assert.deepEqual(notification.details, ['Now available: Amazon Bedrock in eu-west-1', 'No longer available: AWS Lambda in us-east-1']);
+    assert.deepEqual(notification.facts[2], ['Watchlist Gaps', '1 of 4']);
+  });
+});
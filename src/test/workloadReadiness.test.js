@@ -0,0 +1,123 @@
+/**
+ * Workload readiness tests: workload profile validation and region ranking
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseWorkloadProfiles, evaluateReadiness } = require('../workloadReadiness');
+
+const DATA = {
+  regions: [
+    { code: 'us-east-1', name: 'US East (N. Virginia)' },
+    { code: 'eu-west-1', name: 'Europe (Ireland)' },
+    { code: 'ap-south-1', name: 'Asia Pacific (Mumbai)' },
+    { code: 'us-west-2', name: 'US West (Oregon)' },
+    { code: 'cn-north-1', name: 'China (Beijing)' }
+  ],
+  services: ['ecs', 'rds', 'elasticloadbalancing', 'cloudfront', 'wafv2'].map(code => ({ code, name: code })),
+  servicesByRegion: {
+    'us-east-1': ['ecs', 'rds', 'elasticloadbalancing', 'cloudfront', 'wafv2'],
+    'eu-west-1': ['ecs', 'rds', 'elasticloadbalancing', 'wafv2'],
+    'ap-south-1': ['ecs', 'rds'],
+    'us-west-2': ['ecs', 'rds', 'elasticloadbalancing'],
+    'cn-north-1': ['ecs', 'rds', 'cloudfront', 'wafv2']
+  }
+};
+
+describe('parseWorkloadProfiles', () => {
+  it('reads workloads in file order, dropping duplicate codes', () => {
+    const workloads = parseWorkloadProfiles([
+      'workloads:',
+      '  - name: web-app',
+      '    description: Containerized web application',
+      '    required: ecs, rds, ecs',
+      '    optional: [cloudfront]',
+      '  - { name: batch, required: [batch] }'
+    ].join('\n'), 'workloads.yaml');
+
+    assert.deepEqual(workloads, [
+      { name: 'web-app', description: 'Containerized web application', required: ['ecs', 'rds'], optional: ['cloudfront'] },
+      { name: 'batch', description: '', required: ['batch'], optional: [] }
+    ]);
+  });
+
+  it('lists every problem in one error', () => {
+    const text = JSON.stringify({
+      owner: 'platform',
+      workloads: [
+        { name: 'Web App', required: ['ecs'] },
+        { name: 'batch', required: [], tier: 1 },
+        { name: 'batch', required: 'batch', optional: ['batch', 5] },
+        { name: 'ml', required: ['sagemaker'], description: 7 },
+        'etl'
+      ]
+    });
+
+    assert.throws(() => parseWorkloadProfiles(text, 'workloads.json'), error => {
+      assert.equal(error.message, [
+        'Invalid workload profiles workloads.json: unknown field "owner"',
+        'workload "Web App": name must use lowercase letters, digits and dashes',
+        'workload "batch": unknown field "tier"',
+        'workload "batch": required must list at least one service',
+        'workload "batch" is defined more than once',
+        'workload "batch": optional must be a list of service codes',
+        'workload "ml": description must be a string',
+        'workloads[4] must be an object'
+      ].join('; '));
+      return true;
+    });
+  });
+
+  it('needs a non-empty workloads list', () => {
+    assert.throws(() => parseWorkloadProfiles('workloads: []', 'workloads.yaml'),
+      /^Error: Invalid workload profiles workloads\.yaml: expected an object with a non-empty "workloads" list$/);
+    assert.throws(() => parseWorkloadProfiles('workloads: [', 'workloads.yaml'), /^Error: Invalid workload profiles workloads\.yaml: /);
+  });
+
+  it('rejects services that are both required and optional', () => {
+    assert.throws(() => parseWorkloadProfiles('workloads: [{ name: web, required: [ecs], optional: [ecs] }]', 'workloads.yaml'),
+      /workload "web": "ecs" is both required and optional/);
+  });
+});
+
+describe('evaluateReadiness', () => {
+  const workloads = parseWorkloadProfiles([
+    'workloads:',
+    '  - { name: web-app, required: [ecs, rds, elasticloadbalancing], optional: [cloudfront, wafv2, appsync] }'
+  ].join('\n'), 'workloads.yaml');
+
+  it('ranks eligible regions first, then by required and optional services', () => {
+    const [webApp] = evaluateReadiness(workloads, DATA).workloads;
+
+    assert.deepEqual(webApp.regions.map(region => [region.rank, region.regionCode, region.eligible, region.readinessPercent]), [
+      [1, 'us-east-1', true, 100],
+      [2, 'eu-west-1', true, 100],
+      [3, 'us-west-2', true, 100],
+      [4, 'cn-north-1', false, 66.7],
+      [5, 'ap-south-1', false, 66.7]
+    ]);
+    assert.deepEqual(webApp.eligibleRegions, ['us-east-1', 'eu-west-1', 'us-west-2']);
+    assert.deepEqual(webApp.unknownServices, ['appsync']);
+  });
+
+  it('lists the missing services of each region', () => {
+    const [webApp] = evaluateReadiness(workloads, DATA).workloads;
+    const mumbai = webApp.regions.find(region => region.regionCode === 'ap-south-1');
+
+    assert.equal(mumbai.geography, 'Asia Pacific');
+    assert.deepEqual(mumbai.missingRequired, ['elasticloadbalancing']);
+    assert.deepEqual(mumbai.missingOptional, ['cloudfront', 'wafv2', 'appsync']);
+    assert.equal(mumbai.requiredAvailable, 2);
+    assert.equal(mumbai.optionalCount, 3);
+  });
+
+  it('summarizes the top eligible regions per workload', () => {
+    const { summary } = evaluateReadiness(workloads, DATA);
+
+    assert.deepEqual(summary, {
+      workloadCount: 1,
+      regionCount: 5,
+      workloads: [{ name: 'web-app', requiredCount: 3, optionalCount: 3, eligibleRegionCount: 3, topRegions: ['us-east-1', 'eu-west-1', 'us-west-2'] }]
+    });
+  });
+});
@@ -38,14 +38,23 @@ function formatFileSize(bytes) {
   }
 }
 
+/**
+ * Generate a sortable filename timestamp (yyyy-MM-dd-HHmmss)
+ * @param {Date} date - Date to format (defaults to now)
+ * @returns {string} Filename timestamp
+ */
+function generateTimestamp(date = new Date()) {
+  return format(date, 'yyyy-MM-dd-HHmmss');
+}
+
 /**
  * Generate timestamp-based filename
  * @param {string} baseName - Base filename without extension
  * @param {string} extension - File extension (with dot)
+ * @param {string} timestamp - Timestamp to embed (defaults to now)
  * @returns {string} Filename with timestamp
  */
-function generateTimestampedFilename(baseName, extension) {
-  const timestamp = format(new Date(), 'yyyy-MM-dd-HHmmss');
+function generateTimestampedFilename(baseName, extension, timestamp = generateTimestamp()) {
   return `${baseName}-${timestamp}${extension}`;
 }
 
@@ -108,6 +117,7 @@ function daysDifference(date1, date2) {
 module.exports = {
   formatDuration,
   formatFileSize,
+  generateTimestamp,
   generateTimestampedFilename,
   formatDateUTC,
   formatDateEST,
@@ -0,0 +1,215 @@
+/**
+ * Watchlist Module
+ *
+ * Tracks the availability of specific services in the regions a team runs in. The watchlist is a
+ * JSON or YAML file (WATCHLIST_KEY in the report bucket, --watchlist in the CLI) listing service
+ * codes and target regions:
+ *
+ *   regions: [us-east-1, us-west-2, eu-west-1]
+ *   services:
+ *     - bedrock
+ *     - lambda
+ *     - code: sagemaker
+ *       regions: [eu-central-1]   # replaces the default regions for this service
+ *
+ * Every watched service×region pair is evaluated against the current data and the previous run.
+ * Pairs that changed (newly available or no longer available) trigger a watchlist notification;
+ * the status of every pair is shown on the Watchlist sheet. Service and region codes do not have to
+ * exist in the data yet, so a team can watch for a service that has not launched.
+ */
+
+const yaml = require('js-yaml');
+const { getStorage } = require('./storage');
+const { compareRegionCodes } = require('./regionClassification');
+
+const WATCHLIST_FIELDS = ['regions', 'services'];
+const SERVICE_FIELDS = ['code', 'regions'];
+
+/**
+ * Load the watchlist from storage. Without a key no watchlist is configured; a missing or
+ * invalid file is reported as a warning and the run continues without the watchlist.
+ * @param {string} bucket - Bucket holding the watchlist
+ * @param {string} key - Watchlist key (e.g. 'config/watchlist/watchlist.yaml'); empty disables the watchlist
+ * @returns {Promise<Object>} Watchlist ({watchlist, warning}); watchlist is null when none was loaded
+ */
+async function loadWatchlist(bucket, key) {
+  if (!bucket || !key) {
+    return { watchlist: null, warning: null };
+  }
+
+  const storage = getStorage();
+  try {
+    const watchlist = parseWatchlist((await storage.get(bucket, key)).toString('utf-8'), storage.uri(bucket, key));
+    console.log(`👀 Watchlist from ${storage.uri(bucket, key)}: ${watchlist.services.length} services, ${countPairs(watchlist)} service-region pairs`);
+    return { watchlist, warning: null };
+  } catch (error) {
+    console.warn(`⚠️ Watchlist not loaded: ${error.message}`);
+    return { watchlist: null, warning: error.message };
+  }
+}
+
+/**
+ * Parse and validate a watchlist
+ * @param {string} text - Watchlist (JSON or YAML)
+ * @param {string} source - Where the watchlist came from (for messages)
+ * @returns {Object} Watchlist ({source, services: [{code, regions}]}); every service has its target regions
+ * @throws {Error} Listing every problem when the watchlist is invalid
+ */
+function parseWatchlist(text, source) {
+  let raw;
+  try {
+    raw = yaml.load(text);
+  } catch (error) {
+    throw new Error(`Invalid watchlist ${source}: ${error.message}`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Invalid watchlist ${source}: expected an object with a "services" list`);
+  }
+
+  const problems = [];
+  Object.keys(raw)
+    .filter(field => !WATCHLIST_FIELDS.includes(field))
+    .forEach(field => problems.push(`unknown field "${field}"`));
+
+  const defaultRegions = raw.regions !== undefined ? parseCodes(raw.regions, 'regions', problems) : [];
+  const services = [];
+  if (!Array.isArray(raw.services) || raw.services.length === 0) {
+    problems.push('services must be a non-empty list');
+  } else {
+    raw.services.forEach((entry, index) => {
+      const where = `services[${index}]`;
+      const options = typeof entry === 'string' ? { code: entry } : entry;
+      if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        problems.push(`${where} must be a service code or an object with a "code"`);
+        return;
+      }
+      Object.keys(options)
+        .filter(field => !SERVICE_FIELDS.includes(field))
+        .forEach(field => problems.push(`${where}: unknown field "${field}"`));
+
+      const code = typeof options.code === 'string' ? options.code.trim() : '';
+      if (!code) {
+        problems.push(`${where}.code is required`);
+      } else if (services.some(service => service.code === code)) {
+        problems.push(`${where}: service "${code}" is listed more than once`);
+      }
+
+      const regions = options.regions !== undefined ? parseCodes(options.regions, `${where}.regions`, problems) : defaultRegions;
+      if (code && regions.length === 0) {
+        problems.push(`${where}: service "${code}" has no target regions (set "regions" for the watchlist or the service)`);
+      }
+      services.push({ code, regions });
+    });
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid watchlist ${source}: ${problems.join('; ')}`);
+  }
+  return { source, services };
+}
+
+/**
+ * Parse a list of codes (a comma-separated string is accepted), dropping duplicates
+ */
+function parseCodes(value, where, problems) {
+  const list = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(list) || list.some(code => typeof code !== 'string' || !code.trim())) {
+    problems.push(`${where} must be a list of codes`);
+    return [];
+  }
+  return [...new Set(list.map(code => code.trim()))];
+}
+
+/**
+ * Evaluate the watchlist against the current data and the previous run
+ * @param {Object} watchlist - Watchlist from parseWatchlist
+ * @param {Object} currentData - Current normalized data
+ * @param {Object|null} previousData - Previous normalized data (null without a previous report: no changes are reported)
+ * @returns {Object} Evaluation ({pairs, changes, summary}).
+ *   pairs: [{serviceCode, serviceName, regionCode, regionName, available, previouslyAvailable, change, note}]
+ *   in service name and region order; change is 'available', 'unavailable' or null; changes lists the changed pairs;
+ *   summary: {serviceCount, regionCount, pairCount, availableCount, gapCount, newlyAvailableCount, withdrawnCount, changeCount, compared}
+ */
+function evaluateWatchlist(watchlist, currentData, previousData) {
+  const serviceNames = new Map((currentData.services || []).map(service => [service.code, service.name || service.code]));
+  const regionNames = new Map((currentData.regions || []).map(region => [region.code, region.name || region.code]));
+  const current = toAvailability(currentData);
+  const previous = previousData ? toAvailability(previousData) : null;
+
+  const pairs = [];
+  watchlist.services.forEach(service => {
+    service.regions.forEach(regionCode => {
+      const available = current.has(`${service.code}|${regionCode}`);
+      const previouslyAvailable = previous ? previous.has(`${service.code}|${regionCode}`) : null;
+      let change = null;
+      if (previous && available !== previouslyAvailable) {
+        change = available ? 'available' : 'unavailable';
+      }
+
+      const notes = [];
+      if (!serviceNames.has(service.code)) {
+        notes.push('Service not in the service list');
+      }
+      if (!regionNames.has(regionCode)) {
+        notes.push('Region not in the region list');
+      }
+
+      pairs.push({
+        serviceCode: service.code,
+        serviceName: serviceNames.get(service.code) || service.code,
+        regionCode,
+        regionName: regionNames.get(regionCode) || regionCode,
+        available,
+        previouslyAvailable,
+        change,
+        note: notes.join('; ')
+      });
+    });
+  });
+
+  pairs.sort((a, b) => a.serviceName.toLowerCase().localeCompare(b.serviceName.toLowerCase()) ||
+    compareRegionCodes(a.regionCode, b.regionCode));
+
+  const changes = pairs.filter(pair => pair.change);
+  const availableCount = pairs.filter(pair => pair.available).length;
+  const newlyAvailableCount = changes.filter(pair => pair.change === 'available').length;
+  return {
+    pairs,
+    changes,
+    summary: {
+      serviceCount: watchlist.services.length,
+      regionCount: new Set(pairs.map(pair => pair.regionCode)).size,
+      pairCount: pairs.length,
+      availableCount,
+      gapCount: pairs.length - availableCount,
+      newlyAvailableCount,
+      withdrawnCount: changes.length - newlyAvailableCount,
+      changeCount: changes.length,
+      compared: Boolean(previous)
+    }
+  };
+}
+
+/**
+ * Index normalized data as a set of 'serviceCode|regionCode' pairs
+ */
+function toAvailability(data) {
+  const pairs = new Set();
+  Object.entries(data.servicesByRegion || {}).forEach(([regionCode, serviceCodes]) => {
+    (serviceCodes || []).forEach(serviceCode => pairs.add(`${serviceCode}|${regionCode}`));
+  });
+  return pairs;
+}
+
+/**
+ * Count the watched service×region pairs
+ */
+function countPairs(watchlist) {
+  return watchlist.services.reduce((total, service) => total + service.regions.length, 0);
+}
+
+module.exports = {
+  loadWatchlist,
+  parseWatchlist,
+  evaluateWatchlist
+};
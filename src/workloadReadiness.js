@@ -0,0 +1,202 @@
+/**
+ * Workload Readiness Module
+ *
+ * Scores every region against workload profiles: named lists of the services a workload requires
+ * and the services it can use when available. Workload profiles are a JSON or YAML file
+ * (WORKLOAD_PROFILES_KEY in the report bucket, --workloads in the CLI):
+ *
+ *   workloads:
+ *     - name: web-app
+ *       description: Containerized web application
+ *       required: [ecs, ecr, elasticloadbalancing, rds]
+ *       optional: [cloudfront, wafv2]
+ *
+ * A region is eligible for a workload when every required service is available there. Regions are
+ * ranked eligible first, then by the share of required services available, then by the number of
+ * optional services available. The ranking is shown on the Region Readiness sheet and in the JSON report.
+ */
+
+const yaml = require('js-yaml');
+const { getStorage } = require('./storage');
+const { buildRegionRows } = require('./reportData');
+
+const WORKLOAD_FIELDS = ['name', 'description', 'required', 'optional'];
+const WORKLOAD_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Eligible regions listed per workload in the run metrics (and the success notification)
+const TOP_REGION_COUNT = 3;
+
+/**
+ * Load the workload profiles from storage. Without a key no workloads are configured; a missing or
+ * invalid file is reported as a warning and the run continues without readiness scoring.
+ * @param {string} bucket - Bucket holding the workload profiles
+ * @param {string} key - Workload profiles key (e.g. 'config/workload-profiles/workloads.yaml'); empty disables readiness scoring
+ * @returns {Promise<Object>} Workload profiles ({workloads, warning}); workloads is empty when none were loaded
+ */
+async function loadWorkloadProfiles(bucket, key) {
+  if (!bucket || !key) {
+    return { workloads: [], warning: null };
+  }
+
+  const storage = getStorage();
+  try {
+    const workloads = parseWorkloadProfiles((await storage.get(bucket, key)).toString('utf-8'), storage.uri(bucket, key));
+    console.log(`🧭 Workload profiles from ${storage.uri(bucket, key)}: ${workloads.map(workload => workload.name).join(', ')}`);
+    return { workloads, warning: null };
+  } catch (error) {
+    console.warn(`⚠️ Workload profiles not loaded: ${error.message}`);
+    return { workloads: [], warning: error.message };
+  }
+}
+
+/**
+ * Parse and validate workload profiles
+ * @param {string} text - Workload profiles (JSON or YAML)
+ * @param {string} source - Where the workload profiles came from (for messages)
+ * @returns {Array<Object>} Workloads ({name, description, required, optional}) in file order
+ * @throws {Error} Listing every problem when the workload profiles are invalid
+ */
+function parseWorkloadProfiles(text, source) {
+  let raw;
+  try {
+    raw = yaml.load(text);
+  } catch (error) {
+    throw new Error(`Invalid workload profiles ${source}: ${error.message}`);
+  }
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.workloads) || raw.workloads.length === 0) {
+    throw new Error(`Invalid workload profiles ${source}: expected an object with a non-empty "workloads" list`);
+  }
+
+  const problems = [];
+  Object.keys(raw)
+    .filter(field => field !== 'workloads')
+    .forEach(field => problems.push(`unknown field "${field}"`));
+
+  const workloads = [];
+  raw.workloads.forEach((options, index) => {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      problems.push(`workloads[${index}] must be an object`);
+      return;
+    }
+    const name = typeof options.name === 'string' ? options.name.trim() : '';
+    const where = name ? `workload "${name}"` : `workloads[${index}]`;
+    Object.keys(options)
+      .filter(field => !WORKLOAD_FIELDS.includes(field))
+      .forEach(field => problems.push(`${where}: unknown field "${field}"`));
+
+    if (!WORKLOAD_NAME_PATTERN.test(name)) {
+      problems.push(`${where}: name must use lowercase letters, digits and dashes`);
+    } else if (workloads.some(workload => workload.name === name)) {
+      problems.push(`${where} is defined more than once`);
+    }
+    if (options.description !== undefined && typeof options.description !== 'string') {
+      problems.push(`${where}: description must be a string`);
+    }
+
+    const problemCount = problems.length;
+    const required = parseCodes(options.required, `${where}: required`, problems);
+    if (problems.length === problemCount && required.length === 0) {
+      problems.push(`${where}: required must list at least one service`);
+    }
+    const optional = options.optional !== undefined ? parseCodes(options.optional, `${where}: optional`, problems) : [];
+    optional
+      .filter(code => required.includes(code))
+      .forEach(code => problems.push(`${where}: "${code}" is both required and optional`));
+
+    workloads.push({ name, description: options.description || '', required, optional });
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid workload profiles ${source}: ${problems.join('; ')}`);
+  }
+  return workloads;
+}
+
+/**
+ * Parse a list of service codes (a comma-separated string is accepted), dropping duplicates
+ */
+function parseCodes(value, where, problems) {
+  const list = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(list) || list.some(code => typeof code !== 'string' || !code.trim())) {
+    problems.push(`${where} must be a list of service codes`);
+    return [];
+  }
+  return [...new Set(list.map(code => code.trim()))];
+}
+
+/**
+ * Score every region of the data against each workload
+ * @param {Array<Object>} workloads - Workloads from parseWorkloadProfiles
+ * @param {Object} sourceData - Normalized report data
+ * @returns {Object} Readiness ({workloads, summary}).
+ *   workloads: [{name, description, required, optional, unknownServices, eligibleRegions, regions}] where regions are ranked
+ *   ({rank, regionCode, regionName, partition, geography, eligible, requiredAvailable, requiredCount, optionalAvailable,
+ *   optionalCount, readinessPercent, missingRequired, missingOptional}) and eligibleRegions lists the eligible region codes in rank order;
+ *   summary: {workloadCount, regionCount, workloads: [{name, requiredCount, optionalCount, eligibleRegionCount, topRegions}]}
+ */
+function evaluateReadiness(workloads, sourceData) {
+  const servicesByRegion = sourceData.servicesByRegion || {};
+  const serviceCodes = new Set((sourceData.services || []).map(service => service.code));
+  const regionRows = buildRegionRows(sourceData);
+  const regionOrder = new Map(regionRows.map((region, index) => [region.regionCode, index]));
+
+  const results = workloads.map(workload => {
+    const regions = regionRows.map(region => {
+      const available = new Set(servicesByRegion[region.regionCode] || []);
+      const missingRequired = workload.required.filter(code => !available.has(code));
+      const missingOptional = workload.optional.filter(code => !available.has(code));
+      const requiredAvailable = workload.required.length - missingRequired.length;
+      return {
+        regionCode: region.regionCode,
+        regionName: region.regionName,
+        partition: region.partition,
+        geography: region.geography,
+        eligible: missingRequired.length === 0,
+        requiredAvailable,
+        requiredCount: workload.required.length,
+        optionalAvailable: workload.optional.length - missingOptional.length,
+        optionalCount: workload.optional.length,
+        readinessPercent: Number(((requiredAvailable / workload.required.length) * 100).toFixed(1)),
+        missingRequired,
+        missingOptional
+      };
+    });
+
+    // Eligible first, then the most required and optional services; ties keep the report's region order
+    regions.sort((a, b) => (b.eligible - a.eligible) ||
+      (b.requiredAvailable - a.requiredAvailable) ||
+      (b.optionalAvailable - a.optionalAvailable) ||
+      (regionOrder.get(a.regionCode) - regionOrder.get(b.regionCode)));
+
+    return {
+      name: workload.name,
+      description: workload.description,
+      required: workload.required,
+      optional: workload.optional,
+      unknownServices: [...workload.required, ...workload.optional].filter(code => !serviceCodes.has(code)),
+      eligibleRegions: regions.filter(region => region.eligible).map(region => region.regionCode),
+      regions: regions.map((region, index) => ({ rank: index + 1, ...region }))
+    };
+  });
+
+  return {
+    workloads: results,
+    summary: {
+      workloadCount: results.length,
+      regionCount: regionRows.length,
+      workloads: results.map(workload => ({
+        name: workload.name,
+        requiredCount: workload.required.length,
+        optionalCount: workload.optional.length,
+        eligibleRegionCount: workload.eligibleRegions.length,
+        topRegions: workload.eligibleRegions.slice(0, TOP_REGION_COUNT)
+      }))
+    }
+  };
+}
+
+module.exports = {
+  loadWorkloadProfiles,
+  parseWorkloadProfiles,
+  evaluateReadiness
+};